@@ -2,6 +2,7 @@
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 3000,
+  API_PUBLIC_URL: (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, ''), // origin clients reach this API at, for stored file urls
   
   // JWT configuration
   JWT_SECRET: process.env.JWT_SECRET,
@@ -11,6 +12,106 @@ module.exports = {
   REQUEST_TIMEOUT: 15000,
   MAX_RETRIES: 3,
   
+  // Trash configuration
+  TRASH_RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+  TRASH_PURGE_INTERVAL_MS: 60 * 60 * 1000, // 1 hour
+  
+  // Edit history configuration
+  LINK_HISTORY_LIMIT: parseInt(process.env.LINK_HISTORY_LIMIT, 10) || 50,
+  
+  // Link health check configuration
+  LINK_CHECK_INTERVAL_MS: 15 * 60 * 1000, // 15 minutes
+  LINK_CHECK_MAX_AGE_DAYS: parseInt(process.env.LINK_CHECK_MAX_AGE_DAYS, 10) || 7,
+  LINK_CHECK_BATCH_SIZE: parseInt(process.env.LINK_CHECK_BATCH_SIZE, 10) || 50,
+  LINK_CHECK_DOMAIN_DELAY_MS: parseInt(process.env.LINK_CHECK_DOMAIN_DELAY_MS, 10) || 10000,
+  LINK_CHECK_MAX_PER_DOMAIN: 5, // per run
+  LINK_CHECK_FAILURE_THRESHOLD: 2, // consecutive failures before a link is flagged broken
+  LINK_CHECK_HISTORY_LIMIT: 10,
+  LINK_CHECK_MAX_BYTES: 2 * 1024 * 1024, // response bytes read per check
+  
+  // Storage configuration
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || 'storage',
+  
+  // Snapshot configuration
+  SNAPSHOT_MAX_HTML_BYTES: 5 * 1024 * 1024, // 5MB of downloaded HTML
+  ARTICLE_TEXT_MAX_LENGTH: 100000, // characters of article text kept on a link
+  
+  // Reminder configuration
+  REMINDER_POLL_INTERVAL_MS: parseInt(process.env.REMINDER_POLL_INTERVAL_MS, 10) || 60 * 1000, // 1 minute
+  REMINDER_LOCK_TIMEOUT_MS: 10 * 60 * 1000, // a 'sending' reminder older than this is retried
+  REMINDER_MAX_ATTEMPTS: parseInt(process.env.REMINDER_MAX_ATTEMPTS, 10) || 5,
+  REMINDER_RETRY_BASE_MS: 60 * 1000, // passed to calculateBackoffDelay, doubled after each failed attempt
+  REMINDER_RETRY_MAX_MS: 60 * 60 * 1000, // 1 hour
+  REMINDER_BATCH_SIZE: 100, // per poll
+  
+  // Sync configuration
+  SYNC_TOMBSTONE_RETENTION_DAYS: parseInt(process.env.SYNC_TOMBSTONE_RETENTION_DAYS, 10) || 90,
+  SYNC_PAGE_SIZE: 500, // links per sync response
+  SYNC_MAX_PUSH_CHANGES: 200, // changes per push request
+  SYNC_CLOCK_SKEW_MS: 5000, // overlap between sync windows so in-flight writes are not missed
+  
+  // Idempotency configuration
+  IDEMPOTENCY_KEY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24,
+  IDEMPOTENCY_LOCK_TIMEOUT_MS: 60 * 1000, // an unfinished request older than this no longer holds its key
+  
+  // Webhook configuration
+  WEBHOOK_EVENTS: ['link.created', 'link.updated', 'link.deleted', 'link.favorited', 'link.unfavorited'],
+  WEBHOOK_MAX_PER_USER: 10,
+  WEBHOOK_POLL_INTERVAL_MS: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 30 * 1000, // 30 seconds
+  WEBHOOK_LOCK_TIMEOUT_MS: 2 * 60 * 1000, // a 'delivering' delivery older than this is retried
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+  WEBHOOK_RETRY_BASE_MS: 30 * 1000, // passed to calculateBackoffDelay, doubled after each failed attempt
+  WEBHOOK_RETRY_MAX_MS: 6 * 60 * 60 * 1000, // 6 hours
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_BATCH_SIZE: 100, // per poll
+  WEBHOOK_LOG_RETENTION_DAYS: parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30,
+  
+  // Feed configuration
+  FEED_DEFAULT_ITEMS: 50,
+  FEED_MAX_ITEMS: 100,
+  FEED_CACHE_SECONDS: parseInt(process.env.FEED_CACHE_SECONDS, 10) || 300, // how long readers may cache a feed
+  
+  // Feed subscription configuration
+  SUBSCRIPTION_POLL_INTERVAL_MS: parseInt(process.env.SUBSCRIPTION_POLL_INTERVAL_MS, 10) || 5 * 60 * 1000, // how often due feeds are looked for
+  SUBSCRIPTION_REFRESH_INTERVAL_MS: parseInt(process.env.SUBSCRIPTION_REFRESH_INTERVAL_MS, 10) || 60 * 60 * 1000, // time between fetches of one feed
+  SUBSCRIPTION_MAX_BACKOFF_MS: 24 * 60 * 60 * 1000, // longest wait after repeated errors
+  SUBSCRIPTION_MAX_ERRORS: 20, // failed fetches in a row before a feed is turned off
+  SUBSCRIPTION_LOCK_TIMEOUT_MS: 15 * 60 * 1000, // a claimed feed older than this is fetched again
+  SUBSCRIPTION_FETCH_TIMEOUT_MS: 15000,
+  SUBSCRIPTION_MAX_FEED_BYTES: 5 * 1024 * 1024, // 5MB
+  SUBSCRIPTION_MAX_NEW_ENTRIES: 20, // links saved per feed per fetch
+  SUBSCRIPTION_SEEN_ENTRIES_LIMIT: 1000, // entry URLs remembered per feed
+  SUBSCRIPTION_MAX_PER_USER: 100,
+  SUBSCRIPTION_BATCH_SIZE: 20, // feeds per poll
+  
+  // Share sheet configuration
+  SHARE_TOKEN_TTL_MINUTES: parseInt(process.env.SHARE_TOKEN_TTL_MINUTES, 10) || 10,
+  
+  // File upload configuration
+  UPLOAD_MAX_FILE_BYTES: parseInt(process.env.UPLOAD_MAX_FILE_BYTES, 10) || 25 * 1024 * 1024, // 25MB per file
+  UPLOAD_QUOTA_BYTES_PER_USER: parseInt(process.env.UPLOAD_QUOTA_BYTES_PER_USER, 10) || 500 * 1024 * 1024, // 500MB per user, trash included
+  UPLOAD_MAX_FILES_PER_SHARE: 10,
+  UPLOAD_PDF_MAX_PAGES: 200, // pages read for text; longer PDFs are stored whole
+  UPLOAD_ALLOWED_TYPES: ['application/pdf', 'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'text/plain', 'text/markdown'],
+  
+  // Screenshot thumbnail configuration (pages without an og:image or logo)
+  SCREENSHOT_ENABLED: process.env.SCREENSHOT_ENABLED !== 'false',
+  SCREENSHOT_VIEWPORT_WIDTH: 1280,
+  SCREENSHOT_VIEWPORT_HEIGHT: 800,
+  SCREENSHOT_THUMBNAIL_WIDTH: parseInt(process.env.SCREENSHOT_THUMBNAIL_WIDTH, 10) || 640, // height keeps the viewport's aspect ratio
+  SCREENSHOT_QUEUE_LIMIT: 200, // links waiting for a capture; more are skipped
+  
+  // Image cache configuration (proxied og images, logos and favicons)
+  IMAGE_CACHE_WIDTHS: [64, 320, 640, 1280], // WebP variants stored per image
+  IMAGE_CACHE_DEFAULT_WIDTH: 640,
+  IMAGE_CACHE_MAX_BYTES: parseInt(process.env.IMAGE_CACHE_MAX_BYTES, 10) || 10 * 1024 * 1024, // 10MB per source image
+  IMAGE_CACHE_MAX_PIXELS: 40 * 1000 * 1000, // larger images are refused before decoding
+  IMAGE_CACHE_FETCH_TIMEOUT_MS: 10000,
+  IMAGE_CACHE_RETRY_FAILED_MS: 6 * 60 * 60 * 1000, // 6 hours before a failed image is fetched again
+  IMAGE_CACHE_MAX_AGE_SECONDS: 365 * 24 * 60 * 60, // variants never change under their hash
+  IMAGE_CACHE_QUEUE_LIMIT: 500, // links waiting to have their images cached; more are skipped
+  
   // AI Models
   OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
   GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite',
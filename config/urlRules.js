@@ -0,0 +1,123 @@
+/**
+ * URL canonicalization rules
+ * Tracking parameters are removed from stored URLs by utils/url.js normalizeUrl.
+ * The rest only feeds urlDedupeKey, so that the same page saved from different
+ * places (share sheets, newsletters, mobile sites, AMP caches) is one link per user.
+ */
+
+// Query parameters that only identify where a click came from
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid',
+  'igshid', 'igsh', 'si', 'mc_cid', 'mc_eid', 'mkt_tok', 'li_fat_id', 'rb_clickid', 's_cid', 'cmpid',
+  '_ga', '_gl', '_hsenc', '_hsmi', '__hssc', '__hstc', '__hsfp', 'hsctatracking',
+  'oly_anon_id', 'oly_enc_id', 'vero_id', 'vero_conv', 'wickedid', 'ref_src', 'ref_url', 'spm', 'scm'
+];
+
+// Parameters added by AMP caches and AMP versions of a page
+const AMP_PARAMS = ['amp_js_v', 'amp_gsa', 'amp_ct', 'amp_tf', 'ampshare', 'usqp', 'aoh'];
+
+// Any query parameter starting with one of these is tracking
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hmb_'];
+
+// Host prefixes for alternate versions of the same site (www.example.com, m.example.com)
+const HOST_PREFIXES = ['www.', 'm.', 'mobile.', 'amp.'];
+
+/**
+ * Per-domain rules. A rule applies to its domains and their subdomains.
+ *   host       - canonical host for the listed domains (subdomains keep their own host)
+ *   keepParams - only these query parameters survive (an empty list drops the whole query)
+ *   dropParams - extra parameters to remove on top of TRACKING_PARAMS
+ *   rewrite    - (url: URL) => void, adjusts the path / query in place
+ */
+const DOMAIN_RULES = [
+  {
+    domains: ['youtube.com', 'youtu.be', 'youtube-nocookie.com'],
+    host: 'youtube.com',
+    keepParams: ['v', 'list'],
+    rewrite: (url) => {
+      const host = url.hostname.replace(/^www\./, '');
+      const embed = url.pathname.match(/^\/(?:embed|v|live)\/([\w-]{6,})/);
+      const shortId = host === 'youtu.be' ? url.pathname.slice(1).split('/')[0] : null;
+      const videoId = shortId || (embed && embed[1]);
+      if (videoId) {
+        url.pathname = '/watch';
+        url.searchParams.set('v', videoId);
+      }
+    }
+  },
+  {
+    domains: ['twitter.com', 'x.com'],
+    host: 'x.com',
+    keepParams: []
+  },
+  {
+    domains: [
+      'amazon.com', 'amazon.in', 'amazon.co.uk', 'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es',
+      'amazon.ca', 'amazon.com.au', 'amazon.co.jp', 'amazon.com.br', 'amazon.com.mx', 'amazon.nl'
+    ],
+    keepParams: [],
+    rewrite: (url) => {
+      const match = url.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([a-z0-9]{10})(?=\/|$)/i);
+      if (match) url.pathname = `/dp/${match[1].toUpperCase()}`;
+    }
+  },
+  {
+    domains: ['reddit.com'],
+    dropParams: ['share_id', 'ref', 'ref_source', 'rdt', 'context'],
+    rewrite: (url) => {
+      if (/^(old|new|np|i)\.reddit\.com$/.test(url.hostname)) url.hostname = 'reddit.com';
+    }
+  },
+  {
+    domains: ['instagram.com', 'tiktok.com', 'threads.net'],
+    keepParams: []
+  },
+  {
+    domains: ['medium.com'],
+    dropParams: ['source', 'sk']
+  },
+  {
+    domains: ['facebook.com'],
+    dropParams: ['mibextid', 'rdid', 'sfnsn', 'ref', '__tn__', '__cft__']
+  },
+  {
+    domains: ['linkedin.com'],
+    dropParams: ['trackingid', 'refid', 'lipi', 'trk', 'trkinfo', 'originalsubdomain', 'rcm']
+  },
+  {
+    domains: ['open.spotify.com'],
+    dropParams: ['context', 'nd']
+  }
+];
+
+/**
+ * Redirect wrappers that carry the real destination in a query parameter.
+ *   hosts       - hosts the wrapper is served from (a leading www. is ignored)
+ *   hostPattern - alternatively, a RegExp the host must match
+ *   path        - RegExp the path must match
+ *   params      - parameters that may hold the destination, in order of preference
+ */
+const REDIRECT_WRAPPERS = [
+  // https://www.google.com/url?q=https://example.com/
+  { hostPattern: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+  // https://l.facebook.com/l.php?u=https://example.com/
+  { hosts: ['l.facebook.com', 'lm.facebook.com', 'm.facebook.com', 'facebook.com', 'l.messenger.com'], path: /^\/l\.php$/, params: ['u'] },
+  { hosts: ['l.instagram.com', 'l.threads.net'], path: /^\/?$/, params: ['u'] },
+  // https://slack-redir.net/link?url=https://example.com/
+  { hosts: ['slack-redir.net'], path: /^\/link$/, params: ['url'] },
+  // Microsoft Defender Safe Links (Outlook, Teams)
+  { hostPattern: /\.safelinks\.protection\.outlook\.com$/, path: /^\/?$/, params: ['url'] },
+  { hosts: ['statics.teams.cdn.office.net'], path: /\/atp-safelinks\.html$/, params: ['url'] },
+  { hosts: ['youtube.com', 'm.youtube.com'], path: /^\/redirect$/, params: ['q'] },
+  { hosts: ['linkedin.com'], path: /^\/redir\/redirect\/?$/, params: ['url'] },
+  { hosts: ['out.reddit.com'], path: /^\//, params: ['url'] }
+];
+
+module.exports = {
+  TRACKING_PARAMS,
+  TRACKING_PARAM_PREFIXES,
+  AMP_PARAMS,
+  HOST_PREFIXES,
+  DOMAIN_RULES,
+  REDIRECT_WRAPPERS
+};
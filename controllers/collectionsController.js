@@ -0,0 +1,454 @@
+const Collection = require('../models/Collection');
+const Link = require('../models/Links');
+const mongoose = require('mongoose');
+
+/**
+ * Load a collection owned by the user, or null when it does not exist
+ */
+const findUserCollection = (userId, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Collection.findOne({ _id: id, userId });
+};
+
+/**
+ * Collections Controller - Nested folders for organizing saved links
+ * All operations are user-specific
+ */
+class CollectionsController {
+
+  /**
+   * Create a new collection
+   * POST /api/collections
+   */
+  async createCollection(req, res) {
+    try {
+      const { name, description, parentId = null } = req.body;
+      const userId = req.user.id;
+
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collection name is required'
+        });
+      }
+
+      let ancestors = [];
+      if (parentId) {
+        const parent = await findUserCollection(userId, parentId);
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent collection not found'
+          });
+        }
+        ancestors = [...parent.ancestors, parent._id];
+      }
+
+      let savedCollection;
+      try {
+        savedCollection = await Collection.create({
+          userId,
+          name: String(name).trim(),
+          description: typeof description === 'string' ? description.trim() : undefined,
+          parentId: parentId || null,
+          ancestors
+        });
+      } catch (err) {
+        if (err && err.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'A collection with this name already exists here'
+          });
+        }
+        throw err;
+      }
+
+      console.log('✅ Collection created successfully:', savedCollection._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Collection created successfully',
+        data: savedCollection
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating collection:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get all collections for a user, with the number of links directly in each
+   * GET /api/collections
+   */
+  async getCollections(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const collections = await Collection.find({ userId })
+        .sort({ nameNormalized: 1 })
+        .lean();
+
+      const counts = await Link.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            isActive: true,
+            collectionId: { $ne: null }
+          }
+        },
+        { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+      ]);
+      const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+
+      res.json({
+        success: true,
+        data: collections.map(c => ({
+          ...c,
+          linkCount: countMap.get(String(c._id)) || 0
+        })),
+        count: collections.length
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collections:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collections',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a single collection with its direct children
+   * GET /api/collections/:id
+   */
+  async getCollectionById(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const collection = await findUserCollection(userId, id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      const [children, ancestors] = await Promise.all([
+        Collection.find({ userId, parentId: collection._id }).sort({ nameNormalized: 1 }),
+        Collection.find({ userId, _id: { $in: collection.ancestors } }).select('name parentId ancestors')
+      ]);
+
+      // Keep breadcrumbs in root-to-leaf order
+      const ancestorMap = new Map(ancestors.map(a => [String(a._id), a]));
+      const breadcrumbs = collection.ancestors
+        .map(a => ancestorMap.get(String(a)))
+        .filter(Boolean);
+
+      res.json({
+        success: true,
+        data: {
+          collection,
+          children,
+          breadcrumbs
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rename a collection or change its description
+   * PUT /api/collections/:id
+   */
+  async updateCollection(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const { name, description } = req.body;
+
+      const collection = await findUserCollection(userId, id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      if (name !== undefined) {
+        if (!String(name).trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'Collection name cannot be empty'
+          });
+        }
+        collection.name = String(name).trim();
+      }
+      if (typeof description === 'string') {
+        collection.description = description.trim();
+      }
+
+      try {
+        await collection.save();
+      } catch (err) {
+        if (err && err.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'A collection with this name already exists here'
+          });
+        }
+        throw err;
+      }
+
+      res.json({
+        success: true,
+        message: 'Collection updated successfully',
+        data: collection
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating collection:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move a collection under a new parent (or to the root when parentId is null)
+   * PUT /api/collections/:id/move
+   */
+  async moveCollection(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const parentId = req.body.parentId || null;
+
+      const collection = await findUserCollection(userId, id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      let newAncestors = [];
+      if (parentId) {
+        const parent = await findUserCollection(userId, parentId);
+        if (!parent) {
+          return res.status(404).json({
+            success: false,
+            message: 'Parent collection not found'
+          });
+        }
+        const wouldCycle = String(parent._id) === String(collection._id) ||
+          parent.ancestors.some(a => String(a) === String(collection._id));
+        if (wouldCycle) {
+          return res.status(400).json({
+            success: false,
+            message: 'A collection cannot be moved into itself or one of its sub-collections'
+          });
+        }
+        newAncestors = [...parent.ancestors, parent._id];
+      }
+
+      const previousDepth = collection.ancestors.length;
+      collection.parentId = parentId;
+      collection.ancestors = newAncestors;
+
+      try {
+        await collection.save();
+      } catch (err) {
+        if (err && err.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'A collection with this name already exists in the destination'
+          });
+        }
+        throw err;
+      }
+
+      // Rewrite the ancestor chain of every descendant
+      const descendants = await Collection.find({ userId, ancestors: collection._id }).select('ancestors');
+      if (descendants.length > 0) {
+        await Collection.bulkWrite(descendants.map(d => ({
+          updateOne: {
+            filter: { _id: d._id },
+            update: { $set: { ancestors: [...newAncestors, ...d.ancestors.slice(previousDepth)] } }
+          }
+        })));
+      }
+
+      console.log('✅ Collection moved successfully:', collection._id);
+
+      res.json({
+        success: true,
+        message: 'Collection moved successfully',
+        data: collection
+      });
+
+    } catch (error) {
+      console.error('❌ Error moving collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to move collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a collection and its sub-collections.
+   * Links inside are moved to the deleted collection's parent (or unfiled).
+   * DELETE /api/collections/:id
+   */
+  async deleteCollection(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      const collection = await findUserCollection(userId, id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      const subtreeIds = await Collection.findSubtreeIds(userId, collection._id);
+
+      const moved = await Link.updateMany(
+        { userId, collectionId: { $in: subtreeIds } },
+        { $set: { collectionId: collection.parentId || null } }
+      );
+      await Collection.deleteMany({ userId, _id: { $in: subtreeIds } });
+
+      console.log('✅ Collection deleted successfully:', collection._id);
+
+      res.json({
+        success: true,
+        message: 'Collection deleted successfully',
+        data: {
+          deletedCollections: subtreeIds.length,
+          movedLinks: moved.modifiedCount || 0,
+          movedTo: collection.parentId || null
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting collection:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete collection',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the links in a collection, optionally including sub-collections
+   * GET /api/collections/:id/links
+   */
+  async getCollectionLinks(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const {
+        includeSubcollections = 'true',
+        page = 1,
+        limit = 10,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      const collection = await findUserCollection(userId, id);
+      if (!collection) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+
+      const collectionIds = String(includeSubcollections) === 'false'
+        ? [collection._id]
+        : await Collection.findSubtreeIds(userId, collection._id);
+
+      const filter = {
+        userId,
+        isActive: true,
+        collectionId: { $in: collectionIds }
+      };
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const sortObj = {};
+      sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+      const [links, totalCount] = await Promise.all([
+        Link.find(filter)
+          .sort(sortObj)
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Link.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: links,
+        collection,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting collection links:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get collection links',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CollectionsController();
@@ -0,0 +1,103 @@
+const { once } = require('events');
+const archiver = require('archiver');
+const Link = require('../models/Links');
+const { EXPORT_FORMATS, streamFormats, toMarkdownFile } = require('../utils/linkExporters');
+
+const EXPORT_FIELDS = 'url originalUrl title description tags notes linkType isFavorite createdAt updatedAt';
+
+/**
+ * Export Controller - Download a user's whole library in portable formats
+ * Links are read with a cursor and streamed, so large libraries never sit in memory.
+ */
+class ExportController {
+
+  /**
+   * Export all active links
+   * GET /api/links/export?format=netscape|json|csv|markdown
+   */
+  async exportLinks(req, res) {
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export format',
+        validFormats: EXPORT_FORMATS
+      });
+    }
+
+    const userId = req.user.id;
+    const date = new Date().toISOString().slice(0, 10);
+    const cursor = Link.find({ userId, isActive: true })
+      .select(EXPORT_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+    // One listener for the whole export: a stalled write or archive entry waits for
+    // this or for its own event, so a client that goes away cannot leave it hanging
+    const closed = new Promise((resolve) => res.once('close', resolve));
+
+    try {
+      if (format === 'markdown') {
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="links-export-${date}.zip"`);
+
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        archive.on('warning', (err) => console.warn('Export archive warning:', err.message));
+        // A broken archive cannot be finished; abort so the client sees a failed download
+        archive.on('error', (err) => res.destroy(err));
+        archive.pipe(res);
+
+        for await (const link of cursor) {
+          const file = toMarkdownFile(link);
+          const processed = once(archive, 'entry');
+          archive.append(file.content, { name: file.name, date: link.updatedAt || undefined });
+          await Promise.race([processed, closed]);
+          if (res.destroyed) throw new Error('Client disconnected during export');
+        }
+
+        await archive.finalize();
+        return;
+      }
+
+      const serializer = streamFormats[format];
+      res.setHeader('Content-Type', serializer.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="links-export-${date}.${serializer.extension}"`);
+
+      const write = async (chunk) => {
+        if (chunk && !res.write(chunk)) {
+          await Promise.race([once(res, 'drain'), closed]);
+          if (res.destroyed) throw new Error('Client disconnected during export');
+        }
+      };
+
+      await write(serializer.header());
+      let index = 0;
+      for await (const link of cursor) {
+        await write(serializer.row(link, index));
+        index += 1;
+      }
+      await write(serializer.footer());
+      res.end();
+
+      console.log(`✅ Exported ${index} links as ${format} for ${userId}`);
+
+    } catch (error) {
+      console.error('❌ Error exporting links:', error.message);
+      await cursor.close().catch(() => {});
+
+      if (res.headersSent) {
+        // Part of the file is already on the wire; abort so the client sees a failed download
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export links',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ExportController();
@@ -1,6 +1,8 @@
 const Fav = require('../models/Favs');
 const Link = require('../models/Links');
 const mongoose = require('mongoose');
+const { readPageRequest, finishPage } = require('../utils/pagination');
+const { emitLinkEvent } = require('../utils/webhooks');
 
 /**
  * Favs Controller - Handle all favorite link operations
@@ -33,8 +35,8 @@ class FavsController {
         });
       }
 
-      // Check if the link exists
-      const link = await Link.findById(linkId);
+      // Check if the link exists and belongs to the user
+      const link = await Link.findOne({ _id: linkId, userId, isActive: true });
       if (!link) {
         return res.status(404).json({
           success: false,
@@ -64,12 +66,13 @@ class FavsController {
       await savedFav.populate('linkId');
 
       // Also reflect favorite status on the Link document
+      let favoritedLink = link;
       try {
-        await Link.findByIdAndUpdate(
-          linkId,
+        favoritedLink = await Link.findOneAndUpdate(
+          { _id: linkId, userId },
           { $set: { isFavorite: true } },
           { new: true }
-        );
+        ) || link;
       } catch (e) {
         // Log but don't fail the request if the link update fails
         console.warn('Failed to update Link.isFavorite=true:', e?.message || e);
@@ -81,6 +84,8 @@ class FavsController {
         data: savedFav
       });
 
+      void emitLinkEvent(userId, 'link.favorited', favoritedLink);
+
     } catch (error) {
       console.error('Error adding to favourites:', error);
       res.status(500).json({
@@ -125,19 +130,24 @@ class FavsController {
       });
 
       // If no favourites remain for this link, unset favorite flag on the Link
+      let unfavoritedLink = null;
       try {
-        const remaining = await Fav.countDocuments({ linkId });
+        const remaining = await Fav.countDocuments({ userId, linkId });
         if (remaining === 0) {
-          await Link.findByIdAndUpdate(
-            linkId,
+          unfavoritedLink = await Link.findOneAndUpdate(
+            { _id: linkId, userId },
             { $set: { isFavorite: false } },
             { new: true }
           );
+        } else {
+          unfavoritedLink = await Link.findOne({ _id: linkId, userId });
         }
       } catch (e) {
         console.warn('Failed to update Link.isFavorite=false:', e?.message || e);
       }
 
+      void emitLinkEvent(userId, 'link.unfavorited', unfavoritedLink);
+
     } catch (error) {
       console.error('Error removing from favourites:', error);
       res.status(500).json({
@@ -149,7 +159,8 @@ class FavsController {
   }
 
   /**
-   * Get user's favorite links with pagination
+   * Get user's favorite links with pagination.
+   * Pass `cursor` (empty for the first page, then nextCursor) for cursor pagination.
    * GET /api/favs?page=1&limit=10
    */
   async getFavoriteLinks(req, res) {
@@ -157,7 +168,6 @@ class FavsController {
       const userId = req.user.id;
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
 
       // Validate pagination parameters
       if (page < 1 || limit < 1 || limit > 50) {
@@ -167,18 +177,45 @@ class FavsController {
         });
       }
 
-      // Get total count for pagination info
-      const totalFavourites = await Fav.countDocuments({ userId });
+      const pageRequest = readPageRequest(req.query, { favoritedAt: -1 });
+      if (pageRequest.error) {
+        return res.status(400).json({
+          success: false,
+          message: pageRequest.error
+        });
+      }
+
+      const filter = pageRequest.filter ? { $and: [{ userId }, pageRequest.filter] } : { userId };
+      const skip = pageRequest.cursorMode ? 0 : (page - 1) * limit;
 
       // Get paginated favourites with populated link details
-      const favourites = await Fav.find({ userId })
+      const rows = await Fav.find(filter)
         .populate({
           path: 'linkId',
           select: 'url originalUrl linkType title description images metadata tags notes createdAt updatedAt'
         })
-        .sort({ favoritedAt: -1 })
+        .sort(pageRequest.sort)
         .skip(skip)
-        .limit(limit);
+        .limit(limit + 1);
+      const { items: favourites, hasNext, nextCursor } = finishPage(rows, limit, pageRequest.spec);
+
+      if (pageRequest.cursorMode) {
+        return res.status(200).json({
+          success: true,
+          message: 'Favorite links retrieved successfully',
+          data: {
+            favourites,
+            pagination: {
+              limit,
+              hasNextPage: hasNext,
+              nextCursor
+            }
+          }
+        });
+      }
+
+      // Get total count for pagination info
+      const totalFavourites = await Fav.countDocuments({ userId });
 
       // Calculate pagination info
       const totalPages = Math.ceil(totalFavourites / limit);
@@ -198,7 +235,8 @@ class FavsController {
             hasNextPage,
             hasPrevPage,
             nextPage: hasNextPage ? page + 1 : null,
-            prevPage: hasPrevPage ? page - 1 : null
+            prevPage: hasPrevPage ? page - 1 : null,
+            nextCursor
           }
         }
       });
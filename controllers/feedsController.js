@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Link = require('../models/Links');
+const Collection = require('../models/Collection');
+const { FEED_FORMATS, feedFormats } = require('../utils/feedBuilders');
+const { FEED_DEFAULT_ITEMS, FEED_MAX_ITEMS, FEED_CACHE_SECONDS } = require('../config/constants');
+
+const LINK_TYPES = ['social', 'product', 'news', 'video', 'portfolio', 'blog', 'education', 'forum', 'other'];
+const FEED_FIELDS = 'url title description images.ogImage notes tags linkType isFavorite createdAt updatedAt';
+const FEED_TOKEN_PATTERN = /^[a-f0-9]{64}$/;
+
+const baseUrlFor = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Feed URLs for a token, one per format
+ */
+const feedUrlsFor = (req, token) => Object.fromEntries(
+  FEED_FORMATS.map(format => [format, `${baseUrlFor(req)}/api/feeds/${token}/${format}`])
+);
+
+/**
+ * Build the Link filter for a feed from its query parameters
+ * @param {string} userId - Feed owner
+ * @param {object} query - { tag, linkType, favourites, collection, includeSubcollections }
+ * @returns {Promise<{filter: object, labels: string[]}|{error: string}>}
+ */
+const buildFeedFilter = async (userId, query = {}) => {
+  const { tag, linkType, favourites, collection, includeSubcollections = 'true' } = query;
+  const filter = { userId, isActive: true };
+  const labels = [];
+
+  if (tag) {
+    const tags = String(tag).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) {
+      filter.tagsNormalized = { $in: tags };
+      labels.push(`tagged ${tags.join(', ')}`);
+    }
+  }
+
+  if (linkType && linkType !== 'all') {
+    if (!LINK_TYPES.includes(linkType)) {
+      return { error: `linkType must be one of: ${LINK_TYPES.join(', ')}` };
+    }
+    filter.linkType = linkType;
+    labels.push(linkType);
+  }
+
+  if (String(favourites) === 'true') {
+    filter.isFavorite = true;
+    labels.push('favourites');
+  }
+
+  if (collection) {
+    if (collection === 'none') {
+      filter.collectionId = null;
+      labels.push('unfiled');
+    } else if (!mongoose.Types.ObjectId.isValid(collection)) {
+      return { error: 'Invalid collection ID' };
+    } else {
+      const found = await Collection.findOne({ _id: collection, userId }).select('name').lean();
+      if (!found) {
+        return { error: 'Collection not found' };
+      }
+      filter.collectionId = String(includeSubcollections) === 'false'
+        ? found._id
+        : { $in: await Collection.findSubtreeIds(userId, found._id) };
+      labels.push(`in ${found.name}`);
+    }
+  }
+
+  return { filter, labels };
+};
+
+/**
+ * Feeds Controller - Publish a user's links as RSS 2.0, Atom or JSON Feed
+ * Feed URLs are authenticated by a secret token in the path so feed readers
+ * and chat apps can poll them without logging in.
+ */
+class FeedsController {
+
+  /**
+   * Get the user's feed URLs (null until a token has been created)
+   * GET /api/feeds
+   */
+  async getFeedInfo(req, res) {
+    try {
+      const user = await User.findById(req.user.id).select('+feedToken').lean();
+      const token = user?.feedToken || null;
+
+      res.json({
+        success: true,
+        data: {
+          enabled: Boolean(token),
+          token,
+          urls: token ? feedUrlsFor(req, token) : null,
+          filters: ['tag', 'linkType', 'favourites', 'collection', 'includeSubcollections', 'limit']
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting feed info:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get feed info',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create the feed token, or replace it; old feed URLs stop working
+   * POST /api/feeds/token
+   */
+  async rotateFeedToken(req, res) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const user = await User.findByIdAndUpdate(req.user.id, { $set: { feedToken: token } }, { new: true }).select('_id');
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Feed token created. Anyone with these URLs can read your feed',
+        data: {
+          enabled: true,
+          token,
+          urls: feedUrlsFor(req, token)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error rotating feed token:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create feed token',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Turn feeds off by removing the token
+   * DELETE /api/feeds/token
+   */
+  async revokeFeedToken(req, res) {
+    try {
+      await User.updateOne({ _id: req.user.id }, { $unset: { feedToken: 1 } });
+
+      res.json({
+        success: true,
+        message: 'Feed URLs revoked'
+      });
+
+    } catch (error) {
+      console.error('❌ Error revoking feed token:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke feed token',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Serve a user's feed, newest links first
+   * GET /api/feeds/:token/:format
+   */
+  async getFeed(req, res) {
+    try {
+      const { token, format } = req.params;
+
+      if (!FEED_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid feed format',
+          validFormats: FEED_FORMATS
+        });
+      }
+
+      const user = FEED_TOKEN_PATTERN.test(token)
+        ? await User.findOne({ feedToken: token, isActive: { $ne: false } }).select('fullName').lean()
+        : null;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'Feed not found'
+        });
+      }
+
+      const { filter, labels, error } = await buildFeedFilter(user._id, req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || FEED_DEFAULT_ITEMS, 1), FEED_MAX_ITEMS);
+      const links = await Link.find(filter)
+        .select(FEED_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+
+      const baseUrl = baseUrlFor(req);
+      // The feed id survives token rotation; it only depends on the owner and the filters
+      const filterParams = { ...req.query };
+      delete filterParams.limit;
+      const filterKey = new URLSearchParams(Object.entries(filterParams).map(([k, v]) => [k, String(v)]).sort()).toString();
+      const title = `${user.fullName}'s saved links${labels.length > 0 ? ` (${labels.join(', ')})` : ''}`;
+      const feed = {
+        id: `tag:${req.hostname},2024:feeds/${user._id}${filterKey ? `?${filterKey}` : ''}`,
+        host: req.hostname,
+        title,
+        description: `Links saved by ${user.fullName}`,
+        author: user.fullName,
+        homeUrl: process.env.CLIENT_URL || baseUrl,
+        selfUrl: `${baseUrl}${req.originalUrl}`,
+        updatedAt: links.reduce((latest, link) => {
+          const t = new Date(link.updatedAt || link.createdAt).getTime();
+          return t > latest ? t : latest;
+        }, 0) || Date.now(),
+        ttlSeconds: FEED_CACHE_SECONDS
+      };
+
+      const serializer = feedFormats[format];
+      res.set({
+        'Content-Type': serializer.contentType,
+        'Cache-Control': `private, max-age=${FEED_CACHE_SECONDS}`,
+        'X-Robots-Tag': 'noindex, nofollow',
+        'Referrer-Policy': 'no-referrer'
+      });
+      res.send(serializer.render(feed, links));
+
+    } catch (error) {
+      console.error('❌ Error building feed:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build feed',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new FeedsController();
@@ -0,0 +1,144 @@
+const { getCachedImage, readCachedVariant, cachedImagePath } = require('../utils/imageCache');
+const {
+  IMAGE_CACHE_WIDTHS,
+  IMAGE_CACHE_DEFAULT_WIDTH,
+  IMAGE_CACHE_MAX_AGE_SECONDS
+} = require('../config/constants');
+
+const HASH_REGEX = /^[a-f0-9]{64}$/;
+
+/**
+ * Requested variant width; missing means the default, anything else must be a stored width
+ * @returns {number|null}
+ */
+const readWidth = (value) => {
+  if (value === undefined || value === '') return IMAGE_CACHE_DEFAULT_WIDTH;
+  const width = parseInt(value, 10);
+  return IMAGE_CACHE_WIDTHS.includes(width) ? width : null;
+};
+
+/**
+ * Images Controller - Image caching proxy
+ * Remote images are fetched once and served from the cache under their content hash
+ */
+class ImagesController {
+
+  /**
+   * Cache a remote image and redirect to its cached copy, or describe it with format=json
+   * GET /api/images?url=...&width=320
+   */
+  async proxyImage(req, res) {
+    try {
+      const { url, format } = req.query;
+      const width = readWidth(req.query.width);
+
+      if (!url || typeof url !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Image URL is required'
+        });
+      }
+      if (!width) {
+        return res.status(400).json({
+          success: false,
+          message: `Width must be one of: ${IMAGE_CACHE_WIDTHS.join(', ')}`
+        });
+      }
+
+      const result = await getCachedImage(url);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const { image } = result;
+      const path = cachedImagePath(image.contentHash);
+
+      if (String(format || '').toLowerCase() === 'json') {
+        return res.json({
+          success: true,
+          data: {
+            sourceUrl: image.sourceUrl,
+            contentHash: image.contentHash,
+            format: image.format,
+            width: image.width,
+            height: image.height,
+            size: image.size,
+            path,
+            variants: Object.fromEntries(image.widths.map(w => [w, `${path}/${w}`]))
+          }
+        });
+      }
+
+      res.redirect(302, `${path}/${width}`);
+
+    } catch (error) {
+      console.error('❌ Error proxying image:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to proxy image',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Serve a cached image variant; its URL never changes content, so it is cached for a year
+   * GET /api/images/:hash/:width?
+   */
+  async serveCachedImage(req, res) {
+    try {
+      const { hash } = req.params;
+      const width = readWidth(req.params.width);
+
+      if (!HASH_REGEX.test(String(hash))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid image hash'
+        });
+      }
+      if (!width) {
+        return res.status(400).json({
+          success: false,
+          message: `Width must be one of: ${IMAGE_CACHE_WIDTHS.join(', ')}`
+        });
+      }
+
+      res.set({
+        'ETag': `"${hash}-${width}"`,
+        'Cache-Control': `public, max-age=${IMAGE_CACHE_MAX_AGE_SECONDS}, immutable`
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const content = await readCachedVariant(hash, width);
+      if (!content) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(404).json({
+          success: false,
+          message: 'Image not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'image/webp',
+        // Loaded by <img> tags on other origins, e.g. the web app
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      });
+      res.send(content);
+
+    } catch (error) {
+      console.error('❌ Error serving cached image:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to serve image',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ImagesController();
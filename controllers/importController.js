@@ -0,0 +1,95 @@
+const { IMPORT_PARSERS } = require('../utils/bookmarkParsers');
+const { importLinks, enrichImportedLinks } = require('../utils/linkImporter');
+
+const SOURCE_LABELS = {
+  bookmarks: 'bookmarks',
+  netscape: 'bookmarks',
+  pocket: 'Pocket items',
+  raindrop: 'Raindrop.io bookmarks',
+  pinboard: 'Pinboard bookmarks'
+};
+
+/**
+ * Import Controller - Bring links from other tools into a user's library
+ * All operations are user-specific and require authentication
+ */
+class ImportController {
+
+  /**
+   * Import an export file from a browser or read-later service
+   * POST /api/links/import/:source
+   */
+  async importFile(req, res) {
+    try {
+      const userId = req.user.id;
+      const source = String(req.params.source || '').toLowerCase();
+      const parse = IMPORT_PARSERS[source];
+
+      if (!parse) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unsupported import source',
+          validSources: Object.keys(IMPORT_PARSERS)
+        });
+      }
+
+      const bodyContent = typeof req.body?.content === 'string'
+        ? req.body.content
+        : (typeof req.body?.html === 'string' ? req.body.html : '');
+      const content = req.file ? req.file.buffer.toString('utf8') : bodyContent;
+      const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'false') === 'true';
+
+      if (!content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Import file is required (multipart field "file" or JSON field "content")'
+        });
+      }
+
+      let rows;
+      try {
+        rows = parse(content);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Could not read the import file',
+          error: parseError.message
+        });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `No ${SOURCE_LABELS[source]} found in the uploaded file`
+        });
+      }
+
+      const { importedIds, ...report } = await importLinks(userId, rows, { dryRun });
+
+      // Metadata enrichment can take minutes for large files; don't hold the request open
+      if (importedIds.length > 0) {
+        void enrichImportedLinks(importedIds);
+      }
+
+      console.log(`✅ ${dryRun ? 'Previewed' : 'Imported'} ${source} file for ${userId}:`, report.imported, 'new,', report.skipped, 'skipped,', report.failed, 'failed');
+
+      res.status(!dryRun && report.imported > 0 ? 201 : 200).json({
+        success: true,
+        message: dryRun
+          ? `${report.imported} of ${report.total} ${SOURCE_LABELS[source]} would be imported`
+          : `Imported ${report.imported} of ${report.total} ${SOURCE_LABELS[source]}`,
+        data: report
+      });
+
+    } catch (error) {
+      console.error('❌ Error importing links:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import links',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ImportController();
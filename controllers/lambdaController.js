@@ -20,6 +20,7 @@ const {
   hasUsefulMetadata,
   isAmazonUrl
 } = require('../utils/helpers');
+const { resolveCanonicalUrl } = require('../utils/url');
 
 /**
  * Lambda-style request executor with retry logic and bot detection avoidance
@@ -54,202 +55,8 @@ class LambdaController {
         );
       }
 
-      console.log(`\n🚀 Executing ${method.toUpperCase()} request to: ${url}`);
-
-      const shorteners = new Set([
-        'amzn.in',
-        'amzn.to',
-        'bit.ly',
-        't.co',
-        'tinyurl.com',
-        'goo.gl',
-        'rebrand.ly',
-        'cutt.ly',
-        'is.gd',
-        'rb.gy',
-        'buff.ly',
-        'lnkd.in'
-      ]);
-      let targetUrl = url;
-      try {
-        const h = new URL(url).hostname.toLowerCase();
-        if (shorteners.has(h)) {
-          targetUrl = await resolveFinalUrl(url);
-        }
-      } catch {}
-
-      const qualityAttempts = 3;
-      let effectiveResult;
-      let effectiveUrl = targetUrl;
-      let metadata = null;
-      let totalAttempt = 1;
-
-      for (let qualityAttempt = 0; qualityAttempt < qualityAttempts; qualityAttempt++) {
-        const result = await this.executeWithRetry(targetUrl, method, customHeaders, data);
-
-        effectiveResult = result;
-        effectiveUrl = result?.finalUrl || targetUrl;
-        totalAttempt = qualityAttempt * MAX_RETRIES + (effectiveResult?.attempt || 1);
-        metadata = null;
-
-        const effectiveBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
-        const effectiveSeemsHtml = Boolean(
-          effectiveBody &&
-            (isHtmlContent(effectiveResult) ||
-              /<\s*html\b/i.test(effectiveBody) ||
-              /<\s*head\b/i.test(effectiveBody) ||
-              /<\s*title\b/i.test(effectiveBody))
-        );
-
-        let didBrowserFetch = false;
-        const expectedAmazonProduct = (() => {
-          const candidate = effectiveUrl || targetUrl;
-          if (!isAmazonUrl(candidate)) return false;
-          try {
-            const p = new URL(candidate).pathname || '';
-            return /\/(dp|gp\/product)\/[a-z0-9]{10}/i.test(p);
-          } catch {
-            return /\/(dp|gp\/product)\/[a-z0-9]{10}/i.test(String(candidate));
-          }
-        })();
-
-        const isAmazonProductOk = (m, html) => {
-          if (!expectedAmazonProduct) return true;
-          const title = String(m?.title || '').trim().toLowerCase();
-          if (!title) return false;
-          if (title === 'amazon.in' || title === 'amazon') return false;
-          if (title.includes('robot') || title.includes('captcha') || title.includes('access denied') || title.includes('forbidden')) return false;
-          const og = String(m?.images?.ogImage || '').toLowerCase();
-          const ogOk = /m\.media-amazon\.com|images-na\.ssl-images-amazon\.com|images-eu\.ssl-images-amazon\.com/.test(og);
-          const h = String(html || '').toLowerCase();
-          const htmlOk = h.includes('producttitle') || h.includes('data-asin') || h.includes('add-to-cart') || h.includes('acrcustomerreviewtext');
-          return ogOk && htmlOk;
-        };
-
-        if (effectiveSeemsHtml) {
-          console.log('🖼️  Extracting metadata from HTML content...');
-          metadata = extractMetadata(effectiveBody, effectiveUrl);
-          console.log('📸 Images found:', {
-            logo: metadata.images.logo ? '✅' : '❌',
-            ogImage: metadata.images.ogImage ? '✅' : '❌',
-            favicon: metadata.images.favicon ? '✅' : '❌',
-            appleTouchIcon: metadata.images.appleTouchIcon ? '✅' : '❌'
-          });
-          console.log('📝 Content found:', {
-            title: metadata.title ? '✅' : '❌',
-            description: metadata.description ? '✅' : '❌'
-          });
-
-          const hasMeta = hasUsefulMetadata(metadata);
-          const blocked = looksLikeBotOrBlockedHtml(effectiveBody, effectiveUrl);
-          const amazonOk = isAmazonProductOk(metadata, effectiveBody);
-          const shouldBrowserFetch = (!hasMeta && blocked) || (!hasMeta && needsBrowserFetch(effectiveUrl)) || (expectedAmazonProduct && !amazonOk);
-
-          if (!didBrowserFetch && shouldBrowserFetch) {
-            console.log('🧭 Browser fallback: attempting headless fetch...');
-            const browserRes = await fetchHtmlWithBrowser(effectiveUrl);
-            if (browserRes && typeof browserRes.data === 'string' && browserRes.data.length > 0) {
-              effectiveResult = {
-                status: browserRes.status,
-                statusText: browserRes.statusText,
-                headers: browserRes.headers,
-                data: browserRes.data,
-                attempt: (effectiveResult?.attempt || 0) + 1,
-                durationMs: effectiveResult?.durationMs,
-                finalUrl: effectiveUrl
-              };
-              didBrowserFetch = true;
-              const browserBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
-              metadata = extractMetadata(browserBody, effectiveUrl);
-            }
-          }
-
-          if (needsPlatformFallback(effectiveUrl, metadata)) {
-            console.log('🔁 Using platform oEmbed fallback for richer metadata...');
-            const platformMeta = await fetchPlatformMetadata(effectiveUrl);
-            if (platformMeta) {
-              metadata = mergeMetadata(metadata, platformMeta, effectiveUrl);
-            } else {
-              console.log('⚠️  Platform fallback unavailable or failed.');
-            }
-          }
-
-          if (!metadata.images.favicon) {
-            try {
-              const u = new URL(effectiveUrl);
-              metadata.images.favicon = `${u.protocol}//${u.hostname}/favicon.ico`;
-            } catch {}
-          }
-
-          const finalBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : effectiveBody;
-          const finalAmazonOk = isAmazonProductOk(metadata, finalBody);
-          const finalHasMeta = hasUsefulMetadata(metadata);
-          const finalBlocked = looksLikeBotOrBlockedHtml(finalBody, effectiveUrl);
-          const qualityOk = expectedAmazonProduct ? finalAmazonOk : (finalHasMeta && !(finalBlocked && !finalHasMeta));
-
-          if (qualityOk) break;
-        } else {
-          break;
-        }
-
-        if (qualityAttempt < qualityAttempts - 1) {
-          const delay = calculateBackoffDelay(qualityAttempt);
-          console.log(`⏳ Retrying for better metadata. Waiting ${delay}ms...`);
-          await sleep(delay);
-        }
-      }
-      
-      // Classify link type based on URL and extracted content
-      const linkType = classifyLinkType(
-        effectiveUrl,
-        metadata?.title || '',
-        metadata?.description || '',
-        isHtmlContent(effectiveResult) ? effectiveResult.data : ''
-      );
-      console.log('🔍 Link classified as:', linkType);
-      
-      // Return successful response with metadata
-      const responseData = {
-        url,
-        resolvedUrl: effectiveUrl !== url ? effectiveUrl : undefined,
-        method: method.toUpperCase(),
-        status: effectiveResult.status,
-        statusText: effectiveResult.statusText,
-        linkType,
-        metadata: {
-          domain: (() => { try { return new URL(effectiveUrl).hostname; } catch { return ''; } })(),
-          statusCode: effectiveResult.status,
-          statusText: effectiveResult.statusText,
-          method: method.toUpperCase(),
-          contentType: (effectiveResult.headers && (effectiveResult.headers['content-type'] || effectiveResult.headers['Content-Type'])) || '',
-          responseTime: effectiveResult.durationMs,
-          attempt: totalAttempt
-        }
-        // headers: result.headers,
-        // data: result.data
-      };
-
-      // Add metadata to response if found
-      if (metadata) {
-        responseData.images = metadata.images;
-        responseData.title = metadata.title;
-        responseData.description = metadata.description;
-      }
-
-      // Return direct JSON response instead of Lambda format for better API usability
-      const hasUsefulMeta = Boolean(
-          metadata?.title ||
-            metadata?.description ||
-            metadata?.images?.logo ||
-            metadata?.images?.ogImage ||
-            metadata?.images?.favicon ||
-            metadata?.images?.appleTouchIcon
-      ) || isHtmlContent(effectiveResult);
-      const upstreamOk = effectiveResult.status >= 200 && effectiveResult.status < 300;
-      const htmlText = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
-      const looksError = (looksLikeBotOrBlockedHtml(htmlText, effectiveUrl) && !hasUsefulMeta) || (String(metadata?.title || '').toLowerCase().includes('error'));
-      const clientSuccess = (upstreamOk && !looksError) || (hasUsefulMeta && !looksError);
-      const httpStatus = clientSuccess ? 200 : effectiveResult.status;
+      const { data: responseData, success: clientSuccess, httpStatus, attempt: totalAttempt } =
+        await this.extractUrlData(url, method, customHeaders, data);
 
       res.status(httpStatus).json({
         success: clientSuccess,
@@ -272,15 +79,237 @@ class LambdaController {
     }
   }
 
+  /**
+   * Run the full extraction pipeline for a URL: shortener resolution, retries,
+   * headless browser fallback for blocked pages and platform oEmbed fallback.
+   * Shared by the public extractor endpoint and link refresh.
+   * @param {string} url - Target URL
+   * @param {string} method - HTTP method
+   * @param {object} customHeaders - Custom headers
+   * @param {any} data - Request data
+   * @returns {Promise<object>} { data, success, httpStatus, attempt, finalUrl, html }
+   */
+  async extractUrlData(url, method = 'GET', customHeaders = {}, data = null) {
+    console.log(`\n🚀 Executing ${method.toUpperCase()} request to: ${url}`);
+
+    const shorteners = new Set([
+      'amzn.in',
+      'amzn.to',
+      'bit.ly',
+      't.co',
+      'tinyurl.com',
+      'goo.gl',
+      'rebrand.ly',
+      'cutt.ly',
+      'is.gd',
+      'rb.gy',
+      'buff.ly',
+      'lnkd.in'
+    ]);
+    let targetUrl = url;
+    try {
+      const h = new URL(url).hostname.toLowerCase();
+      if (shorteners.has(h)) {
+        targetUrl = await resolveFinalUrl(url);
+      }
+    } catch {}
+
+    const qualityAttempts = 3;
+    let effectiveResult;
+    let effectiveUrl = targetUrl;
+    let metadata = null;
+    let totalAttempt = 1;
+
+    for (let qualityAttempt = 0; qualityAttempt < qualityAttempts; qualityAttempt++) {
+      const result = await this.executeWithRetry(targetUrl, method, customHeaders, data);
+
+      effectiveResult = result;
+      effectiveUrl = result?.finalUrl || targetUrl;
+      totalAttempt = qualityAttempt * MAX_RETRIES + (effectiveResult?.attempt || 1);
+      metadata = null;
+
+      const effectiveBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
+      const effectiveSeemsHtml = Boolean(
+        effectiveBody &&
+          (isHtmlContent(effectiveResult) ||
+            /<\s*html\b/i.test(effectiveBody) ||
+            /<\s*head\b/i.test(effectiveBody) ||
+            /<\s*title\b/i.test(effectiveBody))
+      );
+
+      let didBrowserFetch = false;
+      const expectedAmazonProduct = (() => {
+        const candidate = effectiveUrl || targetUrl;
+        if (!isAmazonUrl(candidate)) return false;
+        try {
+          const p = new URL(candidate).pathname || '';
+          return /\/(dp|gp\/product)\/[a-z0-9]{10}/i.test(p);
+        } catch {
+          return /\/(dp|gp\/product)\/[a-z0-9]{10}/i.test(String(candidate));
+        }
+      })();
+
+      const isAmazonProductOk = (m, html) => {
+        if (!expectedAmazonProduct) return true;
+        const title = String(m?.title || '').trim().toLowerCase();
+        if (!title) return false;
+        if (title === 'amazon.in' || title === 'amazon') return false;
+        if (title.includes('robot') || title.includes('captcha') || title.includes('access denied') || title.includes('forbidden')) return false;
+        const og = String(m?.images?.ogImage || '').toLowerCase();
+        const ogOk = /m\.media-amazon\.com|images-na\.ssl-images-amazon\.com|images-eu\.ssl-images-amazon\.com/.test(og);
+        const h = String(html || '').toLowerCase();
+        const htmlOk = h.includes('producttitle') || h.includes('data-asin') || h.includes('add-to-cart') || h.includes('acrcustomerreviewtext');
+        return ogOk && htmlOk;
+      };
+
+      if (effectiveSeemsHtml) {
+        console.log('🖼️  Extracting metadata from HTML content...');
+        metadata = extractMetadata(effectiveBody, effectiveUrl);
+        console.log('📸 Images found:', {
+          logo: metadata.images.logo ? '✅' : '❌',
+          ogImage: metadata.images.ogImage ? '✅' : '❌',
+          favicon: metadata.images.favicon ? '✅' : '❌',
+          appleTouchIcon: metadata.images.appleTouchIcon ? '✅' : '❌'
+        });
+        console.log('📝 Content found:', {
+          title: metadata.title ? '✅' : '❌',
+          description: metadata.description ? '✅' : '❌'
+        });
+
+        const hasMeta = hasUsefulMetadata(metadata);
+        const blocked = looksLikeBotOrBlockedHtml(effectiveBody, effectiveUrl);
+        const amazonOk = isAmazonProductOk(metadata, effectiveBody);
+        const shouldBrowserFetch = (!hasMeta && blocked) || (!hasMeta && needsBrowserFetch(effectiveUrl)) || (expectedAmazonProduct && !amazonOk);
+
+        if (!didBrowserFetch && shouldBrowserFetch) {
+          console.log('🧭 Browser fallback: attempting headless fetch...');
+          const browserRes = await fetchHtmlWithBrowser(effectiveUrl);
+          if (browserRes && typeof browserRes.data === 'string' && browserRes.data.length > 0) {
+            effectiveResult = {
+              status: browserRes.status,
+              statusText: browserRes.statusText,
+              headers: browserRes.headers,
+              data: browserRes.data,
+              attempt: (effectiveResult?.attempt || 0) + 1,
+              durationMs: effectiveResult?.durationMs,
+              finalUrl: effectiveUrl
+            };
+            didBrowserFetch = true;
+            const browserBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
+            metadata = extractMetadata(browserBody, effectiveUrl);
+          }
+        }
+
+        if (needsPlatformFallback(effectiveUrl, metadata)) {
+          console.log('🔁 Using platform oEmbed fallback for richer metadata...');
+          const platformMeta = await fetchPlatformMetadata(effectiveUrl);
+          if (platformMeta) {
+            metadata = mergeMetadata(metadata, platformMeta, effectiveUrl);
+          } else {
+            console.log('⚠️  Platform fallback unavailable or failed.');
+          }
+        }
+
+        if (!metadata.images.favicon) {
+          try {
+            const u = new URL(effectiveUrl);
+            metadata.images.favicon = `${u.protocol}//${u.hostname}/favicon.ico`;
+          } catch {}
+        }
+
+        const finalBody = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : effectiveBody;
+        const finalAmazonOk = isAmazonProductOk(metadata, finalBody);
+        const finalHasMeta = hasUsefulMetadata(metadata);
+        const finalBlocked = looksLikeBotOrBlockedHtml(finalBody, effectiveUrl);
+        const qualityOk = expectedAmazonProduct ? finalAmazonOk : (finalHasMeta && !(finalBlocked && !finalHasMeta));
+
+        if (qualityOk) break;
+      } else {
+        break;
+      }
+
+      if (qualityAttempt < qualityAttempts - 1) {
+        const delay = calculateBackoffDelay(qualityAttempt);
+        console.log(`⏳ Retrying for better metadata. Waiting ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+    
+    // Classify link type based on URL and extracted content
+    const linkType = classifyLinkType(
+      effectiveUrl,
+      metadata?.title || '',
+      metadata?.description || '',
+      isHtmlContent(effectiveResult) ? effectiveResult.data : ''
+    );
+    console.log('🔍 Link classified as:', linkType);
+    
+    // Return successful response with metadata
+    const responseData = {
+      url,
+      resolvedUrl: effectiveUrl !== url ? effectiveUrl : undefined,
+      method: method.toUpperCase(),
+      status: effectiveResult.status,
+      statusText: effectiveResult.statusText,
+      linkType,
+      metadata: {
+        domain: (() => { try { return new URL(effectiveUrl).hostname; } catch { return ''; } })(),
+        statusCode: effectiveResult.status,
+        statusText: effectiveResult.statusText,
+        method: method.toUpperCase(),
+        contentType: (effectiveResult.headers && (effectiveResult.headers['content-type'] || effectiveResult.headers['Content-Type'])) || '',
+        responseTime: effectiveResult.durationMs,
+        attempt: totalAttempt
+      }
+      // headers: result.headers,
+      // data: result.data
+    };
+
+    // Add metadata to response if found
+    if (metadata) {
+      responseData.images = metadata.images;
+      responseData.title = metadata.title;
+      responseData.description = metadata.description;
+      // Pass back to POST /api/links so the link is saved under the page's canonical URL
+      responseData.canonicalUrl = resolveCanonicalUrl(effectiveUrl, metadata.canonicalUrl) || undefined;
+    }
+
+    // Return direct JSON response instead of Lambda format for better API usability
+    const hasUsefulMeta = Boolean(
+        metadata?.title ||
+          metadata?.description ||
+          metadata?.images?.logo ||
+          metadata?.images?.ogImage ||
+          metadata?.images?.favicon ||
+          metadata?.images?.appleTouchIcon
+    ) || isHtmlContent(effectiveResult);
+    const upstreamOk = effectiveResult.status >= 200 && effectiveResult.status < 300;
+    const htmlText = typeof effectiveResult.data === 'string' ? String(effectiveResult.data) : '';
+    const looksError = (looksLikeBotOrBlockedHtml(htmlText, effectiveUrl) && !hasUsefulMeta) || (String(metadata?.title || '').toLowerCase().includes('error'));
+    const clientSuccess = (upstreamOk && !looksError) || (hasUsefulMeta && !looksError);
+    const httpStatus = clientSuccess ? 200 : effectiveResult.status;
+
+    return {
+      data: responseData,
+      success: clientSuccess,
+      httpStatus,
+      attempt: totalAttempt,
+      finalUrl: effectiveUrl,
+      // Downloaded page, for callers that keep a copy (never sent to API clients)
+      html: isHtmlContent(effectiveResult) ? htmlText : ''
+    };
+  }
+
   /**
    * Execute request with retry logic and exponential backoff
    * @param {string} url - Target URL
    * @param {string} method - HTTP method
    * @param {object} customHeaders - Custom headers
    * @param {any} data - Request data
+   * @param {object} [requestOptions] - Extra axios options, e.g. the netGuard agents or a maxContentLength
    * @returns {Promise<object>} Response object with attempt count
    */
-  async executeWithRetry(url, method, customHeaders = {}, data = null) {
+  async executeWithRetry(url, method, customHeaders = {}, data = null, requestOptions = {}) {
     let lastError;
     let stickyCookie = '';
 
@@ -313,7 +342,8 @@ class LambdaController {
           maxRedirects: 10,
           responseType: 'text',
           transformResponse: [(d) => d],
-          validateStatus: () => true // Accept all status codes
+          validateStatus: () => true, // Accept all status codes
+          ...requestOptions
         };
 
         // Add data for POST/PUT/PATCH requests
@@ -404,8 +434,8 @@ class LambdaController {
           code: error.code
         });
 
-        // If this is the last attempt, throw the error
-        if (attempt === MAX_RETRIES - 1) {
+        // If this is the last attempt, the address was refused or the response was over maxContentLength, throw the error
+        if (attempt === MAX_RETRIES - 1 || error.code === 'EPRIVATEADDRESS' || /maxContentLength/.test(error.message)) {
           throw lastError;
         }
 
@@ -0,0 +1,88 @@
+const Link = require('../models/Links');
+const mongoose = require('mongoose');
+
+const PROBLEM_STATUSES = ['broken', 'redirected'];
+const HEALTH_STATUSES = ['unchecked', 'healthy', 'redirected', 'broken'];
+
+/**
+ * Link Health Controller - Report links the scheduled checker found broken or redirected
+ * All operations are user-specific
+ */
+class LinkHealthController {
+
+  /**
+   * List problem links with a summary of every health status
+   * GET /api/links/health
+   */
+  async getLinkHealth(req, res) {
+    try {
+      const userId = req.user.id;
+      const { status, reason, page = 1, limit = 10 } = req.query;
+
+      const statuses = status
+        ? String(status).split(',').map(s => s.trim()).filter(Boolean)
+        : PROBLEM_STATUSES;
+      const invalid = statuses.filter(s => !HEALTH_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid health status',
+          validStatuses: HEALTH_STATUSES
+        });
+      }
+
+      // Links saved before health checks existed have no health.status yet
+      const filter = statuses.includes('unchecked')
+        ? { userId, isActive: true, $or: [{ 'health.status': { $in: statuses } }, { 'health.status': { $exists: false } }] }
+        : { userId, isActive: true, 'health.status': { $in: statuses } };
+      if (reason) {
+        filter['health.reason'] = String(reason);
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [links, totalCount, counts] = await Promise.all([
+        Link.find(filter)
+          .sort({ 'health.checkedAt': -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .select('url title linkType images.favicon collectionId health createdAt'),
+        Link.countDocuments(filter),
+        Link.aggregate([
+          { $match: { userId: new mongoose.Types.ObjectId(String(userId)), isActive: true } },
+          { $group: { _id: { $ifNull: ['$health.status', 'unchecked'] }, count: { $sum: 1 } } }
+        ])
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      const summary = Object.fromEntries(HEALTH_STATUSES.map(s => [s, 0]));
+      for (const row of counts) {
+        summary[row._id] = (summary[row._id] || 0) + row.count;
+      }
+
+      res.json({
+        success: true,
+        data: links,
+        summary,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting link health:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get link health',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LinkHealthController();
@@ -1,9 +1,158 @@
 const Link = require('../models/Links');
-const { normalizeUrl } = require('../utils/url');
+const { normalizeUrl, urlDedupeKey, resolveCanonicalUrl } = require('../utils/url');
 const { resolveUrl } = require('../utils/helpers');
 const mongoose = require('mongoose');
 const Fav = require('../models/Favs');
 const LinkTag = require('../models/LinkTag');
+const Collection = require('../models/Collection');
+const LinkRevision = require('../models/LinkRevision');
+const { syncLinkTags, setLinkFavorite, softDeleteLink, restoreLink } = require('../utils/linkOperations');
+const { recordRevision, buildRevertUpdate } = require('../utils/linkHistory');
+const lambdaController = require('./lambdaController');
+const { captureSnapshotInBackground, readSnapshot } = require('../utils/linkSnapshots');
+const { parseReadingTimeRange } = require('../utils/readingTime');
+const { READING_STATES, parseReadingStates, readingStateCondition, buildReadingUpdate } = require('../utils/readingState');
+const { readPageRequest, finishPage } = require('../utils/pagination');
+const { emitLinkEvent } = require('../utils/webhooks');
+const { saveUploadedFile, getUploadUsage, readStoredFile } = require('../utils/fileItems');
+const { queueScreenshot, readScreenshot } = require('../utils/linkScreenshots');
+const { queueLinkImageCache, unsetStaleCachedImages } = require('../utils/imageCache');
+const { UPLOAD_MAX_FILE_BYTES, UPLOAD_ALLOWED_TYPES } = require('../config/constants');
+
+const LINK_TYPES = ['social', 'product', 'news', 'video', 'portfolio', 'blog', 'education', 'forum', 'other'];
+const BULK_OPERATIONS = ['addTags', 'removeTags', 'setLinkType', 'setReadingState', 'favorite', 'unfavorite', 'delete', 'restore'];
+const MAX_BULK_LINKS = 500;
+// Image URLs a client may set; images.screenshot is written by the screenshot queue
+const IMAGE_FIELDS = ['logo', 'ogImage', 'favicon', 'appleTouchIcon'];
+// Fields PUT /api/links/:id may change. Stored files, snapshots, screenshots, cached
+// images, articles, reading and trash state are written by the server or their own routes.
+const UPDATABLE_FIELDS = ['title', 'description', 'notes', 'tags', 'url', 'linkType', 'images', 'collectionId', 'metadata'];
+// Webhook event sent for each link a bulk operation changed; restored links are back in the library
+const BULK_EVENTS = {
+  addTags: 'link.updated',
+  removeTags: 'link.updated',
+  setLinkType: 'link.updated',
+  setReadingState: 'link.updated',
+  favorite: 'link.favorited',
+  unfavorite: 'link.unfavorited',
+  delete: 'link.deleted',
+  restore: 'link.created'
+};
+// sortBy values that map onto nested fields
+const SORT_ALIASES = {
+  readingTime: 'article.readingTimeMinutes',
+  wordCount: 'article.wordCount',
+  publishedAt: 'article.publishedAt',
+  lastOpened: 'reading.lastOpenedAt',
+  progress: 'reading.progress'
+};
+// Orders offered by the reading queue
+const QUEUE_ORDERS = {
+  oldest: { createdAt: 1 },
+  newest: { createdAt: -1 },
+  shortest: { 'article.readingTimeMinutes': 1, createdAt: 1 },
+  longest: { 'article.readingTimeMinutes': -1, createdAt: 1 },
+  recentlyOpened: { 'reading.lastOpenedAt': -1, createdAt: 1 }
+};
+
+/**
+ * Resolve a collectionId sent by the client against the user's collections.
+ * Empty values mean "unfiled" (null); anything else must be a collection the user owns.
+ * @returns {Promise<{collectionId: (mongoose.Types.ObjectId|null)}|{error: string}>}
+ */
+const resolveCollectionId = async (userId, value) => {
+  if (value === null || value === '' || value === 'none') {
+    return { collectionId: null };
+  }
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    return { error: 'Invalid collection ID' };
+  }
+  const collection = await Collection.findOne({ _id: value, userId }).select('_id');
+  if (!collection) {
+    return { error: 'Collection not found' };
+  }
+  return { collectionId: collection._id };
+};
+
+/**
+ * Tags sent as a JSON array, repeated form fields or one comma-separated form field
+ * @returns {string[]}
+ */
+const readTagList = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(tag => String(tag).trim().slice(0, 50)).filter(tag => tag.length > 0);
+};
+
+/**
+ * Build the Link filter used by GET /api/links from its query parameters.
+ * Shared with the bulk endpoint so "apply to everything matching" means the same thing.
+ * @param {string} userId - Link owner
+ * @param {object} query - { linkType, tags, search, collection, includeSubcollections, readingState, readingTime, minReadingTime, maxReadingTime }
+ * @returns {Promise<{filter: object}|{error: string}>}
+ */
+const buildLinkFilter = async (userId, query = {}) => {
+  const {
+    linkType,
+    tags,
+    search,
+    collection,
+    includeSubcollections = 'true'
+  } = query;
+
+  const filter = {
+    userId: userId,
+    isActive: true
+  };
+
+  if (linkType && linkType !== 'all') {
+    filter.linkType = linkType;
+  }
+
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : tags.split(',');
+    filter.tags = { $in: tagArray.map(tag => tag.trim()) };
+  }
+
+  if (collection) {
+    if (collection === 'none') {
+      filter.collectionId = null;
+    } else if (!mongoose.Types.ObjectId.isValid(collection)) {
+      return { error: 'Invalid collection ID' };
+    } else {
+      filter.collectionId = String(includeSubcollections) === 'false'
+        ? collection
+        : { $in: await Collection.findSubtreeIds(userId, collection) };
+    }
+  }
+
+  const readingStates = parseReadingStates(query.readingState);
+  if (readingStates.error) {
+    return { error: readingStates.error };
+  }
+  if (readingStates.states.length > 0) {
+    filter.$and = [readingStateCondition(readingStates.states)];
+  }
+
+  const readingTime = parseReadingTimeRange(query);
+  if (readingTime.error) {
+    return { error: readingTime.error };
+  }
+  if (readingTime.condition) {
+    filter['article.readingTimeMinutes'] = readingTime.condition;
+  }
+
+  if (search) {
+    filter.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { url: { $regex: search, $options: 'i' } },
+      { tags: { $in: [new RegExp(search, 'i')] } }
+    ];
+  }
+
+  return { filter };
+};
 
 /**
  * Links Controller - Handle all link CRUD operations
@@ -26,7 +175,9 @@ class LinksController {
         images = {},
         metadata = {},
         tags = [],
-        notes
+        notes,
+        collectionId,
+        canonicalUrl
       } = req.body;
 
       const userId = req.user.id;
@@ -39,8 +190,24 @@ class LinksController {
         });
       }
 
-      const normalizedUrl = normalizeUrl(url);
-      const normalizedOriginalUrl = originalUrl ? normalizeUrl(originalUrl) : undefined;
+      let resolvedCollectionId = null;
+      if (collectionId !== undefined) {
+        const resolved = await resolveCollectionId(userId, collectionId);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error
+          });
+        }
+        resolvedCollectionId = resolved.collectionId;
+      }
+
+      // Prefer the page's own canonical URL (as returned by the extractor) when it checks out
+      const requestedUrl = normalizeUrl(url);
+      const normalizedUrl = resolveCanonicalUrl(url, canonicalUrl || metadata?.canonicalUrl) || requestedUrl;
+      const normalizedOriginalUrl = originalUrl
+        ? normalizeUrl(originalUrl)
+        : (normalizedUrl !== requestedUrl ? requestedUrl : undefined);
       const baseForImages = (() => {
         try {
           return new URL(normalizedUrl).origin;
@@ -56,9 +223,9 @@ class LinksController {
         return urlRegex.test(resolved) ? resolved : undefined;
       };
 
-      // Check if user already has this URL saved
+      // Check if user already has this page saved
       const existingLink = await Link.findOne({ 
-        url: normalizedUrl, 
+        urlKey: { $in: Array.from(new Set([normalizedUrl, requestedUrl].map(urlDedupeKey))) }, 
         userId: userId,
         isActive: true 
       });
@@ -78,6 +245,7 @@ class LinksController {
         originalUrl: normalizedOriginalUrl,
         isFavorite: req.body.isFavorite || false,
         linkType,
+        collectionId: resolvedCollectionId,
         title: title?.trim(),
         description: description?.trim(),
         images: {
@@ -139,12 +307,20 @@ class LinksController {
 
       console.log('✅ Link created successfully:', savedLink._id);
 
+      // Keep a readable offline copy in case the page disappears later
+      captureSnapshotInBackground(savedLink);
+      // Pages without an og:image or logo get a screenshot thumbnail instead
+      queueScreenshot(savedLink);
+      queueLinkImageCache(savedLink);
+
       res.status(201).json({
         success: true,
         message: 'Link saved successfully',
         data: savedLink
       });
 
+      void emitLinkEvent(userId, 'link.created', savedLink);
+
     } catch (error) {
       console.error('❌ Error creating link:', error.message);
       
@@ -165,7 +341,8 @@ class LinksController {
   }
 
   /**
-   * Get all links for a user with filtering and pagination
+   * Get all links for a user with filtering and pagination.
+   * Pass `cursor` (empty for the first page, then nextCursor) for cursor pagination.
    * GET /api/links
    */
   async getUserLinks(req, res) {
@@ -173,50 +350,54 @@ class LinksController {
       const userId = req.user.id;
 
       const {
-        linkType,
-        tags,
-        search,
         page = 1,
         limit = 10,
         sortBy = 'createdAt',
         sortOrder = 'desc'
       } = req.query;
 
-      // Build filter object
-      const filter = { 
-        userId: userId,
-        isActive: true 
-      };
-      
-      if (linkType && linkType !== 'all') {
-        filter.linkType = linkType;
+      const { filter, error: filterError } = await buildLinkFilter(userId, req.query);
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError
+        });
       }
 
-      if (tags) {
-        const tagArray = Array.isArray(tags) ? tags : tags.split(',');
-        filter.tags = { $in: tagArray.map(tag => tag.trim()) };
-      }
+      const sortObj = {};
+      sortObj[SORT_ALIASES[sortBy] || sortBy] = sortOrder === 'desc' ? -1 : 1;
 
-      if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { url: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ];
+      const pageRequest = readPageRequest(req.query, sortObj);
+      if (pageRequest.error) {
+        return res.status(400).json({
+          success: false,
+          message: pageRequest.error
+        });
+      }
+      if (pageRequest.filter) {
+        filter.$and = [...(filter.$and || []), pageRequest.filter];
       }
 
-      // Calculate pagination
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-      const sortObj = {};
-      sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-      // Get links with pagination
-      const links = await Link.find(filter)
+      // Cursor mode reads from the cursor onwards; page mode skips ahead
+      const skip = pageRequest.cursorMode ? 0 : (parseInt(page) - 1) * parseInt(limit);
+      const rows = await Link.find(filter)
         .populate('userId', 'fullName identifier')
-        .sort(sortObj)
+        .sort(pageRequest.sort)
         .skip(skip)
-        .limit(parseInt(limit));
+        .limit(parseInt(limit) + 1);
+      const { items: links, hasNext, nextCursor } = finishPage(rows, parseInt(limit), pageRequest.spec);
+
+      if (pageRequest.cursorMode) {
+        return res.json({
+          success: true,
+          data: links,
+          pagination: {
+            limit: parseInt(limit),
+            hasNext,
+            nextCursor
+          }
+        });
+      }
 
       // Get total count for pagination
       const totalCount = await Link.countDocuments(filter);
@@ -231,7 +412,8 @@ class LinksController {
           totalCount,
           hasNext: parseInt(page) < totalPages,
           hasPrev: parseInt(page) > 1,
-          limit: parseInt(limit)
+          limit: parseInt(limit),
+          nextCursor
         }
       });
 
@@ -265,7 +447,9 @@ class LinksController {
         _id: id, 
         userId: userId,
         isActive: true 
-      }).populate('userId', 'fullName identifier');
+      })
+        .select('+article.text')
+        .populate('userId', 'fullName identifier');
 
       if (!link) {
         return res.status(404).json({
@@ -305,14 +489,24 @@ class LinksController {
         });
       }
 
-      const updateData = { ...req.body };
-      
-      // Remove fields that shouldn't be updated directly
-      delete updateData._id;
-      delete updateData.userId;
-      delete updateData.createdAt;
-      delete updateData.updatedAt;
-      delete updateData.analytics;
+      // Only fields the client owns; anything else in the body is ignored
+      const updateData = {};
+      for (const field of UPDATABLE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          updateData[field] = req.body[field];
+        }
+      }
+
+      if (updateData.collectionId !== undefined) {
+        const resolved = await resolveCollectionId(userId, updateData.collectionId);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error
+          });
+        }
+        updateData.collectionId = resolved.collectionId;
+      }
 
       // Trim text fields if provided (including AI summary in notes)
       if (typeof updateData.title === 'string') {
@@ -331,9 +525,19 @@ class LinksController {
         updateData.tagsNormalized = Array.from(new Set(updateData.tags.map(tag => tag.toLowerCase()))).filter(tag => tag.length > 0);
       }
 
+      // Current version, kept for the edit history
+      const previous = await Link.findOne({ _id: id, userId: userId, isActive: true }).lean();
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
       if (updateData.url) {
         updateData.url = normalizeUrl(updateData.url);
       }
+      const unsetData = {};
       if (updateData.images) {
         let baseForImagesUpdate = null;
         if (updateData.url) {
@@ -342,14 +546,11 @@ class LinksController {
           } catch (e) {
             baseForImagesUpdate = updateData.url;
           }
-        } else {
-          const current = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('url');
-          if (current && current.url) {
-            try {
-              baseForImagesUpdate = new URL(current.url).origin;
-            } catch (e) {
-              baseForImagesUpdate = current.url;
-            }
+        } else if (previous.url) {
+          try {
+            baseForImagesUpdate = new URL(previous.url).origin;
+          } catch (e) {
+            baseForImagesUpdate = previous.url;
           }
         }
         const urlRegexUpdate = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
@@ -359,17 +560,26 @@ class LinksController {
           if (!resolved) return undefined;
           return urlRegexUpdate.test(resolved) ? resolved : undefined;
         };
-        updateData.images = {
-          logo: sanitizeUpdate(updateData.images.logo),
-          ogImage: sanitizeUpdate(updateData.images.ogImage),
-          favicon: sanitizeUpdate(updateData.images.favicon),
-          appleTouchIcon: sanitizeUpdate(updateData.images.appleTouchIcon),
-        };
+        // Field by field, so images.screenshot is kept
+        const images = updateData.images;
+        delete updateData.images;
+        for (const field of IMAGE_FIELDS) {
+          const value = sanitizeUpdate(images[field]);
+          if (value) {
+            updateData[`images.${field}`] = value;
+          } else {
+            unsetData[`images.${field}`] = '';
+          }
+        }
       }
 
+      const update = { $set: updateData };
+      if (Object.keys(unsetData).length > 0) update.$unset = unsetData;
+      unsetStaleCachedImages(update, previous.images);
+
       const updatedLink = await Link.findOneAndUpdate(
         { _id: id, userId: userId, isActive: true },
-        updateData,
+        update,
         { new: true, runValidators: true }
       ).populate('userId', 'fullName identifier');
 
@@ -382,6 +592,12 @@ class LinksController {
 
       console.log('✅ Link updated successfully:', updatedLink._id);
 
+      try {
+        await recordRevision(userId, previous, updatedLink);
+      } catch (historyError) {
+        console.error('❌ Error recording link revision:', historyError.message);
+      }
+
       try {
         await LinkTag.deleteMany({ userId, linkId: updatedLink._id });
         const tagDocs = (Array.isArray(updatedLink.tagsNormalized) ? updatedLink.tagsNormalized : []).map(t => ({
@@ -394,14 +610,25 @@ class LinksController {
         }
       } catch (e) {}
 
+      queueLinkImageCache(updatedLink);
+
       res.json({
         success: true,
         message: 'Link updated successfully',
         data: updatedLink
       });
 
+      void emitLinkEvent(userId, 'link.updated', updatedLink);
+
     } catch (error) {
       console.error('❌ Error updating link:', error.message);
+
+      if (error && error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already saved this link'
+        });
+      }
       
       if (error.name === 'ValidationError') {
         return res.status(400).json({
@@ -420,13 +647,15 @@ class LinksController {
   }
 
   /**
-   * Delete a link (soft delete, user-specific)
-   * DELETE /api/links/:id
+   * Update the read-later state of a link
+   * Progress moves the state along (100% marks it read); opened=true records lastOpenedAt.
+   * PUT /api/links/:id/reading
    */
-  async deleteLink(req, res) {
+  async updateReadingState(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user.id;
+      const { state, progress, opened } = req.body || {};
 
       if (!mongoose.Types.ObjectId.isValid(id)) {
         return res.status(400).json({
@@ -435,93 +664,1043 @@ class LinksController {
         });
       }
 
-      const deletedLink = await Link.findOneAndUpdate(
-        { _id: id, userId: userId, isActive: true },
-        { isActive: false },
-        { new: true }
-      );
+      if (state === undefined && progress === undefined && opened === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide state, progress or opened'
+        });
+      }
 
-      if (!deletedLink) {
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('reading');
+      if (!link) {
         return res.status(404).json({
           success: false,
           message: 'Link not found'
         });
       }
 
-      console.log('✅ Link deleted successfully:', deletedLink._id);
+      const { set, error: updateError } = buildReadingUpdate(link.reading ? link.reading.toObject() : {}, { state, progress, opened });
+      if (updateError) {
+        return res.status(400).json({
+          success: false,
+          message: updateError,
+          validStates: READING_STATES
+        });
+      }
 
-      try {
-        await LinkTag.deleteMany({ userId, linkId: deletedLink._id });
-      } catch (e) {}
-      try {
-        await Fav.deleteMany({ userId, linkId: deletedLink._id });
-      } catch (e) {}
+      const updatedLink = await Link.findOneAndUpdate(
+        { _id: id, userId: userId, isActive: true },
+        { $set: set },
+        { new: true, runValidators: true }
+      ).populate('userId', 'fullName identifier');
+
+      // Deleted between the read and the update
+      if (!updatedLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      console.log('✅ Reading state updated:', updatedLink._id, updatedLink.reading.state, `${updatedLink.reading.progress}%`);
 
       res.json({
         success: true,
-        message: 'Link deleted successfully'
+        message: 'Reading state updated successfully',
+        data: updatedLink
       });
 
+      void emitLinkEvent(userId, 'link.updated', updatedLink);
+
     } catch (error) {
-      console.error('❌ Error deleting link:', error.message);
+      console.error('❌ Error updating reading state:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
       res.status(500).json({
         success: false,
-        message: 'Failed to delete link',
+        message: 'Failed to update reading state',
         error: error.message
       });
     }
   }
 
   /**
-   * Get links by type for a user
-   * GET /api/links/type/:type
+   * Get the read-later queue: unread links (optionally with those in progress) in a chosen order
+   * GET /api/links/queue
    */
-  async getLinksByType(req, res) {
+  async getReadingQueue(req, res) {
     try {
-      const { type } = req.params;
       const userId = req.user.id;
-      const { limit = 10, page = 1 } = req.query;
+      const {
+        order = 'oldest',
+        includeInProgress = 'false',
+        page = 1,
+        limit = 20
+      } = req.query;
 
-      const validTypes = ['social', 'product', 'news', 'video', 'portfolio', 'blog', 'education', 'forum', 'other'];
-      if (!validTypes.includes(type)) {
+      if (!QUEUE_ORDERS[order]) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid link type',
-          validTypes
+          message: 'Invalid queue order',
+          validOrders: Object.keys(QUEUE_ORDERS)
         });
       }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const states = String(includeInProgress) === 'true' ? ['unread', 'in_progress'] : ['unread'];
+      const { filter, error: filterError } = await buildLinkFilter(userId, { ...req.query, readingState: undefined });
+      if (filterError) {
+        return res.status(400).json({
+          success: false,
+          message: filterError
+        });
+      }
+      filter.$and = [...(filter.$and || []), readingStateCondition(states)];
 
-      const links = await Link.find({ 
-        linkType: type, 
-        userId: userId,
-        isActive: true 
-      })
-        .populate('userId', 'fullName identifier')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+      const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const totalCount = await Link.countDocuments({ 
-        linkType: type, 
-        userId: userId,
-        isActive: true 
-      });
+      const [links, totalCount] = await Promise.all([
+        Link.find(filter)
+          .populate('userId', 'fullName identifier')
+          .sort(QUEUE_ORDERS[order])
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Link.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
 
       res.json({
         success: true,
         data: links,
-        count: links.length,
-        totalCount,
-        type
+        order,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
       });
 
     } catch (error) {
-      console.error('❌ Error getting links by type:', error.message);
+      console.error('❌ Error getting reading queue:', error.message);
       res.status(500).json({
         success: false,
-        message: 'Failed to get links by type',
+        message: 'Failed to get reading queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Re-run metadata extraction for a saved link.
+   * Title, description, link type and images the user edited by hand are kept unless force is set.
+   * POST /api/links/:id/refresh
+   */
+  async refreshLink(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const force = String(req.query.force ?? req.body?.force ?? 'false') === 'true';
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const previous = await Link.findOne({ _id: id, userId: userId, isActive: true }).lean();
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      if (previous.file && previous.file.storageKey) {
+        return res.status(400).json({
+          success: false,
+          message: 'Uploaded files have no page to refresh'
+        });
+      }
+
+      let extraction;
+      try {
+        extraction = await lambdaController.extractUrlData(previous.url);
+      } catch (extractError) {
+        return res.status(502).json({
+          success: false,
+          message: 'Could not fetch the link to refresh it',
+          error: extractError.message
+        });
+      }
+
+      const extracted = extraction.data;
+      if (!extraction.success) {
+        return res.status(502).json({
+          success: false,
+          message: 'Could not extract fresh metadata for this link',
+          data: {
+            status: extracted.status,
+            statusText: extracted.statusText
+          }
+        });
+      }
+
+      const baseForImages = (() => {
+        try {
+          return new URL(previous.url).origin;
+        } catch (e) {
+          return previous.url;
+        }
+      })();
+      const urlRegex = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
+      const sanitizeImage = (v) => {
+        if (!v) return undefined;
+        const resolved = resolveUrl(v, baseForImages);
+        if (!resolved) return undefined;
+        return urlRegex.test(resolved) ? resolved : undefined;
+      };
+
+      const editedFields = Array.isArray(previous.editedFields) ? previous.editedFields : [];
+      const candidates = {
+        linkType: LINK_TYPES.includes(extracted.linkType) ? extracted.linkType : undefined,
+        title: typeof extracted.title === 'string' && extracted.title.trim() ? extracted.title.trim().slice(0, 500) : undefined,
+        description: typeof extracted.description === 'string' && extracted.description.trim() ? extracted.description.trim().slice(0, 2000) : undefined,
+        images: (() => {
+          const images = {
+            logo: sanitizeImage(extracted.images?.logo),
+            ogImage: sanitizeImage(extracted.images?.ogImage),
+            favicon: sanitizeImage(extracted.images?.favicon),
+            appleTouchIcon: sanitizeImage(extracted.images?.appleTouchIcon)
+          };
+          // The screenshot is not part of the extraction; keep it with the new images
+          return Object.values(images).some(Boolean) ? { ...images, screenshot: previous.images?.screenshot } : undefined;
+        })()
+      };
+
+      const update = { metadata: extracted.metadata || previous.metadata };
+      const refreshedFields = [];
+      const keptFields = [];
+      for (const [field, value] of Object.entries(candidates)) {
+        // An empty extraction never wipes out what is already saved
+        if (value === undefined) continue;
+        if (editedFields.includes(field) && !force) {
+          keptFields.push(field);
+          continue;
+        }
+        update[field] = value;
+        refreshedFields.push(field);
+      }
+      if (force && refreshedFields.length > 0) {
+        update.$pull = { editedFields: { $in: refreshedFields } };
+      }
+
+      const refreshedLink = await Link.findOneAndUpdate(
+        { _id: id, userId: userId, isActive: true },
+        update,
+        { new: true, runValidators: true }
+      ).populate('userId', 'fullName identifier');
+
+      if (!refreshedLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      try {
+        await recordRevision(userId, previous, refreshedLink, { source: 'refresh' });
+      } catch (historyError) {
+        console.error('❌ Error recording link revision:', historyError.message);
+      }
+
+      captureSnapshotInBackground(refreshedLink, extraction.html);
+      queueScreenshot(refreshedLink, { retake: true });
+      queueLinkImageCache(refreshedLink);
+
+      console.log('✅ Link refreshed successfully:', refreshedLink._id, { refreshedFields, keptFields });
+
+      res.json({
+        success: true,
+        message: 'Link refreshed successfully',
+        data: refreshedLink,
+        refreshedFields,
+        keptFields
+      });
+
+      if (refreshedFields.length > 0) {
+        void emitLinkEvent(userId, 'link.updated', refreshedLink);
+      }
+
+    } catch (error) {
+      console.error('❌ Error refreshing link:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to refresh link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the readable offline copy of a link.
+   * Returns the snapshot page as HTML, or its details and content as JSON with format=json.
+   * GET /api/links/:id/snapshot
+   */
+  async getLinkSnapshot(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const format = String(req.query.format || 'html').toLowerCase();
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('url title snapshot');
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      const content = await readSnapshot(link);
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          message: 'No snapshot has been captured for this link yet'
+        });
+      }
+
+      const { contentHash, size, sourceUrl, fetchedAt } = link.snapshot;
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          data: {
+            linkId: link._id,
+            url: link.url,
+            sourceUrl,
+            contentHash,
+            size,
+            fetchedAt,
+            html: content.toString('utf8')
+          }
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/html; charset=utf-8',
+        // Snapshot HTML comes from third-party pages: no scripts, no forms, images only
+        'Content-Security-Policy': "default-src 'none'; img-src http: https: data:; style-src 'unsafe-inline'; sandbox",
+        'ETag': `"${contentHash}"`,
+        'Last-Modified': new Date(fetchedAt).toUTCString(),
+        'Cache-Control': 'private, no-cache'
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.send(content);
+
+    } catch (error) {
+      console.error('❌ Error getting link snapshot:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get link snapshot',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the screenshot thumbnail taken for a link that had no image of its own
+   * GET /api/links/:id/screenshot
+   */
+  async getLinkScreenshot(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('screenshot');
+      if (!link || !link.screenshot || !link.screenshot.storageKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'No screenshot has been taken for this link'
+        });
+      }
+
+      const { contentHash, capturedAt } = link.screenshot;
+      res.set({
+        'Content-Type': 'image/webp',
+        'ETag': `"${contentHash}"`,
+        'Last-Modified': new Date(capturedAt).toUTCString(),
+        'Cache-Control': 'private, no-cache'
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const content = await readScreenshot(link);
+      if (!content) {
+        return res.status(404).json({
+          success: false,
+          message: 'No screenshot has been taken for this link'
+        });
+      }
+      res.send(content);
+
+    } catch (error) {
+      console.error('❌ Error getting link screenshot:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get link screenshot',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Save an uploaded file (PDF, image or text) as a library item.
+   * Uploading a file that is already saved returns the saved item.
+   * POST /api/links/files
+   */
+  async uploadFile(req, res) {
+    try {
+      const userId = req.user.id;
+      const { title, notes, collectionId } = req.body || {};
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A file is required (multipart field "file")'
+        });
+      }
+
+      let resolvedCollectionId = null;
+      if (collectionId !== undefined) {
+        const resolved = await resolveCollectionId(userId, collectionId);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error
+          });
+        }
+        resolvedCollectionId = resolved.collectionId;
+      }
+
+      const result = await saveUploadedFile(userId, req.file, {
+        title,
+        tags: readTagList(req.body?.tags),
+        notes,
+        collectionId: resolvedCollectionId
+      });
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+
+      const { link, alreadySaved } = result;
+      if (alreadySaved) {
+        return res.status(200).json({
+          success: true,
+          message: 'This file is already saved',
+          data: link,
+          alreadySaved
+        });
+      }
+
+      await syncLinkTags(userId, link);
+      console.log('✅ File saved:', link._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'File saved successfully',
+        data: link,
+        alreadySaved
+      });
+
+      void emitLinkEvent(userId, 'link.created', link);
+
+    } catch (error) {
+      console.error('❌ Error saving uploaded file:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save file',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get how much upload storage the user has used and has left
+   * GET /api/links/files/usage
+   */
+  async getFileUsage(req, res) {
+    try {
+      const usage = await getUploadUsage(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...usage,
+          maxFileBytes: UPLOAD_MAX_FILE_BYTES,
+          allowedTypes: UPLOAD_ALLOWED_TYPES
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting file usage:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get file usage',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download the file behind an uploaded item; download=true asks the browser to save it
+   * GET /api/links/:id/file
+   */
+  async getLinkFile(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const asAttachment = String(req.query.download || 'false') === 'true';
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('file');
+      if (!link || !link.file || !link.file.storageKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'File not found'
+        });
+      }
+
+      const { mimeType, sha256, originalName, uploadedAt } = link.file;
+      const fileName = originalName || `file-${link._id}`;
+      const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+      res.set({
+        'Content-Type': mimeType.startsWith('text/') ? `${mimeType}; charset=utf-8` : mimeType,
+        'Content-Disposition': `${asAttachment ? 'attachment' : 'inline'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'ETag': `"${sha256}"`,
+        'Last-Modified': new Date(uploadedAt).toUTCString(),
+        'Cache-Control': 'private, no-cache'
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const content = await readStoredFile(link);
+      if (!content) {
+        res.removeHeader('Content-Disposition');
+        return res.status(404).json({
+          success: false,
+          message: 'The stored file is missing'
+        });
+      }
+      res.send(content);
+
+    } catch (error) {
+      console.error('❌ Error getting link file:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get file',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the edit history of a link, newest revision first
+   * GET /api/links/:id/history
+   */
+  async getLinkHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const { page = 1, limit = 20 } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId: userId, isActive: true }).select('_id');
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      const filter = { userId, linkId: link._id };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [revisions, totalCount] = await Promise.all([
+        LinkRevision.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        LinkRevision.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: revisions,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting link history:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get link history',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Put a link's fields back to how they were before a revision.
+   * The revert is itself recorded, so it can be undone the same way.
+   * POST /api/links/:id/revert/:revisionId
+   */
+  async revertLink(req, res) {
+    try {
+      const { id, revisionId } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link or revision ID'
+        });
+      }
+
+      const previous = await Link.findOne({ _id: id, userId: userId, isActive: true }).lean();
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      const revision = await LinkRevision.findOne({ _id: revisionId, userId, linkId: previous._id });
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found'
+        });
+      }
+
+      const update = unsetStaleCachedImages(buildRevertUpdate(revision), previous.images);
+      if (update.$set && update.$set.collectionId) {
+        const resolved = await resolveCollectionId(userId, update.$set.collectionId);
+        // The collection may have been deleted since; leave the link unfiled
+        update.$set.collectionId = resolved.error ? null : resolved.collectionId;
+      }
+
+      let revertedLink;
+      try {
+        revertedLink = await Link.findOneAndUpdate(
+          { _id: id, userId: userId, isActive: true },
+          update,
+          { new: true, runValidators: true }
+        ).populate('userId', 'fullName identifier');
+      } catch (err) {
+        if (err && err.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: 'Another saved link already uses the URL from this revision'
+          });
+        }
+        throw err;
+      }
+
+      if (!revertedLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      const revertRevision = await recordRevision(userId, previous, revertedLink, {
+        source: 'revert',
+        revertedFrom: revision._id
+      });
+      await syncLinkTags(userId, revertedLink);
+      queueLinkImageCache(revertedLink);
+
+      console.log('✅ Link reverted successfully:', revertedLink._id, 'to before revision', revision._id);
+
+      res.json({
+        success: true,
+        message: 'Link reverted successfully',
+        data: revertedLink,
+        revision: revertRevision
+      });
+
+      void emitLinkEvent(userId, 'link.updated', revertedLink);
+
+    } catch (error) {
+      console.error('❌ Error reverting link:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revert link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a link (soft delete, user-specific)
+   * The link stays in the trash until restored or purged.
+   * DELETE /api/links/:id
+   */
+  async deleteLink(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const deletedLink = await Link.findOne({ _id: id, userId: userId, isActive: true });
+
+      if (!deletedLink) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      await softDeleteLink(userId, deletedLink);
+
+      console.log('✅ Link deleted successfully:', deletedLink._id);
+
+      res.json({
+        success: true,
+        message: 'Link deleted successfully'
+      });
+
+      void emitLinkEvent(userId, 'link.deleted', deletedLink);
+
+    } catch (error) {
+      console.error('❌ Error deleting link:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get links by type for a user
+   * GET /api/links/type/:type
+   */
+  async getLinksByType(req, res) {
+    try {
+      const { type } = req.params;
+      const userId = req.user.id;
+      const { limit = 10, page = 1 } = req.query;
+
+      if (!LINK_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link type',
+          validTypes: LINK_TYPES
+        });
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const links = await Link.find({ 
+        linkType: type, 
+        userId: userId,
+        isActive: true 
+      })
+        .populate('userId', 'fullName identifier')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const totalCount = await Link.countDocuments({ 
+        linkType: type, 
+        userId: userId,
+        isActive: true 
+      });
+
+      res.json({
+        success: true,
+        data: links,
+        count: links.length,
+        totalCount,
+        type
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting links by type:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get links by type',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply one operation to many links at once
+   * POST /api/links/bulk
+   */
+  async bulkUpdateLinks(req, res) {
+    try {
+      const userId = req.user.id;
+      const { ids, filter: filterQuery, operation, tags, linkType, readingState } = req.body || {};
+
+      if (!BULK_OPERATIONS.includes(operation)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid bulk operation',
+          validOperations: BULK_OPERATIONS
+        });
+      }
+
+      const tagList = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : []);
+      const cleanTags = Array.from(new Set(tagList.map(tag => String(tag).trim()))).filter(tag => tag.length > 0);
+      if ((operation === 'addTags' || operation === 'removeTags') && cleanTags.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one tag is required'
+        });
+      }
+      if (operation === 'setLinkType' && !LINK_TYPES.includes(linkType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link type',
+          validTypes: LINK_TYPES
+        });
+      }
+      if (operation === 'setReadingState' && !READING_STATES.includes(readingState)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reading state',
+          validStates: READING_STATES
+        });
+      }
+
+      const wantsDeleted = operation === 'restore';
+      let links;
+      let requestedIds;
+      let matchedCount;
+
+      if (Array.isArray(ids) && ids.length > 0) {
+        if (ids.length > MAX_BULK_LINKS) {
+          return res.status(400).json({
+            success: false,
+            message: `A bulk request can include at most ${MAX_BULK_LINKS} links`
+          });
+        }
+        requestedIds = Array.from(new Set(ids.map(String)));
+        const validIds = requestedIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+        links = await Link.find({ _id: { $in: validIds }, userId, isActive: !wantsDeleted });
+        matchedCount = links.length;
+      } else if (filterQuery && typeof filterQuery === 'object') {
+        const { filter, error: filterError } = await buildLinkFilter(userId, filterQuery);
+        if (filterError) {
+          return res.status(400).json({
+            success: false,
+            message: filterError
+          });
+        }
+        filter.isActive = !wantsDeleted;
+        matchedCount = await Link.countDocuments(filter);
+        links = await Link.find(filter).sort({ createdAt: -1 }).limit(MAX_BULK_LINKS);
+        requestedIds = links.map(link => String(link._id));
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either ids or a filter'
+        });
+      }
+
+      const linkMap = new Map(links.map(link => [String(link._id), link]));
+      const results = [];
+
+      for (const id of requestedIds) {
+        const link = linkMap.get(id);
+        if (!link) {
+          results.push({ id, success: false, status: 'not_found', message: 'Link not found' });
+          continue;
+        }
+
+        try {
+          let changed = true;
+
+          if (operation === 'addTags' || operation === 'removeTags') {
+            const lowered = new Set(cleanTags.map(tag => tag.toLowerCase()));
+            const current = Array.isArray(link.tags) ? link.tags : [];
+            const nextTags = operation === 'addTags'
+              ? [...current, ...cleanTags.filter(tag => !current.some(t => t.toLowerCase() === tag.toLowerCase()))]
+              : current.filter(tag => !lowered.has(String(tag).toLowerCase()));
+            changed = nextTags.length !== current.length;
+            if (changed) {
+              link.tags = nextTags;
+              await link.save();
+              await syncLinkTags(userId, link);
+            }
+          } else if (operation === 'setLinkType') {
+            changed = link.linkType !== linkType;
+            if (changed) {
+              link.linkType = linkType;
+              await link.save();
+            }
+          } else if (operation === 'setReadingState') {
+            const current = link.reading || {};
+            changed = (current.state || 'unread') !== readingState;
+            if (changed) {
+              const { set } = buildReadingUpdate(current, { state: readingState });
+              await Link.updateOne({ _id: link._id }, { $set: set });
+            }
+          } else if (operation === 'favorite' || operation === 'unfavorite') {
+            changed = await setLinkFavorite(userId, link, operation === 'favorite');
+          } else if (operation === 'delete') {
+            await softDeleteLink(userId, link);
+          } else if (operation === 'restore') {
+            const restored = await restoreLink(userId, link);
+            if (restored.conflict) {
+              results.push({
+                id,
+                success: false,
+                status: 'conflict',
+                message: 'This URL has been saved again since it was deleted',
+                conflictingLinkId: restored.conflict._id
+              });
+              continue;
+            }
+          }
+
+          results.push({ id, success: true, status: changed ? 'updated' : 'unchanged' });
+        } catch (err) {
+          console.error('❌ Bulk operation failed for link:', id, err.message);
+          results.push({ id, success: false, status: 'error', message: err.message });
+        }
+      }
+
+      const summary = {
+        requested: requestedIds.length,
+        matched: matchedCount,
+        updated: results.filter(r => r.status === 'updated').length,
+        unchanged: results.filter(r => r.status === 'unchanged').length,
+        failed: results.filter(r => !r.success).length,
+        truncated: matchedCount > requestedIds.length && !Array.isArray(ids)
+      };
+
+      console.log(`✅ Bulk ${operation} applied:`, summary);
+
+      res.json({
+        success: true,
+        message: `Bulk ${operation} completed`,
+        data: {
+          operation,
+          summary,
+          results
+        }
+      });
+
+      const changedIds = results.filter(r => r.status === 'updated').map(r => r.id);
+      if (changedIds.length > 0) {
+        // Reload so the payloads carry the state after the operation
+        Link.find({ _id: { $in: changedIds }, userId })
+          .then(changedLinks => emitLinkEvent(userId, BULK_EVENTS[operation], changedLinks))
+          .catch(err => console.error('❌ Error loading links for webhook events:', err.message));
+      }
+
+    } catch (error) {
+      console.error('❌ Error running bulk operation:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run bulk operation',
         error: error.message
       });
     }
@@ -0,0 +1,308 @@
+const Reminder = require('../models/Reminder');
+const Link = require('../models/Links');
+const mongoose = require('mongoose');
+
+const REPEAT_OPTIONS = ['none', 'daily', 'weekly', 'monthly'];
+const REMINDER_STATUSES = ['scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+const SNOOZABLE_STATUSES = ['scheduled', 'sent', 'failed'];
+const MAX_SNOOZE_MINUTES = 365 * 24 * 60;
+
+/**
+ * Parse a future date from the request, or return an error message
+ */
+const parseFutureDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return { error: `${field} is required` };
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${field} must be a valid ISO date` };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: `${field} must be in the future` };
+  }
+  return { date };
+};
+
+/**
+ * Reminders Controller - Scheduled nudges to come back to a saved link
+ * Delivery is handled by jobs/reminderScheduler; all operations are user-specific
+ */
+class RemindersController {
+
+  /**
+   * Create a reminder for a link
+   * POST /api/reminders
+   */
+  async createReminder(req, res) {
+    try {
+      const { linkId, dueAt, repeat = 'none', note } = req.body;
+      const userId = req.user.id;
+      const errors = [];
+
+      if (!linkId || !mongoose.Types.ObjectId.isValid(linkId)) {
+        errors.push('A valid linkId is required');
+      }
+      const due = parseFutureDate(dueAt, 'dueAt');
+      if (due.error) errors.push(due.error);
+      if (!REPEAT_OPTIONS.includes(repeat)) {
+        errors.push(`repeat must be one of: ${REPEAT_OPTIONS.join(', ')}`);
+      }
+      if (note !== undefined && note !== null && typeof note !== 'string') {
+        errors.push('note must be a string');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const link = await Link.findOne({ _id: linkId, userId, isActive: true }).select('_id title url');
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found'
+        });
+      }
+
+      const reminder = await Reminder.create({
+        userId,
+        linkId: link._id,
+        dueAt: due.date,
+        nextAttemptAt: due.date,
+        repeat,
+        note: typeof note === 'string' ? note.trim() : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Reminder created successfully',
+        data: { ...reminder.toObject(), linkId: link }
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating reminder:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create reminder',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the user's reminders, soonest first
+   * GET /api/reminders
+   */
+  async getReminders(req, res) {
+    try {
+      const userId = req.user.id;
+      const { page = 1, limit = 10, status, linkId } = req.query;
+
+      const filter = { userId };
+
+      if (status) {
+        const statuses = String(status).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        const invalid = statuses.filter(s => !REMINDER_STATUSES.includes(s));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${REMINDER_STATUSES.join(', ')}`
+          });
+        }
+        filter.status = { $in: statuses };
+      }
+
+      if (linkId) {
+        if (!mongoose.Types.ObjectId.isValid(linkId)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid link ID'
+          });
+        }
+        filter.linkId = linkId;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [reminders, totalCount] = await Promise.all([
+        Reminder.find(filter)
+          .sort({ dueAt: 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('linkId', 'title url images isActive')
+          .lean(),
+        Reminder.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: reminders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting reminders:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get reminders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Push a reminder back, either to a given time or by a number of minutes.
+   * Sent and failed reminders are scheduled again.
+   * POST /api/reminders/:id/snooze
+   */
+  async snoozeReminder(req, res) {
+    try {
+      const { id } = req.params;
+      const { until, minutes } = req.body;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reminder ID'
+        });
+      }
+
+      let dueAt;
+      if (minutes !== undefined && minutes !== null && minutes !== '') {
+        const parsed = Number(minutes);
+        if (!Number.isFinite(parsed) || parsed < 1 || parsed > MAX_SNOOZE_MINUTES) {
+          return res.status(400).json({
+            success: false,
+            message: `minutes must be a number between 1 and ${MAX_SNOOZE_MINUTES}`
+          });
+        }
+        dueAt = new Date(Date.now() + Math.round(parsed) * 60 * 1000);
+      } else {
+        const parsed = parseFutureDate(until, 'until');
+        if (parsed.error) {
+          return res.status(400).json({
+            success: false,
+            message: minutes === undefined && until === undefined ? 'Either until or minutes is required' : parsed.error
+          });
+        }
+        dueAt = parsed.date;
+      }
+
+      // Only move reminders the scheduler is not delivering right now
+      const reminder = await Reminder.findOneAndUpdate(
+        { _id: id, userId, status: { $in: SNOOZABLE_STATUSES } },
+        {
+          $set: {
+            dueAt,
+            nextAttemptAt: dueAt,
+            status: 'scheduled',
+            attempts: 0,
+            lastError: null,
+            lockedAt: null
+          }
+        },
+        { new: true }
+      );
+
+      if (!reminder) {
+        const existing = await Reminder.findOne({ _id: id, userId }).select('status').lean();
+        if (!existing) {
+          return res.status(404).json({
+            success: false,
+            message: 'Reminder not found'
+          });
+        }
+        return res.status(409).json({
+          success: false,
+          message: existing.status === 'cancelled'
+            ? 'Cancelled reminders cannot be snoozed'
+            : 'Reminder is being delivered, try again shortly'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reminder snoozed successfully',
+        data: reminder
+      });
+
+    } catch (error) {
+      console.error('❌ Error snoozing reminder:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to snooze reminder',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a reminder. Cancelling twice is not an error.
+   * DELETE /api/reminders/:id
+   */
+  async cancelReminder(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid reminder ID'
+        });
+      }
+
+      const reminder = await Reminder.findOneAndUpdate(
+        { _id: id, userId, status: { $ne: 'sent' } },
+        { $set: { status: 'cancelled', lockedAt: null } },
+        { new: true }
+      );
+
+      if (!reminder) {
+        const exists = await Reminder.exists({ _id: id, userId });
+        return res.status(exists ? 409 : 404).json({
+          success: false,
+          message: exists ? 'Reminder has already been sent' : 'Reminder not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Reminder cancelled successfully',
+        data: reminder
+      });
+
+    } catch (error) {
+      console.error('❌ Error cancelling reminder:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel reminder',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RemindersController();
@@ -1,6 +1,9 @@
 const Link = require('../models/Links');
 const Fav = require('../models/Favs');
 const LinkTag = require('../models/LinkTag');
+const { parseReadingTimeRange } = require('../utils/readingTime');
+const { parseReadingStates, readingStateCondition } = require('../utils/readingState');
+const { readPageRequest, finishPage } = require('../utils/pagination');
 
 const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 const toRegex = (s) => new RegExp(escapeRegExp(String(s)), 'i');
@@ -9,6 +12,7 @@ class SearchController {
     /**
      * Search through user's links
      * Searches in: title, description, tags, url, domain
+     * Pass `cursor` (empty for the first page, then nextCursor) for cursor pagination
      */
     static async searchLinks(req, res) {
         try {
@@ -25,7 +29,16 @@ class SearchController {
             const type = typeParam ? typeParam.toLowerCase() : (knownTypes.has(tagsParam.toLowerCase()) ? tagsParam.toLowerCase() : '');
             const platformParts = platformsParam ? platformsParam.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
 
-            if (!q && !type && tagParts.length === 0 && platformParts.length === 0 && !sortParam) {
+            const readingTime = parseReadingTimeRange(req.query);
+            if (readingTime.error) {
+                return res.status(400).json({ success: false, message: readingTime.error });
+            }
+            const readingStates = parseReadingStates(req.query?.readingState);
+            if (readingStates.error) {
+                return res.status(400).json({ success: false, message: readingStates.error });
+            }
+
+            if (!q && !type && tagParts.length === 0 && platformParts.length === 0 && !sortParam && !readingTime.condition && readingStates.states.length === 0) {
                 return res.status(400).json({ success: false, message: 'Provide a search query, type, or tags' });
             }
 
@@ -48,6 +61,7 @@ class SearchController {
                         { originalUrl: { $regex: rx } },
                         { 'metadata.domain': { $regex: rx } },
                         { notes: { $regex: rx } },
+                        { 'file.originalName': { $regex: rx } },
                         { tags: { $regex: rx } },
                         { tags: { $elemMatch: { $regex: rx } } },
                         { tagsNormalized: { $in: [qLower] } }
@@ -59,6 +73,14 @@ class SearchController {
                 andConds.push({ linkType: type });
             }
 
+            if (readingTime.condition) {
+                andConds.push({ 'article.readingTimeMinutes': readingTime.condition });
+            }
+
+            if (readingStates.states.length > 0) {
+                andConds.push(readingStateCondition(readingStates.states));
+            }
+
             if (tagParts.length > 0) {
                 const lowers = tagParts.map(t => t.toLowerCase());
                 try {
@@ -99,17 +121,42 @@ class SearchController {
             const sortObj = (function() {
                 if (sortParam === 'az') return { title: 1 };
                 if (sortParam === 'za') return { title: -1 };
+                if (sortParam === 'shortest') return { 'article.readingTimeMinutes': 1, createdAt: -1 };
+                if (sortParam === 'longest') return { 'article.readingTimeMinutes': -1, createdAt: -1 };
                 return { createdAt: -1 };
             })();
 
-            const [links, totalCount] = await Promise.all([
-                Link.find(searchConditions)
-                    .sort(sortObj)
-                    .skip(skip)
-                    .limit(parseInt(limit))
+            const pageRequest = readPageRequest(req.query, sortObj);
+            if (pageRequest.error) {
+                return res.status(400).json({ success: false, message: pageRequest.error });
+            }
+            const pageConditions = pageRequest.filter ? { $and: [searchConditions, pageRequest.filter] } : searchConditions;
+            const describe = `${q ? ` for "${q}"` : ''}${type ? ` in '${type}'` : ''}${tagParts.length ? ` with tags '${tagParts.join(',')}'` : ''}`;
+
+            const [rows, totalCount] = await Promise.all([
+                Link.find(pageConditions)
+                    .sort(pageRequest.sort)
+                    .skip(pageRequest.cursorMode ? 0 : skip)
+                    .limit(parseInt(limit) + 1)
                     .lean(),
-                Link.countDocuments(searchConditions)
+                pageRequest.cursorMode ? null : Link.countDocuments(searchConditions)
             ]);
+            const { items: links, hasNext, nextCursor } = finishPage(rows, parseInt(limit), pageRequest.spec);
+
+            if (pageRequest.cursorMode) {
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        links,
+                        pagination: {
+                            limit: parseInt(limit),
+                            hasNextPage: hasNext,
+                            nextCursor
+                        }
+                    },
+                    message: `Found links${describe}`
+                });
+            }
 
             const totalPages = Math.ceil(totalCount / parseInt(limit));
 
@@ -122,10 +169,11 @@ class SearchController {
                         totalPages,
                         totalCount,
                         hasNextPage: parseInt(page) < totalPages,
-                        hasPrevPage: parseInt(page) > 1
+                        hasPrevPage: parseInt(page) > 1,
+                        nextCursor
                     }
                 },
-                message: `Found ${totalCount} links${q ? ` for "${q}"` : ''}${type ? ` in '${type}'` : ''}${tagParts.length ? ` with tags '${tagParts.join(',')}'` : ''}`
+                message: `Found ${totalCount} links${describe}`
             });
         
         } catch (error) {
@@ -141,6 +189,7 @@ class SearchController {
     /**
      * Search through user's favorite links
      * Searches in the linked content: title, description, tags, url, domain
+     * Pass `cursor` (empty for the first page, then nextCursor) for cursor pagination
      */
     static async searchFavourites(req, res) {
         try {
@@ -157,7 +206,16 @@ class SearchController {
             const type = typeParam ? typeParam.toLowerCase() : (knownTypes.has(tagsParam.toLowerCase()) ? tagsParam.toLowerCase() : '');
             const platformParts = platformsParam ? platformsParam.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
 
-            if (!q && !type && tagParts.length === 0 && platformParts.length === 0 && !sortParam) {
+            const readingTime = parseReadingTimeRange(req.query);
+            if (readingTime.error) {
+                return res.status(400).json({ success: false, message: readingTime.error });
+            }
+            const readingStates = parseReadingStates(req.query?.readingState);
+            if (readingStates.error) {
+                return res.status(400).json({ success: false, message: readingStates.error });
+            }
+
+            if (!q && !type && tagParts.length === 0 && platformParts.length === 0 && !sortParam && !readingTime.condition && readingStates.states.length === 0) {
                 return res.status(400).json({ success: false, message: 'Provide a search query, type, or tags' });
             }
 
@@ -165,13 +223,32 @@ class SearchController {
             const qLower = q ? q.toLowerCase() : null;
             const skip = (parseInt(page) - 1) * parseInt(limit);
 
+            const sortObj = (function() {
+                if (sortParam === 'az') return { 'linkDetails.title': 1 };
+                if (sortParam === 'za') return { 'linkDetails.title': -1 };
+                if (sortParam === 'shortest') return { 'linkDetails.article.readingTimeMinutes': 1, favoritedAt: -1 };
+                if (sortParam === 'longest') return { 'linkDetails.article.readingTimeMinutes': -1, favoritedAt: -1 };
+                return { favoritedAt: -1 };
+            })();
+            const pageRequest = readPageRequest(req.query, sortObj);
+            if (pageRequest.error) {
+                return res.status(400).json({ success: false, message: pageRequest.error });
+            }
+
             const favouritesAggregation = [
                 { $match: { userId: userId } },
                 { $lookup: { from: 'links', localField: 'linkId', foreignField: '_id', as: 'linkDetails' } },
                 { $unwind: '$linkDetails' },
+                { $unset: 'linkDetails.article.text' },
                 { $match: { 'linkDetails.isActive': true, 'linkDetails.userId': userId } },
                 { $match: (function() {
                     const andConds = [];
+                    if (readingTime.condition) {
+                        andConds.push({ 'linkDetails.article.readingTimeMinutes': readingTime.condition });
+                    }
+                    if (readingStates.states.length > 0) {
+                        andConds.push(readingStateCondition(readingStates.states, 'linkDetails.'));
+                    }
                     if (rx) {
                         andConds.push({ $or: [
                             { 'linkDetails.title': { $regex: rx } },
@@ -180,6 +257,7 @@ class SearchController {
                             { 'linkDetails.originalUrl': { $regex: rx } },
                             { 'linkDetails.metadata.domain': { $regex: rx } },
                             { 'linkDetails.notes': { $regex: rx } },
+                            { 'linkDetails.file.originalName': { $regex: rx } },
                             { 'linkDetails.tags': { $regex: rx } },
                             { 'linkDetails.tags': { $elemMatch: { $regex: rx } } },
                             ...(qLower ? [{ 'linkDetails.tagsNormalized': { $in: [qLower] } }] : [])
@@ -221,20 +299,38 @@ class SearchController {
                         if (ors.length) andConds.push({ $or: ors });
                     }
                     return andConds.length ? { $and: andConds } : {};
-                })() },
-                (function() { if (sortParam === 'az') return { $sort: { 'linkDetails.title': 1 } }; if (sortParam === 'za') return { $sort: { 'linkDetails.title': -1 } }; return { $sort: { favoritedAt: -1 } }; })()
+                })() }
             ];
 
-            const totalCountResult = await Fav.aggregate([ ...favouritesAggregation, { $count: 'total' } ]);
-            const totalCount = totalCountResult.length > 0 ? totalCountResult[0].total : 0;
-
-            const favourites = await Fav.aggregate([
+            const rows = await Fav.aggregate([
                 ...favouritesAggregation,
-                { $skip: skip },
-                { $limit: parseInt(limit) },
+                ...(pageRequest.filter ? [{ $match: pageRequest.filter }] : []),
+                { $sort: pageRequest.sort },
+                { $skip: pageRequest.cursorMode ? 0 : skip },
+                { $limit: parseInt(limit) + 1 },
                 { $project: { _id: 1, userId: 1, linkId: 1, favoritedAt: 1, createdAt: 1, updatedAt: 1, link: '$linkDetails' } }
             ]);
+            // The projection renames linkDetails to link
+            const { items: favourites, hasNext, nextCursor } = finishPage(rows, parseInt(limit), pageRequest.spec, (field) => field.replace(/^linkDetails\./, 'link.'));
+            const describe = `${q ? ` for "${q}"` : ''}${type ? ` in '${type}'` : ''}${tagParts.length ? ` with tags '${tagParts.join(',')}'` : ''}`;
 
+            if (pageRequest.cursorMode) {
+                return res.status(200).json({
+                    success: true,
+                    data: {
+                        favourites,
+                        pagination: {
+                            limit: parseInt(limit),
+                            hasNextPage: hasNext,
+                            nextCursor
+                        }
+                    },
+                    message: `Found favourites${describe}`
+                });
+            }
+
+            const totalCountResult = await Fav.aggregate([ ...favouritesAggregation, { $count: 'total' } ]);
+            const totalCount = totalCountResult.length > 0 ? totalCountResult[0].total : 0;
             const totalPages = Math.ceil(totalCount / parseInt(limit));
 
             res.status(200).json({
@@ -246,10 +342,11 @@ class SearchController {
                         totalPages,
                         totalCount,
                         hasNextPage: parseInt(page) < totalPages,
-                        hasPrevPage: parseInt(page) > 1
+                        hasPrevPage: parseInt(page) > 1,
+                        nextCursor
                     }
                 },
-                message: `Found ${totalCount} favourites${q ? ` for "${q}"` : ''}${type ? ` in '${type}'` : ''}${tagParts.length ? ` with tags '${tagParts.join(',')}'` : ''}`
+                message: `Found ${totalCount} favourites${describe}`
             });
 
         } catch (error) {
@@ -275,9 +372,13 @@ class SearchController {
 
             const results = {};
 
+            // Each half pages on its own: linksCursor / favouritesCursor (or cursor for a single type)
+            const { cursor, linksCursor, favouritesCursor, ...sharedQuery } = req.query;
+            const halfCursor = (own) => (own !== undefined ? { cursor: own } : (type !== 'all' && cursor !== undefined ? { cursor } : {}));
+
             // Search links if requested
             if (type === 'all' || type === 'links') {
-                const linksReq = { ...req, query: { ...req.query, limit: type === 'links' ? limit : Math.ceil(limit / 2) } };
+                const linksReq = { ...req, query: { ...sharedQuery, ...halfCursor(linksCursor), limit: type === 'links' ? limit : Math.ceil(limit / 2) } };
                 const linksRes = {
                     status: () => ({ json: (data) => { results.links = data; } })
                 };
@@ -286,7 +387,7 @@ class SearchController {
 
             // Search favourites if requested
             if (type === 'all' || type === 'favourites') {
-                const favsReq = { ...req, query: { ...req.query, limit: type === 'favourites' ? limit : Math.ceil(limit / 2) } };
+                const favsReq = { ...req, query: { ...sharedQuery, ...halfCursor(favouritesCursor), limit: type === 'favourites' ? limit : Math.ceil(limit / 2) } };
                 const favsRes = {
                     status: () => ({ json: (data) => { results.favourites = data; } })
                 };
@@ -325,10 +426,15 @@ class SearchController {
             }
 
             const tagQuery = tag.trim();
+            const tagLower = tagQuery.toLowerCase();
             const skip = (parseInt(page) - 1) * parseInt(limit);
 
+            const pageRequest = readPageRequest(req.query, type === 'favourites' ? { favoritedAt: -1 } : { createdAt: -1 });
+            if (pageRequest.error) {
+                return res.status(400).json({ success: false, message: pageRequest.error });
+            }
+
             if (type === 'links') {
-                const tagLower = tagQuery.toLowerCase();
                 let ids = [];
                 try {
                     ids = await LinkTag.find({ userId, tagName: tagLower }).distinct('linkId');
@@ -341,14 +447,30 @@ class SearchController {
                     { tags: { $regex: toRegex(tagQuery) } }
                 ] } ] };
 
-                const [links, totalCount] = await Promise.all([
-                    Link.find(finalCond)
-                        .sort({ createdAt: -1 })
-                        .skip(skip)
-                        .limit(parseInt(limit))
+                const [rows, totalCount] = await Promise.all([
+                    Link.find(pageRequest.filter ? { $and: [finalCond, pageRequest.filter] } : finalCond)
+                        .sort(pageRequest.sort)
+                        .skip(pageRequest.cursorMode ? 0 : skip)
+                        .limit(parseInt(limit) + 1)
                         .lean(),
-                    Link.countDocuments(finalCond)
+                    pageRequest.cursorMode ? null : Link.countDocuments(finalCond)
                 ]);
+                const { items: links, hasNext, nextCursor } = finishPage(rows, parseInt(limit), pageRequest.spec);
+
+                if (pageRequest.cursorMode) {
+                    return res.status(200).json({
+                        success: true,
+                        data: {
+                            links,
+                            pagination: {
+                                limit: parseInt(limit),
+                                hasNextPage: hasNext,
+                                nextCursor
+                            }
+                        },
+                        message: `Found links with tag "${tagQuery}"`
+                    });
+                }
 
                 const totalPages = Math.ceil(totalCount / parseInt(limit));
 
@@ -361,7 +483,8 @@ class SearchController {
                             totalPages,
                             totalCount,
                             hasNextPage: parseInt(page) < totalPages,
-                            hasPrevPage: parseInt(page) > 1
+                            hasPrevPage: parseInt(page) > 1,
+                            nextCursor
                         }
                     },
                     message: `Found ${totalCount} links with tag "${tagQuery}"`
@@ -369,7 +492,7 @@ class SearchController {
 
             } else if (type === 'favourites') {
                 // Search in user's favourites by tag
-                const favourites = await Fav.aggregate([
+                const rows = await Fav.aggregate([
                     { $match: { userId: userId } },
                     {
                         $lookup: {
@@ -380,6 +503,7 @@ class SearchController {
                         }
                     },
                     { $unwind: '$linkDetails' },
+                    { $unset: 'linkDetails.article.text' },
                     {
                         $match: {
                             'linkDetails.isActive': true,
@@ -391,9 +515,10 @@ class SearchController {
                             ]
                         }
                     },
-                    { $sort: { favoritedAt: -1 } },
-                    { $skip: skip },
-                    { $limit: parseInt(limit) },
+                    ...(pageRequest.filter ? [{ $match: pageRequest.filter }] : []),
+                    { $sort: pageRequest.sort },
+                    { $skip: pageRequest.cursorMode ? 0 : skip },
+                    { $limit: parseInt(limit) + 1 },
                     {
                         $project: {
                             _id: 1,
@@ -406,6 +531,22 @@ class SearchController {
                         }
                     }
                 ]);
+                const { items: favourites, hasNext, nextCursor } = finishPage(rows, parseInt(limit), pageRequest.spec);
+
+                if (pageRequest.cursorMode) {
+                    return res.status(200).json({
+                        success: true,
+                        data: {
+                            favourites,
+                            pagination: {
+                                limit: parseInt(limit),
+                                hasNextPage: hasNext,
+                                nextCursor
+                            }
+                        },
+                        message: `Found favorite links with tag "${tagQuery}"`
+                    });
+                }
 
                 const totalCountResult = await Fav.aggregate([
                     { $match: { userId: userId } },
@@ -444,7 +585,8 @@ class SearchController {
                             totalPages,
                             totalCount,
                             hasNextPage: parseInt(page) < totalPages,
-                            hasPrevPage: parseInt(page) > 1
+                            hasPrevPage: parseInt(page) > 1,
+                            nextCursor
                         }
                     },
                     message: `Found ${totalCount} favorite links with tag "${tagQuery}"`
@@ -1,61 +1,230 @@
 const crypto = require('crypto');
+const Link = require('../models/Links');
+const ShareToken = require('../models/ShareToken');
+const { normalizeUrl, urlDedupeKey, extractUrls } = require('../utils/url');
+const { syncLinkTags } = require('../utils/linkOperations');
+const { enrichImportedLinks } = require('../utils/linkImporter');
+const { emitLinkEvent } = require('../utils/webhooks');
+const { saveUploadedFile } = require('../utils/fileItems');
+const { SHARE_TOKEN_TTL_MINUTES } = require('../config/constants');
 
-const store = new Map();
-const TTL_MS = 10 * 60 * 1000;
+const URL_REGEX = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
+
+/**
+ * Combine the share-sheet fields into one text and find every URL in it.
+ * `url` is the first one, for clients that only handle a single link.
+ */
+const readSharedPayload = (body = {}) => {
+  const { text, webUrl, parts, files, subject, title } = body;
+  const arr = [];
+  if (typeof webUrl === 'string') arr.push(webUrl);
+  if (typeof text === 'string') arr.push(text);
+  if (typeof subject === 'string') arr.push(subject);
+  if (typeof title === 'string') arr.push(title);
+  if (Array.isArray(parts)) {
+    arr.push(...parts.map((x) => (typeof x === 'string' ? x : '')));
+  }
+  const combined = arr.filter(Boolean).join(' ');
+  const urls = extractUrls(combined);
+  return {
+    url: urls.length > 0 ? urls[0].url : undefined,
+    urls,
+    raw: combined,
+    files: Array.isArray(files) && files.length > 0 ? files : []
+  };
+};
+
+/**
+ * A title the share sheet sent alongside the URL, if it is not just the URL again
+ */
+const sharedTitle = ({ title, subject }) => {
+  const candidate = [title, subject].find(v => typeof v === 'string' && v.trim() && !/https?:\/\//i.test(v));
+  return candidate ? candidate.trim().slice(0, 500) : undefined;
+};
+
+/**
+ * Save one shared URL for a user unless it is already saved
+ * @returns {Promise<{link: object, alreadySaved: boolean}|null>} null when the URL is not a web link
+ */
+const saveSharedUrl = async (userId, rawUrl, { title, tags }) => {
+  const url = normalizeUrl(rawUrl);
+  if (!url || !URL_REGEX.test(url)) return null;
+
+  const findExisting = () => Link.findOne({
+    userId,
+    isActive: true,
+    $or: [{ urlKey: urlDedupeKey(url) }, { originalUrl: url }]
+  });
+
+  const existing = await findExisting();
+  if (existing) return { link: existing, alreadySaved: true };
 
-const extractFirstUrl = (input) => {
-  if (typeof input !== 'string' || !input.trim()) return undefined;
-  const match = input.match(/https?:\/\/[^\s]+/i);
-  if (!match || !match[0]) return undefined;
-  let url = match[0].replace(/[)\].,;]+$/, '');
   try {
-    const up = url.match(/[?&]u=([^&]+)/);
-    if (up && up[1]) {
-      const decoded = decodeURIComponent(up[1]);
-      if (decoded.startsWith('http')) url = decoded;
+    const saved = await new Link({
+      userId,
+      url,
+      originalUrl: url,
+      title,
+      tags,
+      metadata: {}
+    }).save();
+    await syncLinkTags(userId, saved);
+    return { link: saved, alreadySaved: false };
+  } catch (err) {
+    if (err && err.code === 11000) {
+      const duplicate = await findExisting();
+      if (duplicate) return { link: duplicate, alreadySaved: true };
     }
-  } catch {}
-  return url;
+    throw err;
+  }
 };
 
+/**
+ * Share Controller - Share-sheet handoff
+ * Anonymous callers get a short-lived token to redeem from the app;
+ * signed-in callers can save the shared link in one step.
+ */
 class ShareController {
+  /**
+   * Whether the caller asked to save the shared link instead of getting a token
+   */
+  wantsSave(req) {
+    const save = (req.body && req.body.save) ?? req.query.save;
+    return save === true || save === 'true' || save === 'all';
+  }
+
+  /**
+   * Accept shared content
+   * POST /api/share
+   */
   async create(req, res) {
     try {
+      const payload = readSharedPayload(req.body || {});
+      if (this.wantsSave(req)) {
+        return this.saveShared(req, res, payload);
+      }
+
       const { text, webUrl, parts, files, subject, title } = req.body || {};
       console.log('[create] incoming body:', { text, webUrl, parts, files, subject, title });
-      const arr = [];
-      if (typeof webUrl === 'string') arr.push(webUrl);
-      if (typeof text === 'string') arr.push(text);
-      if (typeof subject === 'string') arr.push(subject);
-      if (typeof title === 'string') arr.push(title);
-      if (Array.isArray(parts)) {
-        arr.push(...parts.map((x) => (typeof x === 'string' ? x : '')));
-      }
-      const combined = arr.filter(Boolean).join(' ');
-      const url = extractFirstUrl(combined);
-      const hasFiles = Array.isArray(files) && files.length > 0;
       const token = crypto.randomBytes(16).toString('hex');
-      store.set(token, { url: url || null, raw: combined, files: hasFiles ? files : [], expiresAt: Date.now() + TTL_MS });
-      console.log('[create] stored data:', { url: url || null, raw: combined, files: hasFiles ? files : [], expiresAt: Date.now() + TTL_MS });
+      const expiresAt = new Date(Date.now() + SHARE_TOKEN_TTL_MINUTES * 60 * 1000);
+      await ShareToken.create({ token, url: payload.url || null, urls: payload.urls, rawText: payload.raw, files: payload.files, expiresAt });
+      console.log('[create] stored data:', { url: payload.url || null, urls: payload.urls.length, raw: payload.raw, files: payload.files, expiresAt });
       return res.status(200).json({ success: true, data: { token } });
     } catch (error) {
       return res.status(500).json({ success: false, message: 'Failed to create share token', error: error.message });
     }
   }
 
+  /**
+   * Save the shared URL as a link right away, or every shared URL with
+   * save=all; title, description and images are extracted in the background.
+   * Shared files (multipart field "files") are saved as library items as well.
+   * Sharing a link or file that is already saved returns the saved copy.
+   */
+  async saveShared(req, res, payload) {
+    try {
+      const userId = req.user.id;
+      const saveAll = (req.body && req.body.save) === 'all' || req.query.save === 'all';
+      const targets = saveAll ? payload.urls : payload.urls.slice(0, 1);
+      const uploads = Array.isArray(req.files) ? req.files : [];
+      if (targets.length === 0 && uploads.length === 0) {
+        return res.status(400).json({ success: false, message: 'No link found in the shared content' });
+      }
+
+      // Multipart forms send tags as one comma-separated field
+      const rawTags = typeof req.body.tags === 'string' ? req.body.tags.split(',') : req.body.tags;
+      const tags = Array.isArray(rawTags)
+        ? Array.from(new Set(rawTags.map(t => String(t).trim().slice(0, 50)))).filter(t => t.length > 0)
+        : [];
+      // A title sent by the share sheet describes the page only when one link was shared
+      const title = payload.urls.length === 1 ? sharedTitle(req.body) : undefined;
+
+      const results = [];
+      for (const target of targets) {
+        const result = await saveSharedUrl(userId, target.url, { title, tags });
+        if (result) results.push({ ...result, snippet: target.snippet });
+      }
+
+      // Shared files are saved as library items next to the links
+      const files = [];
+      for (const upload of uploads) {
+        const result = await saveUploadedFile(userId, upload, { tags });
+        if (result.error) {
+          files.push({ fileName: upload.originalname, error: result.error });
+          continue;
+        }
+        if (!result.alreadySaved) await syncLinkTags(userId, result.link);
+        files.push({ ...result, fileName: upload.originalname });
+      }
+      const savedFiles = files.filter(f => f.link);
+
+      if (results.length === 0 && savedFiles.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: files.length > 0 ? files[0].error : 'No link found in the shared content',
+          files
+        });
+      }
+
+      const createdFiles = savedFiles.filter(f => !f.alreadySaved).map(f => f.link);
+      const created = results.filter(r => !r.alreadySaved).map(r => r.link);
+      console.log('✅ Shared links saved:', [...created, ...createdFiles].map(link => String(link._id)));
+      const fileResults = files.map(f => (f.link
+        ? { link: f.link, alreadySaved: f.alreadySaved, fileName: f.fileName }
+        : { fileName: f.fileName, error: f.error }));
+
+      if (saveAll) {
+        res.status(created.length + createdFiles.length > 0 ? 201 : 200).json({
+          success: true,
+          message: `${created.length} of ${results.length} shared links saved; details are being fetched`,
+          data: results.map(r => ({ link: r.link, alreadySaved: r.alreadySaved, snippet: r.snippet })),
+          urls: payload.urls,
+          files: fileResults
+        });
+      } else {
+        // Without a link, the first saved file stands in as the shared item
+        const [{ link, alreadySaved }] = results.length > 0 ? results : savedFiles;
+        res.status(created.length + createdFiles.length > 0 ? 201 : 200).json({
+          success: true,
+          message: results.length > 0
+            ? (alreadySaved ? 'Link is already saved' : 'Link saved; details are being fetched')
+            : (alreadySaved ? 'File is already saved' : 'File saved'),
+          data: link,
+          alreadySaved,
+          urls: payload.urls,
+          files: fileResults
+        });
+      }
+
+      if (created.length + createdFiles.length > 0) {
+        void emitLinkEvent(userId, 'link.created', [...created, ...createdFiles]);
+      }
+      if (created.length > 0) {
+        void enrichImportedLinks(created.map(link => link._id));
+      }
+    } catch (error) {
+      console.error('❌ Error saving shared link:', error.message);
+      return res.status(500).json({ success: false, message: 'Failed to save shared link', error: error.message });
+    }
+  }
+
+  /**
+   * Redeem a share token
+   * GET /api/share/:token
+   */
   async get(req, res) {
     try {
       const { token } = req.params;
-      if (!token || !store.has(token)) {
-        return res.status(404).json({ success: false, message: 'Invalid or expired token' });
-      }
-      const item = store.get(token);
-      if (!item || item.expiresAt <= Date.now()) {
-        store.delete(token);
+      const item = token
+        ? await ShareToken.findOne({ token: String(token), expiresAt: { $gt: new Date() } }).lean()
+        : null;
+      if (!item) {
         return res.status(404).json({ success: false, message: 'Invalid or expired token' });
       }
-      console.log('[get] sending data:', { url: item.url, rawText: item.raw, files: item.files || [] });
-      return res.status(200).json({ success: true, data: { url: item.url, rawText: item.raw, files: item.files || [] } });
+      const urls = item.urls || [];
+      console.log('[get] sending data:', { url: item.url, urls: urls.length, rawText: item.rawText, files: item.files || [] });
+      return res.status(200).json({ success: true, data: { url: item.url, urls, rawText: item.rawText, files: item.files || [] } });
     } catch (error) {
       return res.status(500).json({ success: false, message: 'Failed to get shared link', error: error.message });
     }
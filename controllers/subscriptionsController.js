@@ -0,0 +1,381 @@
+const FeedSubscription = require('../models/FeedSubscription');
+const mongoose = require('mongoose');
+const { checkOutboundUrl } = require('../utils/netGuard');
+const { loadFeed, entryUrl } = require('../utils/feedSubscriptions');
+const { runFeedPoller } = require('../jobs/feedPoller');
+const {
+  SUBSCRIPTION_MAX_PER_USER,
+  SUBSCRIPTION_REFRESH_INTERVAL_MS,
+  SUBSCRIPTION_SEEN_ENTRIES_LIMIT
+} = require('../config/constants');
+
+const MAX_TAGS = 20;
+
+/**
+ * Clean the tags sent for a subscription, or return an error message
+ */
+const readTags = (tags) => {
+  if (tags === undefined || tags === null) return { tags: [] };
+  const list = Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : null);
+  if (!list) return { error: 'tags must be an array or a comma-separated string' };
+  const cleaned = Array.from(new Set(list.map(t => String(t).trim()).filter(t => t.length > 0)));
+  if (cleaned.some(t => t.length > 50)) return { error: 'Tags cannot exceed 50 characters' };
+  if (cleaned.length > MAX_TAGS) return { error: `A subscription can have at most ${MAX_TAGS} tags` };
+  return { tags: cleaned };
+};
+
+const kickPoller = () => {
+  setImmediate(() => { runFeedPoller().catch(() => {}); });
+};
+
+/**
+ * Subscriptions Controller - RSS, Atom and JSON feeds that save new entries as links
+ * Feeds are fetched by jobs/feedPoller; all operations are user-specific
+ */
+class SubscriptionsController {
+
+  /**
+   * Subscribe to a feed. A site URL works too when the page links to its feed.
+   * Existing entries are skipped unless importExisting is true.
+   * POST /api/subscriptions
+   */
+  async createSubscription(req, res) {
+    try {
+      const userId = req.user.id;
+      const { url, title, importExisting = false } = req.body;
+      const errors = [];
+
+      const checked = checkOutboundUrl(url);
+      if (checked.error) errors.push(`url: ${checked.error}`);
+      const tagResult = readTags(req.body.tags);
+      if (tagResult.error) errors.push(tagResult.error);
+      if (title !== undefined && title !== null && typeof title !== 'string') {
+        errors.push('title must be a string');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const count = await FeedSubscription.countDocuments({ userId });
+      if (count >= SUBSCRIPTION_MAX_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `You can follow up to ${SUBSCRIPTION_MAX_PER_USER} feeds`
+        });
+      }
+
+      let loaded;
+      try {
+        loaded = await loadFeed(checked.url.href);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read a feed from this URL: ${err.message}`
+        });
+      }
+      const { feedUrl, feed, response } = loaded;
+
+      const existing = await FeedSubscription.findOne({ userId, feedUrl }).lean();
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already follow this feed',
+          data: existing
+        });
+      }
+
+      const now = new Date();
+      const backfill = importExisting === true || importExisting === 'true';
+      const subscription = await FeedSubscription.create({
+        userId,
+        feedUrl,
+        title: (typeof title === 'string' && title.trim()) ? title.trim() : (feed.title || '').slice(0, 200) || undefined,
+        siteUrl: feed.siteUrl || undefined,
+        format: feed.format,
+        tags: tagResult.tags,
+        // Without a backfill the entries in the feed today count as seen; only later posts are saved
+        seenEntries: backfill ? [] : feed.entries.map(entryUrl).filter(Boolean).slice(-SUBSCRIPTION_SEEN_ENTRIES_LIMIT),
+        etag: backfill ? null : response.etag,
+        lastModified: backfill ? null : response.lastModified,
+        lastFetchedAt: now,
+        lastSuccessAt: now,
+        lastStatus: response.status,
+        nextFetchAt: backfill ? now : new Date(now.getTime() + SUBSCRIPTION_REFRESH_INTERVAL_MS)
+      });
+
+      if (backfill) kickPoller();
+
+      const { seenEntries, ...data } = subscription.toObject();
+      res.status(201).json({
+        success: true,
+        message: backfill
+          ? 'Subscribed. Entries already in the feed are being saved'
+          : 'Subscribed. New entries will be saved as they are published',
+        data: { ...data, entryCount: feed.entries.length }
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating subscription:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already follow this feed'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the user's feed subscriptions
+   * GET /api/subscriptions
+   */
+  async getSubscriptions(req, res) {
+    try {
+      const subscriptions = await FeedSubscription.find({ userId: req.user.id }).sort({ createdAt: -1 }).lean();
+
+      res.json({
+        success: true,
+        data: subscriptions
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting subscriptions:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get subscriptions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one subscription
+   * GET /api/subscriptions/:id
+   */
+  async getSubscriptionById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid subscription ID'
+        });
+      }
+
+      const subscription = await FeedSubscription.findOne({ _id: id, userId: req.user.id }).lean();
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: subscription
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting subscription:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a subscription's title or tags, or pause and resume it.
+   * Resuming clears the error count and fetches the feed right away.
+   * PUT /api/subscriptions/:id
+   */
+  async updateSubscription(req, res) {
+    try {
+      const { id } = req.params;
+      const { title, isActive } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid subscription ID'
+        });
+      }
+
+      const set = {};
+      const errors = [];
+      if (title !== undefined) {
+        if (typeof title !== 'string') errors.push('title must be a string');
+        else set.title = title.trim();
+      }
+      if (req.body.tags !== undefined) {
+        const tagResult = readTags(req.body.tags);
+        if (tagResult.error) errors.push(tagResult.error);
+        else set.tags = tagResult.tags;
+      }
+      if (isActive !== undefined) {
+        if (typeof isActive !== 'boolean') {
+          errors.push('isActive must be a boolean');
+        } else {
+          set.isActive = isActive;
+          if (isActive) {
+            Object.assign(set, { consecutiveErrors: 0, lastError: null, nextFetchAt: new Date() });
+          }
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const subscription = await FeedSubscription.findOneAndUpdate(
+        { _id: id, userId: req.user.id },
+        { $set: set },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+
+      if (set.isActive === true) kickPoller();
+
+      res.json({
+        success: true,
+        message: 'Subscription updated successfully',
+        data: subscription
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating subscription:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Unsubscribe; links already saved from the feed stay in the library
+   * DELETE /api/subscriptions/:id
+   */
+  async deleteSubscription(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid subscription ID'
+        });
+      }
+
+      const subscription = await FeedSubscription.findOneAndDelete({ _id: id, userId: req.user.id });
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Unsubscribed successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting subscription:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete subscription',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fetch a feed now instead of waiting for its next scheduled fetch
+   * POST /api/subscriptions/:id/poll
+   */
+  async pollNow(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid subscription ID'
+        });
+      }
+
+      const subscription = await FeedSubscription.findOne({ _id: id, userId: req.user.id }).select('isActive').lean();
+      if (!subscription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Subscription not found'
+        });
+      }
+      if (!subscription.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: 'Subscription is paused; resume it to fetch the feed'
+        });
+      }
+
+      await FeedSubscription.updateOne({ _id: id }, { $set: { nextFetchAt: new Date() } });
+      kickPoller();
+
+      res.status(202).json({
+        success: true,
+        message: 'Feed fetch queued'
+      });
+
+    } catch (error) {
+      console.error('❌ Error queueing feed fetch:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue feed fetch',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SubscriptionsController();
@@ -0,0 +1,359 @@
+const Link = require('../models/Links');
+const Fav = require('../models/Favs');
+const LinkTag = require('../models/LinkTag');
+const Collection = require('../models/Collection');
+const SyncTombstone = require('../models/SyncTombstone');
+const mongoose = require('mongoose');
+const { normalizeUrl, urlDedupeKey } = require('../utils/url');
+const { syncLinkTags, setLinkFavorite, softDeleteLink } = require('../utils/linkOperations');
+const { recordRevision } = require('../utils/linkHistory');
+const { captureSnapshotInBackground } = require('../utils/linkSnapshots');
+const { buildReadingUpdate } = require('../utils/readingState');
+const { toSortSpec, decodeCursor, buildCursorFilter, finishPage } = require('../utils/pagination');
+const {
+  SYNC_TOMBSTONE_RETENTION_DAYS,
+  SYNC_PAGE_SIZE,
+  SYNC_MAX_PUSH_CHANGES,
+  SYNC_CLOCK_SKEW_MS
+} = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Link fields a device may change
+const PUSHABLE_FIELDS = ['title', 'description', 'notes', 'tags', 'linkType', 'collectionId'];
+// Links are paged in (syncedAt, _id) order, so links written in the same millisecond are never split
+const LINK_SYNC_SPEC = toSortSpec({ syncedAt: 1 });
+
+/**
+ * Sync tokens are opaque to clients. They wrap the server time the next sync
+ * starts from and, while more links are left, a cursor after the last link sent.
+ */
+const encodeSyncToken = (date, cursor = null) => Buffer.from(JSON.stringify({
+  t: date.getTime(),
+  ...(cursor ? { c: cursor } : {})
+})).toString('base64url');
+
+/**
+ * @returns {{since: Date, cursor: (string|null)}|null}
+ */
+const decodeSyncToken = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!payload || !Number.isFinite(payload.t)) return null;
+    if (payload.c !== undefined && typeof payload.c !== 'string') return null;
+    return { since: new Date(payload.t), cursor: payload.c || null };
+  } catch (e) {
+    return null;
+  }
+};
+
+const normalizeTags = (tags) => ({
+  tags: Array.from(new Set(tags.map(tag => String(tag).trim()))).filter(tag => tag.length > 0),
+  tagsNormalized: Array.from(new Set(tags.map(tag => String(tag).trim().toLowerCase()))).filter(tag => tag.length > 0)
+});
+
+/**
+ * Build the $set for the fields a device changed, or return an error message
+ */
+async function buildLinkChanges(userId, data, current = {}) {
+  const set = {};
+  for (const field of PUSHABLE_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (field === 'tags') {
+      if (!Array.isArray(data.tags)) return { error: 'tags must be an array' };
+      Object.assign(set, normalizeTags(data.tags));
+    } else if (field === 'collectionId') {
+      if (data.collectionId === null || data.collectionId === '') {
+        set.collectionId = null;
+      } else if (!mongoose.Types.ObjectId.isValid(data.collectionId) || !(await Collection.exists({ _id: data.collectionId, userId }))) {
+        return { error: 'Collection not found' };
+      } else {
+        set.collectionId = data.collectionId;
+      }
+    } else {
+      set[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    }
+  }
+
+  if (data.reading !== undefined) {
+    const { set: readingSet, error } = buildReadingUpdate(current.reading || {}, data.reading || {});
+    if (error) return { error };
+    Object.assign(set, readingSet);
+  }
+
+  return { set };
+}
+
+const validationMessage = (error) => (error.name === 'ValidationError'
+  ? Object.values(error.errors).map(err => err.message).join(', ')
+  : error.message);
+
+/**
+ * Apply one change pushed by a device.
+ * Updates and deletes follow last-writer-wins on the device's modifiedAt:
+ * when the server copy changed later, the change is rejected as a conflict
+ * and the server copy is returned.
+ * @returns {Promise<object>} Result entry for the response
+ */
+async function applyChange(userId, change) {
+  const { type, action, id, clientId, linkId, data = {} } = change || {};
+  const base = { type, action, ...(clientId !== undefined ? { clientId } : {}) };
+
+  const modifiedAt = new Date(change && change.modifiedAt);
+  if (Number.isNaN(modifiedAt.getTime())) {
+    return { ...base, status: 'invalid', error: 'modifiedAt must be a valid ISO date' };
+  }
+  // A device clock running ahead must not win every conflict
+  if (modifiedAt.getTime() > Date.now()) modifiedAt.setTime(Date.now());
+
+  if (type === 'link' && action === 'create') {
+    const url = typeof data.url === 'string' ? normalizeUrl(data.url) : '';
+    if (!url) return { ...base, status: 'invalid', error: 'data.url is required' };
+
+    const existing = await Link.findOne({ userId, urlKey: urlDedupeKey(url), isActive: true }).lean();
+    if (existing) {
+      return { ...base, status: 'duplicate', id: existing._id, server: existing };
+    }
+
+    const { set, error } = await buildLinkChanges(userId, data);
+    if (error) return { ...base, status: 'invalid', error };
+
+    try {
+      const link = await Link.create({ userId, url, ...set });
+      await syncLinkTags(userId, link);
+      if (data.isFavorite === true) await setLinkFavorite(userId, link, true);
+      captureSnapshotInBackground(link);
+      return { ...base, status: 'applied', id: link._id, link };
+    } catch (err) {
+      if (err && err.code === 11000) {
+        const saved = await Link.findOne({ userId, urlKey: urlDedupeKey(url), isActive: true }).lean();
+        return { ...base, status: 'duplicate', id: saved && saved._id, server: saved };
+      }
+      if (err.name === 'ValidationError') return { ...base, status: 'invalid', error: validationMessage(err) };
+      throw err;
+    }
+  }
+
+  if (type === 'link' && (action === 'update' || action === 'delete')) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return { ...base, status: 'invalid', error: 'Invalid link ID' };
+    const current = await Link.findOne({ _id: id, userId }).lean();
+    if (!current) return { ...base, id, status: 'not_found' };
+
+    if (action === 'delete') {
+      if (!current.isActive) return { ...base, id, status: 'applied' };
+      if (current.updatedAt > modifiedAt) return { ...base, id, status: 'conflict', server: current };
+      await softDeleteLink(userId, current);
+      return { ...base, id, status: 'applied' };
+    }
+
+    if (!current.isActive) return { ...base, id, status: 'conflict', error: 'Link was deleted', server: current };
+    if (current.updatedAt > modifiedAt) return { ...base, id, status: 'conflict', server: current };
+
+    const { set, error } = await buildLinkChanges(userId, data, current);
+    if (error) return { ...base, id, status: 'invalid', error };
+    if (Object.keys(set).length === 0) return { ...base, id, status: 'applied', link: current };
+
+    try {
+      const updated = await Link.findOneAndUpdate(
+        { _id: id, userId, isActive: true, updatedAt: current.updatedAt },
+        { $set: set },
+        { new: true, runValidators: true }
+      );
+      if (!updated) {
+        // Changed on the server while we were applying this one
+        const server = await Link.findById(id).lean();
+        return { ...base, id, status: 'conflict', server };
+      }
+      if (set.tagsNormalized) await syncLinkTags(userId, updated);
+      await recordRevision(userId, current, updated);
+      return { ...base, id, status: 'applied', link: updated };
+    } catch (err) {
+      if (err.name === 'ValidationError' || err.name === 'CastError') return { ...base, id, status: 'invalid', error: validationMessage(err) };
+      throw err;
+    }
+  }
+
+  if (type === 'favourite' && (action === 'add' || action === 'remove')) {
+    if (!mongoose.Types.ObjectId.isValid(linkId)) return { ...base, status: 'invalid', error: 'Invalid link ID' };
+    const link = await Link.findOne({ _id: linkId, userId, isActive: true });
+    if (!link) return { ...base, linkId, status: 'not_found' };
+
+    if (action === 'add') {
+      const removed = await SyncTombstone.findOne({ userId, entity: 'favourite', linkId, deletedAt: { $gt: modifiedAt } }).lean();
+      if (removed && !link.isFavorite) return { ...base, linkId, status: 'conflict', server: { linkId, isFavorite: false, removedAt: removed.deletedAt } };
+    } else {
+      const fav = await Fav.findOne({ userId, linkId }).lean();
+      if (fav && fav.createdAt > modifiedAt) return { ...base, linkId, status: 'conflict', server: { linkId, isFavorite: true, favoritedAt: fav.favoritedAt } };
+    }
+
+    await setLinkFavorite(userId, link, action === 'add');
+    return { ...base, linkId, status: 'applied' };
+  }
+
+  return { ...base, status: 'invalid', error: 'Unsupported change; expected link create/update/delete or favourite add/remove' };
+}
+
+/**
+ * Sync Controller - Delta sync for offline-capable clients
+ * All operations are user-specific
+ */
+class SyncController {
+
+  /**
+   * Changes since a sync token: links, favourites and tags, with deletion markers.
+   * Without a token the response is a full sync of active data.
+   * GET /api/sync?since=<token>
+   */
+  async pullChanges(req, res) {
+    try {
+      const userId = req.user.id;
+      const { since } = req.query;
+
+      let sinceDate = null;
+      let linkCursor = null;
+      if (since) {
+        const decoded = decodeSyncToken(since);
+        const position = decoded && decoded.cursor ? decodeCursor(decoded.cursor, LINK_SYNC_SPEC) : null;
+        if (!decoded || (position && position.error)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid sync token'
+          });
+        }
+        sinceDate = decoded.since;
+        if (position) linkCursor = buildCursorFilter(LINK_SYNC_SPEC, position.values);
+        if (sinceDate.getTime() < Date.now() - SYNC_TOMBSTONE_RETENTION_DAYS * DAY_MS) {
+          return res.status(410).json({
+            success: false,
+            message: 'Sync token has expired, do a full sync',
+            fullSyncRequired: true
+          });
+        }
+      }
+      const fullSync = !sinceDate;
+
+      // Stop a little short of now so writes still in flight land in the next window
+      const until = new Date(Date.now() - SYNC_CLOCK_SKEW_MS);
+      const inWindow = (field) => ({ [field]: { ...(sinceDate ? { $gte: sinceDate } : {}), $lt: until } });
+
+      // Links are windowed on syncedAt, the server time of their last write; links
+      // not written since syncedAt was introduced have none and only show up in a full sync.
+      // A token with a cursor carries on where the previous page stopped.
+      const beforeUntil = { syncedAt: { $not: { $gte: until } } };
+      let linkFilter;
+      if (linkCursor) linkFilter = { $and: [linkCursor, beforeUntil] };
+      else if (fullSync) linkFilter = { ...beforeUntil, isActive: true };
+      else linkFilter = inWindow('syncedAt');
+
+      const rows = await Link.find({ userId, ...linkFilter })
+        .sort({ syncedAt: 1, _id: 1 })
+        .limit(SYNC_PAGE_SIZE + 1)
+        .lean();
+      const { items: links, hasNext: hasMore, nextCursor } = finishPage(rows, SYNC_PAGE_SIZE, LINK_SYNC_SPEC);
+
+      const [favs, createdTags, tombstones] = await Promise.all([
+        Fav.find({ userId, ...inWindow('createdAt') }).select('linkId favoritedAt createdAt').lean(),
+        LinkTag.find({ userId, ...inWindow('createdAt') }).distinct('tagName'),
+        fullSync ? [] : SyncTombstone.find({ userId, ...inWindow('deletedAt') }).lean()
+      ]);
+
+      const tagNames = new Set(createdTags);
+      for (const t of tombstones) {
+        if (t.entity === 'tag' && t.tagName) tagNames.add(t.tagName);
+      }
+      const tagCounts = tagNames.size === 0 ? [] : await LinkTag.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), tagName: { $in: Array.from(tagNames) } } },
+        { $group: { _id: '$tagName', count: { $sum: 1 } } }
+      ]);
+      const counted = new Map(tagCounts.map(t => [t._id, t.count]));
+
+      const favLinkIds = new Set(favs.map(f => String(f.linkId)));
+      res.json({
+        success: true,
+        data: {
+          fullSync,
+          links: {
+            upserted: links.filter(link => link.isActive),
+            deleted: [
+              ...links.filter(link => !link.isActive).map(link => ({ id: link._id, deletedAt: link.deletedAt || link.updatedAt, trashed: true })),
+              ...tombstones.filter(t => t.entity === 'link').map(t => ({ id: t.entityId, deletedAt: t.deletedAt, trashed: false }))
+            ]
+          },
+          favourites: {
+            upserted: favs.map(f => ({ id: f._id, linkId: f.linkId, favoritedAt: f.favoritedAt })),
+            // A row removed and re-added in the same window is only reported as added
+            deleted: tombstones
+              .filter(t => t.entity === 'favourite' && !favLinkIds.has(String(t.linkId)))
+              .map(t => ({ id: t.entityId, linkId: t.linkId, deletedAt: t.deletedAt }))
+          },
+          tags: {
+            upserted: Array.from(tagNames).filter(name => counted.has(name)).map(name => ({ name, count: counted.get(name) })),
+            deleted: Array.from(tagNames).filter(name => !counted.has(name))
+          },
+          hasMore,
+          syncToken: encodeSyncToken(until, nextCursor)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error pulling sync changes:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get changes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Apply a batch of changes made on a device, in order.
+   * Each change is reported as applied, conflict (server copy returned),
+   * duplicate, not_found or invalid; one bad change does not stop the rest.
+   * POST /api/sync
+   */
+  async pushChanges(req, res) {
+    try {
+      const userId = req.user.id;
+      const { changes } = req.body || {};
+
+      if (!Array.isArray(changes) || changes.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'changes must be a non-empty array'
+        });
+      }
+      if (changes.length > SYNC_MAX_PUSH_CHANGES) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${SYNC_MAX_PUSH_CHANGES} changes can be pushed at once`
+        });
+      }
+
+      const results = [];
+      for (const [index, change] of changes.entries()) {
+        try {
+          results.push({ index, ...(await applyChange(userId, change)) });
+        } catch (error) {
+          console.error('❌ Error applying sync change:', index, error.message);
+          results.push({ index, type: change && change.type, action: change && change.action, status: 'error', error: error.message });
+        }
+      }
+
+      const summary = results.reduce((out, r) => ({ ...out, [r.status]: (out[r.status] || 0) + 1 }), {});
+      res.json({
+        success: true,
+        message: `Applied ${summary.applied || 0} of ${changes.length} changes`,
+        data: { results, summary }
+      });
+
+    } catch (error) {
+      console.error('❌ Error pushing sync changes:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to apply changes',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SyncController();
@@ -0,0 +1,196 @@
+const Link = require('../models/Links');
+const mongoose = require('mongoose');
+const { TRASH_RETENTION_DAYS } = require('../config/constants');
+const { restoreLink, purgeLinks } = require('../utils/linkOperations');
+const { emitLinkEvent } = require('../utils/webhooks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed link will be purged automatically.
+ * Links deleted before deletedAt existed fall back to updatedAt.
+ */
+const purgeDateFor = (link) => {
+  const deletedAt = link.deletedAt || link.updatedAt;
+  return deletedAt ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS) : null;
+};
+
+/**
+ * Trash Controller - List, restore and permanently delete soft-deleted links
+ * All operations are user-specific
+ */
+class TrashController {
+
+  /**
+   * List links in the trash, most recently deleted first
+   * GET /api/links/trash
+   */
+  async getTrash(req, res) {
+    try {
+      const userId = req.user.id;
+      const { page = 1, limit = 10 } = req.query;
+
+      const filter = { userId, isActive: false };
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [links, totalCount] = await Promise.all([
+        Link.find(filter)
+          .sort({ deletedAt: -1, updatedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        Link.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: links.map(link => ({ ...link, purgeAt: purgeDateFor(link) })),
+        retentionDays: TRASH_RETENTION_DAYS,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting trash:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get trash',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Restore a link from the trash, rebuilding its tags and favourite state
+   * POST /api/links/trash/:id/restore
+   */
+  async restoreFromTrash(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const link = await Link.findOne({ _id: id, userId, isActive: false });
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found in trash'
+        });
+      }
+
+      const result = await restoreLink(userId, link);
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: 'This URL has been saved again since it was deleted. Delete or edit the saved copy before restoring.',
+          data: {
+            trashedLink: link,
+            conflictingLink: result.conflict
+          }
+        });
+      }
+
+      console.log('✅ Link restored from trash:', link._id);
+
+      res.json({
+        success: true,
+        message: 'Link restored successfully',
+        data: result.link
+      });
+
+      void emitLinkEvent(userId, 'link.created', result.link);
+
+    } catch (error) {
+      console.error('❌ Error restoring link:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Permanently delete one link from the trash
+   * DELETE /api/links/trash/:id
+   */
+  async purgeFromTrash(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid link ID'
+        });
+      }
+
+      const purged = await purgeLinks({ _id: id, userId, isActive: false });
+      if (purged === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Link not found in trash'
+        });
+      }
+
+      console.log('✅ Link permanently deleted:', id);
+
+      res.json({
+        success: true,
+        message: 'Link permanently deleted'
+      });
+
+    } catch (error) {
+      console.error('❌ Error purging link:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to permanently delete link',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Permanently delete everything in the user's trash
+   * DELETE /api/links/trash
+   */
+  async emptyTrash(req, res) {
+    try {
+      const userId = req.user.id;
+
+      const purged = await purgeLinks({ userId, isActive: false });
+
+      console.log(`✅ Trash emptied for ${userId}:`, purged, 'links');
+
+      res.json({
+        success: true,
+        message: 'Trash emptied successfully',
+        data: { deletedCount: purged }
+      });
+
+    } catch (error) {
+      console.error('❌ Error emptying trash:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to empty trash',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new TrashController();
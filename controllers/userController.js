@@ -9,8 +9,19 @@ const Links = require('../models/Links');
 const Favs = require('../models/Favs');
 const LinkTag = require('../models/LinkTag');
 const OTP = require('../models/OTP');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const FeedSubscription = require('../models/FeedSubscription');
+const Collection = require('../models/Collection');
+const LinkRevision = require('../models/LinkRevision');
+const Reminder = require('../models/Reminder');
+const SyncTombstone = require('../models/SyncTombstone');
+const IdempotencyKey = require('../models/IdempotencyKey');
 const { sendOTPEmail } = require('../utils/emailService');
 const { sendOTPSMS, validatePhoneNumber } = require('../utils/smsService');
+const { deleteStoredFiles } = require('../utils/fileItems');
+const { deleteScreenshots } = require('../utils/linkScreenshots');
+const { deleteSnapshots } = require('../utils/linkSnapshots');
 
 const sanitizeUser = (user) => {
   if (!user) return null;
@@ -230,12 +241,33 @@ const deleteAccount = async (req, res) => {
       }
     }
 
+    const storedLinks = await Links.find({
+      userId,
+      $or: [
+        { 'file.storageKey': { $exists: true } },
+        { 'screenshot.storageKey': { $exists: true } },
+        { 'snapshot.storageKey': { $exists: true } }
+      ]
+    }).select('file.storageKey screenshot.storageKey snapshot.storageKey').lean();
+
+    // No sync tombstones: the account and its devices are going away
     await Promise.all([
-      Links.deleteMany({ userId }),
-      Favs.deleteMany({ userId }),
-      LinkTag.deleteMany({ userId })
+      Links.deleteMany({ userId }, { syncTombstones: false }),
+      Favs.deleteMany({ userId }, { syncTombstones: false }),
+      LinkTag.deleteMany({ userId }, { syncTombstones: false }),
+      Webhook.deleteMany({ userId }),
+      WebhookDelivery.deleteMany({ userId }),
+      FeedSubscription.deleteMany({ userId }),
+      Collection.deleteMany({ userId }),
+      LinkRevision.deleteMany({ userId }),
+      Reminder.deleteMany({ userId }),
+      SyncTombstone.deleteMany({ userId }),
+      IdempotencyKey.deleteMany({ userId })
     ]);
 
+    await deleteStoredFiles(storedLinks.map(link => link.file?.storageKey).filter(Boolean));
+    await deleteScreenshots(storedLinks.map(link => link.screenshot?.storageKey).filter(Boolean));
+    await deleteSnapshots(storedLinks.map(link => link.snapshot?.storageKey).filter(Boolean));
     await User.findByIdAndDelete(userId);
 
     res.status(200).json({
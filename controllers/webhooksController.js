@@ -0,0 +1,481 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const mongoose = require('mongoose');
+const { checkOutboundUrl } = require('../utils/netGuard');
+const { generateWebhookSecret } = require('../utils/webhooks');
+const { runWebhookDispatcher } = require('../jobs/webhookDispatcher');
+const { WEBHOOK_EVENTS, WEBHOOK_MAX_PER_USER } = require('../config/constants');
+
+const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'failed'];
+
+/**
+ * Validate the webhook fields present in the request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Only validate the fields that were sent (updates)
+ * @returns {{errors: string[], fields: object}}
+ */
+const readWebhookFields = (body = {}, partial = false) => {
+  const errors = [];
+  const fields = {};
+
+  if (!partial || body.url !== undefined) {
+    const checked = checkOutboundUrl(body.url);
+    if (checked.error) {
+      errors.push(`url: ${checked.error}`);
+    } else {
+      fields.url = checked.url.href;
+    }
+  }
+
+  if (!partial || body.events !== undefined) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events.map(e => String(e).trim()))] : [];
+    const invalid = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (events.length === 0) {
+      errors.push('events must be a non-empty array');
+    } else if (invalid.length > 0) {
+      errors.push(`Unknown events: ${invalid.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`);
+    } else {
+      fields.events = events;
+    }
+  }
+
+  if (body.description !== undefined && body.description !== null) {
+    if (typeof body.description !== 'string') {
+      errors.push('description must be a string');
+    } else {
+      fields.description = body.description.trim();
+    }
+  }
+
+  if (partial && body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean');
+    } else {
+      fields.isActive = body.isActive;
+    }
+  }
+
+  return { errors, fields };
+};
+
+/**
+ * Webhooks Controller - User-registered endpoints for link events
+ * Deliveries are sent by jobs/webhookDispatcher; all operations are user-specific
+ */
+class WebhooksController {
+
+  /**
+   * Register a webhook. The signing secret is only returned here and by rotate-secret.
+   * POST /api/webhooks
+   */
+  async createWebhook(req, res) {
+    try {
+      const userId = req.user.id;
+      const { errors, fields } = readWebhookFields(req.body);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const count = await Webhook.countDocuments({ userId });
+      if (count >= WEBHOOK_MAX_PER_USER) {
+        return res.status(400).json({
+          success: false,
+          message: `You can register up to ${WEBHOOK_MAX_PER_USER} webhooks`
+        });
+      }
+
+      const webhook = await Webhook.create({ ...fields, userId, secret: generateWebhookSecret() });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully. Store the secret now; it will not be shown again',
+        data: webhook.toObject()
+      });
+
+    } catch (error) {
+      console.error('❌ Error creating webhook:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the user's webhooks
+   * GET /api/webhooks
+   */
+  async getWebhooks(req, res) {
+    try {
+      const webhooks = await Webhook.find({ userId: req.user.id }).sort({ createdAt: -1 }).lean();
+
+      res.json({
+        success: true,
+        data: webhooks,
+        supportedEvents: WEBHOOK_EVENTS
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting webhooks:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get webhooks',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get one webhook
+   * GET /api/webhooks/:id
+   */
+  async getWebhookById(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook ID'
+        });
+      }
+
+      const webhook = await Webhook.findOne({ _id: id, userId: req.user.id }).lean();
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: webhook
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting webhook:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a webhook's URL, events, description or active flag.
+   * Re-enabling a webhook resets its failure count.
+   * PUT /api/webhooks/:id
+   */
+  async updateWebhook(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook ID'
+        });
+      }
+
+      const { errors, fields } = readWebhookFields(req.body, true);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+      if (fields.isActive === true) {
+        fields.consecutiveFailures = 0;
+      }
+
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: id, userId: req.user.id },
+        { $set: fields },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: webhook
+      });
+
+    } catch (error) {
+      console.error('❌ Error updating webhook:', error.message);
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook with its queued deliveries and delivery log
+   * DELETE /api/webhooks/:id
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook ID'
+        });
+      }
+
+      const webhook = await Webhook.findOneAndDelete({ _id: id, userId });
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      await WebhookDelivery.deleteMany({ webhookId: webhook._id, userId });
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting webhook:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete webhook',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace a webhook's signing secret; deliveries sent from now on use the new one
+   * POST /api/webhooks/:id/rotate-secret
+   */
+  async rotateSecret(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook ID'
+        });
+      }
+
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: id, userId: req.user.id },
+        { $set: { secret: generateWebhookSecret() } },
+        { new: true, projection: { secret: 1, url: 1, events: 1 } }
+      ).lean();
+
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook secret rotated. Store the new secret now; it will not be shown again',
+        data: webhook
+      });
+
+    } catch (error) {
+      console.error('❌ Error rotating webhook secret:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to rotate webhook secret',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * GET /api/webhooks/:id/deliveries
+   */
+  async getDeliveries(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.id;
+      const { page = 1, limit = 20, status, event } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook ID'
+        });
+      }
+
+      const exists = await Webhook.exists({ _id: id, userId });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+
+      const filter = { webhookId: id, userId };
+
+      if (status) {
+        const statuses = String(status).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        const invalid = statuses.filter(s => !DELIVERY_STATUSES.includes(s));
+        if (invalid.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+          });
+        }
+        filter.status = { $in: statuses };
+      }
+
+      if (event) {
+        if (!WEBHOOK_EVENTS.includes(event)) {
+          return res.status(400).json({
+            success: false,
+            message: `event must be one of: ${WEBHOOK_EVENTS.join(', ')}`
+          });
+        }
+        filter.event = event;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [deliveries, totalCount] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        WebhookDelivery.countDocuments(filter)
+      ]);
+      const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+      res.json({
+        success: true,
+        data: deliveries.map(({ payload, ...delivery }) => ({ ...delivery, payload: JSON.parse(payload) })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('❌ Error getting webhook deliveries:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get webhook deliveries',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send a logged delivery again as a new delivery with the same event and payload
+   * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+   */
+  async redeliver(req, res) {
+    try {
+      const { id, deliveryId } = req.params;
+      const userId = req.user.id;
+
+      if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(deliveryId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook or delivery ID'
+        });
+      }
+
+      const webhook = await Webhook.findOne({ _id: id, userId }).select('isActive').lean();
+      if (!webhook) {
+        return res.status(404).json({
+          success: false,
+          message: 'Webhook not found'
+        });
+      }
+      if (!webhook.isActive) {
+        return res.status(409).json({
+          success: false,
+          message: 'Webhook is disabled; enable it before redelivering'
+        });
+      }
+
+      const original = await WebhookDelivery.findOne({ _id: deliveryId, webhookId: id, userId }).lean();
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          message: 'Delivery not found'
+        });
+      }
+
+      const delivery = await WebhookDelivery.create({
+        userId,
+        webhookId: original.webhookId,
+        event: original.event,
+        eventId: original.eventId,
+        payload: original.payload
+      });
+      setImmediate(() => { runWebhookDispatcher().catch(() => {}); });
+
+      const { payload, ...data } = delivery.toObject();
+      res.status(202).json({
+        success: true,
+        message: 'Delivery queued',
+        data: { ...data, payload: JSON.parse(payload) }
+      });
+
+    } catch (error) {
+      console.error('❌ Error redelivering webhook:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to redeliver webhook',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new WebhooksController();
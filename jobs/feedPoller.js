@@ -0,0 +1,177 @@
+/**
+ * Feed poller
+ * Fetches the feeds users subscribe to and saves new entries as links.
+ *
+ * Requests are conditional (If-None-Match / If-Modified-Since), so an
+ * unchanged feed costs a 304. A feed that fails is retried with exponential
+ * backoff (calculateBackoffDelay from SUBSCRIPTION_REFRESH_INTERVAL_MS up to
+ * SUBSCRIPTION_MAX_BACKOFF_MS) and turned off after SUBSCRIPTION_MAX_ERRORS
+ * failures in a row, or at once when the server answers 410 Gone.
+ *
+ * Feeds are claimed by atomically setting `lockedAt`, so overlapping runs
+ * or several server instances never fetch the same feed at once.
+ */
+
+const FeedSubscription = require('../models/FeedSubscription');
+const { fetchFeed, saveNewEntries } = require('../utils/feedSubscriptions');
+const { parseFeed } = require('../utils/feedParser');
+const { calculateBackoffDelay } = require('../utils/helpers');
+const {
+  SUBSCRIPTION_POLL_INTERVAL_MS,
+  SUBSCRIPTION_REFRESH_INTERVAL_MS,
+  SUBSCRIPTION_MAX_BACKOFF_MS,
+  SUBSCRIPTION_MAX_ERRORS,
+  SUBSCRIPTION_LOCK_TIMEOUT_MS,
+  SUBSCRIPTION_MAX_NEW_ENTRIES,
+  SUBSCRIPTION_BATCH_SIZE
+} = require('../config/constants');
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+/**
+ * Claim the next due feed, or one whose claim was left behind by a crashed run
+ */
+function claimNextSubscription() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - SUBSCRIPTION_LOCK_TIMEOUT_MS);
+  return FeedSubscription.findOneAndUpdate(
+    {
+      isActive: true,
+      nextFetchAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lte: staleBefore } }]
+    },
+    { $set: { lockedAt: now } },
+    { new: true, sort: { nextFetchAt: 1 } }
+  ).select('+seenEntries');
+}
+
+/**
+ * Fetch one claimed feed and record the outcome
+ * @returns {Promise<object>} { status: 'updated'|'not_modified'|'error'|'disabled', saved }
+ */
+async function pollSubscription(subscription) {
+  const claim = { _id: subscription._id, lockedAt: subscription.lockedAt };
+  const now = new Date();
+
+  try {
+    const response = await fetchFeed(subscription.feedUrl, {
+      etag: subscription.etag,
+      lastModified: subscription.lastModified
+    });
+
+    const set = {
+      lockedAt: null,
+      lastFetchedAt: now,
+      lastSuccessAt: now,
+      lastStatus: response.status,
+      lastError: null,
+      consecutiveErrors: 0,
+      nextFetchAt: new Date(now.getTime() + SUBSCRIPTION_REFRESH_INTERVAL_MS)
+    };
+
+    if (response.notModified) {
+      await FeedSubscription.updateOne(claim, { $set: set });
+      return { status: 'not_modified', saved: 0 };
+    }
+
+    const feed = parseFeed(response.body, response.finalUrl);
+    if (!feed) {
+      throw new Error('Response is not an RSS, Atom or JSON feed');
+    }
+
+    const result = await saveNewEntries(subscription, feed.entries);
+
+    Object.assign(set, {
+      etag: response.etag,
+      lastModified: response.lastModified,
+      format: feed.format
+    });
+    if (!subscription.title && feed.title) set.title = feed.title.slice(0, 200);
+    if (feed.siteUrl) set.siteUrl = feed.siteUrl;
+    // Entries left over or failed this time are picked up on the next fetch, which must not be a 304
+    if (result.failed > 0 || result.saved >= SUBSCRIPTION_MAX_NEW_ENTRIES) {
+      set.etag = null;
+      set.lastModified = null;
+    }
+
+    await FeedSubscription.updateOne(claim, { $set: set });
+    return { status: 'updated', saved: result.saved };
+  } catch (error) {
+    const consecutiveErrors = (subscription.consecutiveErrors || 0) + 1;
+    const gone = error.status === 410;
+    const disable = gone || consecutiveErrors >= SUBSCRIPTION_MAX_ERRORS;
+
+    await FeedSubscription.updateOne(claim, {
+      $set: {
+        lockedAt: null,
+        lastFetchedAt: now,
+        lastStatus: error.status || null,
+        lastError: gone ? 'Feed no longer exists (HTTP 410)' : error.message,
+        consecutiveErrors,
+        isActive: !disable,
+        nextFetchAt: new Date(now.getTime() + calculateBackoffDelay(consecutiveErrors - 1, {
+          baseDelay: SUBSCRIPTION_REFRESH_INTERVAL_MS,
+          maxDelay: SUBSCRIPTION_MAX_BACKOFF_MS
+        }))
+      }
+    });
+
+    console.error(`❌ Feed fetch failed (${consecutiveErrors} in a row${disable ? ', turned off' : ''}):`, subscription.feedUrl, error.message);
+    return { status: disable ? 'disabled' : 'error', saved: 0 };
+  }
+}
+
+/**
+ * Fetch every feed that is due, up to SUBSCRIPTION_BATCH_SIZE per run.
+ * A call made while a run is in progress schedules one more run afterwards.
+ * @returns {Promise<object|null>} Summary, or null when a run was already in progress
+ */
+async function runFeedPoller() {
+  if (running) {
+    rerun = true;
+    return null;
+  }
+  running = true;
+  const summary = { feeds: 0, updated: 0, not_modified: 0, error: 0, disabled: 0, saved: 0 };
+  try {
+    for (let i = 0; i < SUBSCRIPTION_BATCH_SIZE; i++) {
+      const subscription = await claimNextSubscription();
+      if (!subscription) break;
+      const result = await pollSubscription(subscription);
+      summary.feeds += 1;
+      summary[result.status] += 1;
+      summary.saved += result.saved;
+    }
+
+    if (summary.feeds > 0) {
+      console.log(`📰 Feeds: ${summary.feeds} fetched, ${summary.not_modified} unchanged, ${summary.error + summary.disabled} failed, ${summary.saved} links saved`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Feed poller failed:', error.message);
+    return summary;
+  } finally {
+    running = false;
+    if (rerun) {
+      rerun = false;
+      setImmediate(() => { void runFeedPoller(); });
+    }
+  }
+}
+
+/**
+ * Run the poller now and then every SUBSCRIPTION_POLL_INTERVAL_MS
+ */
+function startFeedPoller() {
+  if (timer) return;
+  void runFeedPoller();
+  timer = setInterval(runFeedPoller, SUBSCRIPTION_POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  runFeedPoller,
+  startFeedPoller
+};
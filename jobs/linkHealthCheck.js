@@ -0,0 +1,148 @@
+/**
+ * Link health check job
+ * Periodically re-checks active links that have not been checked for
+ * LINK_CHECK_MAX_AGE_DAYS, oldest first, while staying polite to each domain:
+ * at most LINK_CHECK_MAX_PER_DOMAIN links per domain per run, and at least
+ * LINK_CHECK_DOMAIN_DELAY_MS between two requests to the same domain.
+ */
+
+const Link = require('../models/Links');
+const { checkLink } = require('../utils/linkHealth');
+const { sleep } = require('../utils/helpers');
+const {
+  LINK_CHECK_INTERVAL_MS,
+  LINK_CHECK_MAX_AGE_DAYS,
+  LINK_CHECK_BATCH_SIZE,
+  LINK_CHECK_DOMAIN_DELAY_MS,
+  LINK_CHECK_MAX_PER_DOMAIN
+} = require('../config/constants');
+
+let timer = null;
+let running = false;
+
+// Host of a link's url, lowercased and without "www.", read inside the query
+const DOMAIN_EXPRESSION = {
+  $let: {
+    vars: { found: { $regexFind: { input: '$url', regex: '^[a-z][a-z0-9+.-]*://(?:[^@/?#]*@)?(?:www\\.)?([^/:?#]+)', options: 'i' } } },
+    in: { $toLower: { $ifNull: [{ $arrayElemAt: ['$$found.captures', 0] }, ''] } }
+  }
+};
+
+const DUE_ORDER = { 'health.checkedAt': 1, createdAt: 1 };
+
+/**
+ * Pick the links to check this run, oldest check first. The per-domain cap
+ * is applied in the query ($group by host, $topN per group), so one large
+ * domain cannot crowd the other due links out of the batch.
+ */
+async function selectDueLinks() {
+  const cutoff = new Date(Date.now() - LINK_CHECK_MAX_AGE_DAYS * 24 * 60 * 60 * 1000);
+  return Link.aggregate([
+    {
+      $match: {
+        isActive: true,
+        // Uploaded files are served from storage; there is no page to go missing
+        'file.storageKey': { $exists: false },
+        $or: [
+          { 'health.checkedAt': null },
+          { 'health.checkedAt': { $lte: cutoff } }
+        ]
+      }
+    },
+    {
+      $project: {
+        url: 1,
+        createdAt: 1,
+        'health.checkedAt': 1,
+        'health.consecutiveFailures': 1,
+        domain: DOMAIN_EXPRESSION
+      }
+    },
+    {
+      $group: {
+        _id: '$domain',
+        links: { $topN: { n: LINK_CHECK_MAX_PER_DOMAIN, sortBy: DUE_ORDER, output: '$$ROOT' } }
+      }
+    },
+    { $unwind: '$links' },
+    { $replaceWith: '$links' },
+    { $sort: DUE_ORDER },
+    { $limit: LINK_CHECK_BATCH_SIZE }
+  ]);
+}
+
+/**
+ * Order links round-robin across domains so consecutive requests
+ * go to different hosts whenever possible
+ */
+function interleaveByDomain(links) {
+  const queues = new Map();
+  for (const link of links) {
+    if (!queues.has(link.domain)) queues.set(link.domain, []);
+    queues.get(link.domain).push(link);
+  }
+  const ordered = [];
+  while (ordered.length < links.length) {
+    for (const queue of queues.values()) {
+      if (queue.length > 0) ordered.push(queue.shift());
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Check one batch of due links
+ * @returns {Promise<object>} Counts of results for the run
+ */
+async function runLinkHealthCheck() {
+  if (running) return null;
+  running = true;
+  const summary = { checked: 0, healthy: 0, redirected: 0, broken: 0, inconclusive: 0 };
+  try {
+    const links = interleaveByDomain(await selectDueLinks());
+    const lastRequestAt = new Map();
+
+    for (const link of links) {
+      const last = lastRequestAt.get(link.domain);
+      if (last) {
+        const wait = last + LINK_CHECK_DOMAIN_DELAY_MS - Date.now();
+        if (wait > 0) await sleep(wait);
+      }
+      lastRequestAt.set(link.domain, Date.now());
+
+      try {
+        const check = await checkLink(link);
+        summary.checked += 1;
+        summary[check.result] += 1;
+      } catch (error) {
+        console.error('❌ Link health check failed:', String(link._id), error.message);
+      }
+    }
+
+    if (summary.checked > 0) {
+      console.log('🩺 Link health check finished:', summary);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Link health check run failed:', error.message);
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run a check now and then every LINK_CHECK_INTERVAL_MS
+ */
+function startLinkHealthCheckJob() {
+  if (timer) return;
+  void runLinkHealthCheck();
+  timer = setInterval(runLinkHealthCheck, LINK_CHECK_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  selectDueLinks,
+  runLinkHealthCheck,
+  startLinkHealthCheckJob
+};
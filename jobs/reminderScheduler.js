@@ -0,0 +1,213 @@
+/**
+ * Reminder scheduler
+ * Delivers due link reminders by email, or by SMS for users who signed up
+ * with a phone number.
+ *
+ * A reminder is claimed by atomically moving it from `scheduled` to
+ * `sending`, so several server instances (or an overlapping run) never send
+ * the same reminder twice. The claim and the follow-up update both live in
+ * MongoDB, which keeps delivery consistent across restarts: a reminder left
+ * in `sending` by a crashed process is picked up again once its lock is
+ * older than REMINDER_LOCK_TIMEOUT_MS.
+ */
+
+const Reminder = require('../models/Reminder');
+const Link = require('../models/Links');
+const User = require('../models/User');
+const { sendLinkReminderEmail } = require('../utils/emailService');
+const { sendSMS } = require('../utils/smsService');
+const { calculateBackoffDelay } = require('../utils/helpers');
+const {
+  REMINDER_POLL_INTERVAL_MS,
+  REMINDER_LOCK_TIMEOUT_MS,
+  REMINDER_MAX_ATTEMPTS,
+  REMINDER_RETRY_BASE_MS,
+  REMINDER_RETRY_MAX_MS,
+  REMINDER_BATCH_SIZE
+} = require('../config/constants');
+
+const SMS_MAX_LENGTH = 300;
+
+let timer = null;
+let running = false;
+
+/**
+ * The first occurrence of a repeating reminder after `now`.
+ * Monthly reminders keep their day of month where possible (Jan 31 -> Feb 28 -> Mar 31).
+ * @param {Date} dueAt - Current occurrence
+ * @param {string} repeat - 'daily', 'weekly' or 'monthly'
+ * @param {Date} now
+ * @returns {Date}
+ */
+function nextOccurrence(dueAt, repeat, now = new Date()) {
+  const start = new Date(dueAt);
+  let next = new Date(start);
+  let step = 0;
+  while (next.getTime() <= now.getTime()) {
+    step += 1;
+    if (repeat === 'daily') {
+      next = new Date(start.getTime() + step * 24 * 60 * 60 * 1000);
+    } else if (repeat === 'weekly') {
+      next = new Date(start.getTime() + step * 7 * 24 * 60 * 60 * 1000);
+    } else {
+      const candidate = new Date(start);
+      candidate.setUTCDate(1);
+      candidate.setUTCMonth(start.getUTCMonth() + step);
+      const daysInMonth = new Date(Date.UTC(candidate.getUTCFullYear(), candidate.getUTCMonth() + 1, 0)).getUTCDate();
+      candidate.setUTCDate(Math.min(start.getUTCDate(), daysInMonth));
+      next = candidate;
+    }
+  }
+  return next;
+}
+
+/**
+ * Claim the next due reminder, or a stale claim left behind by a crashed run
+ */
+function claimNextReminder() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - REMINDER_LOCK_TIMEOUT_MS);
+  return Reminder.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'scheduled', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Send the reminder through the channel that matches how the user signed up
+ * @returns {Promise<string>} The channel used
+ */
+async function deliver(user, link, reminder) {
+  if (user.identifierType === 'phone') {
+    const lines = [`Reminder: ${link.title || link.url}`, link.url];
+    if (reminder.note) lines.push(reminder.note);
+    await sendSMS(user.identifier, lines.join('\n').slice(0, SMS_MAX_LENGTH));
+    return 'sms';
+  }
+
+  await sendLinkReminderEmail(user.identifier, {
+    fullName: user.fullName,
+    title: link.title,
+    url: link.url,
+    note: reminder.note
+  });
+  return 'email';
+}
+
+/**
+ * Deliver one claimed reminder and record the outcome.
+ * Every follow-up update is conditional on our claim, so a reminder that was
+ * cancelled or snoozed while being delivered keeps the user's change.
+ * @returns {Promise<string>} 'sent', 'retry', 'failed' or 'cancelled'
+ */
+async function processReminder(reminder) {
+  const claim = { _id: reminder._id, status: 'sending', lockedAt: reminder.lockedAt };
+
+  const [link, user] = await Promise.all([
+    Link.findOne({ _id: reminder.linkId, userId: reminder.userId }).select('title url isActive').lean(),
+    User.findById(reminder.userId).select('fullName identifier identifierType isActive').lean()
+  ]);
+
+  if (!link || !link.isActive || !user || user.isActive === false) {
+    await Reminder.updateOne(claim, {
+      $set: {
+        status: 'cancelled',
+        lockedAt: null,
+        lastError: !link || !link.isActive ? 'Link was deleted' : 'User not found'
+      }
+    });
+    return 'cancelled';
+  }
+
+  let channel;
+  try {
+    channel = await deliver(user, link, reminder);
+  } catch (error) {
+    const attempts = (reminder.attempts || 0) + 1;
+    const gaveUp = attempts >= REMINDER_MAX_ATTEMPTS;
+    await Reminder.updateOne(claim, {
+      $set: {
+        status: gaveUp ? 'failed' : 'scheduled',
+        attempts,
+        lastError: error.message,
+        lockedAt: null,
+        nextAttemptAt: new Date(Date.now() + calculateBackoffDelay(attempts - 1, {
+          baseDelay: REMINDER_RETRY_BASE_MS,
+          maxDelay: REMINDER_RETRY_MAX_MS
+        }))
+      }
+    });
+    console.error(`❌ Reminder delivery failed (attempt ${attempts}/${REMINDER_MAX_ATTEMPTS}):`, String(reminder._id), error.message);
+    return gaveUp ? 'failed' : 'retry';
+  }
+
+  const now = new Date();
+  const set = {
+    channel,
+    attempts: 0,
+    lastError: null,
+    lockedAt: null,
+    lastSentAt: now
+  };
+  if (reminder.repeat && reminder.repeat !== 'none') {
+    const next = nextOccurrence(reminder.dueAt, reminder.repeat, now);
+    Object.assign(set, { status: 'scheduled', dueAt: next, nextAttemptAt: next });
+  } else {
+    set.status = 'sent';
+  }
+  await Reminder.updateOne(claim, { $set: set, $inc: { sentCount: 1 } });
+  return 'sent';
+}
+
+/**
+ * Deliver every reminder that is due, up to REMINDER_BATCH_SIZE per run
+ * @returns {Promise<object|null>} Summary, or null when a run was already in progress
+ */
+async function runReminderScheduler() {
+  if (running) return null;
+  running = true;
+  const summary = { sent: 0, retry: 0, failed: 0, cancelled: 0 };
+  try {
+    for (let i = 0; i < REMINDER_BATCH_SIZE; i++) {
+      const reminder = await claimNextReminder();
+      if (!reminder) break;
+      try {
+        summary[await processReminder(reminder)] += 1;
+      } catch (error) {
+        console.error('❌ Reminder processing failed:', String(reminder._id), error.message);
+      }
+    }
+
+    if (summary.sent + summary.retry + summary.failed + summary.cancelled > 0) {
+      console.log(`⏰ Reminders: ${summary.sent} sent, ${summary.retry} to retry, ${summary.failed} failed, ${summary.cancelled} cancelled`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Reminder scheduler failed:', error.message);
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the scheduler now and then every REMINDER_POLL_INTERVAL_MS
+ */
+function startReminderScheduler() {
+  if (timer) return;
+  void runReminderScheduler();
+  timer = setInterval(runReminderScheduler, REMINDER_POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  nextOccurrence,
+  runReminderScheduler,
+  startReminderScheduler
+};
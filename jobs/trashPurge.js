@@ -0,0 +1,55 @@
+/**
+ * Trash purge job
+ * Permanently deletes links that have been in the trash longer than
+ * TRASH_RETENTION_DAYS.
+ */
+
+const { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MS } = require('../config/constants');
+const { purgeLinks } = require('../utils/linkOperations');
+
+let timer = null;
+let running = false;
+
+/**
+ * Purge every link deleted before the retention cutoff.
+ * Links deleted before deletedAt existed are aged by updatedAt.
+ * @returns {Promise<number>} Number of links purged
+ */
+async function purgeExpiredTrash() {
+  if (running) return 0;
+  running = true;
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const purged = await purgeLinks({
+      isActive: false,
+      $or: [
+        { deletedAt: { $lte: cutoff } },
+        { deletedAt: null, updatedAt: { $lte: cutoff } }
+      ]
+    });
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} links older than ${TRASH_RETENTION_DAYS} days from trash`);
+    }
+    return purged;
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+    return 0;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the purge now and then every TRASH_PURGE_INTERVAL_MS
+ */
+function startTrashPurgeJob() {
+  if (timer) return;
+  void purgeExpiredTrash();
+  timer = setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  purgeExpiredTrash,
+  startTrashPurgeJob
+};
@@ -0,0 +1,160 @@
+/**
+ * Webhook dispatcher
+ * Sends queued webhook deliveries and retries failed ones with exponential
+ * backoff (calculateBackoffDelay, starting at WEBHOOK_RETRY_BASE_MS).
+ *
+ * Deliveries are claimed by atomically moving them from `pending` to
+ * `delivering`, the same way the reminder scheduler claims reminders, so
+ * the queue survives restarts and a delivery is never sent by two runs at
+ * once. A claim left behind by a crashed process is retried once it is
+ * older than WEBHOOK_LOCK_TIMEOUT_MS.
+ */
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { sendWebhookRequest } = require('../utils/webhooks');
+const { calculateBackoffDelay } = require('../utils/helpers');
+const {
+  WEBHOOK_POLL_INTERVAL_MS,
+  WEBHOOK_LOCK_TIMEOUT_MS,
+  WEBHOOK_MAX_ATTEMPTS,
+  WEBHOOK_RETRY_BASE_MS,
+  WEBHOOK_RETRY_MAX_MS,
+  WEBHOOK_BATCH_SIZE
+} = require('../config/constants');
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+/**
+ * Claim the next due delivery, or a stale claim left behind by a crashed run
+ */
+function claimNextDelivery() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - WEBHOOK_LOCK_TIMEOUT_MS);
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lte: staleBefore } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+}
+
+/**
+ * Send one claimed delivery and record the outcome
+ * @returns {Promise<string>} 'succeeded', 'retry' or 'failed'
+ */
+async function processDelivery(delivery) {
+  const claim = { _id: delivery._id, status: 'delivering', lockedAt: delivery.lockedAt };
+  const webhook = await Webhook.findOne({ _id: delivery.webhookId, userId: delivery.userId }).select('+secret').lean();
+
+  if (!webhook || !webhook.isActive) {
+    await WebhookDelivery.updateOne(claim, {
+      $set: {
+        status: 'failed',
+        lockedAt: null,
+        lastError: webhook ? 'Webhook is disabled' : 'Webhook was deleted'
+      }
+    });
+    return 'failed';
+  }
+
+  const result = await sendWebhookRequest(webhook, delivery);
+  const now = new Date();
+  const attempts = (delivery.attempts || 0) + 1;
+  const set = {
+    attempts,
+    lockedAt: null,
+    lastAttemptAt: now,
+    lastResponseStatus: result.status,
+    lastResponseBody: result.body,
+    lastError: result.error,
+    durationMs: result.durationMs
+  };
+
+  if (result.ok) {
+    await WebhookDelivery.updateOne(claim, { $set: { ...set, status: 'succeeded', deliveredAt: now } });
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      { $set: { lastDeliveryAt: now, lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    );
+    return 'succeeded';
+  }
+
+  const gaveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  set.status = gaveUp ? 'failed' : 'pending';
+  if (!gaveUp) {
+    set.nextAttemptAt = new Date(now.getTime() + calculateBackoffDelay(attempts - 1, {
+      baseDelay: WEBHOOK_RETRY_BASE_MS,
+      maxDelay: WEBHOOK_RETRY_MAX_MS
+    }));
+  }
+  await WebhookDelivery.updateOne(claim, { $set: set });
+
+  const webhookUpdate = { $set: { lastDeliveryAt: now, lastDeliveryStatus: 'failed' } };
+  if (gaveUp) webhookUpdate.$inc = { consecutiveFailures: 1 };
+  await Webhook.updateOne({ _id: webhook._id }, webhookUpdate);
+
+  console.error(`❌ Webhook delivery failed (attempt ${attempts}/${WEBHOOK_MAX_ATTEMPTS}):`, String(delivery._id), result.error);
+  return gaveUp ? 'failed' : 'retry';
+}
+
+/**
+ * Send every delivery that is due, up to WEBHOOK_BATCH_SIZE per run.
+ * A call made while a run is in progress schedules one more run afterwards,
+ * so events queued during a run are not left waiting for the next poll.
+ * @returns {Promise<object|null>} Summary, or null when a run was already in progress
+ */
+async function runWebhookDispatcher() {
+  if (running) {
+    rerun = true;
+    return null;
+  }
+  running = true;
+  const summary = { succeeded: 0, retry: 0, failed: 0 };
+  try {
+    for (let i = 0; i < WEBHOOK_BATCH_SIZE; i++) {
+      const delivery = await claimNextDelivery();
+      if (!delivery) break;
+      try {
+        summary[await processDelivery(delivery)] += 1;
+      } catch (error) {
+        console.error('❌ Webhook delivery processing failed:', String(delivery._id), error.message);
+      }
+    }
+
+    if (summary.succeeded + summary.retry + summary.failed > 0) {
+      console.log(`🪝 Webhooks: ${summary.succeeded} delivered, ${summary.retry} to retry, ${summary.failed} failed`);
+    }
+    return summary;
+  } catch (error) {
+    console.error('❌ Webhook dispatcher failed:', error.message);
+    return summary;
+  } finally {
+    running = false;
+    if (rerun) {
+      rerun = false;
+      setImmediate(() => { void runWebhookDispatcher(); });
+    }
+  }
+}
+
+/**
+ * Run the dispatcher now and then every WEBHOOK_POLL_INTERVAL_MS
+ */
+function startWebhookDispatcher() {
+  if (timer) return;
+  void runWebhookDispatcher();
+  timer = setInterval(runWebhookDispatcher, WEBHOOK_POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+module.exports = {
+  runWebhookDispatcher,
+  startWebhookDispatcher
+};
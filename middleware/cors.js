@@ -33,7 +33,8 @@ const corsMiddleware = (req, res, next) => {
 
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, PUT, DELETE');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   res.header('Access-Control-Max-Age', '86400'); // 24 hours
 
   // Handle preflight OPTIONS request
@@ -0,0 +1,167 @@
+/**
+ * Idempotency Middleware
+ * Lets clients retry write requests safely. When a request carries an
+ * Idempotency-Key header, the first response is stored per user for
+ * IDEMPOTENCY_KEY_TTL_HOURS and replayed unchanged for retries with the
+ * same key. Reusing a key for a different request is rejected.
+ * Must run after authenticate, and after the upload middleware on routes
+ * that take files so the files count as part of the request.
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_LOCK_TIMEOUT_MS } = require('../config/constants');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * JSON with object keys sorted, so the same body always hashes the same
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashRequest = (req) => {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(file => file && file.buffer);
+  const fileDigests = files.map(file => `\n${file.fieldname}:${sha256(file.buffer)}`).join('');
+  return sha256(`${req.method}\n${req.originalUrl}\n${stableStringify(req.body || {})}${fileDigests}`);
+};
+
+/**
+ * Claim the key for this request.
+ * @returns {Promise<{record: object, claimed: boolean}>} claimed is false when the key was already used
+ */
+async function claimKey(userId, key, req, requestHash) {
+  const now = new Date();
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      method: req.method,
+      path: req.originalUrl,
+      requestHash,
+      lockedAt: now,
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000)
+    });
+    return { record, claimed: true };
+  } catch (err) {
+    if (!(err && err.code === 11000)) throw err;
+  }
+
+  // Take over a claim abandoned by a request that never finished (e.g. the server restarted)
+  const taken = await IdempotencyKey.findOneAndUpdate(
+    {
+      userId,
+      key,
+      requestHash,
+      status: 'in_progress',
+      lockedAt: { $lte: new Date(now.getTime() - IDEMPOTENCY_LOCK_TIMEOUT_MS) }
+    },
+    { $set: { lockedAt: now } },
+    { new: true }
+  );
+  if (taken) return { record: taken, claimed: true };
+
+  const existing = await IdempotencyKey.findOne({ userId, key }).lean();
+  return { record: existing, claimed: false };
+}
+
+/**
+ * Store or replay responses for requests with an Idempotency-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) return next();
+
+  try {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const { record, claimed } = await claimKey(userId, key, req, requestHash);
+
+    if (!claimed) {
+      if (!record) {
+        // Expired between the insert and the lookup; treat as a fresh request next time
+        return res.status(409).json({
+          success: false,
+          message: 'Idempotency-Key could not be claimed, please retry'
+        });
+      }
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+      if (record.status !== 'completed') {
+        res.set('Retry-After', '1');
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      res.status(record.responseStatus);
+      return record.responseBody === null ? res.end() : res.type('json').send(record.responseBody);
+    }
+
+    // Capture the JSON body the route sends
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = JSON.stringify(body);
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = async (finished) => {
+      if (settled) return;
+      settled = true;
+      try {
+        // Server errors and dropped connections free the key so a retry runs the request again
+        if (!finished || res.statusCode >= 500) {
+          await IdempotencyKey.deleteOne({ _id: record._id, status: 'in_progress' });
+          return;
+        }
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody } }
+        );
+      } catch (error) {
+        console.error('❌ Could not store idempotent response:', error.message);
+      }
+    };
+    res.on('finish', () => { void settle(true); });
+    res.on('close', () => { void settle(res.writableFinished); });
+
+    next();
+  } catch (error) {
+    console.error('❌ Idempotency check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
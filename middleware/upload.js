@@ -0,0 +1,65 @@
+/**
+ * Upload Middleware
+ * Parses multipart/form-data uploads into memory using multer
+ */
+
+const multer = require('multer');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB, same as the JSON body limit
+
+/**
+ * Run a multer handler, answering size and field errors with JSON
+ */
+const withUploadErrors = (upload) => (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : 'Invalid file upload',
+        error: err.message
+      });
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Accept a single optional file field and keep it in memory as req.file.
+ * Requests that are not multipart pass through untouched so JSON bodies keep working.
+ * @param {string} fieldName - Form field holding the file
+ * @param {Object} options
+ * @param {number} options.maxFileSize - Maximum file size in bytes
+ * @returns {Function} Middleware function
+ */
+const uploadSingle = (fieldName, options = {}) => withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: options.maxFileSize || DEFAULT_MAX_FILE_SIZE,
+    files: 1
+  }
+}).single(fieldName));
+
+/**
+ * Accept up to maxFiles files in one field and keep them in memory as req.files.
+ * Requests that are not multipart pass through untouched.
+ * @param {string} fieldName - Form field holding the files
+ * @param {Object} options
+ * @param {number} options.maxFileSize - Maximum size of each file in bytes
+ * @param {number} options.maxFiles - Maximum number of files
+ * @returns {Function} Middleware function
+ */
+const uploadArray = (fieldName, options = {}) => withUploadErrors(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: options.maxFileSize || DEFAULT_MAX_FILE_SIZE,
+    files: options.maxFiles || 10
+  }
+}).array(fieldName, options.maxFiles || 10));
+
+module.exports = {
+  uploadSingle,
+  uploadArray
+};
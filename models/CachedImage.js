@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cached Image Schema - A remote image fetched once through the image proxy
+ * The resized variants live in storage under the hash of the original bytes,
+ * so the same picture behind different URLs is stored once and can be served
+ * with long cache headers. Failed fetches are remembered until `retryAt`.
+ */
+const cachedImageSchema = new mongoose.Schema({
+    sourceUrl: {
+        type: String,
+        required: [true, 'Source URL is required'],
+        unique: true,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ['ready', 'failed'],
+        required: true
+    },
+    // sha256 of the original image; variants are stored under it
+    contentHash: {
+        type: String,
+        trim: true
+    },
+    format: {
+        type: String,
+        trim: true
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    size: {
+        type: Number,
+        min: [0, 'Image size cannot be negative']
+    },
+    // Widths stored as WebP variants
+    widths: {
+        type: [Number],
+        default: []
+    },
+    error: {
+        type: String,
+        trim: true
+    },
+    retryAt: {
+        type: Date,
+        default: null
+    },
+    fetchedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+cachedImageSchema.index({ contentHash: 1 });
+
+module.exports = mongoose.model('CachedImage', cachedImageSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * Collection Schema - User-owned folders for organizing saved links
+ * Collections can be nested; `ancestors` stores the ids of every parent
+ * from the root down so a whole subtree can be queried in one go.
+ */
+const collectionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Collection name is required'],
+        trim: true,
+        maxlength: [100, 'Collection name cannot exceed 100 characters']
+    },
+    nameNormalized: {
+        type: String,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        default: null
+    },
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection'
+    }]
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ==================== INDEXES ====================
+
+// Sibling collections must have distinct names (case-insensitive)
+collectionSchema.index({ userId: 1, parentId: 1, nameNormalized: 1 }, { unique: true });
+collectionSchema.index({ userId: 1, ancestors: 1 });
+
+// ==================== VIRTUALS ====================
+
+collectionSchema.virtual('depth').get(function() {
+    return Array.isArray(this.ancestors) ? this.ancestors.length : 0;
+});
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Get the ids of a collection and all of its descendants
+ */
+collectionSchema.statics.findSubtreeIds = async function(userId, collectionId) {
+    const descendants = await this.find({ userId, ancestors: collectionId }).distinct('_id');
+    return [new mongoose.Types.ObjectId(String(collectionId)), ...descendants];
+};
+
+// ==================== MIDDLEWARE ====================
+
+collectionSchema.pre('save', function(next) {
+    if (this.isModified('name') && typeof this.name === 'string') {
+        this.nameNormalized = this.name.trim().toLowerCase();
+    }
+    next();
+});
+
+module.exports = mongoose.model('Collection', collectionSchema);
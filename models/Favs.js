@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { trackDeletions } = require('../utils/syncTombstones');
 
 /**
  * Favs Schema - Store user favorite links
@@ -151,6 +152,7 @@ favsSchema.pre('save', async function(next) {
     next();
 });
 
-
+// Unfavourites show up as deletion markers in the sync API
+trackDeletions(favsSchema, 'favourite', (fav) => ({ userId: fav.userId, linkId: fav.linkId }), 'userId linkId');
 
 module.exports = mongoose.model('Fav', favsSchema);
\ No newline at end of file
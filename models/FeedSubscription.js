@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+/**
+ * Feed Subscription Schema - An RSS, Atom or JSON feed a user follows
+ * The feed poller saves new entries as links with the subscription's tags.
+ * It claims due subscriptions by setting `lockedAt`, and remembers the
+ * validators (ETag, Last-Modified) for conditional requests.
+ */
+const feedSubscriptionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    feedUrl: {
+        type: String,
+        required: [true, 'Feed URL is required'],
+        trim: true,
+        maxlength: [2048, 'Feed URL cannot exceed 2048 characters']
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    siteUrl: {
+        type: String,
+        trim: true
+    },
+    format: {
+        type: String,
+        enum: ['rss', 'atom', 'json', null],
+        default: null
+    },
+    // Added to every link saved from this feed
+    tags: [{
+        type: String,
+        trim: true,
+        maxlength: [50, 'Tag cannot exceed 50 characters']
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Conditional GET validators from the last successful fetch
+    etag: {
+        type: String,
+        default: null
+    },
+    lastModified: {
+        type: String,
+        default: null
+    },
+    nextFetchAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastFetchedAt: {
+        type: Date,
+        default: null
+    },
+    lastSuccessAt: {
+        type: Date,
+        default: null
+    },
+    lastStatus: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // Failed fetches in a row; drives the backoff and turns the feed off when it gets too high
+    consecutiveErrors: {
+        type: Number,
+        default: 0
+    },
+    // Normalized URLs of entries already handled, newest last (capped)
+    seenEntries: {
+        type: [String],
+        select: false
+    },
+    savedCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+feedSubscriptionSchema.index({ userId: 1, feedUrl: 1 }, { unique: true });
+// Poller lookup of due feeds
+feedSubscriptionSchema.index({ isActive: 1, nextFetchAt: 1 });
+
+module.exports = mongoose.model('FeedSubscription', feedSubscriptionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * IdempotencyKey Schema - First response to a write request sent with an
+ * Idempotency-Key header, replayed when the client retries with the same key.
+ * Rows expire at expiresAt (TTL index).
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    key: {
+        type: String,
+        required: true,
+        maxlength: 255
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // sha256 of method, path, body and uploaded files, to spot a key reused for a different request
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_progress', 'completed'],
+        default: 'in_progress'
+    },
+    lockedAt: {
+        type: Date,
+        default: Date.now
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    // Response JSON exactly as sent
+    responseBody: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * LinkRevision Schema - Edit history of a link
+ * Each document records the fields one update changed, with their old and new values
+ */
+const linkRevisionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link',
+        required: [true, 'Link ID is required']
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // What produced the revision: a normal edit, a revert to an older revision or a metadata refresh
+    source: {
+        type: String,
+        enum: ['update', 'revert', 'refresh'],
+        default: 'update'
+    },
+    revertedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LinkRevision',
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ==================== INDEXES ====================
+
+linkRevisionSchema.index({ linkId: 1, createdAt: -1 });
+linkRevisionSchema.index({ userId: 1, linkId: 1, createdAt: -1 });
+
+// ==================== VIRTUALS ====================
+
+// Names of the fields changed by this revision
+linkRevisionSchema.virtual('fields').get(function() {
+    return (this.changes || []).map(change => change.field);
+});
+
+linkRevisionSchema.set('toJSON', { virtuals: true });
+linkRevisionSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('LinkRevision', linkRevisionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { trackDeletions } = require('../utils/syncTombstones');
 
 const linkTagSchema = new mongoose.Schema({
   tagName: {
@@ -25,4 +26,7 @@ linkTagSchema.index({ userId: 1, tagName: 1 });
 linkTagSchema.index({ linkId: 1 });
 linkTagSchema.index({ userId: 1, linkId: 1, tagName: 1 }, { unique: true });
 
+// Removed tags show up as deletion markers in the sync API
+trackDeletions(linkTagSchema, 'tag', (row) => ({ userId: row.userId, linkId: row.linkId, tagName: row.tagName }), 'userId linkId tagName');
+
 module.exports = mongoose.model('LinkTag', linkTagSchema);
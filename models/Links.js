@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { trackDeletions } = require('../utils/syncTombstones');
+const { urlDedupeKey } = require('../utils/url');
+
+// Schema type for a path served by the image cache (/api/images/<hash>)
+const cachedImagePath = () => ({
+    type: String,
+    trim: true,
+    validate: {
+        validator: function (value) {
+            if (!value) return true;
+            return /^\/api\/images\/[a-f0-9]{64}$/.test(value);
+        },
+        message: 'Cached image must be an image cache path'
+    }
+});
 
 const linkSchema = new mongoose.Schema({
     userId: {
@@ -20,6 +35,11 @@ const linkSchema = new mongoose.Schema({
             message: 'Please enter a valid URL'
         }
     },
+    // Identifies the page among the user's links (see urlDedupeKey); kept in step with url
+    urlKey: {
+        type: String,
+        trim: true
+    },
 
     originalUrl: {
         type: String,
@@ -35,6 +55,17 @@ const linkSchema = new mongoose.Schema({
         },
         default: 'other'
     },
+    collectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Collection',
+        default: null
+    },
+    // Feed subscription that saved this link, if any
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FeedSubscription',
+        default: null
+    },
     title: {
         type: String,
         trim: true
@@ -92,8 +123,27 @@ const linkSchema = new mongoose.Schema({
                 },
                 message: 'Apple Touch Icon must be a valid URL'
             }
+        },
+        // Path of the authenticated route serving the page's screenshot thumbnail
+        screenshot: {
+            type: String,
+            trim: true,
+            validate: {
+                validator: function (value) {
+                    if (!value) return true;
+                    return /^\/api\/links\/[a-f0-9]{24}\/screenshot$/.test(value);
+                },
+                message: 'Screenshot must be a link screenshot path'
+            }
         }
     },
+    // Copies of the images above kept by the image cache, as /api/images/<hash> paths
+    cachedImages: {
+        logo: cachedImagePath(),
+        ogImage: cachedImagePath(),
+        favicon: cachedImagePath(),
+        appleTouchIcon: cachedImagePath()
+    },
     metadata: {
         domain: {
             type: String,
@@ -167,6 +217,203 @@ const linkSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // Server time of the last write, set on every save and update (including
+    // timestamps: false ones and imports that carry their own updatedAt); the sync API windows on it
+    syncedAt: {
+        type: Date
+    },
+    // Read-later queue state
+    reading: {
+        state: {
+            type: String,
+            enum: {
+                values: ['unread', 'in_progress', 'read', 'archived'],
+                message: 'Please select a valid reading state'
+            },
+            default: 'unread'
+        },
+        progress: {
+            type: Number,
+            min: [0, 'Progress cannot be below 0'],
+            max: [100, 'Progress cannot exceed 100'],
+            default: 0
+        },
+        lastOpenedAt: {
+            type: Date,
+            default: null
+        },
+        readAt: {
+            type: Date,
+            default: null
+        },
+        archivedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Result of the scheduled link-rot check
+    health: {
+        status: {
+            type: String,
+            enum: ['unchecked', 'healthy', 'redirected', 'broken'],
+            default: 'unchecked'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        statusCode: {
+            type: Number
+        },
+        finalUrl: {
+            type: String,
+            trim: true
+        },
+        checkedAt: {
+            type: Date,
+            default: null
+        },
+        consecutiveFailures: {
+            type: Number,
+            default: 0,
+            min: [0, 'Consecutive failures cannot be negative']
+        },
+        history: [{
+            _id: false,
+            checkedAt: Date,
+            result: String,
+            reason: String,
+            statusCode: Number,
+            finalUrl: String
+        }]
+    },
+    // Reader-mode extraction of the page's main content
+    article: {
+        // Clean text can be long; only loaded when asked for explicitly
+        text: {
+            type: String,
+            select: false
+        },
+        wordCount: {
+            type: Number,
+            min: [0, 'Word count cannot be negative']
+        },
+        readingTimeMinutes: {
+            type: Number,
+            min: [0, 'Reading time cannot be negative']
+        },
+        language: {
+            type: String,
+            trim: true,
+            lowercase: true
+        },
+        author: {
+            type: String,
+            trim: true,
+            maxlength: [200, 'Author cannot exceed 200 characters']
+        },
+        publishedAt: {
+            type: Date
+        },
+        extractedAt: {
+            type: Date
+        }
+    },
+    // Readable offline copy of the page; the content lives in storage
+    snapshot: {
+        storageKey: {
+            type: String,
+            trim: true
+        },
+        contentHash: {
+            type: String,
+            trim: true
+        },
+        size: {
+            type: Number,
+            min: [0, 'Snapshot size cannot be negative']
+        },
+        sourceUrl: {
+            type: String,
+            trim: true
+        },
+        fetchedAt: {
+            type: Date
+        }
+    },
+    // Screenshot thumbnail of the page's first screen; the image lives in storage
+    screenshot: {
+        storageKey: {
+            type: String,
+            trim: true
+        },
+        contentHash: {
+            type: String,
+            trim: true
+        },
+        size: {
+            type: Number,
+            min: [0, 'Screenshot size cannot be negative']
+        },
+        width: {
+            type: Number
+        },
+        height: {
+            type: Number
+        },
+        sourceUrl: {
+            type: String,
+            trim: true
+        },
+        capturedAt: {
+            type: Date
+        }
+    },
+    // Uploaded file this item stands for; url points at its download route
+    file: {
+        storageKey: {
+            type: String,
+            trim: true
+        },
+        originalName: {
+            type: String,
+            trim: true,
+            maxlength: [255, 'File name cannot exceed 255 characters']
+        },
+        mimeType: {
+            type: String,
+            trim: true
+        },
+        size: {
+            type: Number,
+            min: [0, 'File size cannot be negative']
+        },
+        sha256: {
+            type: String,
+            trim: true
+        },
+        width: {
+            type: Number
+        },
+        height: {
+            type: Number
+        },
+        pageCount: {
+            type: Number
+        },
+        uploadedAt: {
+            type: Date
+        }
+    },
+    // Extracted fields the user has changed by hand; refresh leaves these alone
+    editedFields: [{
+        type: String,
+        enum: ['linkType', 'title', 'description', 'images']
+    }],
     notes: {
         type: String,
         trim: true,
@@ -185,9 +432,18 @@ linkSchema.index({ userId: 1 });
 linkSchema.index({ 'metadata.domain': 1 });
 linkSchema.index({ tags: 1 });
 linkSchema.index({ tagsNormalized: 1 });
+linkSchema.index({ userId: 1, collectionId: 1 });
+linkSchema.index({ isActive: 1, deletedAt: 1 });
+linkSchema.index({ isActive: 1, 'health.checkedAt': 1 });
+linkSchema.index({ userId: 1, 'health.status': 1 });
+linkSchema.index({ userId: 1, 'article.readingTimeMinutes': 1 });
+linkSchema.index({ userId: 1, 'reading.state': 1, createdAt: 1 });
 linkSchema.index({ createdAt: -1 });
 linkSchema.index({ 'analytics.lastAccessed': -1 });
 linkSchema.index({ userId: 1, url: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+linkSchema.index({ userId: 1, urlKey: 1 }, { unique: true, partialFilterExpression: { isActive: true, urlKey: { $exists: true } } });
+linkSchema.index({ userId: 1, syncedAt: 1, _id: 1 });
+linkSchema.index({ userId: 1, 'file.sha256': 1 }, { partialFilterExpression: { 'file.sha256': { $exists: true } } });
 
 // Virtual for getting domain from URL
 linkSchema.virtual('domain').get(function () {
@@ -265,6 +521,35 @@ linkSchema.pre('save', function (next) {
     next();
 });
 
+// Stamp syncedAt on every document save
+linkSchema.pre('save', function (next) {
+    this.syncedAt = new Date();
+    next();
+});
+
+// Keep urlKey in step with url
+linkSchema.pre('validate', function (next) {
+    if (this.url && (this.isModified('url') || !this.urlKey)) {
+        this.urlKey = urlDedupeKey(this.url);
+    }
+    next();
+});
+
+// Updates stamp syncedAt and keep urlKey in step when they set url
+linkSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    const update = this.getUpdate() || {};
+    if (Array.isArray(update)) return next();
+    this.set('syncedAt', new Date());
+    const url = update.$set && update.$set.url !== undefined ? update.$set.url : update.url;
+    if (typeof url === 'string') {
+        this.set('urlKey', urlDedupeKey(url));
+    }
+    if (update.$setOnInsert && typeof update.$setOnInsert.url === 'string') {
+        update.$setOnInsert.urlKey = urlDedupeKey(update.$setOnInsert.url);
+    }
+    next();
+});
+
 // Pre-save middleware to set first accessed time
 linkSchema.pre('save', function (next) {
     if (this.isNew) {
@@ -281,4 +566,7 @@ linkSchema.pre('save', function (next) {
     next();
 });
 
+// Purged links show up as deletion markers in the sync API (soft deletes are picked up through syncedAt)
+trackDeletions(linkSchema, 'link', (link) => ({ userId: link.userId, linkId: link._id }), 'userId');
+
 module.exports = mongoose.model('Link', linkSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Reminder Schema - A nudge to come back to a saved link at a given time
+ * The scheduler claims due reminders by moving them from `scheduled` to
+ * `sending`, so a reminder is only delivered once even across restarts.
+ */
+const reminderSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Link',
+        required: [true, 'Link ID is required'],
+        index: true
+    },
+    dueAt: {
+        type: Date,
+        required: [true, 'Due time is required']
+    },
+    // When the scheduler should next try to deliver; moves on after a failed attempt
+    nextAttemptAt: {
+        type: Date,
+        required: true
+    },
+    repeat: {
+        type: String,
+        enum: ['none', 'daily', 'weekly', 'monthly'],
+        default: 'none'
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+        default: 'scheduled'
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'sms', null],
+        default: null
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastSentAt: {
+        type: Date,
+        default: null
+    },
+    sentCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// Scheduler lookup of due reminders
+reminderSchema.index({ status: 1, nextAttemptAt: 1 });
+reminderSchema.index({ userId: 1, status: 1, dueAt: 1 });
+
+module.exports = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Share Token Schema - Content handed over from a share sheet
+ * The app posts what was shared and gets a short-lived token back, then
+ * reads the content with it (possibly from another server instance).
+ * MongoDB removes tokens once `expiresAt` has passed.
+ */
+const shareTokenSchema = new mongoose.Schema({
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // First URL in the shared content, for clients that handle a single link
+    url: {
+        type: String,
+        default: null
+    },
+    // Every URL found, with the text around it
+    urls: {
+        type: [{
+            _id: false,
+            url: String,
+            snippet: String,
+            wrappedUrl: String
+        }],
+        default: []
+    },
+    rawText: {
+        type: String,
+        default: ''
+    },
+    files: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+shareTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ShareToken', shareTokenSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { SYNC_TOMBSTONE_RETENTION_DAYS } = require('../config/constants');
+
+/**
+ * SyncTombstone Schema - Marks a hard-deleted row for the delta sync API
+ * Written automatically when Link, Fav or LinkTag rows are deleted (see
+ * utils/syncTombstones.js) and expired after SYNC_TOMBSTONE_RETENTION_DAYS;
+ * sync tokens older than that require a full sync.
+ */
+const syncTombstoneSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    entity: {
+        type: String,
+        enum: ['link', 'favourite', 'tag'],
+        required: true
+    },
+    // _id of the deleted row
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    linkId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    tagName: {
+        type: String,
+        default: null
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ==================== INDEXES ====================
+
+syncTombstoneSchema.index({ userId: 1, deletedAt: 1 });
+syncTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: SYNC_TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SyncTombstone', syncTombstoneSchema);
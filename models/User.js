@@ -70,6 +70,18 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Secret in the user's feed URLs (RSS, Atom, JSON Feed); rotating it invalidates old URLs
+  feedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Bytes of uploaded files held, trash included; reserved before each upload so concurrent uploads cannot pass the quota
+  uploadBytes: {
+    type: Number,
+    select: false
   }
 }, {
   timestamps: true,
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/constants');
+
+/**
+ * Webhook Schema - A user-registered endpoint that receives link events
+ * Deliveries are signed with `secret`, which is only returned when the
+ * webhook is created or its secret is rotated.
+ */
+const webhookSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required'],
+        index: true
+    },
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true,
+        maxlength: [2048, 'URL cannot exceed 2048 characters']
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: WEBHOOK_EVENTS
+        }],
+        validate: {
+            validator: (events) => Array.isArray(events) && events.length > 0,
+            message: 'At least one event is required'
+        }
+    },
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastDeliveryAt: {
+        type: Date,
+        default: null
+    },
+    lastDeliveryStatus: {
+        type: String,
+        enum: ['succeeded', 'failed', null],
+        default: null
+    },
+    // Deliveries that ran out of attempts in a row; reset by the next success
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// Event fan-out looks up a user's active webhooks
+webhookSchema.index({ userId: 1, isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_LOG_RETENTION_DAYS } = require('../config/constants');
+
+/**
+ * Webhook Delivery Schema - One event sent to one webhook
+ * Doubles as the retry queue and the delivery log: the dispatcher claims
+ * due deliveries by moving them from `pending` to `delivering`, and each
+ * attempt's outcome stays on the document until it expires.
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User ID is required']
+    },
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: [true, 'Webhook ID is required']
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Shared by the deliveries of one event to several webhooks
+    eventId: {
+        type: String,
+        required: true
+    },
+    // The JSON body exactly as sent, so retries are byte-for-byte the same
+    payload: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivering', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastResponseStatus: {
+        type: Number,
+        default: null
+    },
+    lastResponseBody: {
+        type: String,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// ==================== INDEXES ====================
+
+// Dispatcher lookup of due deliveries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log, newest first
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const collectionsController = require('../controllers/collectionsController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Collections Routes
+ * Base path: /api/collections
+ * All routes are user-specific and require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
+ */
+
+// ==================== CRUD Operations ====================
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection, optionally nested under a parent
+ * @access  Private
+ * @body    { name, description, parentId }
+ */
+router.post('/', authenticate, idempotent, collectionsController.createCollection);
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get all of the user's collections (flat list with parentId and linkCount)
+ * @access  Private
+ */
+router.get('/', authenticate, collectionsController.getCollections);
+
+/**
+ * @route   GET /api/collections/:id
+ * @desc    Get a collection with its direct children and breadcrumbs
+ * @access  Private
+ */
+router.get('/:id', authenticate, collectionsController.getCollectionById);
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Rename a collection or update its description
+ * @access  Private
+ * @body    { name, description }
+ */
+router.put('/:id', authenticate, idempotent, collectionsController.updateCollection);
+
+/**
+ * @route   PUT /api/collections/:id/move
+ * @desc    Move a collection under another parent (null moves it to the root)
+ * @access  Private
+ * @body    { parentId }
+ */
+router.put('/:id/move', authenticate, idempotent, collectionsController.moveCollection);
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a collection and its sub-collections; their links move to the parent
+ * @access  Private
+ */
+router.delete('/:id', authenticate, idempotent, collectionsController.deleteCollection);
+
+// ==================== Collection Contents ====================
+
+/**
+ * @route   GET /api/collections/:id/links
+ * @desc    Get the links in a collection
+ * @access  Private
+ * @query   { includeSubcollections, page, limit, sortBy, sortOrder }
+ * @default includeSubcollections=true
+ */
+router.get('/:id/links', authenticate, collectionsController.getCollectionLinks);
+
+module.exports = router;
@@ -2,11 +2,13 @@ const express = require('express');
 const router = express.Router();
 const favsController = require('../controllers/favsController');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 /**
  * Favs Routes
  * Base path: /api/favs
  * All routes are user-specific and require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
  */
 
 // ==================== Favorite Operations ====================
@@ -17,13 +19,14 @@ const { authenticate } = require('../middleware/auth');
  * @access  Private
  * @body    { linkId }
  */
-router.post('/', authenticate, favsController.addToFavourites);
+router.post('/', authenticate, idempotent, favsController.addToFavourites);
 
 /**
  * @route   GET /api/favs
  * @desc    Get user's favorite links with pagination
  * @access  Private
- * @query   { page, limit }
+ * @query   { page, limit, cursor }
+ * @params  cursor - Switches to cursor pagination: send it empty for the first page, then pagination.nextCursor
  * @default page=1, limit=10
  */
 router.get('/', authenticate, favsController.getFavoriteLinks);
@@ -34,7 +37,7 @@ router.get('/', authenticate, favsController.getFavoriteLinks);
  * @access  Private
  * @param   linkId - The ID of the link to remove from favourites
  */
-router.delete('/:linkId', authenticate, favsController.removeFromFavourites);
+router.delete('/:linkId', authenticate, idempotent, favsController.removeFromFavourites);
 
 /**
  * @route   GET /api/favs/check/:linkId
@@ -0,0 +1,63 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const feedsController = require('../controllers/feedsController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Feeds Routes
+ * Base path: /api/feeds
+ * Managing the feed token requires authentication; the feeds themselves are
+ * authenticated by the token in their URL so feed readers can poll them
+ */
+
+/**
+ * Rate limiting for the public feed URLs
+ */
+const feedRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Limit each IP to 60 feed requests per window
+  message: {
+    success: false,
+    message: 'Too many feed requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route   GET /api/feeds
+ * @desc    Get the user's feed URLs (rss, atom, json); null until a token is created
+ * @access  Private
+ */
+router.get('/', authenticate, feedsController.getFeedInfo);
+
+/**
+ * @route   POST /api/feeds/token
+ * @desc    Create the feed token, or rotate it so previously shared feed URLs stop working
+ * @access  Private
+ * @returns { token, urls }
+ */
+router.post('/token', authenticate, idempotent, feedsController.rotateFeedToken);
+
+/**
+ * @route   DELETE /api/feeds/token
+ * @desc    Revoke the feed token, turning the user's feeds off
+ * @access  Private
+ */
+router.delete('/token', authenticate, idempotent, feedsController.revokeFeedToken);
+
+/**
+ * @route   GET /api/feeds/:token/:format
+ * @desc    The user's links, newest first, as RSS 2.0, Atom or JSON Feed. Items use the stored
+ *          title, description, ogImage and notes
+ * @access  Public (secret token in the URL)
+ * @params  format - One of: rss, atom, json
+ * @query   { tag, linkType, favourites, collection, includeSubcollections, limit }
+ * @params  tag - Comma-separated, matches any; favourites=true for favourites only; collection=none for unfiled links
+ * @default limit=50 (max 100), includeSubcollections=true
+ */
+router.get('/:token/:format', feedRateLimit, feedsController.getFeed);
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const router = express.Router();
+const imagesController = require('../controllers/imagesController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Images Routes
+ * Base path: /api/images
+ * Caching proxy for og images, logos and favicons. Fetching a new image
+ * requires authentication; cached copies are public so <img> tags can load them
+ */
+
+/**
+ * Rate limiting for the proxy, which may fetch from remote hosts
+ */
+const proxyRateLimit = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // Limit each IP to 120 proxy requests per window
+  message: {
+    success: false,
+    message: 'Too many image requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * @route   GET /api/images
+ * @desc    Fetch a remote image once (public http(s) hosts only, image content types, at most IMAGE_CACHE_MAX_BYTES),
+ *          store WebP copies at the standard widths and redirect to the cached copy. Failed images are not
+ *          fetched again for IMAGE_CACHE_RETRY_FAILED_MS
+ * @access  Private
+ * @query   { url, width, format } - width: 64, 320, 640 or 1280; format=json returns the cached image's
+ *          { sourceUrl, contentHash, format, width, height, size, path, variants } instead of redirecting
+ * @default width=640
+ */
+router.get('/', authenticate, proxyRateLimit, imagesController.proxyImage);
+
+/**
+ * @route   GET /api/images/:hash/:width
+ * @desc    Serve a cached image as WebP with a one-year immutable Cache-Control. Links reference these
+ *          through cachedImages.{ logo, ogImage, favicon, appleTouchIcon }, filled in after a link is saved
+ * @access  Public
+ * @params  { hash, width } - width is optional and defaults to 640
+ */
+router.get('/:hash/:width?', imagesController.serveCachedImage);
+
+module.exports = router;
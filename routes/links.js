@@ -1,29 +1,166 @@
 const express = require('express');
 const router = express.Router();
 const linksController = require('../controllers/linksController');
+const importController = require('../controllers/importController');
+const exportController = require('../controllers/exportController');
+const trashController = require('../controllers/trashController');
+const linkHealthController = require('../controllers/linkHealthController');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { uploadSingle } = require('../middleware/upload');
+const { UPLOAD_MAX_FILE_BYTES } = require('../config/constants');
 
 /**
  * Links Routes
  * Base path: /api/links
  * All routes are user-specific (no public links)
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
  */
 
+// ==================== Import / Export ====================
+
+/**
+ * @route   POST /api/links/import/:source
+ * @desc    Import an export file; folders and tags become tags, favourites, read state (Pocket, Pinboard) and timestamps are kept
+ * @access  Private
+ * @params  { source } - One of: bookmarks (Netscape HTML), pocket (HTML or CSV), raindrop (CSV), pinboard (JSON)
+ * @query   { dryRun } - true to preview the import without saving anything
+ * @body    multipart field "file", or JSON { content }
+ * @returns { total, imported, skipped, failed, failures[], preview[] } - metadata is fetched in the background
+ */
+router.post('/import/:source', authenticate, uploadSingle('file'), idempotent, importController.importFile);
+
+/**
+ * @route   GET /api/links/export
+ * @desc    Download every active link as a Netscape bookmark file, JSON, CSV or a zip of Markdown notes
+ * @access  Private
+ * @query   { format } - One of: netscape, json, csv, markdown
+ * @default format=json
+ */
+router.get('/export', authenticate, exportController.exportLinks);
+
+// ==================== Files ====================
+
+/**
+ * @route   POST /api/links/files
+ * @desc    Save an uploaded PDF, image (JPEG, PNG, GIF, WebP) or text file as a library item. It lists, searches,
+ *          tags and trashes like a link; its url is API_PUBLIC_URL/api/links/:id/file. PDFs and text files get title and
+ *          article text, images width and height. Uploading a file that is already saved returns it (200, alreadySaved)
+ * @access  Private
+ * @body    multipart field "file", plus optional { title, tags, notes, collectionId } - tags may be comma-separated
+ * @returns 413 when the file is over UPLOAD_MAX_FILE_BYTES or the user's UPLOAD_QUOTA_BYTES_PER_USER; 415 for other file types
+ */
+router.post('/files', authenticate, uploadSingle('file', { maxFileSize: UPLOAD_MAX_FILE_BYTES }), idempotent, linksController.uploadFile);
+
+/**
+ * @route   GET /api/links/files/usage
+ * @desc    Get upload storage used and left; files in the trash count until purged
+ * @access  Private
+ * @returns { usedBytes, fileCount, quotaBytes, remainingBytes, maxFileBytes, allowedTypes }
+ */
+router.get('/files/usage', authenticate, linksController.getFileUsage);
+
+// ==================== Bulk Operations ====================
+
+/**
+ * @route   POST /api/links/bulk
+ * @desc    Apply one operation to many links, selected by ids or by the same filters as GET /api/links
+ * @access  Private
+ * @body    { ids } or { filter: { linkType, tags, search, collection, includeSubcollections, readingState } },
+ *          plus { operation, tags, linkType, readingState }
+ * @params  operation - One of: addTags, removeTags, setLinkType, setReadingState, favorite, unfavorite, delete, restore
+ * @returns { operation, summary, results[] } - one result per link id
+ */
+router.post('/bulk', authenticate, idempotent, linksController.bulkUpdateLinks);
+
+// ==================== Trash ====================
+
+/**
+ * @route   GET /api/links/trash
+ * @desc    Get deleted links, most recently deleted first, with the date each will be purged
+ * @access  Private
+ * @query   { page, limit }
+ */
+router.get('/trash', authenticate, trashController.getTrash);
+
+/**
+ * @route   POST /api/links/trash/:id/restore
+ * @desc    Restore a deleted link with its tags and favourite state
+ * @access  Private
+ * @returns 409 with the conflicting link when the URL has been saved again since
+ */
+router.post('/trash/:id/restore', authenticate, idempotent, trashController.restoreFromTrash);
+
+/**
+ * @route   DELETE /api/links/trash/:id
+ * @desc    Permanently delete one link from the trash
+ * @access  Private
+ */
+router.delete('/trash/:id', authenticate, idempotent, trashController.purgeFromTrash);
+
+/**
+ * @route   DELETE /api/links/trash
+ * @desc    Permanently delete every link in the trash
+ * @access  Private
+ */
+router.delete('/trash', authenticate, idempotent, trashController.emptyTrash);
+
+// ==================== Link Health ====================
+
+/**
+ * @route   GET /api/links/health
+ * @desc    Get links the scheduled checker found broken (404, dead or parked domain, login wall) or redirected
+ * @access  Private
+ * @query   { status, reason, page, limit }
+ * @default status=broken,redirected
+ * @returns { data, summary } - summary counts links per health status
+ */
+router.get('/health', authenticate, linkHealthController.getLinkHealth);
+
+// ==================== Read Later ====================
+
+/**
+ * @route   GET /api/links/queue
+ * @desc    Get the read-later queue: unread links in the chosen order
+ * @access  Private
+ * @query   { order, includeInProgress, page, limit } plus the GET /api/links filters
+ * @params  order - One of: oldest, newest, shortest, longest, recentlyOpened
+ * @default order=oldest, includeInProgress=false
+ */
+router.get('/queue', authenticate, linksController.getReadingQueue);
+
+/**
+ * @route   PUT /api/links/:id/reading
+ * @desc    Update reading state and progress; progress of 100 marks the link read
+ * @access  Private
+ * @body    { state, progress, opened } - state: unread, in_progress, read, archived; progress: 0-100; opened: true records lastOpenedAt
+ */
+router.put('/:id/reading', authenticate, idempotent, linksController.updateReadingState);
+
 // ==================== CRUD Operations ====================
 
 /**
  * @route   POST /api/links
- * @desc    Create a new link for the user
+ * @desc    Create a new link for the user. Tracking parameters are removed from the URL, and AMP or
+ *          mobile variants of a saved page count as already saved; canonicalUrl from the extractor
+ *          is used when it belongs to the same site
  * @access  Private
- * @body    { url, linkType, title, description, images, metadata, tags, notes }
+ * @body    { url, canonicalUrl, linkType, title, description, images, metadata, tags, notes, collectionId }
  */
-router.post('/', authenticate, linksController.createLink);
+router.post('/', authenticate, idempotent, linksController.createLink);
 
 /**
  * @route   GET /api/links
  * @desc    Get all links for a user with filtering and pagination
  * @access  Private
- * @query   { linkType, tags, search, page, limit, sortBy, sortOrder }
+ * @query   { linkType, tags, search, collection, includeSubcollections, readingState, readingTime, minReadingTime,
+ *            maxReadingTime, page, limit, sortBy, sortOrder, cursor }
+ * @params  cursor - Switches to cursor pagination: send it empty for the first page, then the returned
+ *          pagination.nextCursor (null on the last page). Cursor pages skip totalCount/totalPages
+ * @params  readingState - Comma-separated: unread, in_progress, read, archived
+ * @params  readingTime - One of: short (5 min or less), medium (6-15), long (16+); min/maxReadingTime are inclusive minutes
+ * @params  sortBy - Any link field, or readingTime, wordCount, publishedAt, lastOpened, progress
+ * @default includeSubcollections=true (collection=none returns unfiled links)
  */
 router.get('/', authenticate, linksController.getUserLinks);
 
@@ -38,16 +175,66 @@ router.get('/:id', authenticate, linksController.getLinkById);
  * @route   PUT /api/links/:id
  * @desc    Update a link (user-specific)
  * @access  Private
- * @body    { linkType, title, description, images, metadata, tags, notes }
+ * @body    { url, linkType, title, description, images, metadata, tags, notes, collectionId } - other fields are ignored
  */
-router.put('/:id', authenticate, linksController.updateLink);
+router.put('/:id', authenticate, idempotent, linksController.updateLink);
 
 /**
  * @route   DELETE /api/links/:id
- * @desc    Delete a link (soft delete, user-specific)
+ * @desc    Delete a link (soft delete, user-specific); it stays in the trash until purged
+ * @access  Private
+ */
+router.delete('/:id', authenticate, idempotent, linksController.deleteLink);
+
+/**
+ * @route   POST /api/links/:id/refresh
+ * @desc    Re-run metadata extraction (retries, browser fallback, oEmbed) for the saved URL
+ * @access  Private
+ * @query   { force } - true to also overwrite title, description, type and images edited by hand
+ * @returns { data, refreshedFields, keptFields }
+ */
+router.post('/:id/refresh', authenticate, idempotent, linksController.refreshLink);
+
+/**
+ * @route   GET /api/links/:id/snapshot
+ * @desc    Get the readable offline copy captured when the link was saved or refreshed
+ * @access  Private
+ * @query   { format } - html (default) serves the page; json returns { sourceUrl, contentHash, size, fetchedAt, html }
+ */
+router.get('/:id/snapshot', authenticate, linksController.getLinkSnapshot);
+
+/**
+ * @route   GET /api/links/:id/screenshot
+ * @desc    Get the WebP screenshot thumbnail of a page that has no og:image or logo. It is captured in the
+ *          background after the link is saved or refreshed; images.screenshot holds this path once it exists
+ * @access  Private
+ */
+router.get('/:id/screenshot', authenticate, linksController.getLinkScreenshot);
+
+/**
+ * @route   GET /api/links/:id/file
+ * @desc    Download the file behind an uploaded item
+ * @access  Private
+ * @query   { download } - true to send it as an attachment instead of inline
+ */
+router.get('/:id/file', authenticate, linksController.getLinkFile);
+
+// ==================== Edit History ====================
+
+/**
+ * @route   GET /api/links/:id/history
+ * @desc    Get the edit history of a link: changed fields with before/after values, newest first
+ * @access  Private
+ * @query   { page, limit }
+ */
+router.get('/:id/history', authenticate, linksController.getLinkHistory);
+
+/**
+ * @route   POST /api/links/:id/revert/:revisionId
+ * @desc    Restore the fields a revision changed to their earlier values (recorded as a new revision)
  * @access  Private
  */
-router.delete('/:id', authenticate, linksController.deleteLink);
+router.post('/:id/revert/:revisionId', authenticate, idempotent, linksController.revertLink);
 
 // ==================== Specialized Queries ====================
 
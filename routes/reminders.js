@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const remindersController = require('../controllers/remindersController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Reminders Routes
+ * Base path: /api/reminders
+ * All routes are user-specific and require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
+ */
+
+/**
+ * @route   POST /api/reminders
+ * @desc    Remind the user about a link at a given time, optionally repeating.
+ *          Delivered by email, or by SMS for phone-registered accounts
+ * @access  Private
+ * @body    { linkId, dueAt (ISO date in the future), repeat ('none', 'daily', 'weekly', 'monthly'), note }
+ */
+router.post('/', authenticate, idempotent, remindersController.createReminder);
+
+/**
+ * @route   GET /api/reminders
+ * @desc    Get the user's reminders, soonest first, with their links
+ * @access  Private
+ * @query   page, limit, status (comma-separated: 'scheduled', 'sending', 'sent', 'cancelled', 'failed'), linkId
+ */
+router.get('/', authenticate, remindersController.getReminders);
+
+/**
+ * @route   POST /api/reminders/:id/snooze
+ * @desc    Push a reminder back; sent and failed reminders are scheduled again
+ * @access  Private
+ * @body    { until (ISO date in the future) } or { minutes }
+ */
+router.post('/:id/snooze', authenticate, idempotent, remindersController.snoozeReminder);
+
+/**
+ * @route   DELETE /api/reminders/:id
+ * @desc    Cancel a reminder
+ * @access  Private
+ */
+router.delete('/:id', authenticate, idempotent, remindersController.cancelReminder);
+
+module.exports = router;
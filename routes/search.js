@@ -10,7 +10,12 @@ router.use(authenticate);
  * @route   GET /api/search/links
  * @desc    Search through user's links
  * @access  Private
- * @params  query (required), page (optional, default: 1), limit (optional, default: 10)
+ * @params  query (required), page (optional, default: 1), limit (optional, default: 10),
+ *          readingState (optional, comma-separated: 'unread', 'in_progress', 'read', 'archived'),
+ *          readingTime (optional: 'short', 'medium', 'long'), minReadingTime / maxReadingTime (optional, minutes),
+ *          sort (optional: 'az', 'za', 'shortest', 'longest'),
+ *          cursor (optional: switches to cursor pagination; send it empty for the first page, then
+ *          pagination.nextCursor. Cursor pages leave out totalCount/totalPages)
  */
 router.get('/links', SearchController.searchLinks);
 
@@ -18,7 +23,8 @@ router.get('/links', SearchController.searchLinks);
  * @route   GET /api/search/favourites
  * @desc    Search through user's favorite links
  * @access  Private
- * @params  query (required), page (optional, default: 1), limit (optional, default: 10)
+ * @params  query (required), page (optional, default: 1), limit (optional, default: 10),
+ *          readingState, readingTime / minReadingTime / maxReadingTime, sort and cursor as for /links
  */
 router.get('/favourites', SearchController.searchFavourites);
 
@@ -26,7 +32,8 @@ router.get('/favourites', SearchController.searchFavourites);
  * @route   GET /api/search/all
  * @desc    Search through both links and favourites
  * @access  Private
- * @params  query (required), page (optional, default: 1), limit (optional, default: 10), type (optional: 'all', 'links', 'favourites')
+ * @params  query (required), page (optional, default: 1), limit (optional, default: 10), type (optional: 'all', 'links', 'favourites'),
+ *          linksCursor / favouritesCursor (optional: cursor pagination for each half; cursor when type is 'links' or 'favourites')
  */
 router.get('/all', SearchController.searchAll);
 
@@ -34,7 +41,8 @@ router.get('/all', SearchController.searchAll);
  * @route   GET /api/search/tag
  * @desc    Search by specific tag in links or favourites
  * @access  Private
- * @params  tag (required), page (optional, default: 1), limit (optional, default: 10), type (optional: 'links', 'favourites')
+ * @params  tag (required), page (optional, default: 1), limit (optional, default: 10), type (optional: 'links', 'favourites'),
+ *          cursor (optional, as for /links)
  */
 router.get('/tag', SearchController.searchByTag);
 
@@ -1,8 +1,45 @@
 const express = require('express');
 const router = express.Router();
 const shareController = require('../controllers/shareController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { uploadArray } = require('../middleware/upload');
+const { UPLOAD_MAX_FILE_BYTES, UPLOAD_MAX_FILES_PER_SHARE } = require('../config/constants');
 
-router.post('/', shareController.create.bind(shareController));
+/**
+ * Share Routes
+ * Base path: /api/share
+ * Handoff from a share sheet: anonymous callers get a token, signed-in callers can save directly
+ */
+
+// Middleware that only runs for one-step saves; the token flow stays anonymous
+const forSave = (middleware) => (req, res, next) => (shareController.wantsSave(req) ? middleware(req, res, next) : next());
+
+/**
+ * @route   POST /api/share
+ * @desc    Every URL in the shared text is found (redirect wrappers such as Google, Facebook, Slack and
+ *          Safe Links are unwrapped) and returned as urls[] of { url, snippet, wrappedUrl }.
+ *          Without save: store the shared content and return a token valid for SHARE_TOKEN_TTL_MINUTES (default 10).
+ *          With save=true: save the first URL as a link for the signed-in user and return it (201, or 200
+ *          with alreadySaved when it was saved before); save=all saves every URL. Metadata is extracted in the background.
+ *          Saves can also be multipart with up to UPLOAD_MAX_FILES_PER_SHARE files in field "files" (pass save in the
+ *          query string); each becomes a library item as with POST /api/links/files and is reported in files[]
+ * @access  Public for tokens; Private (and Idempotency-Key aware) with save=true or save=all
+ * @body    { text, webUrl, parts, files, subject, title, save, tags }
+ */
+router.post(
+  '/',
+  forSave(authenticate),
+  forSave(uploadArray('files', { maxFileSize: UPLOAD_MAX_FILE_BYTES, maxFiles: UPLOAD_MAX_FILES_PER_SHARE })),
+  forSave(idempotent),
+  shareController.create.bind(shareController)
+);
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    Redeem a share token for the shared { url, urls, rawText, files }
+ * @access  Public
+ */
 router.get('/:token', shareController.get.bind(shareController));
 
 module.exports = router;
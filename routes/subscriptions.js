@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionsController = require('../controllers/subscriptionsController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Feed Subscriptions Routes
+ * Base path: /api/subscriptions
+ * All routes are user-specific and require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
+ */
+
+/**
+ * @route   POST /api/subscriptions
+ * @desc    Follow an RSS, Atom or JSON feed (or a site that links to one). New entries are saved as
+ *          links with the chosen tags, enriched with the page's metadata
+ * @access  Private
+ * @body    { url, tags, title, importExisting }
+ * @params  importExisting - true to also save the entries already in the feed
+ * @default importExisting=false
+ */
+router.post('/', authenticate, idempotent, subscriptionsController.createSubscription);
+
+/**
+ * @route   GET /api/subscriptions
+ * @desc    Get the user's feed subscriptions with their fetch status
+ * @access  Private
+ */
+router.get('/', authenticate, subscriptionsController.getSubscriptions);
+
+/**
+ * @route   GET /api/subscriptions/:id
+ * @desc    Get a single subscription
+ * @access  Private
+ */
+router.get('/:id', authenticate, subscriptionsController.getSubscriptionById);
+
+/**
+ * @route   PUT /api/subscriptions/:id
+ * @desc    Update a subscription; isActive=false pauses it, true resumes it and fetches right away
+ * @access  Private
+ * @body    { title, tags, isActive }
+ */
+router.put('/:id', authenticate, idempotent, subscriptionsController.updateSubscription);
+
+/**
+ * @route   DELETE /api/subscriptions/:id
+ * @desc    Unsubscribe; links saved from the feed are kept
+ * @access  Private
+ */
+router.delete('/:id', authenticate, idempotent, subscriptionsController.deleteSubscription);
+
+/**
+ * @route   POST /api/subscriptions/:id/poll
+ * @desc    Fetch the feed now
+ * @access  Private
+ */
+router.post('/:id/poll', authenticate, idempotent, subscriptionsController.pollNow);
+
+module.exports = router;
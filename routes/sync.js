@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const syncController = require('../controllers/syncController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Sync Routes
+ * Base path: /api/sync
+ * Delta sync for the mobile app; all routes require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
+ */
+
+/**
+ * @route   GET /api/sync
+ * @desc    Links, favourites and tags changed since the sync token, with deletion markers,
+ *          plus the token for the next sync. Without since, returns everything (fullSync: true).
+ *          Keep calling with the new token while hasMore is true. 410 means the token is too old
+ * @access  Private
+ * @query   since (sync token from the previous response)
+ */
+router.get('/', authenticate, syncController.pullChanges);
+
+/**
+ * @route   POST /api/sync
+ * @desc    Apply changes made offline, in order, with last-writer-wins on modifiedAt.
+ *          Each result is applied, conflict (with the server copy), duplicate, not_found or invalid
+ * @access  Private
+ * @body    { changes: [
+ *            { type: 'link', action: 'create', clientId, modifiedAt, data: { url, title, description, notes, tags, linkType, collectionId, isFavorite } },
+ *            { type: 'link', action: 'update', id, modifiedAt, data: { title, description, notes, tags, linkType, collectionId, reading: { state, progress } } },
+ *            { type: 'link', action: 'delete', id, modifiedAt },
+ *            { type: 'favourite', action: 'add' | 'remove', linkId, modifiedAt }
+ *          ] }
+ */
+router.post('/', authenticate, idempotent, syncController.pushChanges);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooksController');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * Webhooks Routes
+ * Base path: /api/webhooks
+ * All routes are user-specific and require authentication
+ * Write routes accept an Idempotency-Key header; retries with the same key replay the first response
+ *
+ * Each delivery is a POST of { id, event, createdAt, data: { link } } with the headers
+ * X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Event-Id, X-Webhook-Timestamp and
+ * X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${rawBody}`).
+ * Non-2xx responses and timeouts are retried with exponential backoff.
+ */
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Register a webhook; the response contains the signing secret, which is not shown again
+ * @access  Private
+ * @body    { url, events, description }
+ * @params  events - Any of: link.created, link.updated, link.deleted, link.favorited, link.unfavorited
+ */
+router.post('/', authenticate, idempotent, webhooksController.createWebhook);
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Get the user's webhooks with their last delivery status
+ * @access  Private
+ */
+router.get('/', authenticate, webhooksController.getWebhooks);
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Get a single webhook
+ * @access  Private
+ */
+router.get('/:id', authenticate, webhooksController.getWebhookById);
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Update a webhook; isActive=false pauses deliveries
+ * @access  Private
+ * @body    { url, events, description, isActive }
+ */
+router.put('/:id', authenticate, idempotent, webhooksController.updateWebhook);
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Delete a webhook with its pending deliveries and delivery log
+ * @access  Private
+ */
+router.delete('/:id', authenticate, idempotent, webhooksController.deleteWebhook);
+
+/**
+ * @route   POST /api/webhooks/:id/rotate-secret
+ * @desc    Replace the signing secret; the response contains the new secret
+ * @access  Private
+ */
+router.post('/:id/rotate-secret', authenticate, idempotent, webhooksController.rotateSecret);
+
+/**
+ * @route   GET /api/webhooks/:id/deliveries
+ * @desc    Get the delivery log, newest first: payload, attempts, response status and last error
+ * @access  Private
+ * @query   page, limit, status (comma-separated: 'pending', 'delivering', 'succeeded', 'failed'), event
+ * @default page=1, limit=20
+ */
+router.get('/:id/deliveries', authenticate, webhooksController.getDeliveries);
+
+/**
+ * @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc    Queue a logged delivery again with the same payload
+ * @access  Private
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticate, idempotent, webhooksController.redeliver);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * Merge duplicate links
+ * Recomputes every active link's urlKey with the current rules in
+ * config/urlRules.js and merges links that turn out to be the same page for
+ * the same user. The oldest save is kept; the others are moved to the trash.
+ * Also strips tracking parameters from stored URLs and fills in urlKey on
+ * links saved before it existed.
+ *
+ * Usage:
+ *   npm run links:merge-duplicates                  # dry run, prints what would change
+ *   npm run links:merge-duplicates -- --apply       # make the changes
+ *   npm run links:merge-duplicates -- --user <id>   # limit to one user
+ */
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const { connectDB, closeDB } = require('../config/database');
+const { normalizeUrl, urlDedupeKey } = require('../utils/url');
+const { mergeDuplicateLinks } = require('../utils/linkOperations');
+
+const parseArgs = (argv) => {
+  const args = { apply: false, userId: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--apply') args.apply = true;
+    else if (argv[i] === '--user') args.userId = argv[++i] || null;
+  }
+  return args;
+};
+
+/**
+ * Group a user's active links by urlKey, oldest first within a group
+ */
+async function groupUserLinks(userId) {
+  const links = await Link.find({ userId, isActive: true })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const groups = new Map();
+  for (const link of links) {
+    const key = urlDedupeKey(link.url);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(link);
+  }
+  return groups;
+}
+
+async function run() {
+  const { apply, userId } = parseArgs(process.argv.slice(2));
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    throw new Error(`Invalid user ID: ${userId}`);
+  }
+
+  await connectDB();
+  const summary = { users: 0, merged: 0, trashed: 0, updated: 0, skipped: 0 };
+
+  const userIds = userId ? [userId] : await Link.distinct('userId', { isActive: true });
+  for (const uid of userIds) {
+    const groups = await groupUserLinks(uid);
+    let touched = false;
+
+    for (const [urlKey, links] of groups) {
+      const [survivor, ...duplicates] = links;
+
+      if (duplicates.length > 0) {
+        touched = true;
+        summary.merged += 1;
+        summary.trashed += duplicates.length;
+        console.log(`🔗 ${uid}: ${links.length} saves of ${urlKey}`);
+        for (const link of links) {
+          console.log(`   ${link === survivor ? 'keep ' : 'trash'} ${link._id} ${link.url}`);
+        }
+        if (apply) await mergeDuplicateLinks(uid, survivor, duplicates, urlKey);
+        continue;
+      }
+
+      const url = normalizeUrl(survivor.url);
+      if (survivor.url !== url || survivor.urlKey !== urlKey) {
+        touched = true;
+        console.log(`✏️  ${uid}: ${survivor.url}${survivor.url !== url ? ` -> ${url}` : ''} (key ${urlKey})`);
+        if (!apply) {
+          summary.updated += 1;
+          continue;
+        }
+        try {
+          await Link.updateOne({ _id: survivor._id }, { $set: { url, urlKey } });
+          summary.updated += 1;
+        } catch (err) {
+          if (!(err && err.code === 11000)) throw err;
+          summary.skipped += 1;
+          console.error(`❌ ${survivor._id}: another active link already uses ${url}`);
+        }
+      }
+    }
+
+    if (touched) summary.users += 1;
+  }
+
+  console.log(`\n${apply ? '✅ Done' : '🔍 Dry run (pass --apply to make changes)'}: ` +
+    `${summary.users} users, ${summary.merged} pages merged, ${summary.trashed} duplicates trashed, ` +
+    `${summary.updated} links updated, ${summary.skipped} skipped`);
+}
+
+run()
+  .catch((error) => {
+    console.error('❌ Merging duplicate links failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(closeDB);
@@ -37,6 +37,11 @@ function resolveHost(requested) {
 const HOST = resolveHost(process.env.HOST);
 const { connectDB } = require('./config/database');
 require('./config/passport'); // Initialize passport strategies
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
+const { startLinkHealthCheckJob } = require('./jobs/linkHealthCheck');
+const { startReminderScheduler } = require('./jobs/reminderScheduler');
+const { startWebhookDispatcher } = require('./jobs/webhookDispatcher');
+const { startFeedPoller } = require('./jobs/feedPoller');
 
 // Import middleware
 const corsMiddleware = require('./middleware/cors');
@@ -52,6 +57,12 @@ const geminiRoutes = require('./routes/gemini');
 const linksRoutes = require('./routes/links');
 const favsRoutes = require('./routes/favs');
 const searchRoutes = require('./routes/search');
+const collectionsRoutes = require('./routes/collections');
+const remindersRoutes = require('./routes/reminders');
+const syncRoutes = require('./routes/sync');
+const webhooksRoutes = require('./routes/webhooks');
+const feedsRoutes = require('./routes/feeds');
+const subscriptionsRoutes = require('./routes/subscriptions');
 
 // Import Swagger configuration
 const { specs, swaggerUi, swaggerOptions } = require('./config/swagger');
@@ -153,7 +164,14 @@ app.use('/api/gemini', geminiRoutes);
 app.use('/api/links', linksRoutes);
 app.use('/api/favs', favsRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/collections', collectionsRoutes);
+app.use('/api/reminders', remindersRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+app.use('/api/feeds', feedsRoutes);
+app.use('/api/subscriptions', subscriptionsRoutes);
 app.use('/api/share', require('./routes/share'));
+app.use('/api/images', require('./routes/images'));
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -165,6 +183,13 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
     await ensurePlayReviewUser();
+
+    // Background jobs
+    startTrashPurgeJob();
+    startLinkHealthCheckJob();
+    startReminderScheduler();
+    startWebhookDispatcher();
+    startFeedPoller();
     
     // Start server
     const server = app.listen(PORT, HOST, () => {
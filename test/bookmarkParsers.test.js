@@ -0,0 +1,173 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  IMPORT_PARSERS,
+  decodeEntities,
+  parseUnixTimestamp,
+  parseCsv,
+  parseNetscapeBookmarks,
+  parsePocketExport,
+  parseRaindropCsv,
+  parsePinboardJson
+} = require('../utils/bookmarkParsers');
+
+describe('parseNetscapeBookmarks', () => {
+  const file = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1600000000" PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/top" ADD_DATE="1700000000">Top level</A>
+        <DT><H3>Dev &amp; Tools</H3>
+        <DL><p>
+            <DT><H3>Node</H3>
+            <DL><p>
+                <DT><A HREF="https://nodejs.org/?a=1&amp;b=2" ADD_DATE="1700000000" LAST_MODIFIED="1700000100" TAGS="runtime,js">Node.js &#8212; docs</A>
+                <DD>Official documentation
+            </DL><p>
+        </DL><p>
+        <DT><A HREF="https://example.com/after">After the folder</A>
+    </DL><p>
+</DL><p>`;
+
+  it('turns folders into tags, leaving out the browser root folders', () => {
+    const rows = parseNetscapeBookmarks(file);
+
+    assert.deepEqual(rows.map(r => [r.url, r.tags]), [
+      ['https://example.com/top', []],
+      ['https://nodejs.org/?a=1&b=2', ['Dev & Tools', 'Node', 'runtime', 'js']],
+      ['https://example.com/after', []]
+    ]);
+  });
+
+  it('reads titles, dates and <DD> notes', () => {
+    const node = parseNetscapeBookmarks(file)[1];
+
+    assert.equal(node.title, 'Node.js \u2014 docs');
+    assert.equal(node.notes, 'Official documentation');
+    assert.equal(node.createdAt.toISOString(), '2023-11-14T22:13:20.000Z');
+    assert.equal(node.updatedAt.toISOString(), '2023-11-14T22:15:00.000Z');
+  });
+
+  it('returns no rows for files without links', () => {
+    assert.deepEqual(parseNetscapeBookmarks(''), []);
+    assert.deepEqual(parseNetscapeBookmarks('<html><body>nothing</body></html>'), []);
+  });
+});
+
+describe('bookmark parsing helpers', () => {
+  it('decodes named and numeric entities', () => {
+    assert.equal(decodeEntities('&lt;b&gt; &quot;x&quot; &#39;y&#39; &#x1F600; &amp;amp;'), '<b> "x" \'y\' \u{1F600} &amp;');
+  });
+
+  it('reads unix timestamps in seconds, milliseconds and microseconds', () => {
+    const expected = '2023-11-14T22:13:20.000Z';
+    assert.equal(parseUnixTimestamp('1700000000').toISOString(), expected);
+    assert.equal(parseUnixTimestamp(1700000000000).toISOString(), expected);
+    assert.equal(parseUnixTimestamp('1700000000000000').toISOString(), expected);
+    assert.equal(parseUnixTimestamp('0'), undefined);
+    assert.equal(parseUnixTimestamp('soon'), undefined);
+  });
+
+  it('parses quoted CSV fields with commas, quotes and newlines', () => {
+    const rows = parseCsv('\uFEFFTitle,URL\r\n"Say ""hi"", then\nleave",https://example.com\r\n\r\n');
+    assert.deepEqual(rows, [{ title: 'Say "hi", then\nleave', url: 'https://example.com' }]);
+  });
+
+  it('has a parser for every import source', () => {
+    assert.deepEqual(Object.keys(IMPORT_PARSERS).sort(), ['bookmarks', 'netscape', 'pinboard', 'pocket', 'raindrop']);
+  });
+});
+
+describe('parsePocketExport', () => {
+  it('reads the reading state of HTML links from their section heading', () => {
+    const html = `<!DOCTYPE html>
+<html><head><title>Pocket Export</title></head><body>
+<h1>Unread</h1>
+<ul>
+  <li><a href="https://example.com/later" time_added="1700000000" tags="news,tech">Read later</a></li>
+</ul>
+<h1>Read Archive</h1>
+<ul>
+  <li><a href="https://example.com/done" time_added="1600000000" tags="" favorite="1">https://example.com/done</a></li>
+</ul>
+</body></html>`;
+
+    const rows = parsePocketExport(html);
+
+    assert.deepEqual(rows.map(r => [r.url, r.readingState]), [
+      ['https://example.com/later', 'unread'],
+      ['https://example.com/done', 'read']
+    ]);
+    assert.equal(rows[0].title, 'Read later');
+    assert.deepEqual(rows[0].tags, ['news', 'tech']);
+    assert.equal(rows[0].createdAt.toISOString(), '2023-11-14T22:13:20.000Z');
+    assert.equal(rows[1].title, undefined);
+    assert.equal(rows[1].isFavorite, true);
+  });
+
+  it('leaves the reading state out when the HTML has no section headings', () => {
+    const rows = parsePocketExport('<ul><li><a href="https://example.com/a">A</a></li></ul>');
+    assert.equal(rows[0].readingState, undefined);
+  });
+
+  it('maps the CSV status column, archive being read', () => {
+    const csv = [
+      'title,url,time_added,tags,status',
+      'Later,https://example.com/later,1700000000,news|tech,unread',
+      '"Done, finally",https://example.com/done,1600000000,,archive',
+      'Other,https://example.com/other,1600000000,,ARCHIVE '
+    ].join('\n');
+
+    const rows = parsePocketExport(csv);
+
+    assert.deepEqual(rows.map(r => r.readingState), ['unread', 'read', 'read']);
+    assert.equal(rows[1].title, 'Done, finally');
+    assert.deepEqual(rows[0].tags, ['news', 'tech']);
+  });
+
+  it('leaves the reading state out for CSV files without a status column', () => {
+    const rows = parsePocketExport('title,url,time_added\nA,https://example.com/a,1700000000');
+    assert.equal(rows[0].readingState, undefined);
+  });
+});
+
+describe('parseRaindropCsv', () => {
+  it('turns folders into tags next to the raindrop tags', () => {
+    const csv = [
+      'id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite',
+      '1,Guide,My note,Short excerpt,https://example.com/guide,Dev/JavaScript,"node, web",2024-01-02T03:04:05.000Z,,,true',
+      '2,Misc,,,https://example.com/misc,Unsorted,,2024-01-02T03:04:05.000Z,,,false'
+    ].join('\n');
+
+    const [guide, misc] = parseRaindropCsv(csv);
+
+    assert.deepEqual(guide.tags, ['Dev', 'JavaScript', 'node', 'web']);
+    assert.equal(guide.notes, 'My note');
+    assert.equal(guide.description, 'Short excerpt');
+    assert.equal(guide.isFavorite, true);
+    assert.equal(guide.createdAt.toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.deepEqual(misc.tags, []);
+    assert.equal(misc.isFavorite, false);
+  });
+});
+
+describe('parsePinboardJson', () => {
+  it('maps toread to the reading state and splits tags on spaces', () => {
+    const rows = parsePinboardJson(JSON.stringify([
+      { href: 'https://example.com/a', description: 'A', extended: 'Note', time: '2020-05-06T07:08:09Z', tags: 'one  two', toread: 'yes' },
+      { href: 'https://example.com/b', description: '', tags: '', toread: 'no' }
+    ]));
+
+    assert.deepEqual(rows.map(r => r.readingState), ['unread', 'read']);
+    assert.deepEqual(rows[0].tags, ['one', 'two']);
+    assert.equal(rows[0].notes, 'Note');
+    assert.equal(rows[1].title, undefined);
+  });
+
+  it('refuses files that are not JSON', () => {
+    assert.throws(() => parsePinboardJson('<html>'), /not valid JSON/);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const LinkTag = require('../models/LinkTag');
+const Webhook = require('../models/Webhook');
+const linksController = require('../controllers/linksController');
+
+const respond = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+describe('bulkUpdateLinks', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let links;
+  let readingUpdates;
+
+  const link = (fields) => new Link({
+    userId,
+    url: `https://example.com/${new mongoose.Types.ObjectId()}`,
+    originalUrl: 'https://example.com/',
+    ...fields
+  });
+
+  const bulk = async (body) => {
+    const res = respond();
+    await linksController.bulkUpdateLinks({ body, user: { id: String(userId) } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    links = [link({ tags: ['Dev'] }), link({ tags: ['news', 'dev'] }), link({ tags: [] })];
+    readingUpdates = [];
+    mock.method(Link, 'find', async (filter) => {
+      const wanted = new Set((filter._id?.$in || []).map(String));
+      return links.filter(l => wanted.has(String(l._id)));
+    });
+    mock.method(Link.prototype, 'save', async function () { return this; });
+    mock.method(Link, 'updateOne', async (filter, update) => {
+      readingUpdates.push({ filter, update });
+      return {};
+    });
+    mock.method(LinkTag, 'deleteMany', async () => ({}));
+    mock.method(LinkTag, 'insertMany', async () => []);
+    mock.method(Webhook, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('adds tags case-insensitively and reports each link', async () => {
+    const missing = String(new mongoose.Types.ObjectId());
+    const ids = [...links.map(l => String(l._id)), missing, 'not-an-id'];
+
+    const res = await bulk({ ids, operation: 'addTags', tags: 'dev, reading' });
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(links.map(l => l.tags), [['Dev', 'reading'], ['news', 'dev', 'reading'], ['dev', 'reading']]);
+    assert.deepEqual(res.body.data.results.map(r => r.status), ['updated', 'updated', 'updated', 'not_found', 'not_found']);
+    assert.deepEqual(res.body.data.summary, { requested: 5, matched: 3, updated: 3, unchanged: 0, failed: 2, truncated: false });
+  });
+
+  it('reports links that did not change', async () => {
+    const res = await bulk({ ids: links.map(l => String(l._id)), operation: 'removeTags', tags: ['DEV'] });
+
+    assert.deepEqual(links.map(l => l.tags), [[], ['news'], []]);
+    assert.deepEqual(res.body.data.results.map(r => r.status), ['updated', 'updated', 'unchanged']);
+  });
+
+  it('sets the reading state only where it differs', async () => {
+    links[1].reading = { state: 'read', progress: 100 };
+
+    const res = await bulk({ ids: links.map(l => String(l._id)), operation: 'setReadingState', readingState: 'read' });
+
+    assert.deepEqual(res.body.data.results.map(r => r.status), ['updated', 'unchanged', 'updated']);
+    assert.equal(readingUpdates.length, 2);
+    assert.equal(readingUpdates[0].update.$set['reading.state'], 'read');
+  });
+
+  it('validates the operation and its arguments', async () => {
+    const ids = [String(links[0]._id)];
+    assert.equal((await bulk({ ids, operation: 'explode' })).statusCode, 400);
+    assert.equal((await bulk({ ids, operation: 'addTags', tags: ' , ' })).statusCode, 400);
+    assert.equal((await bulk({ ids, operation: 'setLinkType', linkType: 'podcast' })).statusCode, 400);
+    assert.equal((await bulk({ ids, operation: 'setReadingState', readingState: 'skimmed' })).statusCode, 400);
+    assert.equal((await bulk({ operation: 'favorite' })).statusCode, 400);
+    assert.equal((await bulk({ ids: Array.from({ length: 501 }, () => ids[0]), operation: 'favorite' })).statusCode, 400);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const collectionsController = require('../controllers/collectionsController');
+
+/**
+ * In-memory collection tree for one user: root > a > b > c, plus a separate root
+ */
+function stubTree(userId) {
+  const make = (name, parent) => new Collection({
+    userId,
+    name,
+    parentId: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : []
+  });
+  const root = make('Root');
+  const a = make('A', root);
+  const b = make('B', a);
+  const c = make('C', b);
+  const other = make('Other');
+  const all = [root, a, b, c, other];
+
+  mock.method(Collection, 'findOne', async (filter) => all.find(col => String(col._id) === String(filter._id)) || null);
+  mock.method(Collection.prototype, 'save', async function () { return this; });
+  mock.method(Collection, 'find', (filter) => ({
+    select: async () => all.filter(col => col.ancestors.some(id => String(id) === String(filter.ancestors)))
+  }));
+  mock.method(Collection, 'bulkWrite', async (ops) => {
+    for (const { updateOne } of ops) {
+      all.find(col => String(col._id) === String(updateOne.filter._id)).ancestors = updateOne.update.$set.ancestors;
+    }
+  });
+  return { root, a, b, c, other };
+}
+
+const respond = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const ids = (list) => list.map(String);
+
+describe('moveCollection', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let tree;
+
+  beforeEach(() => {
+    tree = stubTree(userId);
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const move = async (collection, parent) => {
+    const res = respond();
+    await collectionsController.moveCollection({
+      params: { id: String(collection._id) },
+      body: { parentId: parent ? String(parent._id) : null },
+      user: { id: String(userId) }
+    }, res);
+    return res;
+  };
+
+  it('rewrites the ancestor chain of the moved collection and everything under it', async () => {
+    const res = await move(tree.a, tree.other);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(ids(tree.a.ancestors), ids([tree.other._id]));
+    assert.deepEqual(ids(tree.b.ancestors), ids([tree.other._id, tree.a._id]));
+    assert.deepEqual(ids(tree.c.ancestors), ids([tree.other._id, tree.a._id, tree.b._id]));
+  });
+
+  it('moves a collection to the top level', async () => {
+    await move(tree.b, null);
+
+    assert.equal(tree.b.parentId, null);
+    assert.deepEqual(ids(tree.b.ancestors), []);
+    assert.deepEqual(ids(tree.c.ancestors), ids([tree.b._id]));
+  });
+
+  it('refuses to move a collection into itself or one of its descendants', async () => {
+    assert.equal((await move(tree.a, tree.a)).statusCode, 400);
+    assert.equal((await move(tree.a, tree.c)).statusCode, 400);
+    assert.deepEqual(ids(tree.c.ancestors), ids([tree.root._id, tree.a._id, tree.b._id]));
+  });
+});
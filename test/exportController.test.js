@@ -0,0 +1,122 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const exportController = require('../controllers/exportController');
+
+/**
+ * Response that takes one small chunk at a time, so writes keep hitting backpressure
+ */
+class SlowResponse extends Writable {
+  constructor({ failAfter = Infinity } = {}) {
+    super({ highWaterMark: 64 });
+    this.headers = {};
+    this.chunks = [];
+    this.maxCloseListeners = 0;
+    this.failAfter = failAfter;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = value;
+  }
+
+  get headersSent() {
+    return this.chunks.length > 0;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(body) {
+    this.body = body;
+    return this;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.maxCloseListeners = Math.max(this.maxCloseListeners, this.listenerCount('close'));
+    if (this.chunks.length >= this.failAfter) {
+      // The client goes away mid-download
+      setImmediate(() => this.destroy());
+      return;
+    }
+    setImmediate(callback);
+  }
+}
+
+/**
+ * Stub Link.find(...).select().sort().lean().cursor() with in-memory links
+ */
+function stubLinkCursor(count) {
+  const state = { read: 0, closed: false };
+  const links = Array.from({ length: count }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    url: `https://example.com/articles/${i}`,
+    title: `Article ${i} with a title long enough to fill the buffer`,
+    tags: ['reading', 'export'],
+    createdAt: new Date('2024-01-01T00:00:00Z'),
+    updatedAt: new Date('2024-01-02T00:00:00Z')
+  }));
+  const cursor = {
+    async *[Symbol.asyncIterator]() {
+      for (const link of links) {
+        if (state.closed) return;
+        state.read += 1;
+        yield link;
+      }
+    },
+    close: async () => { state.closed = true; }
+  };
+  mock.method(Link, 'find', () => ({ select: () => ({ sort: () => ({ lean: () => ({ cursor: () => cursor }) }) }) }));
+  return state;
+}
+
+const exportRequest = (format) => ({ query: { format }, user: { id: String(new mongoose.Types.ObjectId()) } });
+
+describe('exportLinks', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('streams a large export through backpressure with a single close listener', async () => {
+    stubLinkCursor(300);
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning);
+    process.on('warning', onWarning);
+    const res = new SlowResponse();
+    const finished = new Promise(resolve => res.on('finish', resolve));
+
+    try {
+      await exportController.exportLinks(exportRequest('json'), res);
+      await finished;
+    } finally {
+      process.off('warning', onWarning);
+    }
+
+    const exported = JSON.parse(Buffer.concat(res.chunks).toString('utf8'));
+    assert.equal(exported.links.length, 300);
+    assert.equal(exported.links[299].url, 'https://example.com/articles/299');
+    assert.ok(res.maxCloseListeners <= 1, `close listeners grew to ${res.maxCloseListeners}`);
+    assert.deepEqual(warnings.filter(w => w.name === 'MaxListenersExceededWarning'), []);
+  });
+
+  it('stops reading and closes the cursor when the client disconnects', async () => {
+    const state = stubLinkCursor(300);
+    const res = new SlowResponse({ failAfter: 5 });
+
+    await exportController.exportLinks(exportRequest('csv'), res);
+
+    assert.ok(state.read < 300, `read ${state.read} links after the client left`);
+    assert.equal(state.closed, true);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = new SlowResponse();
+    await exportController.exportLinks(exportRequest('pdf'), res);
+    assert.equal(res.statusCode, 400);
+    assert.ok(res.body.validFormats.includes('markdown'));
+  });
+});
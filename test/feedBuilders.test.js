@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { FEED_FORMATS, feedFormats } = require('../utils/feedBuilders');
+
+const feed = {
+  id: 'tag:links.example.com,2024:feeds/u1?tag=dev',
+  host: 'links.example.com',
+  title: 'Ada\'s saved links (tagged dev & news)',
+  description: 'Links saved by Ada',
+  author: 'Ada',
+  homeUrl: 'https://app.example.com',
+  selfUrl: 'https://links.example.com/api/feeds/abc/rss?tag=dev&limit=2',
+  updatedAt: Date.UTC(2024, 4, 2, 10),
+  ttlSeconds: 300
+};
+
+const links = [
+  {
+    _id: 'l1',
+    url: 'https://example.com/search?q=a&b=<c>',
+    title: 'Tom & Jerry <script>alert(1)</script>\u0001',
+    description: 'Cats "and" mice',
+    notes: 'first line\nsecond line',
+    tags: ['dev', 'c++ & co'],
+    images: { ogImage: 'https://example.com/og.png?w=1&h=2' },
+    linkType: 'video',
+    isFavorite: true,
+    createdAt: new Date(Date.UTC(2024, 4, 1, 9)),
+    updatedAt: new Date(Date.UTC(2024, 4, 2, 10))
+  },
+  {
+    _id: 'l2',
+    url: 'https://example.com/plain',
+    createdAt: new Date(Date.UTC(2023, 11, 31, 23))
+  }
+];
+
+const render = (format) => feedFormats[format].render(feed, links);
+
+describe('feed builders', () => {
+  it('has a serializer with a content type for every format', () => {
+    for (const format of FEED_FORMATS) {
+      assert.match(feedFormats[format].contentType, /charset=utf-8$/);
+    }
+  });
+
+  it('renders RSS that parses back to the same text', () => {
+    const xml = render('rss');
+    assert.ok(!xml.includes('<script>'));
+    assert.ok(!xml.includes('\u0001'));
+
+    const $ = cheerio.load(xml, { xml: true });
+    assert.equal($('channel > title').text(), feed.title);
+    assert.equal($('channel > ttl').text(), '5');
+    assert.equal($('atom\\:link').attr('href'), feed.selfUrl);
+
+    const [first, second] = $('item').toArray().map(el => $(el));
+    assert.equal(first.children('title').text(), 'Tom & Jerry <script>alert(1)</script>');
+    assert.equal(first.children('link').text(), links[0].url);
+    assert.equal(first.children('guid').text(), 'tag:links.example.com,2024-05-01:link/l1');
+    assert.equal(first.children('pubDate').text(), 'Wed, 01 May 2024 09:00:00 GMT');
+    assert.deepEqual(first.children('category').toArray().map(el => $(el).text()), ['dev', 'c++ & co']);
+    assert.equal(
+      first.children('description').text(),
+      '<p><img src="https://example.com/og.png?w=1&amp;h=2" alt=""></p>\n' +
+      '<p>Cats &quot;and&quot; mice</p>\n' +
+      '<p><strong>Notes:</strong> first line<br>second line</p>'
+    );
+    assert.equal(second.children('title').text(), 'https://example.com/plain');
+    assert.equal(second.children('media\\:content').length, 0);
+  });
+
+  it('renders Atom with stable ids and html content', () => {
+    const $ = cheerio.load(render('atom'), { xml: true });
+
+    assert.equal($('feed > id').text(), feed.id);
+    assert.equal($('feed > updated').text(), '2024-05-02T10:00:00.000Z');
+    const entry = $('entry').first();
+    assert.equal(entry.children('id').text(), 'tag:links.example.com,2024-05-01:link/l1');
+    assert.equal(entry.children('link').attr('href'), links[0].url);
+    assert.equal(entry.children('updated').text(), '2024-05-02T10:00:00.000Z');
+    assert.equal(entry.children('content').attr('type'), 'html');
+    assert.deepEqual(entry.children('category').toArray().map(el => $(el).attr('term')), ['dev', 'c++ & co']);
+    assert.equal($('entry').last().children('summary').length, 0);
+  });
+
+  it('renders JSON Feed 1.1 without empty fields', () => {
+    const doc = JSON.parse(render('json'));
+
+    assert.equal(doc.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(doc.feed_url, feed.selfUrl);
+    assert.equal(doc.items[0].title, 'Tom & Jerry <script>alert(1)</script>\u0001');
+    assert.deepEqual(doc.items[0]._link, { linkType: 'video', isFavorite: true, notes: 'first line\nsecond line' });
+    assert.deepEqual(Object.keys(doc.items[1]).sort(), ['_link', 'content_html', 'date_modified', 'date_published', 'id', 'title', 'url']);
+  });
+});
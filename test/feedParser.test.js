@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed, discoverFeedUrl } = require('../utils/feedParser');
+
+const feedUrl = 'https://blog.example.com/feed.xml';
+
+describe('parseFeed', () => {
+  it('reads RSS 2.0 items, resolving relative links and falling back to permalink guids', () => {
+    const feed = parseFeed(`\uFEFF<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <title> Example   blog </title>
+  <link>/</link>
+  <item>
+    <title>First &amp; foremost</title>
+    <link>/posts/1</link>
+    <guid isPermaLink="false">post-1</guid>
+    <description><![CDATA[<p>Hello</p><p>world</p>]]></description>
+    <pubDate>Wed, 01 May 2024 09:00:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Second</title>
+    <guid>https://blog.example.com/posts/2</guid>
+    <pubDate>not a date</pubDate>
+  </item>
+  <item>
+    <title>No link</title>
+    <guid isPermaLink="false">post-3</guid>
+  </item>
+</channel></rss>`, feedUrl);
+
+    assert.equal(feed.format, 'rss');
+    assert.equal(feed.title, 'Example blog');
+    assert.equal(feed.siteUrl, 'https://blog.example.com/');
+    assert.deepEqual(feed.entries, [
+      { id: 'post-1', url: 'https://blog.example.com/posts/1', title: 'First & foremost', summary: 'Hello world', publishedAt: new Date('2024-05-01T09:00:00Z') },
+      { id: 'https://blog.example.com/posts/2', url: 'https://blog.example.com/posts/2', title: 'Second', summary: null, publishedAt: null }
+    ]);
+  });
+
+  it('reads RSS 1.0 (RDF) items', () => {
+    const feed = parseFeed(`<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://blog.example.com/"><title>RDF blog</title><link>https://blog.example.com/</link></channel>
+  <item rdf:about="https://blog.example.com/a">
+    <title>A</title><link>https://blog.example.com/a</link><dc:date>2024-05-01T09:00:00Z</dc:date>
+  </item>
+</rdf:RDF>`, feedUrl);
+
+    assert.equal(feed.format, 'rss');
+    assert.equal(feed.entries[0].id, 'https://blog.example.com/a');
+    assert.equal(feed.entries[0].publishedAt.toISOString(), '2024-05-01T09:00:00.000Z');
+  });
+
+  it('reads Atom entries, preferring the alternate link and the published date', () => {
+    const feed = parseFeed(`<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Atom blog</title>
+  <link rel="self" href="/feed.atom"/>
+  <link rel="alternate" href="https://blog.example.com/"/>
+  <entry>
+    <id>tag:blog.example.com,2024:1</id>
+    <title type="html">Post &lt;one&gt;</title>
+    <link rel="edit" href="/edit/1"/>
+    <link rel="alternate" href="/posts/1"/>
+    <content type="html">&lt;p&gt;Body&lt;/p&gt;</content>
+    <published>2024-05-01T09:00:00Z</published>
+    <updated>2024-05-03T09:00:00Z</updated>
+  </entry>
+  <entry>
+    <id>tag:blog.example.com,2024:2</id>
+    <link href="/posts/2"/>
+    <summary>Short</summary>
+    <updated>2024-05-02T09:00:00Z</updated>
+  </entry>
+</feed>`, feedUrl);
+
+    assert.equal(feed.format, 'atom');
+    assert.equal(feed.siteUrl, 'https://blog.example.com/');
+    assert.deepEqual(feed.entries[0], {
+      id: 'tag:blog.example.com,2024:1',
+      url: 'https://blog.example.com/posts/1',
+      title: 'Post <one>',
+      summary: 'Body',
+      publishedAt: new Date('2024-05-01T09:00:00Z')
+    });
+    assert.equal(feed.entries[1].url, 'https://blog.example.com/posts/2');
+    assert.equal(feed.entries[1].summary, 'Short');
+    assert.equal(feed.entries[1].publishedAt.toISOString(), '2024-05-02T09:00:00.000Z');
+  });
+
+  it('reads JSON Feed items', () => {
+    const feed = parseFeed(JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'JSON blog',
+      home_page_url: 'https://blog.example.com/',
+      items: [
+        { id: '1', url: '/posts/1', content_html: '<p>Hi</p>', date_published: '2024-05-01T09:00:00Z' },
+        { id: '2', external_url: 'https://elsewhere.example.org/x', content_text: 'Plain' }
+      ]
+    }), feedUrl);
+
+    assert.equal(feed.format, 'json');
+    assert.equal(feed.entries[0].url, 'https://blog.example.com/posts/1');
+    assert.equal(feed.entries[0].summary, 'Hi');
+    assert.equal(feed.entries[1].url, 'https://elsewhere.example.org/x');
+    assert.equal(feed.entries[1].summary, 'Plain');
+  });
+
+  it('returns null for anything that is not a feed', () => {
+    assert.equal(parseFeed('', feedUrl), null);
+    assert.equal(parseFeed('<html><body>Hello</body></html>', feedUrl), null);
+    assert.equal(parseFeed('{"items": []}', feedUrl), null);
+    assert.equal(parseFeed('{not json', feedUrl), null);
+  });
+});
+
+describe('discoverFeedUrl', () => {
+  it('finds the advertised feed, preferring RSS', () => {
+    const html = `<html><head>
+<link rel="alternate" type="application/atom+xml" href="/atom.xml">
+<link rel="alternate" type="application/rss+xml" href="/rss.xml">
+</head></html>`;
+
+    assert.equal(discoverFeedUrl(html, 'https://blog.example.com/posts/'), 'https://blog.example.com/rss.xml');
+    assert.equal(discoverFeedUrl('<html><head></head></html>', 'https://blog.example.com/'), null);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const FeedSubscription = require('../models/FeedSubscription');
+const { entryUrl, saveNewEntries } = require('../utils/feedSubscriptions');
+const { fetchLinkPreviewData } = require('../utils/helpers');
+
+describe('entryUrl', () => {
+  it('normalizes web links and drops anything else', () => {
+    assert.equal(entryUrl({ url: 'https://Example.com/post?utm_source=rss#top' }), 'https://example.com/post');
+    assert.equal(entryUrl({ url: 'mailto:someone@example.com' }), null);
+    assert.equal(entryUrl({}), null);
+    assert.equal(entryUrl(null), null);
+  });
+});
+
+describe('feed entries pointing at internal addresses', () => {
+  let server;
+  let port;
+  const hits = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits.push(req.url);
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: `http://127.0.0.1:${port}/secret` });
+        return res.end();
+      }
+      res.setHeader('Content-Type', 'text/html');
+      res.end('<html><head><title>Internal</title></head></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    hits.length = 0;
+    mock.restoreAll();
+  });
+
+  it('are marked as seen without being fetched or saved', async () => {
+    mock.method(Link, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    const save = mock.method(Link.prototype, 'save', async function () { return this; });
+    const seen = mock.method(FeedSubscription, 'updateOne', async () => ({}));
+    const subscription = { _id: new mongoose.Types.ObjectId(), userId: new mongoose.Types.ObjectId(), seenEntries: [] };
+    const url = `http://127.0.0.1:${port}/admin`;
+
+    const summary = await saveNewEntries(subscription, [{ url, title: 'Internal' }]);
+
+    assert.deepEqual(summary, { saved: 0, skipped: 1, failed: 0 });
+    assert.deepEqual(hits, []);
+    assert.equal(save.mock.callCount(), 0);
+    assert.deepEqual(seen.mock.calls[0].arguments[1].$push.seenEntries.$each, [url]);
+  });
+
+  it('cannot reach them through a redirect when the preview is guarded', async () => {
+    // Send the public host to the local server, standing in for a site that redirects inward
+    const connect = http.Agent.prototype.createConnection;
+    mock.method(http.Agent.prototype, 'createConnection', function (options, callback) {
+      const target = options.host === 'public.example' ? { ...options, host: '127.0.0.1', port, lookup: undefined } : options;
+      return connect.call(this, target, callback);
+    });
+
+    const preview = await fetchLinkPreviewData('http://public.example/redirect', { guarded: true });
+
+    assert.equal(preview.title, null);
+    assert.ok(!hits.includes('/secret'), `fetched ${hits.join(', ')}`);
+  });
+});
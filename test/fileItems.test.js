@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const User = require('../models/User');
+const LinkTag = require('../models/LinkTag');
+const Fav = require('../models/Favs');
+const LinkRevision = require('../models/LinkRevision');
+const Reminder = require('../models/Reminder');
+const { registerStorageAdapter, LocalStorageAdapter } = require('../utils/storage');
+const { saveUploadedFile, getUploadUsage } = require('../utils/fileItems');
+const { purgeLinks } = require('../utils/linkOperations');
+const { API_PUBLIC_URL, UPLOAD_QUOTA_BYTES_PER_USER } = require('../config/constants');
+
+/**
+ * In-memory user whose uploadBytes counter applies the filters the quota updates use
+ */
+function stubUser(fields = {}) {
+  const user = { _id: new mongoose.Types.ObjectId(), ...fields };
+  mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ ...user }) }) }));
+  mock.method(User, 'updateOne', async (filter, update) => {
+    // Let other requests interleave, as they would between round trips to the database
+    await new Promise(resolve => setImmediate(resolve));
+    const counter = filter.uploadBytes || {};
+    const present = typeof user.uploadBytes === 'number';
+    const matched = ('$exists' in counter ? counter.$exists === present : true) &&
+      ('$lte' in counter ? present && user.uploadBytes <= counter.$lte : true);
+    if (!matched) return { modifiedCount: 0 };
+    if (update.$set) Object.assign(user, update.$set);
+    if (update.$inc) user.uploadBytes += update.$inc.uploadBytes;
+    return { modifiedCount: 1 };
+  });
+  return user;
+}
+
+const textUpload = (text) => ({ buffer: Buffer.from(text), originalname: 'notes.txt', mimetype: 'text/plain' });
+
+describe('saveUploadedFile', () => {
+  let storageRoot;
+
+  before(() => {
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    registerStorageAdapter('local', () => new LocalStorageAdapter({ root: storageRoot }));
+  });
+
+  after(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    mock.method(Link, 'findOne', async () => null);
+    mock.method(Link, 'aggregate', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('lets only one of two concurrent uploads into the last of the quota', async () => {
+    const user = stubUser({ uploadBytes: UPLOAD_QUOTA_BYTES_PER_USER - 1000 });
+    mock.method(Link.prototype, 'save', async function () { return this; });
+
+    const results = await Promise.all([
+      saveUploadedFile(user._id, textUpload('a'.repeat(600)), {}),
+      saveUploadedFile(user._id, textUpload('b'.repeat(600)), {})
+    ]);
+
+    assert.deepEqual(results.map(r => (r.error ? r.status : 'saved')).sort(), [413, 'saved']);
+    assert.equal(user.uploadBytes, UPLOAD_QUOTA_BYTES_PER_USER - 400);
+  });
+
+  it('starts the counter from files saved before it existed', async () => {
+    const user = stubUser();
+    mock.method(Link, 'aggregate', async () => [{ _id: null, usedBytes: UPLOAD_QUOTA_BYTES_PER_USER - 100, fileCount: 3 }]);
+
+    const result = await saveUploadedFile(user._id, textUpload('c'.repeat(600)), {});
+
+    assert.equal(result.status, 413);
+    assert.equal(user.uploadBytes, UPLOAD_QUOTA_BYTES_PER_USER - 100);
+    assert.deepEqual(await getUploadUsage(user._id), {
+      usedBytes: UPLOAD_QUOTA_BYTES_PER_USER - 100,
+      fileCount: 3,
+      quotaBytes: UPLOAD_QUOTA_BYTES_PER_USER,
+      remainingBytes: 100
+    });
+  });
+
+  it('gives the reserved bytes back when the item cannot be saved', async () => {
+    const user = stubUser({ uploadBytes: 0 });
+    mock.method(Link.prototype, 'save', async () => { throw new Error('write failed'); });
+
+    await assert.rejects(saveUploadedFile(user._id, textUpload('hello'), {}), /write failed/);
+    assert.equal(user.uploadBytes, 0);
+  });
+
+  it('builds the item url from API_PUBLIC_URL', async () => {
+    const user = stubUser({ uploadBytes: 0 });
+    mock.method(Link.prototype, 'save', async function () { return this; });
+
+    const { link } = await saveUploadedFile(user._id, textUpload('hello'), {});
+
+    assert.equal(link.url, `${API_PUBLIC_URL}/api/links/${link._id}/file`);
+  });
+});
+
+describe('purgeLinks', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('frees the quota held by purged files', async () => {
+    const user = stubUser({ uploadBytes: 5000 });
+    const links = [
+      { _id: new mongoose.Types.ObjectId(), userId: user._id, file: { storageKey: 'uploads/a.txt', size: 1200 } },
+      { _id: new mongoose.Types.ObjectId(), userId: user._id, file: { storageKey: 'uploads/b.txt', size: 800 } },
+      { _id: new mongoose.Types.ObjectId(), userId: user._id }
+    ];
+    mock.method(Link, 'find', () => ({ select: () => ({ lean: async () => links }) }));
+    mock.method(Link, 'deleteMany', async () => ({ deletedCount: links.length }));
+    for (const Model of [LinkTag, Fav, LinkRevision, Reminder]) {
+      mock.method(Model, 'deleteMany', async () => ({}));
+    }
+    const deleted = [];
+    registerStorageAdapter('local', () => ({ delete: async (key) => { deleted.push(key); } }));
+
+    assert.equal(await purgeLinks({ userId: user._id, isActive: false }), 3);
+    assert.equal(user.uploadBytes, 3000);
+    assert.ok(deleted.includes('uploads/a.txt') && deleted.includes('uploads/b.txt'));
+  });
+});
@@ -0,0 +1,188 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+/**
+ * In-memory IdempotencyKey collection with the unique (userId, key) index
+ */
+function stubKeyStore() {
+  const records = [];
+  const find = (filter) => records.find(r => String(r.userId) === String(filter.userId) && r.key === filter.key);
+  mock.method(IdempotencyKey, 'create', async (fields) => {
+    if (find(fields)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const record = { _id: new mongoose.Types.ObjectId(), status: 'in_progress', responseStatus: null, responseBody: null, ...fields };
+    records.push(record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+  mock.method(IdempotencyKey, 'findOne', (filter) => ({ lean: async () => find(filter) || null }));
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    Object.assign(records.find(r => r._id === filter._id), update.$set);
+    return {};
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => {
+    const index = records.findIndex(r => r._id === filter._id && r.status === filter.status);
+    if (index !== -1) records.splice(index, 1);
+    return {};
+  });
+  return records;
+}
+
+/**
+ * Minimal Express response that finishes when a body is sent
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.writableFinished = false;
+  }
+
+  set(name, value) { this.headers[name.toLowerCase()] = value; return this; }
+  status(code) { this.statusCode = code; return this; }
+  type() { return this; }
+  json(body) { return this.send(JSON.stringify(body)); }
+  end() { return this.send(null); }
+  send(body) {
+    this.body = body === null ? null : JSON.parse(body);
+    this.writableFinished = true;
+    setImmediate(() => this.emit('finish'));
+    return this;
+  }
+}
+
+/**
+ * Run the middleware, then the handler if the middleware let the request through
+ * @returns {Promise<{res: FakeResponse, handled: boolean}>}
+ */
+async function send(req, handler) {
+  const res = new FakeResponse();
+  let handled = false;
+  await idempotent(req, res, () => {
+    handled = true;
+    handler(req, res);
+  });
+  // Let the stored response settle before the next request
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+  return { res, handled };
+}
+
+const request = ({ userId, key, body = {}, file, url = '/api/links/files' }) => ({
+  method: 'POST',
+  originalUrl: url,
+  body,
+  file,
+  user: { id: userId },
+  get: (name) => (name.toLowerCase() === 'idempotency-key' ? key : undefined)
+});
+
+describe('idempotent', () => {
+  const userId = String(new mongoose.Types.ObjectId());
+  const upload = (text) => ({ fieldname: 'file', originalname: 'notes.txt', buffer: Buffer.from(text) });
+  let saved;
+  const saveFile = (req, res) => {
+    saved += 1;
+    res.status(201).json({ success: true, data: { name: req.file.originalname, size: req.file.buffer.length } });
+  };
+
+  beforeEach(() => {
+    saved = 0;
+    stubKeyStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('replays an upload retried with the same key and file', async () => {
+    const first = await send(request({ userId, key: 'upload-1', body: { title: 'Notes' }, file: upload('hello') }), saveFile);
+    const retry = await send(request({ userId, key: 'upload-1', body: { title: 'Notes' }, file: upload('hello') }), saveFile);
+
+    assert.equal(saved, 1);
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 201);
+    assert.equal(retry.res.headers['idempotent-replayed'], 'true');
+    assert.deepEqual(retry.res.body, first.res.body);
+  });
+
+  it('refuses the same key sent with a different file', async () => {
+    await send(request({ userId, key: 'upload-2', body: { title: 'Notes' }, file: upload('hello') }), saveFile);
+    const other = await send(request({ userId, key: 'upload-2', body: { title: 'Notes' }, file: upload('goodbye') }), saveFile);
+
+    assert.equal(saved, 1);
+    assert.equal(other.res.statusCode, 422);
+  });
+
+  const createLink = (req, res) => {
+    saved += 1;
+    res.status(201).json({ success: true, data: { id: saved, url: req.body.url } });
+  };
+
+  it('replays a JSON request retried with the same key and body', async () => {
+    const body = { url: 'https://example.com', tags: ['a', 'b'] };
+    const first = await send(request({ userId, key: 'link-1', body, url: '/api/links' }), createLink);
+    const retry = await send(request({ userId, key: 'link-1', body: { tags: ['a', 'b'], url: 'https://example.com' }, url: '/api/links' }), createLink);
+
+    assert.equal(saved, 1);
+    assert.equal(retry.res.statusCode, 201);
+    assert.deepEqual(retry.res.body, first.res.body);
+  });
+
+  it('refuses the same key sent with a different body or path', async () => {
+    await send(request({ userId, key: 'link-2', body: { url: 'https://example.com' }, url: '/api/links' }), createLink);
+    const otherBody = await send(request({ userId, key: 'link-2', body: { url: 'https://example.org' }, url: '/api/links' }), createLink);
+    const otherPath = await send(request({ userId, key: 'link-2', body: { url: 'https://example.com' }, url: '/api/collections' }), createLink);
+
+    assert.equal(saved, 1);
+    assert.equal(otherBody.res.statusCode, 422);
+    assert.equal(otherPath.res.statusCode, 422);
+  });
+
+  it('keeps keys apart per user', async () => {
+    await send(request({ userId, key: 'link-3', body: { url: 'https://example.com' }, url: '/api/links' }), createLink);
+    const other = await send(request({ userId: String(new mongoose.Types.ObjectId()), key: 'link-3', body: { url: 'https://example.com' }, url: '/api/links' }), createLink);
+
+    assert.equal(saved, 2);
+    assert.equal(other.handled, true);
+  });
+
+  it('asks retries to wait while the first request is still running', async () => {
+    await send(request({ userId, key: 'link-4', url: '/api/links' }), () => {});
+    const retry = await send(request({ userId, key: 'link-4', url: '/api/links' }), createLink);
+
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 409);
+    assert.equal(retry.res.headers['retry-after'], '1');
+  });
+
+  it('frees the key after a server error so a retry runs again', async () => {
+    await send(request({ userId, key: 'link-5', url: '/api/links' }), (req, res) => res.status(503).json({ success: false }));
+    const retry = await send(request({ userId, key: 'link-5', url: '/api/links' }), createLink);
+
+    assert.equal(retry.handled, true);
+    assert.equal(retry.res.statusCode, 201);
+  });
+
+  it('stores client errors like any other response', async () => {
+    await send(request({ userId, key: 'link-6', url: '/api/links' }), (req, res) => res.status(400).json({ success: false, message: 'URL is required' }));
+    const retry = await send(request({ userId, key: 'link-6', url: '/api/links' }), createLink);
+
+    assert.equal(retry.handled, false);
+    assert.equal(retry.res.statusCode, 400);
+    assert.equal(retry.res.body.message, 'URL is required');
+  });
+
+  it('rejects empty or overlong keys and ignores requests without one', async () => {
+    assert.equal((await send(request({ userId, key: ' ', url: '/api/links' }), createLink)).res.statusCode, 400);
+    assert.equal((await send(request({ userId, key: 'k'.repeat(256), url: '/api/links' }), createLink)).res.statusCode, 400);
+
+    const plain = await send(request({ userId, url: '/api/links' }), createLink);
+    assert.equal(plain.handled, true);
+    assert.equal(IdempotencyKey.create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const CachedImage = require('../models/CachedImage');
+const { registerStorageAdapter, LocalStorageAdapter } = require('../utils/storage');
+const { getCachedImage, readCachedVariant, cachedImagePath, unsetStaleCachedImages } = require('../utils/imageCache');
+const { IMAGE_CACHE_WIDTHS } = require('../config/constants');
+
+describe('unsetStaleCachedImages', () => {
+  it('drops the cached copy of every image the update changes', () => {
+    const previous = { ogImage: 'https://example.com/old.png', logo: 'https://example.com/logo.png' };
+    const update = unsetStaleCachedImages({
+      $set: { 'images.ogImage': 'https://example.com/new.png', 'images.logo': 'https://example.com/logo.png' },
+      $unset: { 'images.favicon': '' }
+    }, previous);
+
+    assert.deepEqual(update.$unset, { 'images.favicon': '', 'cachedImages.ogImage': '' });
+  });
+
+  it('leaves updates that do not touch images alone', () => {
+    assert.deepEqual(unsetStaleCachedImages({ $set: { title: 'New' } }), { $set: { title: 'New' } });
+  });
+});
+
+describe('getCachedImage', () => {
+  let storageRoot;
+  let records;
+  let png;
+
+  before(async () => {
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+    registerStorageAdapter('local', () => new LocalStorageAdapter({ root: storageRoot }));
+    png = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#cc3366' } }).png().toBuffer();
+  });
+
+  after(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    records = new Map();
+    mock.method(CachedImage, 'findOne', (filter) => ({ lean: async () => records.get(filter.sourceUrl) || null }));
+    mock.method(CachedImage, 'findOneAndUpdate', (filter, update) => {
+      const record = { sourceUrl: filter.sourceUrl, ...update.$set };
+      records.set(filter.sourceUrl, record);
+      return { lean: async () => record };
+    });
+    mock.method(CachedImage, 'updateOne', async (filter, update) => {
+      records.set(filter.sourceUrl, { sourceUrl: filter.sourceUrl, ...update.$set });
+      return {};
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const servePng = () => mock.method(axios, 'get', async () => ({ status: 200, data: png, headers: { 'content-type': 'image/png' } }));
+
+  it('stores WebP variants under the content hash, never enlarged', async () => {
+    servePng();
+
+    const { image } = await getCachedImage('https://cdn.example.com/og.png');
+
+    assert.equal(image.status, 'ready');
+    assert.equal(image.format, 'png');
+    assert.deepEqual([image.width, image.height], [400, 200]);
+    assert.deepEqual(image.widths, IMAGE_CACHE_WIDTHS);
+    assert.equal(cachedImagePath(image.contentHash), `/api/images/${image.contentHash}`);
+    const small = await sharp(await readCachedVariant(image.contentHash, 64)).metadata();
+    assert.deepEqual([small.format, small.width], ['webp', 64]);
+    const large = await sharp(await readCachedVariant(image.contentHash, 1280)).metadata();
+    assert.equal(large.width, 400);
+  });
+
+  it('fetches an image once for concurrent and later requests', async () => {
+    const download = servePng();
+
+    const results = await Promise.all([1, 2, 3].map(() => getCachedImage('https://cdn.example.com/shared.png')));
+    await getCachedImage('https://cdn.example.com/shared.png');
+
+    assert.equal(download.mock.callCount(), 1);
+    assert.ok(results.every(result => result.image.contentHash === results[0].image.contentHash));
+  });
+
+  it('refuses pages, SVGs and error responses, and waits before trying again', async () => {
+    const responses = {
+      'https://cdn.example.com/page': { status: 200, data: '<html></html>', headers: { 'content-type': 'text/html' } },
+      'https://cdn.example.com/icon.svg': { status: 200, data: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'), headers: { 'content-type': 'image/svg+xml' } },
+      'https://cdn.example.com/gone.png': { status: 404, data: Buffer.alloc(0), headers: { 'content-type': 'image/png' } }
+    };
+    const download = mock.method(axios, 'get', async (url) => responses[url]);
+
+    assert.equal((await getCachedImage('https://cdn.example.com/page')).status, 415);
+    assert.equal((await getCachedImage('https://cdn.example.com/icon.svg')).status, 415);
+    assert.equal((await getCachedImage('https://cdn.example.com/gone.png')).status, 502);
+    assert.ok(records.get('https://cdn.example.com/page').retryAt > new Date());
+
+    assert.equal((await getCachedImage('https://cdn.example.com/page')).status, 502);
+    assert.equal(download.mock.callCount(), 3);
+  });
+
+  it('never fetches private addresses', async () => {
+    const download = servePng();
+
+    const result = await getCachedImage('http://10.0.0.5/internal.png');
+
+    assert.equal(result.status, 400);
+    assert.equal(download.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { streamFormats, toExportRecord, toMarkdownFile } = require('../utils/linkExporters');
+const { parseNetscapeBookmarks, parseCsv } = require('../utils/bookmarkParsers');
+
+const link = {
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://example.com/a?x=1&y="2"',
+  title: 'Tips, tricks & <tags>',
+  description: 'Line one\nLine two',
+  tags: ['dev', 'how-to'],
+  notes: 'Read "later"',
+  linkType: 'article',
+  isFavorite: true,
+  createdAt: new Date('2024-01-02T03:04:05Z'),
+  updatedAt: new Date('2024-02-03T04:05:06Z')
+};
+
+const render = (format, links) => {
+  const { header, row, footer } = streamFormats[format];
+  return header() + links.map((l, i) => row(l, i)).join('') + footer();
+};
+
+describe('link exporters', () => {
+  it('keeps the portable fields and fills in defaults', () => {
+    const record = toExportRecord({ _id: link._id, url: 'https://example.com/' });
+    assert.deepEqual(record, {
+      id: String(link._id),
+      url: 'https://example.com/',
+      originalUrl: undefined,
+      title: '',
+      description: '',
+      tags: [],
+      notes: '',
+      linkType: 'other',
+      isFavorite: false,
+      createdAt: '',
+      updatedAt: ''
+    });
+  });
+
+  it('writes Netscape HTML that the bookmark importer reads back', () => {
+    const [row] = parseNetscapeBookmarks(render('netscape', [link]));
+
+    assert.equal(row.url, link.url);
+    assert.equal(row.title, link.title);
+    assert.deepEqual(row.tags, link.tags);
+    assert.equal(row.notes, link.notes);
+    assert.equal(row.createdAt.toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.equal(row.updatedAt.toISOString(), '2024-02-03T04:05:06.000Z');
+  });
+
+  it('writes JSON and CSV with every field escaped', () => {
+    const exported = JSON.parse(render('json', [link, { ...link, _id: new mongoose.Types.ObjectId() }]));
+    assert.equal(exported.links.length, 2);
+    assert.equal(exported.links[0].title, link.title);
+
+    const [row] = parseCsv(render('csv', [link]));
+    assert.equal(row.url, link.url);
+    assert.equal(row.title, link.title);
+    assert.equal(row.description, link.description);
+    assert.equal(row.tags, 'dev,how-to');
+    assert.equal(row.isfavorite, 'true');
+  });
+
+  it('renders a Markdown note with YAML front matter', () => {
+    const { name, content } = toMarkdownFile(link);
+
+    assert.equal(name, `tips-tricks-tags-${String(link._id).slice(-6)}.md`);
+    assert.ok(content.startsWith('---\ntitle: "Tips, tricks & <tags>"\n'));
+    assert.ok(content.includes('tags:\n  - "dev"\n  - "how-to"\n'));
+    assert.ok(content.includes(`# [${link.title}](${link.url})`));
+    assert.ok(content.includes('> Line one\n> Line two'));
+  });
+});
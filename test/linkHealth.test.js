@@ -0,0 +1,77 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const lambdaController = require('../controllers/lambdaController');
+const { classifyCheckResult, checkLink } = require('../utils/linkHealth');
+const { LINK_CHECK_FAILURE_THRESHOLD } = require('../config/constants');
+
+const url = 'https://example.com/articles/1';
+const page = (status, data = '<html><body>Article</body></html>', finalUrl = url) => ({ status, data, finalUrl });
+
+describe('classifyCheckResult', () => {
+  it('treats the same page, give or take www and a trailing slash, as healthy', () => {
+    assert.equal(classifyCheckResult(url, page(200)).result, 'healthy');
+    assert.equal(classifyCheckResult(url, page(200, '', 'https://www.example.com/articles/1/')).result, 'healthy');
+    assert.equal(classifyCheckResult(url, page(200, '', 'https://example.com/moved')).result, 'redirected');
+  });
+
+  it('flags missing pages, server errors, parked domains and login walls as broken', () => {
+    assert.deepEqual(classifyCheckResult(url, page(404)), { statusCode: 404, finalUrl: url, result: 'broken', reason: 'not_found' });
+    assert.equal(classifyCheckResult(url, page(410)).reason, 'not_found');
+    assert.equal(classifyCheckResult(url, page(500)).reason, 'server_error');
+    assert.equal(classifyCheckResult(url, page(401)).reason, 'login_wall');
+    assert.equal(classifyCheckResult(url, page(200, '<h1>This domain is for sale</h1>')).reason, 'parked_domain');
+    assert.equal(classifyCheckResult(url, page(200, '', 'https://example.com/login?next=/articles/1')).reason, 'login_wall');
+  });
+
+  it('says nothing about pages behind rate limits, bot walls, refusals or size caps', () => {
+    assert.equal(classifyCheckResult(url, page(429)).result, 'inconclusive');
+    assert.equal(classifyCheckResult(url, page(403)).reason, 'blocked');
+    assert.equal(classifyCheckResult(url, null, Object.assign(new Error('private'), { code: 'EPRIVATEADDRESS' })).reason, 'refused');
+    assert.equal(classifyCheckResult(url, null, new Error('maxContentLength size of 2097152 exceeded')).reason, 'too_large');
+  });
+
+  it('names network failures', () => {
+    assert.equal(classifyCheckResult(url, null, Object.assign(new Error('nope'), { code: 'ENOTFOUND' })).reason, 'dns_error');
+    assert.equal(classifyCheckResult(url, null, Object.assign(new Error('slow'), { code: 'ECONNABORTED' })).reason, 'timeout');
+    assert.equal(classifyCheckResult(url, null, new Error('reset')).reason, 'unreachable');
+  });
+});
+
+describe('checkLink', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const run = async (response, consecutiveFailures) => {
+    mock.method(lambdaController, 'executeWithRetry', async () => response);
+    const updates = mock.method(Link, 'updateOne', async () => ({}));
+    const link = { _id: new mongoose.Types.ObjectId(), url, health: { consecutiveFailures } };
+    const check = await checkLink(link);
+    return { check, update: updates.mock.calls[0].arguments[1] };
+  };
+
+  it('only flags a link broken after repeated failures', async () => {
+    const first = await run(page(404), 0);
+    assert.equal(first.update.$set['health.consecutiveFailures'], 1);
+    assert.equal(first.update.$set['health.status'], undefined);
+    mock.restoreAll();
+
+    const last = await run(page(404), LINK_CHECK_FAILURE_THRESHOLD - 1);
+    assert.equal(last.update.$set['health.status'], 'broken');
+    assert.equal(last.update.$set['health.reason'], 'not_found');
+    assert.equal(last.update.$push['health.history'].$each[0].result, 'broken');
+  });
+
+  it('clears the failure count on a healthy check and leaves it alone on an inconclusive one', async () => {
+    const healthy = await run(page(200), 1);
+    assert.equal(healthy.update.$set['health.consecutiveFailures'], 0);
+    assert.equal(healthy.update.$set['health.status'], 'healthy');
+    assert.deepEqual(healthy.update.$unset, { 'health.reason': '' });
+    mock.restoreAll();
+
+    const blocked = await run(page(429), 1);
+    assert.deepEqual(Object.keys(blocked.update.$set), ['health.checkedAt']);
+  });
+});
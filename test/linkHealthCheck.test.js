@@ -0,0 +1,114 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const { selectDueLinks } = require('../jobs/linkHealthCheck');
+const { LINK_CHECK_BATCH_SIZE, LINK_CHECK_MAX_PER_DOMAIN } = require('../config/constants');
+
+const pathValue = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * Ascending comparison on the given keys; missing values sort first, as in MongoDB
+ */
+const bySpec = (spec) => (a, b) => {
+  for (const key of Object.keys(spec)) {
+    const x = pathValue(a, key);
+    const y = pathValue(b, key);
+    const diff = (x == null ? -Infinity : x.getTime()) - (y == null ? -Infinity : y.getTime());
+    if (diff) return diff * spec[key];
+  }
+  return 0;
+};
+
+/**
+ * Run the stages selectDueLinks uses over in-memory links that are already due
+ */
+function runPipeline(links, pipeline) {
+  let docs = links;
+  for (const stage of pipeline) {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case '$match':
+        break;
+      case '$project': {
+        const { regex, options } = spec.domain.$let.vars.found.$regexFind;
+        const pattern = new RegExp(regex, options);
+        docs = docs.map(doc => ({ ...doc, domain: (pattern.exec(doc.url)?.[1] || '').toLowerCase() }));
+        break;
+      }
+      case '$group': {
+        const { n, sortBy } = spec.links.$topN;
+        const groups = new Map();
+        for (const doc of docs) {
+          if (!groups.has(doc.domain)) groups.set(doc.domain, []);
+          groups.get(doc.domain).push(doc);
+        }
+        docs = [...groups].map(([domain, members]) => ({ _id: domain, links: members.sort(bySpec(sortBy)).slice(0, n) }));
+        break;
+      }
+      case '$unwind':
+        docs = docs.flatMap(doc => doc.links.map(link => ({ ...doc, links: link })));
+        break;
+      case '$replaceWith':
+        docs = docs.map(doc => doc.links);
+        break;
+      case '$sort':
+        docs = [...docs].sort(bySpec(spec));
+        break;
+      case '$limit':
+        docs = docs.slice(0, spec);
+        break;
+      default:
+        throw new Error(`Unsupported stage ${name}`);
+    }
+  }
+  return docs;
+}
+
+describe('selectDueLinks', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const dueLink = (url, checkedDaysAgo) => ({
+    _id: new mongoose.Types.ObjectId(),
+    url,
+    createdAt: daysAgo(400),
+    health: { checkedAt: checkedDaysAgo === null ? null : daysAgo(checkedDaysAgo), consecutiveFailures: 0 }
+  });
+
+  it('caps each domain in the query so a large domain cannot fill the batch', async () => {
+    // Far more overdue links on one host than fit in a batch, all older than any other host's
+    const links = [];
+    for (let i = 0; i < LINK_CHECK_BATCH_SIZE * 10; i++) {
+      links.push(dueLink(`https://${i % 2 ? 'www.' : ''}Big.example/post/${i}`, 300 + i));
+    }
+    for (let i = 0; i < 8; i++) links.push(dueLink(`https://site${i}.example/`, 10));
+    const aggregate = mock.method(Link, 'aggregate', async (pipeline) => runPipeline(links, pipeline));
+
+    const selected = await selectDueLinks();
+
+    const counts = selected.reduce((map, link) => map.set(link.domain, (map.get(link.domain) || 0) + 1), new Map());
+    assert.equal(counts.get('big.example'), LINK_CHECK_MAX_PER_DOMAIN);
+    for (let i = 0; i < 8; i++) assert.equal(counts.get(`site${i}.example`), 1);
+    assert.equal(aggregate.mock.callCount(), 1);
+    // The oldest checks of the large domain are the ones picked
+    const bigChecks = selected.filter(link => link.domain === 'big.example').map(link => link.health.checkedAt.getTime());
+    assert.deepEqual(bigChecks, [...bigChecks].sort((a, b) => a - b));
+    assert.ok(Math.min(...bigChecks) <= daysAgo(300 + LINK_CHECK_BATCH_SIZE * 10 - 1).getTime());
+  });
+
+  it('takes links never checked first and stops at the batch size', async () => {
+    const links = [];
+    for (let i = 0; i < LINK_CHECK_BATCH_SIZE * 2; i++) links.push(dueLink(`https://host${i}.example/`, 30));
+    const fresh = dueLink('https://new.example/', null);
+    links.push(fresh);
+    mock.method(Link, 'aggregate', async (pipeline) => runPipeline(links, pipeline));
+
+    const selected = await selectDueLinks();
+
+    assert.equal(selected.length, LINK_CHECK_BATCH_SIZE);
+    assert.equal(String(selected[0]._id), String(fresh._id));
+  });
+});
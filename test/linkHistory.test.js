@@ -0,0 +1,106 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const LinkRevision = require('../models/LinkRevision');
+const { diffLinks, recordRevision, buildRevertUpdate } = require('../utils/linkHistory');
+
+const before = {
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://example.com/a',
+  title: 'Old title',
+  description: '',
+  tags: ['dev'],
+  images: { logo: 'https://example.com/logo.png', ogImage: 'https://example.com/og.png' },
+  collectionId: new mongoose.Types.ObjectId(),
+  analytics: { clicks: 1 }
+};
+
+describe('diffLinks', () => {
+  it('lists only the tracked fields that changed', () => {
+    const after = {
+      ...before,
+      title: 'New title',
+      description: undefined,
+      tags: ['dev', 'news'],
+      images: { logo: 'https://example.com/logo.png' },
+      collectionId: null,
+      analytics: { clicks: 2 }
+    };
+
+    assert.deepEqual(diffLinks(before, after), [
+      { field: 'collectionId', before: String(before.collectionId), after: null },
+      { field: 'title', before: 'Old title', after: 'New title' },
+      { field: 'tags', before: ['dev'], after: ['dev', 'news'] },
+      { field: 'images', before: { logo: 'https://example.com/logo.png', ogImage: 'https://example.com/og.png' }, after: { logo: 'https://example.com/logo.png' } }
+    ]);
+  });
+
+  it('finds nothing when only untracked fields changed', () => {
+    assert.deepEqual(diffLinks(before, { ...before, analytics: { clicks: 9 } }), []);
+  });
+});
+
+describe('buildRevertUpdate', () => {
+  it('puts every changed field back, unsetting values that were empty', () => {
+    const update = buildRevertUpdate({
+      changes: [
+        { field: 'title', before: 'Old title', after: 'New title' },
+        { field: 'notes', before: null, after: 'Added later' },
+        { field: 'collectionId', before: null, after: 'abc' },
+        { field: 'tags', before: ['Dev', 'dev ', 'News'], after: [] },
+        { field: 'images', before: { logo: 'https://example.com/logo.png' }, after: { ogImage: 'https://example.com/og.png' } },
+        { field: 'analytics', before: 1, after: 2 }
+      ]
+    });
+
+    assert.deepEqual(update, {
+      $set: {
+        title: 'Old title',
+        collectionId: null,
+        tags: ['Dev', 'dev ', 'News'],
+        tagsNormalized: ['dev', 'news'],
+        'images.logo': 'https://example.com/logo.png'
+      },
+      $unset: {
+        notes: '',
+        'images.ogImage': '',
+        'images.favicon': '',
+        'images.appleTouchIcon': ''
+      }
+    });
+  });
+});
+
+describe('recordRevision', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const stubStore = () => {
+    const created = mock.method(LinkRevision, 'create', async (fields) => fields);
+    mock.method(LinkRevision, 'find', () => ({ sort: () => ({ skip: () => ({ select: () => ({ lean: async () => [] }) }) }) }));
+    const linkUpdates = mock.method(Link, 'updateOne', async () => ({}));
+    return { created, linkUpdates };
+  };
+
+  it('marks hand-edited extracted fields so a refresh keeps them', async () => {
+    const { created, linkUpdates } = stubStore();
+
+    const revision = await recordRevision('user', before, { ...before, title: 'Mine', tags: [] });
+
+    assert.deepEqual(revision.changes.map(c => c.field), ['title', 'tags']);
+    assert.equal(created.mock.callCount(), 1);
+    assert.deepEqual(linkUpdates.mock.calls[0].arguments[1], { $addToSet: { editedFields: { $each: ['title'] } } });
+  });
+
+  it('does not mark fields changed by a refresh, and records nothing when nothing changed', async () => {
+    const { created, linkUpdates } = stubStore();
+
+    await recordRevision('user', before, { ...before, title: 'Extracted' }, { source: 'refresh' });
+    assert.equal(linkUpdates.mock.callCount(), 0);
+
+    assert.equal(await recordRevision('user', before, { ...before }), null);
+    assert.equal(created.mock.callCount(), 1);
+  });
+});
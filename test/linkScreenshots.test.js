@@ -0,0 +1,125 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { chromium } = require('playwright');
+const Link = require('../models/Links');
+const { registerStorageAdapter, LocalStorageAdapter } = require('../utils/storage');
+const { captureScreenshot } = require('../utils/linkScreenshots');
+const { SCREENSHOT_VIEWPORT_WIDTH, SCREENSHOT_VIEWPORT_HEIGHT, SCREENSHOT_THUMBNAIL_WIDTH } = require('../config/constants');
+
+/**
+ * Stand-in for a Playwright browser; page.goto validates its argument the way Playwright does
+ */
+function fakeBrowser({ status = 200 } = {}) {
+  const visited = [];
+  const page = {
+    goto: async (url) => {
+      if (typeof url !== 'string') throw new TypeError(`url: expected string, got ${typeof url}`);
+      visited.push(url);
+      return { status: () => status };
+    },
+    waitForLoadState: async () => {},
+    screenshot: () => sharp({
+      create: { width: SCREENSHOT_VIEWPORT_WIDTH, height: SCREENSHOT_VIEWPORT_HEIGHT, channels: 3, background: '#3366cc' }
+    }).png().toBuffer()
+  };
+  const browser = {
+    newContext: async () => ({ newPage: async () => page }),
+    close: async () => {}
+  };
+  return { browser, visited };
+}
+
+/**
+ * Stub Link.findOneAndUpdate(...).select(...).lean(), recording the update
+ */
+function stubLinkUpdate(previous) {
+  const calls = [];
+  mock.method(Link, 'findOneAndUpdate', (filter, update) => {
+    calls.push({ filter, update });
+    return { select: () => ({ lean: async () => previous }) };
+  });
+  return calls;
+}
+
+describe('captureScreenshot', () => {
+  let storageRoot;
+
+  before(() => {
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'screenshots-'));
+    registerStorageAdapter('local', () => new LocalStorageAdapter({ root: storageRoot }));
+  });
+
+  after(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const newLink = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    url: 'https://example.com/article?id=1'
+  });
+
+  it('renders the page, stores a WebP thumbnail and points the link at it', async () => {
+    const { browser, visited } = fakeBrowser();
+    mock.method(chromium, 'launch', async () => browser);
+    const updates = stubLinkUpdate({ _id: 'previous' });
+    const link = newLink();
+
+    const screenshot = await captureScreenshot(link);
+
+    assert.deepEqual(visited, ['https://example.com/article?id=1']);
+    assert.ok(screenshot, 'expected a screenshot');
+    assert.equal(screenshot.sourceUrl, 'https://example.com/article?id=1');
+    assert.equal(screenshot.width, SCREENSHOT_THUMBNAIL_WIDTH);
+    assert.match(screenshot.storageKey, new RegExp(`^screenshots/${link.userId}/${link._id}/[a-f0-9]{64}\\.webp$`));
+
+    const stored = fs.readFileSync(path.join(storageRoot, screenshot.storageKey));
+    assert.equal((await sharp(stored).metadata()).format, 'webp');
+
+    assert.equal(updates.length, 1);
+    assert.equal(updates[0].update.$set['images.screenshot'], `/api/links/${link._id}/screenshot`);
+    assert.equal(updates[0].update.$set.screenshot.storageKey, screenshot.storageKey);
+  });
+
+  it('runs the browser behind the guarded proxy and stops the proxy afterwards', async () => {
+    const launch = mock.method(chromium, 'launch', async () => fakeBrowser().browser);
+    stubLinkUpdate({ _id: 'previous' });
+
+    await captureScreenshot(newLink());
+
+    const { proxy } = launch.mock.calls[0].arguments[0];
+    assert.match(proxy.server, /^http:\/\/127\.0\.0\.1:\d+$/);
+    const { port } = new URL(proxy.server);
+    await assert.rejects(new Promise((resolve, reject) => {
+      net.connect(Number(port), '127.0.0.1').on('connect', resolve).on('error', reject);
+    }), { code: 'ECONNREFUSED' });
+  });
+
+  it('stores nothing when the page fails to load', async () => {
+    const { browser } = fakeBrowser({ status: 404 });
+    mock.method(chromium, 'launch', async () => browser);
+    const updates = stubLinkUpdate({ _id: 'previous' });
+
+    assert.equal(await captureScreenshot(newLink()), null);
+    assert.equal(updates.length, 0);
+  });
+
+  it('does not open private addresses', async () => {
+    const launch = mock.method(chromium, 'launch', async () => fakeBrowser().browser);
+    const updates = stubLinkUpdate(null);
+
+    assert.equal(await captureScreenshot({ ...newLink(), url: 'http://127.0.0.1:8080/admin' }), null);
+    assert.equal(launch.mock.callCount(), 0);
+    assert.equal(updates.length, 0);
+  });
+});
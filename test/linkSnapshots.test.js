@@ -0,0 +1,90 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const lambdaController = require('../controllers/lambdaController');
+const { registerStorageAdapter, LocalStorageAdapter, getStorage } = require('../utils/storage');
+const { captureSnapshot, readSnapshot } = require('../utils/linkSnapshots');
+const { SNAPSHOT_MAX_HTML_BYTES } = require('../config/constants');
+
+const articleHtml = `<html><head><title>Saved page</title></head><body>
+<nav>Home | About</nav>
+<article><h2>Why snapshots</h2>
+<p>${'Pages disappear, so a readable copy is kept for later. '.repeat(12)}</p>
+<script>alert('x')</script>
+</article></body></html>`;
+
+describe('captureSnapshot', () => {
+  let storageRoot;
+  let updates;
+
+  before(() => {
+    storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    registerStorageAdapter('local', () => new LocalStorageAdapter({ root: storageRoot }));
+  });
+
+  after(() => {
+    fs.rmSync(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    updates = mock.method(Link, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const newLink = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    url: 'https://example.com/why-snapshots',
+    title: 'Why <snapshots>',
+    ...fields
+  });
+
+  it('stores a standalone readable page and the article details', async () => {
+    const link = newLink();
+
+    const snapshot = await captureSnapshot(link, articleHtml);
+
+    assert.ok(snapshot.storageKey.startsWith(`snapshots/${link.userId}/${link._id}/`));
+    const stored = (await readSnapshot({ snapshot })).toString('utf8');
+    assert.ok(stored.includes('<title>Why &lt;snapshots&gt;</title>'));
+    assert.ok(stored.includes('Pages disappear'));
+    assert.ok(!stored.includes('alert('));
+    const { $set } = updates.mock.calls[0].arguments[1];
+    assert.equal($set.snapshot.contentHash, snapshot.contentHash);
+    assert.ok($set.article.wordCount > 100);
+  });
+
+  it('keeps the stored copy when the content has not changed', async () => {
+    const link = newLink();
+    link.snapshot = await captureSnapshot(link, articleHtml);
+    const put = mock.method(getStorage(), 'put');
+
+    const again = await captureSnapshot(link, articleHtml);
+
+    assert.equal(again.storageKey, link.snapshot.storageKey);
+    assert.equal(put.mock.callCount(), 0);
+    assert.deepEqual(Object.keys(updates.mock.calls[1].arguments[1].$set), ['snapshot.fetchedAt', 'article']);
+  });
+
+  it('skips pages without enough readable text', async () => {
+    assert.equal(await captureSnapshot(newLink(), '<html><body><p>Hi</p></body></html>'), null);
+    assert.equal(updates.mock.callCount(), 0);
+  });
+
+  it('downloads with the size cap, and never fetches private addresses', async () => {
+    const download = mock.method(lambdaController, 'executeWithRetry', async () => ({ status: 200, data: articleHtml }));
+
+    assert.equal(await captureSnapshot(newLink({ url: 'http://169.254.169.254/latest/meta-data' })), null);
+    assert.equal(download.mock.callCount(), 0);
+
+    assert.ok(await captureSnapshot(newLink()));
+    assert.equal(download.mock.calls[0].arguments[4].maxContentLength, SNAPSHOT_MAX_HTML_BYTES);
+  });
+});
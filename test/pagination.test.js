@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  toSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  readPageRequest,
+  finishPage
+} = require('../utils/pagination');
+
+// Enough of Mongo's matching and ordering to run the cursor filters against
+// plain objects: null and missing values compare lowest.
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  return value;
+};
+
+const compare = (a, b) => {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === null) return -1;
+  if (y === null) return 1;
+  return x < y ? -1 : 1;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(f => matches(doc, f));
+  if (key === '$and') return condition.every(f => matches(doc, f));
+  const value = doc[key];
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date || condition instanceof mongoose.Types.ObjectId) {
+    return compare(value, condition) === 0;
+  }
+  return Object.entries(condition).every(([op, operand]) => {
+    if (op === '$gt') return value != null && compare(value, operand) > 0;
+    if (op === '$lt') return value != null && compare(value, operand) < 0;
+    if (op === '$ne') return compare(value, operand) !== 0;
+    if (op === '$exists') return (value !== undefined) === operand;
+    throw new Error(`Unsupported operator ${op}`);
+  });
+});
+
+const sortBy = (docs, spec) => [...docs].sort((a, b) => {
+  for (const [field, dir] of spec) {
+    const order = compare(a[field], b[field]) * dir;
+    if (order !== 0) return order;
+  }
+  return 0;
+});
+
+const readAll = (docs, sort, limit) => {
+  const seen = [];
+  let cursor = '';
+  for (let pages = 0; pages < 20; pages++) {
+    const request = readPageRequest({ cursor }, sort);
+    const candidates = request.filter ? docs.filter(doc => matches(doc, request.filter)) : docs;
+    const page = finishPage(sortBy(candidates, request.spec).slice(0, limit + 1), limit, request.spec);
+    seen.push(...page.items);
+    if (!page.hasNext) return seen;
+    cursor = page.nextCursor;
+  }
+  throw new Error('Pagination did not finish');
+};
+
+describe('cursor pagination', () => {
+  const day = (n) => new Date(Date.UTC(2024, 0, n));
+  const docs = [1, 1, 2, null, 3, 3, 3, undefined, 5, 2].map((clicks, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    createdAt: day(i % 4),
+    clicks
+  }));
+
+  it('adds an _id tie-breaker in the direction of the last field', () => {
+    assert.deepEqual(toSortSpec({ createdAt: -1 }), [['createdAt', -1], ['_id', -1]]);
+    assert.deepEqual(toSortSpec({ title: 'asc' }), [['title', 1], ['_id', 1]]);
+    assert.deepEqual(toSortSpec({ _id: 1 }), [['_id', 1]]);
+  });
+
+  for (const sort of [{ createdAt: -1 }, { createdAt: 1 }, { clicks: -1, createdAt: -1 }, { clicks: 1 }]) {
+    it(`visits every item exactly once sorted by ${JSON.stringify(sort)}`, () => {
+      const expected = sortBy(docs, toSortSpec(sort)).map(d => String(d._id));
+
+      for (const limit of [1, 3, 4]) {
+        assert.deepEqual(readAll(docs, sort, limit).map(d => String(d._id)), expected, `limit ${limit}`);
+      }
+    });
+  }
+
+  it('round-trips dates, ids and nulls through the cursor', () => {
+    const spec = toSortSpec({ 'reading.readAt': -1 });
+    const doc = { _id: docs[0]._id, reading: { readAt: day(3) } };
+
+    assert.deepEqual(decodeCursor(encodeCursor(doc, spec), spec), { values: [day(3), docs[0]._id] });
+    assert.deepEqual(decodeCursor(encodeCursor({ _id: docs[0]._id }, spec), spec), { values: [null, docs[0]._id] });
+  });
+
+  it('refuses cursors from another sort order or that were tampered with', () => {
+    const cursor = encodeCursor(docs[0], toSortSpec({ createdAt: -1 }));
+
+    assert.deepEqual(readPageRequest({ cursor }, { createdAt: 1 }), { error: 'Cursor does not match the requested sort order' });
+    assert.deepEqual(readPageRequest({ cursor: 'not-a-cursor' }, { createdAt: -1 }), { error: 'Invalid cursor' });
+    const forged = Buffer.from(JSON.stringify({ s: 'createdAt:-1,_id:-1', v: [{ $where: '1' }, null] })).toString('base64url');
+    assert.deepEqual(decodeCursor(forged, toSortSpec({ createdAt: -1 })), { error: 'Invalid cursor' });
+  });
+
+  it('stays in page mode without a cursor, and pages through null values by _id', () => {
+    assert.equal(readPageRequest({ page: '2' }, { createdAt: -1 }).cursorMode, false);
+    const spec = toSortSpec({ clicks: -1 });
+    assert.deepEqual(buildCursorFilter(spec, [null, docs[0]._id]).$or, [{ $and: [{ clicks: null }, { _id: { $lt: docs[0]._id } }] }]);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReadingStates, readingStateCondition, buildReadingUpdate } = require('../utils/readingState');
+
+describe('parseReadingStates', () => {
+  it('accepts a comma-separated list or an array, deduplicated', () => {
+    assert.deepEqual(parseReadingStates(undefined), { states: [] });
+    assert.deepEqual(parseReadingStates(' Unread, in_progress,unread'), { states: ['unread', 'in_progress'] });
+    assert.deepEqual(parseReadingStates(['read', 'archived']), { states: ['read', 'archived'] });
+  });
+
+  it('rejects unknown states', () => {
+    assert.match(parseReadingStates('unread,later').error, /readingState must be one of/);
+  });
+});
+
+describe('readingStateCondition', () => {
+  it('counts links without a reading state as unread', () => {
+    assert.deepEqual(readingStateCondition(['unread', 'in_progress']), {
+      $or: [{ 'reading.state': { $in: ['unread', 'in_progress'] } }, { 'reading.state': { $exists: false } }]
+    });
+    assert.deepEqual(readingStateCondition(['read'], 'linkDetails.'), { 'linkDetails.reading.state': { $in: ['read'] } });
+  });
+});
+
+describe('buildReadingUpdate', () => {
+  it('moves the state along with progress', () => {
+    const started = buildReadingUpdate({}, { progress: 12.4 }).set;
+    assert.equal(started['reading.state'], 'in_progress');
+    assert.equal(started['reading.progress'], 12);
+
+    const finished = buildReadingUpdate({ state: 'in_progress' }, { progress: 100 }).set;
+    assert.equal(finished['reading.state'], 'read');
+    assert.ok(finished['reading.readAt'] instanceof Date);
+  });
+
+  it('keeps archived links archived while progress is recorded', () => {
+    assert.deepEqual(buildReadingUpdate({ state: 'archived' }, { progress: 40 }), { set: { 'reading.progress': 40 } });
+  });
+
+  it('sets progress to match an explicit state', () => {
+    const read = buildReadingUpdate({ state: 'read', readAt: new Date(0) }, { state: 'read' }).set;
+    assert.deepEqual(read, { 'reading.state': 'read', 'reading.progress': 100 });
+
+    const unread = buildReadingUpdate({ state: 'archived' }, { state: 'unread' }).set;
+    assert.deepEqual(unread, { 'reading.state': 'unread', 'reading.readAt': null, 'reading.archivedAt': null, 'reading.progress': 0 });
+
+    const archived = buildReadingUpdate({ state: 'read' }, { state: 'archived' }).set;
+    assert.ok(archived['reading.archivedAt'] instanceof Date);
+    assert.equal(archived['reading.progress'], undefined);
+  });
+
+  it('records when the link was opened', () => {
+    assert.deepEqual(Object.keys(buildReadingUpdate({}, { opened: 'true' }).set), ['reading.lastOpenedAt']);
+  });
+
+  it('rejects unknown states and out-of-range progress', () => {
+    assert.match(buildReadingUpdate({}, { state: 'later' }).error, /state must be one of/);
+    assert.match(buildReadingUpdate({}, { progress: 101 }).error, /between 0 and 100/);
+    assert.match(buildReadingUpdate({}, { progress: 'half' }).error, /between 0 and 100/);
+  });
+});
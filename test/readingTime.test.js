@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateReadingTime, parseReadingTimeRange, WORDS_PER_MINUTE } = require('../utils/readingTime');
+const { extractArticle, detectLanguage } = require('../utils/helpers');
+
+describe('estimateReadingTime', () => {
+  it('counts words and rounds reading time up to whole minutes', () => {
+    assert.deepEqual(estimateReadingTime(''), { wordCount: 0, readingTimeMinutes: 0 });
+    assert.deepEqual(estimateReadingTime("It's a well-known fact, isn't it?"), { wordCount: 6, readingTimeMinutes: 1 });
+    const words = Array.from({ length: WORDS_PER_MINUTE * 3 + 1 }, () => 'word').join(' ');
+    assert.deepEqual(estimateReadingTime(words), { wordCount: WORDS_PER_MINUTE * 3 + 1, readingTimeMinutes: 4 });
+  });
+
+  it('counts CJK characters one by one', () => {
+    assert.equal(estimateReadingTime('日本語のテキスト').wordCount, 8);
+    assert.equal(estimateReadingTime('hello 世界').wordCount, 3);
+  });
+});
+
+describe('parseReadingTimeRange', () => {
+  it('maps presets and explicit bounds to an inclusive range of at least a minute', () => {
+    assert.deepEqual(parseReadingTimeRange({}), { condition: null });
+    assert.deepEqual(parseReadingTimeRange({ readingTime: 'short' }), { condition: { $gte: 1, $lte: 5 } });
+    assert.deepEqual(parseReadingTimeRange({ readingTime: 'LONG' }), { condition: { $gte: 16 } });
+    assert.deepEqual(parseReadingTimeRange({ minReadingTime: '0', maxReadingTime: '10' }), { condition: { $gte: 1, $lte: 10 } });
+    assert.deepEqual(parseReadingTimeRange({ readingTime: 'medium', maxReadingTime: '8' }), { condition: { $gte: 6, $lte: 8 } });
+  });
+
+  it('rejects unknown presets and bad numbers', () => {
+    assert.match(parseReadingTimeRange({ readingTime: 'epic' }).error, /readingTime must be one of/);
+    assert.match(parseReadingTimeRange({ minReadingTime: '-1' }).error, /minReadingTime/);
+    assert.match(parseReadingTimeRange({ maxReadingTime: 'soon' }).error, /maxReadingTime/);
+  });
+});
+
+describe('extractArticle', () => {
+  const body = 'The reader view keeps the text of the article and drops everything around it. '.repeat(10);
+  const html = `<html lang="en-GB"><head>
+<title>Page title</title>
+<meta property="og:title" content="Reader mode">
+<meta name="author" content="By Ada Lovelace">
+<meta property="article:published_time" content="2024-05-06T07:08:09Z">
+</head><body>
+<nav><a href="/">Home</a></nav>
+<article>
+  <h1>Reader mode</h1>
+  <p onclick="steal()">${body}<a href="/more" target="_blank">More</a> <a href="javascript:alert(1)">bad</a></p>
+  <img src="/img/figure.png" onerror="steal()">
+  <script>steal()</script>
+</article>
+<footer>Copyright</footer>
+</body></html>`;
+
+  it('keeps the article content, cleaned and with absolute links', () => {
+    const article = extractArticle(html, 'https://example.com/posts/reader');
+
+    assert.equal(article.title, 'Reader mode');
+    assert.ok(article.text.includes('The reader view keeps the text'));
+    assert.ok(!article.text.includes('Copyright'));
+    assert.ok(article.html.includes('href="https://example.com/more"'));
+    assert.ok(article.html.includes('src="https://example.com/img/figure.png"'));
+    assert.ok(!/onclick|onerror|<script|javascript:|target=/.test(article.html));
+  });
+
+  it('reads the author, date, language and reading time', () => {
+    const article = extractArticle(html, 'https://example.com/posts/reader');
+
+    assert.equal(article.author, 'Ada Lovelace');
+    assert.equal(article.publishedAt.toISOString(), '2024-05-06T07:08:09.000Z');
+    assert.equal(article.language, 'en');
+    assert.ok(article.wordCount >= 140);
+    assert.equal(article.readingTimeMinutes, 1);
+  });
+
+  it('ignores published dates in the future', () => {
+    const later = html.replace('2024-05-06T07:08:09Z', new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString());
+    assert.equal(extractArticle(later, 'https://example.com/').publishedAt, null);
+  });
+});
+
+describe('detectLanguage', () => {
+  it('recognises scripts and common words, and stays unsure on short text', () => {
+    assert.equal(detectLanguage('これは日本語です'), 'ja');
+    assert.equal(detectLanguage('Это русский текст'), 'ru');
+    assert.equal(detectLanguage('el perro y la casa de los amigos que viven en la ciudad por una semana con el gato y la familia de mi madre'), 'es');
+    assert.equal(detectLanguage('too short'), null);
+  });
+});
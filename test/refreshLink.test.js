@@ -0,0 +1,92 @@
+// Keep the refresh from queueing a browser screenshot
+process.env.SCREENSHOT_ENABLED = 'false';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const LinkRevision = require('../models/LinkRevision');
+const Webhook = require('../models/Webhook');
+const linksController = require('../controllers/linksController');
+const lambdaController = require('../controllers/lambdaController');
+
+const respond = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+describe('refreshLink', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let previous;
+  let updates;
+
+  const refresh = async (query = {}) => {
+    const res = respond();
+    await linksController.refreshLink({ params: { id: String(previous._id) }, query, body: {}, user: { id: String(userId) } }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    previous = {
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      url: 'https://example.com/post',
+      title: 'My own title',
+      description: 'Old description',
+      linkType: 'other',
+      editedFields: ['title'],
+      isActive: true
+    };
+    updates = [];
+    mock.method(lambdaController, 'extractUrlData', async () => ({
+      success: true,
+      html: '<html><body><p>Too short for a snapshot</p></body></html>',
+      data: { title: 'Extracted title', description: 'Fresh description', linkType: 'news', metadata: { domain: 'example.com' } }
+    }));
+    mock.method(Link, 'findOne', () => ({ lean: async () => previous }));
+    mock.method(Link, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      const { $pull, ...fields } = update;
+      return { populate: async () => ({ ...previous, ...fields }) };
+    });
+    mock.method(Link, 'updateOne', async () => ({}));
+    mock.method(LinkRevision, 'create', async (fields) => fields);
+    mock.method(LinkRevision, 'find', () => ({ sort: () => ({ skip: () => ({ select: () => ({ lean: async () => [] }) }) }) }));
+    mock.method(Webhook, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps fields the user edited and refreshes the rest', async () => {
+    const res = await refresh();
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(updates[0].title, undefined);
+    assert.equal(updates[0].description, 'Fresh description');
+    assert.equal(updates[0].linkType, 'news');
+    assert.equal(updates[0].$pull, undefined);
+    assert.deepEqual(res.body.keptFields, ['title']);
+    assert.deepEqual(res.body.refreshedFields, ['linkType', 'description']);
+  });
+
+  it('overwrites edited fields with force and forgets that they were edited', async () => {
+    const res = await refresh({ force: 'true' });
+
+    assert.equal(updates[0].title, 'Extracted title');
+    assert.deepEqual(updates[0].$pull, { editedFields: { $in: ['linkType', 'title', 'description'] } });
+    assert.deepEqual(res.body.keptFields, []);
+  });
+
+  it('refuses uploaded files, which have no page to fetch', async () => {
+    previous.file = { storageKey: 'uploads/x.pdf' };
+
+    const res = await refresh();
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(lambdaController.extractUrlData.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,86 @@
+// Enough attempts that the retry delay reaches its cap before the reminder gives up
+process.env.REMINDER_MAX_ATTEMPTS = '30';
+delete process.env.FAST2SMS_API_KEY;
+delete process.env.OTP_SMS_API_KEY;
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Reminder = require('../models/Reminder');
+const Link = require('../models/Links');
+const User = require('../models/User');
+const { nextOccurrence, runReminderScheduler } = require('../jobs/reminderScheduler');
+const { REMINDER_RETRY_BASE_MS, REMINDER_RETRY_MAX_MS } = require('../config/constants');
+
+describe('nextOccurrence', () => {
+  const at = (iso) => new Date(iso);
+
+  it('steps daily and weekly reminders past now', () => {
+    assert.equal(nextOccurrence(at('2024-03-01T09:00:00Z'), 'daily', at('2024-03-04T10:00:00Z')).toISOString(), '2024-03-05T09:00:00.000Z');
+    assert.equal(nextOccurrence(at('2024-03-01T09:00:00Z'), 'weekly', at('2024-03-04T10:00:00Z')).toISOString(), '2024-03-08T09:00:00.000Z');
+  });
+
+  it('always moves forward, even when now is exactly the due time', () => {
+    assert.equal(nextOccurrence(at('2024-03-01T09:00:00Z'), 'daily', at('2024-03-01T09:00:00Z')).toISOString(), '2024-03-02T09:00:00.000Z');
+  });
+
+  it('keeps the day of month for monthly reminders, clamped to short months', () => {
+    const start = at('2024-01-31T08:00:00Z');
+    assert.equal(nextOccurrence(start, 'monthly', at('2024-02-01T00:00:00Z')).toISOString(), '2024-02-29T08:00:00.000Z');
+    assert.equal(nextOccurrence(start, 'monthly', at('2024-03-01T00:00:00Z')).toISOString(), '2024-03-31T08:00:00.000Z');
+    assert.equal(nextOccurrence(start, 'monthly', at('2024-04-01T00:00:00Z')).toISOString(), '2024-04-30T08:00:00.000Z');
+  });
+});
+
+describe('runReminderScheduler retries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Run one scheduler pass over a single reminder whose SMS cannot be sent
+   * @returns {Promise<number>} Milliseconds until the next attempt
+   */
+  async function failDelivery(previousAttempts) {
+    const reminder = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: new mongoose.Types.ObjectId(),
+      linkId: new mongoose.Types.ObjectId(),
+      status: 'sending',
+      lockedAt: new Date(),
+      attempts: previousAttempts
+    };
+    let claimed = false;
+    mock.method(Reminder, 'findOneAndUpdate', async () => {
+      if (claimed) return null;
+      claimed = true;
+      return reminder;
+    });
+    mock.method(Link, 'findOne', () => ({ select: () => ({ lean: async () => ({ url: 'https://example.com/', isActive: true }) }) }));
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ identifier: '+15550100', identifierType: 'phone' }) }) }));
+    const updates = mock.method(Reminder, 'updateOne', async () => ({}));
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+
+    const before = Date.now();
+    const summary = await runReminderScheduler();
+
+    assert.equal(summary.retry, 1);
+    const { $set } = updates.mock.calls[0].arguments[1];
+    assert.equal($set.attempts, previousAttempts + 1);
+    return $set.nextAttemptAt.getTime() - before;
+  }
+
+  it('waits REMINDER_RETRY_BASE_MS after the first failure and doubles it after the next', async () => {
+    const first = await failDelivery(0);
+    assert.ok(first >= REMINDER_RETRY_BASE_MS && first < REMINDER_RETRY_BASE_MS + 2000, `waited ${first}ms`);
+    mock.restoreAll();
+    const second = await failDelivery(1);
+    assert.ok(second >= REMINDER_RETRY_BASE_MS * 2 && second < REMINDER_RETRY_BASE_MS * 2 + 2000, `waited ${second}ms`);
+  });
+
+  it('never waits longer than REMINDER_RETRY_MAX_MS plus jitter', async () => {
+    const delay = await failDelivery(25);
+    assert.ok(delay >= REMINDER_RETRY_MAX_MS && delay < REMINDER_RETRY_MAX_MS + 2000, `waited ${delay}ms`);
+  });
+});
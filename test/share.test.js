@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const LinkTag = require('../models/LinkTag');
+const ShareToken = require('../models/ShareToken');
+const Webhook = require('../models/Webhook');
+const shareController = require('../controllers/shareController');
+const { SHARE_TOKEN_TTL_MINUTES } = require('../config/constants');
+
+const respond = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+const call = async (action, req) => {
+  const res = respond();
+  await shareController[action]({ query: {}, params: {}, body: {}, ...req }, res);
+  return res;
+};
+
+describe('share tokens', () => {
+  let tokens;
+
+  beforeEach(() => {
+    tokens = [];
+    mock.method(ShareToken, 'create', async (fields) => { tokens.push(fields); return fields; });
+    mock.method(ShareToken, 'findOne', (filter) => ({
+      lean: async () => tokens.find(t => t.token === filter.token && t.expiresAt > filter.expiresAt.$gt) || null
+    }));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores the shared content and hands it back for the token', async () => {
+    const created = await call('create', { body: { text: 'Look https://example.com/a and https://example.com/b', title: 'Two links' } });
+
+    const { token } = created.body.data;
+    assert.match(token, /^[0-9a-f]{32}$/);
+    const ttl = tokens[0].expiresAt - Date.now();
+    assert.ok(ttl > (SHARE_TOKEN_TTL_MINUTES - 1) * 60 * 1000 && ttl <= SHARE_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    const redeemed = await call('get', { params: { token } });
+    assert.equal(redeemed.statusCode, 200);
+    assert.equal(redeemed.body.data.url, 'https://example.com/a');
+    assert.deepEqual(redeemed.body.data.urls.map(u => u.url), ['https://example.com/a', 'https://example.com/b']);
+    assert.equal(redeemed.body.data.rawText, 'Look https://example.com/a and https://example.com/b Two links');
+  });
+
+  it('does not hand out expired or unknown tokens', async () => {
+    tokens.push({ token: 'old', url: 'https://example.com/', expiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal((await call('get', { params: { token: 'old' } })).statusCode, 404);
+    assert.equal((await call('get', { params: { token: 'missing' } })).statusCode, 404);
+  });
+});
+
+describe('one-step save', () => {
+  const userId = String(new mongoose.Types.ObjectId());
+  let saved;
+  let existing;
+
+  beforeEach(() => {
+    saved = [];
+    existing = null;
+    // Lookups by _id come from the background enrichment; there is nothing to enrich here
+    mock.method(Link, 'findOne', async (filter) => (filter._id ? null : existing));
+    mock.method(Link.prototype, 'save', async function () { saved.push(this); return this; });
+    mock.method(LinkTag, 'deleteMany', async () => ({}));
+    mock.method(LinkTag, 'insertMany', async () => []);
+    mock.method(Webhook, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const save = (body) => call('create', { body, user: { id: userId } });
+
+  it('saves the first shared link with the title the share sheet sent', async () => {
+    const res = await save({ text: 'https://example.com/post?utm_source=share', title: 'A post', tags: 'news, later', save: true });
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].url, 'https://example.com/post');
+    assert.equal(saved[0].title, 'A post');
+    assert.deepEqual(saved[0].tags, ['news', 'later']);
+    assert.equal(res.body.alreadySaved, false);
+  });
+
+  it('returns the saved copy for a link that is already saved', async () => {
+    existing = { _id: new mongoose.Types.ObjectId(), url: 'https://example.com/post' };
+
+    const res = await save({ webUrl: 'https://example.com/post', save: 'true' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.alreadySaved, true);
+    assert.equal(res.body.data, existing);
+    assert.equal(saved.length, 0);
+  });
+
+  it('saves every shared link with save=all, unwrapped and listed once', async () => {
+    const text = 'From chat: https://www.google.com/url?q=https://example.com/a&sa=D, https://example.com/b and again https://example.com/a';
+
+    const res = await save({ text, title: 'Not a page title', save: 'all' });
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(saved.map(link => link.url), ['https://example.com/a', 'https://example.com/b']);
+    assert.equal(saved[0].title, undefined);
+    assert.equal(res.body.urls[0].wrappedUrl, 'https://www.google.com/url?q=https://example.com/a&sa=D');
+    assert.ok(res.body.data[1].snippet.includes('https://example.com/b'));
+  });
+
+  it('refuses shares without a link', async () => {
+    const res = await save({ text: 'nothing to see here', save: true });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(saved.length, 0);
+  });
+});
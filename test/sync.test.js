@@ -0,0 +1,220 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const Fav = require('../models/Favs');
+const LinkTag = require('../models/LinkTag');
+const SyncTombstone = require('../models/SyncTombstone');
+const syncController = require('../controllers/syncController');
+const { SYNC_PAGE_SIZE } = require('../config/constants');
+
+/**
+ * Run the schema's pre hooks for an operation against a query or document
+ */
+const runPreHooks = (name, target) => new Promise((resolve, reject) => {
+  Link.schema.s.hooks.execPre(name, target, [], (error) => (error ? reject(error) : resolve()));
+});
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('Link syncedAt', () => {
+  it('is stamped on updates that skip timestamps', async () => {
+    const before = Date.now();
+    for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate']) {
+      const query = Link[op]({ _id: objectId() }, { $set: { 'cachedImages.logo': '/api/images/abc' } }, { timestamps: false });
+      await runPreHooks(op, query);
+      const { $set } = query.getUpdate();
+      assert.ok($set.syncedAt instanceof Date, op);
+      assert.ok($set.syncedAt.getTime() >= before, op);
+      assert.equal($set['cachedImages.logo'], '/api/images/abc', op);
+    }
+  });
+
+  it('is stamped on updates that only use other operators', async () => {
+    const query = Link.updateOne({ _id: objectId() }, { $inc: { 'analytics.clicks': 1 } }, { timestamps: false });
+    await runPreHooks('updateOne', query);
+    assert.ok(query.getUpdate().$set.syncedAt instanceof Date);
+  });
+
+  it('is the server time on saves, not the imported updatedAt', async () => {
+    const imported = new Date('2012-03-04T05:06:07Z');
+    const link = new Link({
+      userId: objectId(),
+      url: 'https://example.com/a',
+      originalUrl: 'https://example.com/a',
+      createdAt: imported,
+      updatedAt: imported
+    });
+    const before = Date.now();
+    await runPreHooks('save', link);
+    assert.ok(link.syncedAt.getTime() >= before);
+  });
+});
+
+/**
+ * Whether a stored value equals a filter value; null also matches a missing field
+ */
+const sameValue = (value, expected) => {
+  if (expected === null) return value === null || value === undefined;
+  if (value === null || value === undefined) return false;
+  if (expected instanceof Date) return value instanceof Date && value.getTime() === expected.getTime();
+  return String(value) === String(expected);
+};
+
+const compare = (a, b) => (a instanceof Date ? a.getTime() - b.getTime() : String(a).localeCompare(String(b)));
+
+/**
+ * The subset of Mongo filter matching the sync queries use
+ */
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '$and') return condition.every(branch => matches(doc, branch));
+    const value = doc[key];
+    const isOperator = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every(k => k.startsWith('$'));
+    if (!isOperator) return sameValue(value, condition);
+    return Object.entries(condition).every(([op, operand]) => {
+      const present = value !== null && value !== undefined;
+      switch (op) {
+        case '$gt': return present && compare(value, operand) > 0;
+        case '$gte': return present && compare(value, operand) >= 0;
+        case '$lt': return present && compare(value, operand) < 0;
+        case '$ne': return !sameValue(value, operand);
+        case '$not': return !matches(doc, { [key]: operand });
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+  });
+}
+
+/**
+ * In-memory stand-ins for the collections pullChanges reads
+ */
+function stubSyncStore({ links = [], tombstones = [] }) {
+  const bySyncOrder = (a, b) => {
+    if (!a.syncedAt !== !b.syncedAt) return a.syncedAt ? 1 : -1;
+    return (a.syncedAt ? compare(a.syncedAt, b.syncedAt) : 0) || compare(a._id, b._id);
+  };
+  mock.method(Link, 'find', (filter) => ({
+    sort: () => ({
+      limit: (n) => ({ lean: async () => links.filter(link => matches(link, filter)).sort(bySyncOrder).slice(0, n) })
+    })
+  }));
+  mock.method(Fav, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  mock.method(LinkTag, 'find', () => ({ distinct: async () => [] }));
+  mock.method(LinkTag, 'aggregate', async () => []);
+  mock.method(SyncTombstone, 'find', (filter) => ({ lean: async () => tombstones.filter(t => matches(t, filter)) }));
+}
+
+/**
+ * Call pullChanges and return the status and body it answered with
+ */
+async function pull(userId, since) {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await syncController.pullChanges({ user: { id: userId }, query: since === undefined ? {} : { since } }, res);
+  return res;
+}
+
+/**
+ * Pull page after page until hasMore is false
+ */
+async function pullAll(userId, since) {
+  const pages = [];
+  let token = since;
+  do {
+    const res = await pull(userId, token);
+    assert.equal(res.statusCode, 200, JSON.stringify(res.body));
+    pages.push(res.body.data);
+    token = res.body.data.syncToken;
+  } while (pages[pages.length - 1].hasMore && pages.length < 20);
+  return { pages, token };
+}
+
+describe('pullChanges', () => {
+  const userId = String(objectId());
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+  const tokenAt = (date, cursor) => Buffer.from(JSON.stringify({ t: date.getTime(), c: cursor })).toString('base64url');
+  const newLink = (fields) => ({ _id: objectId(), userId, isActive: true, deletedAt: null, ...fields });
+
+  let links;
+  let tombstones;
+
+  beforeEach(() => {
+    links = [];
+    tombstones = [];
+    stubSyncStore({ links, tombstones });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('pages through links that share one syncedAt without skipping any', async () => {
+    // e.g. a bulk update or a collection delete stamps every link with the same time
+    const bulkTime = minutesAgo(10);
+    for (let i = 0; i < SYNC_PAGE_SIZE * 2 + 200; i++) links.push(newLink({ syncedAt: bulkTime }));
+    links.push(newLink({ syncedAt: minutesAgo(20) }));
+
+    const { pages } = await pullAll(userId);
+
+    assert.equal(pages.length, 3);
+    assert.equal(pages[0].fullSync, true);
+    assert.deepEqual(pages.map(p => p.hasMore), [true, true, false]);
+    const received = pages.flatMap(p => p.links.upserted.map(link => String(link._id)));
+    assert.equal(received.length, links.length);
+    assert.equal(new Set(received).size, links.length);
+  });
+
+  it('includes links without syncedAt in a full sync only', async () => {
+    const legacy = newLink({});
+    links.push(legacy, newLink({ syncedAt: minutesAgo(30) }));
+
+    const full = await pullAll(userId);
+    assert.ok(full.pages[0].links.upserted.some(link => link._id === legacy._id));
+
+    links.push(newLink({ syncedAt: new Date() }));
+    const delta = await pull(userId, full.token);
+    assert.equal(delta.body.data.fullSync, false);
+    assert.deepEqual(delta.body.data.links.upserted, []);
+  });
+
+  it('reports changes, trashed links and deletion markers since the token', async () => {
+    const unchanged = newLink({ syncedAt: minutesAgo(60) });
+    const edited = newLink({ syncedAt: minutesAgo(60) });
+    const trashed = newLink({ syncedAt: minutesAgo(60) });
+    links.push(unchanged, edited, trashed);
+    const token = tokenAt(minutesAgo(30));
+
+    // Writes after the token's time, older than the clock-skew margin
+    edited.syncedAt = minutesAgo(1);
+    Object.assign(trashed, { isActive: false, deletedAt: minutesAgo(1), syncedAt: minutesAgo(1) });
+    const purgedId = objectId();
+    tombstones.push(
+      { userId, entity: 'link', entityId: purgedId, deletedAt: minutesAgo(1) },
+      { userId, entity: 'link', entityId: objectId(), deletedAt: minutesAgo(120) }
+    );
+
+    const { body } = await pull(userId, token);
+    assert.deepEqual(body.data.links.upserted.map(link => link._id), [edited._id]);
+    assert.deepEqual(body.data.links.deleted.map(d => [String(d.id), d.trashed]), [
+      [String(trashed._id), true],
+      [String(purgedId), false]
+    ]);
+    assert.equal(body.data.hasMore, false);
+  });
+
+  it('refuses tokens it cannot read and asks for a full sync when they are too old', async () => {
+    assert.equal((await pull(userId, 'not-a-token')).statusCode, 400);
+    const badCursor = tokenAt(new Date(), 'garbage');
+    assert.equal((await pull(userId, badCursor)).statusCode, 400);
+
+    const res = await pull(userId, tokenAt(minutesAgo(365 * 24 * 60)));
+    assert.equal(res.statusCode, 410);
+    assert.equal(res.body.fullSyncRequired, true);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Link = require('../models/Links');
+const LinkTag = require('../models/LinkTag');
+const Fav = require('../models/Favs');
+const { softDeleteLink, restoreLink } = require('../utils/linkOperations');
+const { purgeExpiredTrash } = require('../jobs/trashPurge');
+const { TRASH_RETENTION_DAYS } = require('../config/constants');
+
+describe('trash', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const trashed = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    url: 'https://example.com/post',
+    isActive: false,
+    deletedAt: new Date(),
+    isFavorite: true,
+    tagsNormalized: ['dev']
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('moves a link to the trash and drops its tag and favourite rows', async () => {
+    const updates = mock.method(Link, 'updateOne', async () => ({}));
+    const tagRows = mock.method(LinkTag, 'deleteMany', async () => ({}));
+    const favRows = mock.method(Fav, 'deleteMany', async () => ({}));
+    const link = { ...trashed(), isActive: true, deletedAt: null };
+
+    await softDeleteLink(userId, link);
+
+    assert.equal(link.isActive, false);
+    assert.ok(link.deletedAt instanceof Date);
+    assert.deepEqual(updates.mock.calls[0].arguments[1].$set, { isActive: false, deletedAt: link.deletedAt });
+    assert.equal(tagRows.mock.callCount(), 1);
+    assert.equal(favRows.mock.callCount(), 1);
+  });
+
+  it('restores a link with its tags and favourite', async () => {
+    mock.method(Link, 'findOne', async () => null);
+    const updates = mock.method(Link, 'updateOne', async () => ({}));
+    mock.method(LinkTag, 'deleteMany', async () => ({}));
+    const tagRows = mock.method(LinkTag, 'insertMany', async () => []);
+    const favs = mock.method(Fav, 'create', async () => ({}));
+    const link = trashed();
+
+    const result = await restoreLink(userId, link);
+
+    assert.equal(result.link, link);
+    assert.equal(link.isActive, true);
+    assert.equal(link.deletedAt, null);
+    assert.equal(updates.mock.calls[0].arguments[1].$set.urlKey, link.urlKey);
+    assert.deepEqual(tagRows.mock.calls[0].arguments[0].map(row => row.tagName), ['dev']);
+    assert.equal(favs.mock.callCount(), 1);
+  });
+
+  it('refuses to restore a link whose URL was saved again', async () => {
+    const saved = { _id: new mongoose.Types.ObjectId() };
+    mock.method(Link, 'findOne', async () => saved);
+    const updates = mock.method(Link, 'updateOne', async () => ({}));
+
+    const result = await restoreLink(userId, trashed());
+
+    assert.equal(result.conflict, saved);
+    assert.equal(updates.mock.callCount(), 0);
+  });
+
+  it('purges only links that have been in the trash past the retention period', async () => {
+    let filter;
+    mock.method(Link, 'find', (f) => {
+      filter = f;
+      return { select: () => ({ lean: async () => [] }) };
+    });
+    const before = Date.now();
+
+    assert.equal(await purgeExpiredTrash(), 0);
+
+    assert.equal(filter.isActive, false);
+    const cutoff = filter.$or[0].deletedAt.$lte.getTime();
+    const retention = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    assert.ok(cutoff >= before - retention && cutoff <= Date.now() - retention);
+    // Links trashed before deletedAt existed are aged by updatedAt
+    assert.equal(filter.$or[1].deletedAt, null);
+    assert.equal(filter.$or[1].updatedAt.$lte.getTime(), cutoff);
+  });
+});
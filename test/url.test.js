@@ -0,0 +1,164 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUrl, urlDedupeKey, resolveCanonicalUrl, unwrapRedirectUrl, extractUrls } = require('../utils/url');
+const { TRACKING_PARAMS, TRACKING_PARAM_PREFIXES, HOST_PREFIXES } = require('../config/urlRules');
+
+describe('normalizeUrl', () => {
+  it('removes every listed tracking parameter', () => {
+    for (const name of TRACKING_PARAMS) {
+      assert.equal(normalizeUrl(`https://example.com/post?${name}=abc&id=7`), 'https://example.com/post?id=7', name);
+    }
+  });
+
+  it('removes parameters with a tracking prefix', () => {
+    for (const prefix of TRACKING_PARAM_PREFIXES) {
+      assert.equal(normalizeUrl(`https://example.com/post?${prefix}source=mail`), 'https://example.com/post', prefix);
+    }
+  });
+
+  it('keeps the host, path and remaining parameters in their order', () => {
+    assert.equal(
+      normalizeUrl('https://m.youtube.com/watch?v=abc123&t=42s&utm_source=share'),
+      'https://m.youtube.com/watch?v=abc123&t=42s'
+    );
+    assert.equal(normalizeUrl('https://www.example.com/story/amp?b=2&a=1'), 'https://www.example.com/story/amp?b=2&a=1');
+  });
+
+  it('lowercases the host and drops the hash and default port', () => {
+    assert.equal(normalizeUrl(' "HTTPS://Example.COM:443/Path#section" '), 'https://example.com/Path');
+  });
+
+  it('returns input that is not a URL trimmed', () => {
+    assert.equal(normalizeUrl('  not a url '), 'not a url');
+  });
+});
+
+describe('urlDedupeKey', () => {
+  it('folds every host prefix', () => {
+    for (const prefix of HOST_PREFIXES) {
+      assert.equal(urlDedupeKey(`https://${prefix}example.com/post`), 'https://example.com/post', prefix);
+    }
+    assert.equal(urlDedupeKey('https://www.m.example.com/post'), 'https://example.com/post');
+  });
+
+  it('does not fold a prefix that is the whole registrable name', () => {
+    assert.equal(urlDedupeKey('https://www.com/'), 'https://www.com');
+  });
+
+  it('unwraps AMP caches and AMP paths', () => {
+    assert.equal(urlDedupeKey('https://www.google.com/amp/s/example.com/story'), 'https://example.com/story');
+    assert.equal(urlDedupeKey('https://example-com.cdn.ampproject.org/c/s/example.com/story'), 'https://example.com/story');
+    assert.equal(urlDedupeKey('https://example.com/story/amp'), 'https://example.com/story');
+    assert.equal(urlDedupeKey('https://example.com/story.amp.html?amp=1&usqp=mq331AQ'), 'https://example.com/story.html');
+  });
+
+  it('unwraps redirect wrappers', () => {
+    assert.equal(urlDedupeKey('https://www.google.com/url?q=https://example.com/a'), 'https://example.com/a');
+    assert.equal(urlDedupeKey('https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fa'), 'https://example.com/a');
+    assert.equal(urlDedupeKey('https://slack-redir.net/link?url=https://example.com/a'), 'https://example.com/a');
+    assert.equal(urlDedupeKey('https://nam12.safelinks.protection.outlook.com/?url=https://example.com/a'), 'https://example.com/a');
+  });
+
+  it('sorts the remaining query', () => {
+    assert.equal(urlDedupeKey('https://example.com/?b=2&a=1&utm_medium=x'), 'https://example.com?a=1&b=2');
+  });
+
+  describe('domain rules', () => {
+    it('youtube: one key per video whatever the host or player', () => {
+      const key = 'https://youtube.com/watch?v=abc123';
+      assert.equal(urlDedupeKey('https://www.youtube.com/watch?v=abc123&t=42s&feature=share'), key);
+      assert.equal(urlDedupeKey('https://m.youtube.com/watch?v=abc123'), key);
+      assert.equal(urlDedupeKey('https://youtu.be/abc123?si=xyz&t=10'), key);
+      assert.equal(urlDedupeKey('https://www.youtube-nocookie.com/embed/abc123'), key);
+      assert.equal(urlDedupeKey('https://www.youtube.com/watch?v=abc123&list=PL1'), 'https://youtube.com/watch?list=PL1&v=abc123');
+    });
+
+    it('twitter and x: same host, no query', () => {
+      assert.equal(urlDedupeKey('https://twitter.com/user/status/1?s=20&t=abc'), 'https://x.com/user/status/1');
+      assert.equal(urlDedupeKey('https://mobile.twitter.com/user/status/1'), 'https://x.com/user/status/1');
+    });
+
+    it('amazon: product pages by ASIN', () => {
+      assert.equal(
+        urlDedupeKey('https://www.amazon.com/Some-Product-Name/dp/b000123abc/ref=sr_1_1?keywords=x&tag=aff-20'),
+        'https://amazon.com/dp/B000123ABC'
+      );
+      assert.equal(urlDedupeKey('https://www.amazon.in/gp/product/B000123ABC'), 'https://amazon.in/dp/B000123ABC');
+    });
+
+    it('reddit: old/new hosts and share parameters', () => {
+      assert.equal(
+        urlDedupeKey('https://old.reddit.com/r/node/comments/abc/title/?share_id=1&context=3'),
+        'https://reddit.com/r/node/comments/abc/title/'
+      );
+    });
+
+    it('instagram, tiktok and threads: no query', () => {
+      assert.equal(urlDedupeKey('https://www.instagram.com/p/abc/?img_index=1'), 'https://instagram.com/p/abc/');
+      assert.equal(urlDedupeKey('https://www.tiktok.com/@user/video/1?is_from_webapp=1'), 'https://tiktok.com/@user/video/1');
+    });
+
+    it('per-domain drop lists', () => {
+      assert.equal(urlDedupeKey('https://medium.com/p/abc?source=rss&sk=1&page=2'), 'https://medium.com/p/abc?page=2');
+      assert.equal(urlDedupeKey('https://www.facebook.com/post/1?mibextid=abc&id=2'), 'https://facebook.com/post/1?id=2');
+      assert.equal(urlDedupeKey('https://www.linkedin.com/posts/x?trk=public&id=1'), 'https://linkedin.com/posts/x?id=1');
+      assert.equal(urlDedupeKey('https://open.spotify.com/track/1?context=x&nd=1'), 'https://open.spotify.com/track/1');
+    });
+
+    it('leaves other sites alone apart from tracking', () => {
+      assert.equal(urlDedupeKey('https://example.com/search?q=test&page=2'), 'https://example.com/search?page=2&q=test');
+    });
+  });
+
+  it('matches the key of its own normalized URL', () => {
+    const url = 'https://www.youtube.com/watch?v=abc123&t=42s&utm_source=share';
+    assert.equal(urlDedupeKey(normalizeUrl(url)), urlDedupeKey(url));
+  });
+});
+
+describe('resolveCanonicalUrl', () => {
+  it('accepts a canonical on another variant of the same site', () => {
+    assert.equal(
+      resolveCanonicalUrl('https://m.example.com/a/b', 'https://www.example.com/a/b?utm_source=x'),
+      'https://www.example.com/a/b'
+    );
+  });
+
+  it('rejects canonicals on other sites or at the home page', () => {
+    assert.equal(resolveCanonicalUrl('https://example.com/a', 'https://other.com/a'), null);
+    assert.equal(resolveCanonicalUrl('https://example.com/a/b', '/'), null);
+  });
+});
+
+describe('extractUrls', () => {
+  it('lists variants of the same page once', () => {
+    const urls = extractUrls('see https://www.example.com/a?utm_source=x and https://m.example.com/a, also https://example.com/b');
+    assert.deepEqual(urls.map(u => u.url), ['https://www.example.com/a?utm_source=x', 'https://example.com/b']);
+  });
+
+  it('trims sentence punctuation but keeps brackets the URL opened', () => {
+    const urls = extractUrls('Read this (https://en.wikipedia.org/wiki/Foo_(bar)). Also www.example.org/x, thanks!');
+    assert.deepEqual(urls.map(u => u.url), ['https://en.wikipedia.org/wiki/Foo_(bar)', 'https://www.example.org/x']);
+  });
+
+  it('unwraps redirect wrappers and keeps the wrapped link', () => {
+    const [first, second] = extractUrls(
+      'https://www.google.com/url?q=https://news.example.com/story&sa=D and https://l.facebook.com/l.php?u=https%3A%2F%2Fnews.example.com%2Fstory'
+    );
+    assert.equal(first.url, 'https://news.example.com/story');
+    assert.equal(first.wrappedUrl, 'https://www.google.com/url?q=https://news.example.com/story&sa=D');
+    assert.equal(second, undefined);
+    assert.equal(unwrapRedirectUrl('https://www.google.com/url?q=javascript:alert(1)'), 'https://www.google.com/url?q=javascript:alert(1)');
+  });
+
+  it('returns the text around each URL, cut on word boundaries', () => {
+    const [match] = extractUrls(`${'a '.repeat(50)}https://example.com/mid ${'b '.repeat(50)}`, { snippetRadius: 10 });
+    assert.equal(match.snippet, '…a a a a https://example.com/mid b b b b b…');
+  });
+
+  it('skips hosts without a dot and stops at the limit', () => {
+    assert.deepEqual(extractUrls('http://localhost:3000 https://a.com https://b.com', { limit: 1 }).map(u => u.url), ['https://a.com/']);
+    assert.deepEqual(extractUrls(''), []);
+    assert.deepEqual(extractUrls(null), []);
+  });
+});
@@ -0,0 +1,164 @@
+// Enough attempts that the retry delay reaches its cap before the delivery gives up
+process.env.WEBHOOK_MAX_ATTEMPTS = '30';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { generateWebhookSecret, signWebhookPayload, emitLinkEvent, sendWebhookRequest } = require('../utils/webhooks');
+const { runWebhookDispatcher } = require('../jobs/webhookDispatcher');
+const { WEBHOOK_RETRY_BASE_MS, WEBHOOK_RETRY_MAX_MS } = require('../config/constants');
+
+const webhook = {
+  _id: new mongoose.Types.ObjectId(),
+  url: 'https://hooks.example.com/links',
+  secret: 'whsec_test',
+  isActive: true
+};
+
+const delivery = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  webhookId: webhook._id,
+  userId: new mongoose.Types.ObjectId(),
+  event: 'link.created',
+  eventId: 'evt_1',
+  payload: '{"event":"link.created"}',
+  status: 'delivering',
+  lockedAt: new Date(),
+  attempts: 0,
+  ...fields
+});
+
+describe('webhook signatures', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    assert.equal(signWebhookPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    assert.notEqual(signWebhookPayload('whsec_test', 1700000001, '{"a":1}'), `sha256=${expected}`);
+  });
+
+  it('generates distinct prefixed secrets', () => {
+    const secret = generateWebhookSecret();
+
+    assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+    assert.notEqual(generateWebhookSecret(), secret);
+  });
+});
+
+describe('sendWebhookRequest', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('sends the exact payload with a signature the receiver can check', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 204, data: '' }));
+    const item = delivery();
+
+    const result = await sendWebhookRequest(webhook, item);
+
+    assert.equal(result.ok, true);
+    const [url, body, options] = post.mock.calls[0].arguments;
+    assert.equal(url, webhook.url);
+    assert.equal(body, item.payload);
+    assert.equal(options.maxRedirects, 0);
+    const { 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature } = options.headers;
+    assert.equal(signature, signWebhookPayload(webhook.secret, Number(timestamp), body));
+  });
+
+  it('reports error statuses and never posts to private addresses', async () => {
+    const post = mock.method(axios, 'post', async () => ({ status: 500, data: 'x'.repeat(5000) }));
+
+    const failed = await sendWebhookRequest(webhook, delivery());
+    assert.equal(failed.ok, false);
+    assert.equal(failed.error, 'Endpoint responded with HTTP 500');
+    assert.equal(failed.body.length, 1000);
+
+    const refused = await sendWebhookRequest({ ...webhook, url: 'http://169.254.169.254/hook' }, delivery());
+    assert.equal(refused.error, 'URL must point to a public address');
+    assert.equal(post.mock.callCount(), 1);
+  });
+});
+
+describe('emitLinkEvent', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('queues one delivery per link and webhook, sharing the event id across webhooks', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const hooks = [{ _id: new mongoose.Types.ObjectId() }, { _id: new mongoose.Types.ObjectId() }];
+    mock.method(Webhook, 'find', () => ({ select: () => ({ lean: async () => hooks }) }));
+    const inserted = mock.method(WebhookDelivery, 'insertMany', async (docs) => docs);
+    // The dispatcher is kicked off right away; give it nothing to send
+    mock.method(WebhookDelivery, 'findOneAndUpdate', async () => null);
+    const links = [{ _id: 'a', url: 'https://example.com/a', __v: 3 }, { _id: 'b', url: 'https://example.com/b' }];
+
+    assert.equal(await emitLinkEvent(userId, 'link.created', links), 4);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const docs = inserted.mock.calls[0].arguments[0];
+    assert.equal(docs[0].eventId, docs[1].eventId);
+    assert.notEqual(docs[0].eventId, docs[2].eventId);
+    const payload = JSON.parse(docs[0].payload);
+    assert.equal(payload.event, 'link.created');
+    assert.deepEqual(payload.data.link, { _id: 'a', url: 'https://example.com/a' });
+  });
+
+  it('never throws when queueing fails', async () => {
+    mock.method(Webhook, 'find', () => ({ select: () => ({ lean: async () => { throw new Error('down'); } }) }));
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await emitLinkEvent(new mongoose.Types.ObjectId(), 'link.deleted', { _id: 'a' }), 0);
+  });
+});
+
+describe('runWebhookDispatcher retries', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  /**
+   * Run one dispatcher pass over a single delivery the endpoint rejects
+   * @returns {Promise<object>} The $set written to the delivery
+   */
+  async function failDelivery(previousAttempts) {
+    let claimed = false;
+    mock.method(WebhookDelivery, 'findOneAndUpdate', async () => {
+      if (claimed) return null;
+      claimed = true;
+      return delivery({ attempts: previousAttempts });
+    });
+    mock.method(Webhook, 'findOne', () => ({ select: () => ({ lean: async () => webhook }) }));
+    mock.method(axios, 'post', async () => ({ status: 503, data: '' }));
+    const updates = mock.method(WebhookDelivery, 'updateOne', async () => ({}));
+    mock.method(Webhook, 'updateOne', async () => ({}));
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'log', () => {});
+
+    const summary = await runWebhookDispatcher();
+    assert.equal(summary.retry, 1);
+    return updates.mock.calls[0].arguments[1].$set;
+  }
+
+  it('doubles the delay after each failed attempt', async () => {
+    const first = await failDelivery(0);
+    const delay = first.nextAttemptAt - first.lastAttemptAt;
+    assert.ok(delay >= WEBHOOK_RETRY_BASE_MS && delay < WEBHOOK_RETRY_BASE_MS + 1000);
+    assert.equal(first.status, 'pending');
+    assert.equal(first.attempts, 1);
+    mock.restoreAll();
+
+    const third = await failDelivery(2);
+    const later = third.nextAttemptAt - third.lastAttemptAt;
+    assert.ok(later >= 4 * WEBHOOK_RETRY_BASE_MS && later < 4 * WEBHOOK_RETRY_BASE_MS + 1000);
+  });
+
+  it('caps the delay at WEBHOOK_RETRY_MAX_MS', async () => {
+    const set = await failDelivery(20);
+    const delay = set.nextAttemptAt - set.lastAttemptAt;
+    assert.ok(delay >= WEBHOOK_RETRY_MAX_MS && delay < WEBHOOK_RETRY_MAX_MS + 1000);
+  });
+});
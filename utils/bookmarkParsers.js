@@ -0,0 +1,364 @@
+/**
+ * Bookmark file parsers
+ * Each parser turns an export file into plain import rows:
+ * { url, title, description, notes, tags, isFavorite, readingState, createdAt, updatedAt }
+ * readingState is 'read' or 'unread' when the export records it, otherwise left out.
+ */
+
+// Root folders that browsers add on export and that carry no meaning as tags
+const IGNORED_ROOT_FOLDERS = new Set([
+  'bookmarks',
+  'bookmarks bar',
+  'bookmarks toolbar',
+  'bookmarks menu',
+  'other bookmarks',
+  'mobile bookmarks',
+  'favorites bar',
+  'unsorted bookmarks'
+]);
+
+/**
+ * Decode the HTML entities found in bookmark exports
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (value) => {
+  if (!value) return '';
+  return String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Read the attributes of a start tag into a lowercase-keyed object
+ * @param {string} attrText - Raw attribute text of a tag
+ * @returns {object} Attribute map
+ */
+const parseAttributes = (attrText) => {
+  const attrs = {};
+  const re = /([a-z_:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let m;
+  while ((m = re.exec(attrText || ''))) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+};
+
+/**
+ * Parse a timestamp given in unix seconds (or milliseconds/microseconds)
+ * @param {string|number} value - Raw timestamp
+ * @returns {Date|undefined} Parsed date
+ */
+const parseUnixTimestamp = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return undefined;
+  let ms = n;
+  if (n < 1e11) ms = n * 1000; // seconds
+  else if (n > 1e14) ms = n / 1000; // microseconds
+  const date = new Date(ms);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Split a comma separated tag attribute
+ * @param {string} value - Raw tag list
+ * @returns {string[]} Tags
+ */
+const splitTags = (value) => String(value || '')
+  .split(',')
+  .map(t => t.trim())
+  .filter(Boolean);
+
+/**
+ * Read the raw text from a position up to the next match of a pattern
+ * @param {string} source - Text being scanned
+ * @param {number} from - Start offset
+ * @param {RegExp} pattern - Terminator, e.g. /<\/a/i
+ * @returns {string} Text before the terminator (or to the end)
+ */
+const readUntil = (source, from, pattern) => {
+  const rest = source.slice(from);
+  const match = rest.search(pattern);
+  return match === -1 ? rest : rest.slice(0, match);
+};
+
+/**
+ * Parse a Netscape bookmark file (the bookmarks.html exported by Chrome, Firefox, Safari, Edge)
+ * Folders become tags; ADD_DATE becomes createdAt; <DD> text becomes notes.
+ * @param {string} html - File contents
+ * @returns {object[]} Import rows
+ */
+const parseNetscapeBookmarks = (html) => {
+  const rows = [];
+  const folderStack = [];
+  let pendingFolder = null;
+  let lastRow = null;
+
+  const tokenRe = /<(\/?)(dl|h3|a|dd)\b([^>]*)>/gi;
+  const source = String(html || '');
+  let m;
+
+  while ((m = tokenRe.exec(source))) {
+    const isClosing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    const attrs = m[3];
+
+    if (tag === 'dl') {
+      if (isClosing) {
+        folderStack.pop();
+      } else {
+        folderStack.push(pendingFolder);
+        pendingFolder = null;
+      }
+      continue;
+    }
+
+    if (isClosing) continue;
+
+    if (tag === 'h3') {
+      const name = decodeEntities(readUntil(source, tokenRe.lastIndex, /<\//)).trim();
+      const folderAttrs = parseAttributes(attrs);
+      const isRootFolder = folderAttrs.personal_toolbar_folder === 'true' ||
+        folderAttrs.unfiled_bookmarks_folder === 'true' ||
+        IGNORED_ROOT_FOLDERS.has(name.toLowerCase());
+      pendingFolder = isRootFolder ? '' : name;
+      lastRow = null;
+      continue;
+    }
+
+    if (tag === 'a') {
+      const title = decodeEntities(readUntil(source, tokenRe.lastIndex, /<\/a\s*>/i)).trim();
+      const linkAttrs = parseAttributes(attrs);
+      const folders = folderStack.filter(Boolean);
+
+      lastRow = {
+        url: linkAttrs.href,
+        title: title || undefined,
+        tags: Array.from(new Set([...folders, ...splitTags(linkAttrs.tags)])),
+        createdAt: parseUnixTimestamp(linkAttrs.add_date),
+        updatedAt: parseUnixTimestamp(linkAttrs.last_modified)
+      };
+      rows.push(lastRow);
+      continue;
+    }
+
+    if (tag === 'dd' && lastRow) {
+      const notes = decodeEntities(readUntil(source, tokenRe.lastIndex, /</)).trim();
+      if (notes) lastRow.notes = notes;
+      lastRow = null;
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, newlines inside quotes)
+ * @param {string} text - CSV contents
+ * @returns {object[]} One object per data row, keyed by lowercase header name
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field.length > 0 || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...data] = records.filter(r => r.some(v => v.trim().length > 0));
+  if (!header) return [];
+  const keys = header.map(h => h.trim().toLowerCase());
+  return data.map(values => Object.fromEntries(keys.map((k, idx) => [k, (values[idx] ?? '').trim()])));
+};
+
+/**
+ * Parse a date that may be ISO-8601 or a unix timestamp
+ * @param {string|number} value - Raw date
+ * @returns {Date|undefined} Parsed date
+ */
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) return parseUnixTimestamp(value);
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const isTruthyFlag = (value) => ['true', '1', 'yes', 'y', 'starred', 'favorite'].includes(String(value ?? '').trim().toLowerCase());
+
+/**
+ * Reading state of a Pocket section heading ("Unread", "Read Archive")
+ * @returns {string|undefined}
+ */
+const pocketSectionState = (heading) => {
+  const text = heading.replace(/<[^>]*>/g, '').trim().toLowerCase();
+  if (text.startsWith('unread')) return 'unread';
+  if (text.includes('archive') || text === 'read') return 'read';
+  return undefined;
+};
+
+/**
+ * Parse a Pocket HTML export (ril_export.html)
+ * Links sit in <ul> lists under "Unread" / "Read Archive" headings; the heading sets their reading state.
+ * @param {string} html - File contents
+ * @returns {object[]} Import rows
+ */
+const parsePocketHtml = (html) => {
+  const rows = [];
+  const source = String(html || '');
+  const tokenRe = /<(h[1-6]|a)\b([^>]*)>/gi;
+  let readingState;
+  let m;
+
+  while ((m = tokenRe.exec(source))) {
+    const tag = m[1].toLowerCase();
+    if (tag !== 'a') {
+      readingState = pocketSectionState(decodeEntities(readUntil(source, tokenRe.lastIndex, new RegExp(`</${tag}\\s*>`, 'i'))));
+      continue;
+    }
+    const attrs = parseAttributes(m[2]);
+    if (!attrs.href) continue;
+    const title = decodeEntities(readUntil(source, tokenRe.lastIndex, /<\/a\s*>/i)).trim();
+    rows.push({
+      url: attrs.href,
+      title: title && title !== attrs.href ? title : undefined,
+      tags: splitTags(attrs.tags),
+      isFavorite: isTruthyFlag(attrs.favorite),
+      readingState,
+      createdAt: parseUnixTimestamp(attrs.time_added)
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Parse a Pocket CSV export (title,url,time_added,tags,status)
+ * Pocket separates tags with "|"; status "archive" means read, anything else unread.
+ * @param {string} text - File contents
+ * @returns {object[]} Import rows
+ */
+const parsePocketCsv = (text) => parseCsv(text).map(r => ({
+  url: r.url,
+  title: r.title && r.title !== r.url ? r.title : undefined,
+  tags: String(r.tags || '').split('|').map(t => t.trim()).filter(Boolean),
+  isFavorite: isTruthyFlag(r.favorite || r.starred),
+  readingState: r.status ? (String(r.status).trim().toLowerCase() === 'archive' ? 'read' : 'unread') : undefined,
+  createdAt: parseDate(r.time_added)
+}));
+
+/**
+ * Parse either Pocket export format, detected from the contents
+ * @param {string} content - File contents
+ * @returns {object[]} Import rows
+ */
+const parsePocketExport = (content) => (/<a\b[^>]*href=/i.test(String(content || ''))
+  ? parsePocketHtml(content)
+  : parsePocketCsv(content));
+
+/**
+ * Parse a Raindrop.io CSV export
+ * (id,title,note,excerpt,url,folder,tags,created,cover,highlights,favorite)
+ * The folder becomes a tag, like bookmark folders do.
+ * @param {string} text - File contents
+ * @returns {object[]} Import rows
+ */
+const parseRaindropCsv = (text) => parseCsv(text).map(r => {
+  const folder = String(r.folder || '').trim();
+  const folderTags = folder && folder.toLowerCase() !== 'unsorted'
+    ? folder.split('/').map(f => f.trim()).filter(Boolean)
+    : [];
+  return {
+    url: r.url,
+    title: r.title || undefined,
+    description: r.excerpt || undefined,
+    notes: r.note || undefined,
+    tags: Array.from(new Set([...folderTags, ...splitTags(r.tags)])),
+    isFavorite: isTruthyFlag(r.favorite),
+    createdAt: parseDate(r.created)
+  };
+});
+
+/**
+ * Parse a Pinboard JSON export
+ * ([{ href, description, extended, time, tags, toread, shared }], tags are space separated).
+ * Pinboard has no favourites; toread "yes" means unread, anything else read.
+ * @param {string} text - File contents
+ * @returns {object[]} Import rows
+ */
+const parsePinboardJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(String(text || ''));
+  } catch (e) {
+    throw new Error('Pinboard export is not valid JSON');
+  }
+  const items = Array.isArray(data) ? data : (Array.isArray(data?.posts) ? data.posts : []);
+  return items.map(item => ({
+    url: item?.href,
+    title: item?.description || undefined,
+    notes: item?.extended || undefined,
+    tags: String(item?.tags || '').split(/\s+/).map(t => t.trim()).filter(Boolean),
+    readingState: String(item?.toread || '').toLowerCase() === 'yes' ? 'unread' : 'read',
+    createdAt: parseDate(item?.time)
+  }));
+};
+
+// Import sources accepted by POST /api/links/import/:source
+const IMPORT_PARSERS = {
+  bookmarks: parseNetscapeBookmarks,
+  netscape: parseNetscapeBookmarks,
+  pocket: parsePocketExport,
+  raindrop: parseRaindropCsv,
+  pinboard: parsePinboardJson
+};
+
+module.exports = {
+  IMPORT_PARSERS,
+  decodeEntities,
+  parseUnixTimestamp,
+  parseDate,
+  splitTags,
+  parseCsv,
+  parseNetscapeBookmarks,
+  parsePocketExport,
+  parseRaindropCsv,
+  parsePinboardJson
+};
@@ -344,6 +344,79 @@ const sendPasswordChangeConfirmation = async (email, firstName) => {
   return await sendEmail({ to: email, subject, text, html });
 };
 
+/**
+ * Send a reminder about a saved link
+ * @param {string} email - User email
+ * @param {Object} reminder - Reminder details
+ * @param {string} reminder.fullName - User full name
+ * @param {string} reminder.title - Link title
+ * @param {string} reminder.url - Link URL
+ * @param {string} reminder.note - Optional note the user left on the reminder
+ */
+const sendLinkReminderEmail = async (email, { fullName, title, url, note }) => {
+  const escape = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const label = title || url;
+
+  const subject = `Reminder: ${label}`.slice(0, 150);
+  
+  const text = `
+    Hi ${fullName || 'there'},
+    
+    You asked us to remind you about this link:
+    ${label}
+    ${url}
+    ${note ? `\n    Your note: ${note}\n` : ''}
+    Best regards,
+    The LinkExtractor Team
+  `;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Link Reminder</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background-color: #007bff; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background-color: #f9f9f9; }
+        .button { display: inline-block; padding: 12px 24px; background-color: #007bff; color: white; text-decoration: none; border-radius: 5px; }
+        .note { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+        .footer { padding: 20px; text-align: center; color: #666; font-size: 14px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>Link Reminder</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${escape(fullName || 'there')},</h2>
+          <p>You asked us to remind you about this link:</p>
+          <p><strong>${escape(label)}</strong></p>
+          ${note ? `<div class="note">${escape(note)}</div>` : ''}
+          <p style="text-align: center;">
+            <a href="${escape(url)}" class="button">Open Link</a>
+          </p>
+          <p style="word-break: break-all;">${escape(url)}</p>
+        </div>
+        <div class="footer">
+          <p>Best regards,<br>The LinkExtractor Team</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  return await sendEmail({ to: email, subject, text, html });
+};
+
 /**
  * Send OTP email
  * @param {string} email - Recipient email address
@@ -433,5 +506,6 @@ module.exports = {
   sendPasswordResetEmail,
   sendEmailVerification,
   sendPasswordChangeConfirmation,
+  sendLinkReminderEmail,
   sendOTPEmail
 };
\ No newline at end of file
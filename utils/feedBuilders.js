@@ -0,0 +1,135 @@
+/**
+ * Feed serializers (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+ * Each format renders a feed description plus a page of lean Link documents.
+ * Items carry the stored title, description, ogImage and notes; the item
+ * link is the saved URL itself.
+ */
+
+const escapeXml = (value) => String(value ?? '')
+  // Characters XML 1.0 does not allow, even escaped
+  .replace(/[^\u0009\u000A\u000D\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toIso = (value) => new Date(value || Date.now()).toISOString();
+
+/**
+ * HTML body of an item: image, description, then the user's notes
+ * @param {object} link - Lean Link document
+ * @returns {string}
+ */
+const itemHtml = (link) => {
+  const parts = [];
+  const image = link.images?.ogImage;
+  if (image) parts.push(`<p><img src="${escapeXml(image)}" alt=""></p>`);
+  if (link.description) parts.push(`<p>${escapeXml(link.description)}</p>`);
+  if (link.notes) parts.push(`<p><strong>Notes:</strong> ${escapeXml(link.notes).replace(/\n/g, '<br>')}</p>`);
+  return parts.join('\n');
+};
+
+/**
+ * Stable, globally unique entry id (RFC 4151 tag URI)
+ */
+const entryId = (feed, link) => `tag:${feed.host},${toIso(link.createdAt).slice(0, 10)}:link/${link._id}`;
+
+const rss = {
+  contentType: 'application/rss+xml; charset=utf-8',
+  render: (feed, links) => {
+    const items = links.map(link => [
+      '    <item>',
+      `      <title>${escapeXml(link.title || link.url)}</title>`,
+      `      <link>${escapeXml(link.url)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(entryId(feed, link))}</guid>`,
+      `      <pubDate>${new Date(link.createdAt || Date.now()).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(itemHtml(link))}</description>`,
+      ...(link.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+      link.images?.ogImage ? `      <media:content url="${escapeXml(link.images.ogImage)}" medium="image"/>` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+      '  <channel>',
+      `    <title>${escapeXml(feed.title)}</title>`,
+      `    <link>${escapeXml(feed.homeUrl)}</link>`,
+      `    <description>${escapeXml(feed.description)}</description>`,
+      `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+      `    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+      `    <ttl>${Math.max(1, Math.round(feed.ttlSeconds / 60))}</ttl>`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      ''
+    ].join('\n');
+  }
+};
+
+const atom = {
+  contentType: 'application/atom+xml; charset=utf-8',
+  render: (feed, links) => {
+    const entries = links.map(link => [
+      '  <entry>',
+      `    <id>${escapeXml(entryId(feed, link))}</id>`,
+      `    <title>${escapeXml(link.title || link.url)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(link.url)}"/>`,
+      `    <published>${toIso(link.createdAt)}</published>`,
+      `    <updated>${toIso(link.updatedAt || link.createdAt)}</updated>`,
+      link.description ? `    <summary>${escapeXml(link.description)}</summary>` : null,
+      `    <content type="html">${escapeXml(itemHtml(link))}</content>`,
+      ...(link.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+      '  </entry>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(feed.id)}</id>`,
+      `  <title>${escapeXml(feed.title)}</title>`,
+      `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+      `  <updated>${toIso(feed.updatedAt)}</updated>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+      `  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+      `  <author><name>${escapeXml(feed.author)}</name></author>`,
+      ...entries,
+      '</feed>',
+      ''
+    ].join('\n');
+  }
+};
+
+const jsonFeed = {
+  contentType: 'application/feed+json; charset=utf-8',
+  render: (feed, links) => `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: feed.description,
+    authors: [{ name: feed.author }],
+    items: links.map(link => ({
+      id: entryId(feed, link),
+      url: link.url,
+      title: link.title || link.url,
+      content_html: itemHtml(link),
+      summary: link.description || undefined,
+      image: link.images?.ogImage || undefined,
+      date_published: toIso(link.createdAt),
+      date_modified: toIso(link.updatedAt || link.createdAt),
+      tags: Array.isArray(link.tags) && link.tags.length > 0 ? link.tags : undefined,
+      _link: {
+        linkType: link.linkType,
+        isFavorite: Boolean(link.isFavorite),
+        notes: link.notes || undefined
+      }
+    }))
+  }, null, 2)}\n`
+};
+
+module.exports = {
+  FEED_FORMATS: ['rss', 'atom', 'json'],
+  feedFormats: { rss, atom, json: jsonFeed }
+};
@@ -0,0 +1,155 @@
+/**
+ * Feed parsing for subscriptions
+ * Reads RSS 2.0 / RSS 1.0 (RDF), Atom and JSON Feed documents into one
+ * shape, and finds the feed advertised by an HTML page when a site URL is
+ * given instead of a feed URL.
+ */
+
+const cheerio = require('cheerio');
+const { resolveUrl } = require('./helpers');
+
+const FEED_LINK_TYPES = [
+  'application/rss+xml',
+  'application/atom+xml',
+  'application/feed+json',
+  'application/json'
+];
+
+const clean = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text || null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Plain-text summary from an HTML or text fragment
+ */
+const toText = (value) => {
+  if (!value) return null;
+  const html = String(value).replace(/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, ' ');
+  return clean(cheerio.load(`<div>${html}</div>`).text());
+};
+
+const absolute = (value, base) => {
+  const raw = clean(value);
+  if (!raw) return null;
+  return resolveUrl(raw, base) || null;
+};
+
+function parseJsonFeed(doc, feedUrl) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.items) ||
+      !String(doc.version || '').startsWith('https://jsonfeed.org/version/')) {
+    return null;
+  }
+  return {
+    format: 'json',
+    title: clean(doc.title),
+    siteUrl: absolute(doc.home_page_url, feedUrl),
+    entries: doc.items.map(item => ({
+      id: clean(item.id),
+      url: absolute(item.url || item.external_url, feedUrl),
+      title: clean(item.title),
+      summary: clean(item.summary) || toText(item.content_html) || clean(item.content_text),
+      publishedAt: toDate(item.date_published || item.date_modified)
+    }))
+  };
+}
+
+function parseXmlFeed(body, feedUrl) {
+  const $ = cheerio.load(body, { xml: true });
+
+  if ($('feed').length > 0 && $('feed > entry, feed > title').length > 0) {
+    const siteHref = $('feed > link[rel="alternate"]').attr('href') || $('feed > link:not([rel])').attr('href');
+    return {
+      format: 'atom',
+      title: clean($('feed > title').first().text()),
+      siteUrl: absolute(siteHref, feedUrl),
+      entries: $('feed > entry').toArray().map(el => {
+        const entry = $(el);
+        const href = entry.children('link[rel="alternate"]').attr('href') || entry.children('link:not([rel])').attr('href') ||
+          entry.children('link').first().attr('href');
+        return {
+          id: clean(entry.children('id').first().text()),
+          url: absolute(href, feedUrl),
+          title: clean(entry.children('title').first().text()),
+          summary: toText(entry.children('summary').first().text()) || toText(entry.children('content').first().text()),
+          publishedAt: toDate(entry.children('published').first().text() || entry.children('updated').first().text())
+        };
+      })
+    };
+  }
+
+  const items = $('channel > item').length > 0 ? $('channel > item') : $('rdf\\:RDF > item, RDF > item');
+  if ($('rss, rdf\\:RDF, RDF').length > 0 && $('channel').length > 0) {
+    return {
+      format: 'rss',
+      title: clean($('channel > title').first().text()),
+      siteUrl: absolute($('channel > link').first().text(), feedUrl),
+      entries: items.toArray().map(el => {
+        const item = $(el);
+        const guid = item.children('guid').first();
+        const guidText = clean(guid.text());
+        const guidIsLink = guidText && guid.attr('isPermaLink') !== 'false' && /^https?:\/\//i.test(guidText);
+        return {
+          id: guidText || clean(item.attr('rdf:about')),
+          url: absolute(item.children('link').first().text(), feedUrl) || (guidIsLink ? guidText : null),
+          title: clean(item.children('title').first().text()),
+          summary: toText(item.children('description').first().text()),
+          publishedAt: toDate(item.children('pubDate').first().text() || item.children('dc\\:date').first().text())
+        };
+      })
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a fetched feed document
+ * @param {string} body - Response body
+ * @param {string} feedUrl - URL the body came from, for resolving relative links
+ * @returns {{format: string, title: string|null, siteUrl: string|null, entries: object[]}|null}
+ *   Entries are { id, url, title, summary, publishedAt }; null when the body is not a feed
+ */
+function parseFeed(body, feedUrl) {
+  const text = String(body || '').replace(/^\uFEFF/, '').trim();
+  if (!text) return null;
+
+  if (text.startsWith('{')) {
+    try {
+      return parseJsonFeed(JSON.parse(text), feedUrl);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const feed = parseXmlFeed(text, feedUrl);
+  if (!feed) return null;
+  feed.entries = feed.entries.filter(entry => entry.url);
+  return feed;
+}
+
+/**
+ * Find the feed an HTML page advertises with <link rel="alternate">
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {string|null} Absolute feed URL
+ */
+function discoverFeedUrl(html, pageUrl) {
+  const $ = cheerio.load(String(html || ''));
+  for (const type of FEED_LINK_TYPES) {
+    const href = $(`link[rel~="alternate"][type="${type}"]`).first().attr('href');
+    if (href) return absolute(href, pageUrl);
+  }
+  return null;
+}
+
+module.exports = {
+  parseFeed,
+  discoverFeedUrl
+};
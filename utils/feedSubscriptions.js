@@ -0,0 +1,252 @@
+/**
+ * Feed subscription helpers
+ * Fetching a feed with conditional GET, and saving its new entries as
+ * links. Used by jobs/feedPoller and when a subscription is created.
+ */
+
+const axios = require('axios');
+const Link = require('../models/Links');
+const FeedSubscription = require('../models/FeedSubscription');
+const { normalizeUrl, urlDedupeKey } = require('./url');
+const { fetchLinkPreviewData, resolveUrl, getRandomUserAgent, sleep } = require('./helpers');
+const { syncLinkTags } = require('./linkOperations');
+const { emitLinkEvent } = require('./webhooks');
+const { checkOutboundUrl, outboundAgents } = require('./netGuard');
+const { parseFeed, discoverFeedUrl } = require('./feedParser');
+const { captureSnapshotInBackground } = require('./linkSnapshots');
+const { queueScreenshot } = require('./linkScreenshots');
+const { queueLinkImageCache } = require('./imageCache');
+const {
+  SUBSCRIPTION_FETCH_TIMEOUT_MS,
+  SUBSCRIPTION_MAX_FEED_BYTES,
+  SUBSCRIPTION_MAX_NEW_ENTRIES,
+  SUBSCRIPTION_SEEN_ENTRIES_LIMIT
+} = require('../config/constants');
+
+const URL_REGEX = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
+const ENRICH_DELAY_MS = 500;
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/feed+json, application/json;q=0.9, application/xml;q=0.9, text/xml;q=0.9, text/html;q=0.5, */*;q=0.1';
+
+const clip = (value, max) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  if (!trimmed) return undefined;
+  return trimmed.length > max ? trimmed.slice(0, max) : trimmed;
+};
+
+/**
+ * Fetch a feed, sending the validators from the previous fetch
+ * @param {string} url - Feed URL
+ * @param {object} validators - { etag, lastModified } from the last 200 response
+ * @returns {Promise<{status: number, notModified: boolean, body: string, contentType: string,
+ *   etag: string|null, lastModified: string|null, finalUrl: string}>}
+ * @throws when the URL is not allowed, the request fails or the server answers with an error status
+ */
+async function fetchFeed(url, { etag, lastModified } = {}) {
+  const checked = checkOutboundUrl(url);
+  if (checked.error) {
+    throw new Error(checked.error);
+  }
+
+  const headers = {
+    'User-Agent': getRandomUserAgent(),
+    Accept: FEED_ACCEPT
+  };
+  if (etag) headers['If-None-Match'] = etag;
+  if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+  const response = await axios.get(checked.url.href, {
+    ...outboundAgents(),
+    headers,
+    timeout: SUBSCRIPTION_FETCH_TIMEOUT_MS,
+    maxRedirects: 5,
+    maxContentLength: SUBSCRIPTION_MAX_FEED_BYTES,
+    responseType: 'text',
+    transformResponse: [(data) => data],
+    validateStatus: () => true
+  });
+
+  const result = {
+    status: response.status,
+    notModified: response.status === 304,
+    body: typeof response.data === 'string' ? response.data : '',
+    contentType: response.headers?.['content-type'] || '',
+    etag: response.headers?.etag || null,
+    lastModified: response.headers?.['last-modified'] || null,
+    finalUrl: response.request?.res?.responseUrl || checked.url.href
+  };
+
+  if (!result.notModified && (response.status < 200 || response.status >= 300)) {
+    const error = new Error(`Feed responded with HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Fetch and parse a feed for a new subscription. A web page URL is accepted
+ * too when the page links to its feed.
+ * @param {string} url - Feed or page URL
+ * @returns {Promise<{feedUrl: string, feed: object, response: object}>}
+ * @throws when no feed can be read from the URL
+ */
+async function loadFeed(url) {
+  let response = await fetchFeed(url);
+  let feedUrl = response.finalUrl;
+  let feed = parseFeed(response.body, feedUrl);
+
+  if (!feed) {
+    const discovered = discoverFeedUrl(response.body, feedUrl);
+    if (!discovered) {
+      throw new Error('No RSS, Atom or JSON feed found at this URL');
+    }
+    response = await fetchFeed(discovered);
+    feedUrl = response.finalUrl;
+    feed = parseFeed(response.body, feedUrl);
+    if (!feed) {
+      throw new Error('The feed linked from this page could not be read');
+    }
+  }
+
+  return { feedUrl, feed, response };
+}
+
+/**
+ * Normalized URL of a feed entry, or null when it is not a web link
+ */
+const entryUrl = (entry) => {
+  const url = entry && entry.url ? normalizeUrl(entry.url) : null;
+  return url && URL_REGEX.test(url) ? url : null;
+};
+
+/**
+ * Save one entry as a link, enriched with the page's own metadata.
+ * Falls back to the entry's title and summary when the page gives none; the
+ * reader-mode article arrives with the snapshot captured in the background.
+ * Entry URLs come from the feed's author, so the page is fetched through netGuard.
+ * @returns {Promise<object|null>} The saved link, or null when it was already saved or its URL is refused
+ */
+async function saveEntry(subscription, entry, url) {
+  const userId = subscription.userId;
+  if (checkOutboundUrl(url).error) return null;
+  const preview = await fetchLinkPreviewData(url, { guarded: true });
+  const canonicalUrl = normalizeUrl(preview.url || url);
+  const linkUrl = URL_REGEX.test(canonicalUrl) ? canonicalUrl : url;
+
+  const existing = await Link.exists({ userId, isActive: true, urlKey: { $in: Array.from(new Set([linkUrl, url].map(urlDedupeKey))) } });
+  if (existing) return null;
+
+  const base = (() => {
+    try {
+      return new URL(linkUrl).origin;
+    } catch (_) {
+      return linkUrl;
+    }
+  })();
+  const sanitizeImage = (value) => {
+    if (!value) return undefined;
+    const resolved = resolveUrl(value, base);
+    if (!resolved) return undefined;
+    return URL_REGEX.test(resolved) ? resolved : undefined;
+  };
+
+  const link = new Link({
+    userId,
+    url: linkUrl,
+    originalUrl: linkUrl !== url ? url : undefined,
+    subscriptionId: subscription._id,
+    linkType: preview.linkType || 'other',
+    title: clip(preview.title, 500) || clip(entry.title, 500),
+    description: clip(preview.description, 2000) || clip(entry.summary, 2000),
+    images: {
+      logo: sanitizeImage(preview.images?.logo),
+      ogImage: sanitizeImage(preview.images?.ogImage),
+      favicon: sanitizeImage(preview.images?.favicon),
+      appleTouchIcon: sanitizeImage(preview.images?.appleTouchIcon)
+    },
+    metadata: preview.metadata || {},
+    tags: Array.isArray(subscription.tags) ? subscription.tags : []
+  });
+
+  try {
+    const saved = await link.save();
+    await syncLinkTags(userId, saved);
+    captureSnapshotInBackground(saved);
+    queueScreenshot(saved);
+    queueLinkImageCache(saved);
+    void emitLinkEvent(userId, 'link.created', saved);
+    return saved;
+  } catch (err) {
+    if (err && err.code === 11000) return null;
+    throw err;
+  }
+}
+
+/**
+ * Save the entries of a feed that the subscription has not handled yet.
+ * Entries already in the user's library are only marked as seen. At most
+ * SUBSCRIPTION_MAX_NEW_ENTRIES are saved per call; the rest wait for the next fetch.
+ * @param {object} subscription - FeedSubscription with seenEntries selected
+ * @param {object[]} entries - Parsed feed entries
+ * @returns {Promise<{saved: number, skipped: number, failed: number}>}
+ */
+async function saveNewEntries(subscription, entries) {
+  const seen = new Set(subscription.seenEntries || []);
+  const pending = [];
+  for (const entry of entries) {
+    const url = entryUrl(entry);
+    if (!url || seen.has(url) || pending.some(p => p.url === url)) continue;
+    pending.push({ entry, url });
+  }
+
+  const summary = { saved: 0, skipped: 0, failed: 0 };
+  if (pending.length === 0) return summary;
+
+  const candidateUrls = pending.map(p => p.url);
+  const existingLinks = await Link.find({
+    userId: subscription.userId,
+    isActive: true,
+    $or: [{ urlKey: { $in: candidateUrls.map(urlDedupeKey) } }, { originalUrl: { $in: candidateUrls } }]
+  }).select('urlKey originalUrl').lean();
+  const alreadySaved = new Set(existingLinks.flatMap(link => [link.urlKey, link.originalUrl]).filter(Boolean));
+
+  const handled = [];
+  for (const { entry, url } of pending) {
+    if (alreadySaved.has(urlDedupeKey(url)) || alreadySaved.has(url)) {
+      summary.skipped += 1;
+      handled.push(url);
+      continue;
+    }
+    if (summary.saved + summary.failed >= SUBSCRIPTION_MAX_NEW_ENTRIES) break;
+
+    try {
+      const saved = await saveEntry(subscription, entry, url);
+      summary[saved ? 'saved' : 'skipped'] += 1;
+      handled.push(url);
+    } catch (error) {
+      // Not marked as seen, so the entry is tried again on the next fetch
+      summary.failed += 1;
+      console.error('❌ Failed to save feed entry:', url, error.message);
+    }
+    await sleep(ENRICH_DELAY_MS);
+  }
+
+  if (handled.length > 0) {
+    await FeedSubscription.updateOne(
+      { _id: subscription._id },
+      {
+        $push: { seenEntries: { $each: handled, $slice: -SUBSCRIPTION_SEEN_ENTRIES_LIMIT } },
+        $inc: { savedCount: summary.saved }
+      }
+    );
+  }
+  return summary;
+}
+
+module.exports = {
+  fetchFeed,
+  loadFeed,
+  entryUrl,
+  saveNewEntries
+};
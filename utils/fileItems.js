@@ -0,0 +1,310 @@
+/**
+ * Uploaded files
+ * PDFs, images and text files saved as library items. The file goes to
+ * storage; the item is a Link whose url is the file's download route, so it
+ * lists, searches, tags, favourites and trashes like any saved page.
+ * PDFs and text files get title and article text, images their dimensions.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+// The package entry point runs a self-test when loaded outside a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const Link = require('../models/Links');
+const User = require('../models/User');
+const { getStorage } = require('./storage');
+const { estimateReadingTime } = require('./readingTime');
+const {
+  API_PUBLIC_URL,
+  UPLOAD_QUOTA_BYTES_PER_USER,
+  UPLOAD_PDF_MAX_PAGES,
+  UPLOAD_ALLOWED_TYPES,
+  ARTICLE_TEXT_MAX_LENGTH
+} = require('../config/constants');
+
+const FILE_EXTENSIONS = {
+  'application/pdf': '.pdf',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'text/plain': '.txt',
+  'text/markdown': '.md'
+};
+const DESCRIPTION_LENGTH = 300;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Work out the file type from its first bytes; the type and name the
+ * client sent are only trusted to tell plain text from markdown.
+ * @param {Buffer} buffer - File content
+ * @param {string} [declaredType] - Content type sent with the upload
+ * @param {string} [fileName] - Original file name
+ * @returns {string|null} MIME type, or null when the file is none of the known kinds
+ */
+function detectFileType(buffer, declaredType = '', fileName = '') {
+  const head = buffer.subarray(0, 1024);
+  if (head.indexOf('%PDF-', 0, 'latin1') !== -1) return 'application/pdf';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (head.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  if (/^GIF8[79]a/.test(head.subarray(0, 6).toString('latin1'))) return 'image/gif';
+  if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') return 'image/webp';
+
+  const isMarkdown = declaredType === 'text/markdown' || /\.(md|markdown)$/i.test(fileName);
+  const isText = isMarkdown || /^text\/plain\b/.test(declaredType) || /\.txt$/i.test(fileName);
+  if (isText && !buffer.subarray(0, 8192).includes(0)) {
+    return isMarkdown ? 'text/markdown' : 'text/plain';
+  }
+  return null;
+}
+
+const collapseWhitespace = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Parse a PDF date such as D:20240131120000+01'00'
+ */
+function parsePdfDate(value) {
+  const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(String(value || '').trim());
+  if (!match) return undefined;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  const offset = zone && zone !== 'Z' ? `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}` : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * A file name turned into a readable title
+ */
+const titleFromFileName = (fileName) => collapseWhitespace(
+  String(fileName || '').replace(/\.[a-z0-9]{1,5}$/i, '').replace(/[_]+/g, ' ')
+).slice(0, 500) || 'Untitled file';
+
+/**
+ * Read what can be learned from the file itself
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Detected type
+ * @returns {Promise<{title?: string, author?: string, subject?: string, publishedAt?: Date, text?: string, pageCount?: number, width?: number, height?: number}>}
+ */
+async function inspectFile(buffer, mimeType) {
+  if (mimeType === 'application/pdf') {
+    const pdf = await pdfParse(buffer, { max: UPLOAD_PDF_MAX_PAGES });
+    const info = pdf.info || {};
+    const title = collapseWhitespace(info.Title);
+    return {
+      title: title && !/^untitled$/i.test(title) ? title : undefined,
+      author: collapseWhitespace(info.Author) || undefined,
+      subject: collapseWhitespace(info.Subject) || undefined,
+      publishedAt: parsePdfDate(info.CreationDate),
+      text: String(pdf.text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(),
+      pageCount: pdf.numpages
+    };
+  }
+
+  if (mimeType.startsWith('image/')) {
+    const meta = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, so the displayed sides swap
+    const rotated = meta.orientation >= 5;
+    return {
+      width: rotated ? meta.height : meta.width,
+      height: rotated ? meta.width : meta.height
+    };
+  }
+
+  return { text: buffer.toString('utf8').replace(/^\uFEFF/, '').trim() };
+}
+
+/**
+ * Total size and count of the files a user has saved, trash included
+ */
+async function sumStoredFiles(userId) {
+  const [row] = await Link.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), 'file.size': { $gt: 0 } } },
+    { $group: { _id: null, usedBytes: { $sum: '$file.size' }, fileCount: { $sum: 1 } } }
+  ]);
+  return { usedBytes: row ? row.usedBytes : 0, fileCount: row ? row.fileCount : 0 };
+}
+
+/**
+ * Start the user's uploadBytes counter from the files already saved, for
+ * accounts that uploaded before the counter existed
+ */
+async function ensureUploadCounter(userId) {
+  const user = await User.findById(userId).select('+uploadBytes').lean();
+  if (!user || typeof user.uploadBytes === 'number') return;
+  const { usedBytes } = await sumStoredFiles(userId);
+  await User.updateOne({ _id: userId, uploadBytes: { $exists: false } }, { $set: { uploadBytes: usedBytes } });
+}
+
+/**
+ * Reserve quota for a file. The check and the increment are one update,
+ * so concurrent uploads cannot both fit into the same remaining space.
+ * @param {string} userId - Owner
+ * @param {number} bytes - File size
+ * @returns {Promise<boolean>} false when the file does not fit
+ */
+async function reserveUploadBytes(userId, bytes) {
+  await ensureUploadCounter(userId);
+  const result = await User.updateOne(
+    { _id: userId, uploadBytes: { $lte: UPLOAD_QUOTA_BYTES_PER_USER - bytes } },
+    { $inc: { uploadBytes: bytes } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Give back quota, e.g. when a save fails or files are purged
+ * @param {string} userId - Owner
+ * @param {number} bytes - Bytes freed
+ */
+async function releaseUploadBytes(userId, bytes) {
+  if (!(bytes > 0)) return;
+  await User.updateOne({ _id: userId, uploadBytes: { $exists: true } }, { $inc: { uploadBytes: -bytes } });
+}
+
+/**
+ * Bytes of uploaded files a user is holding, trash included
+ * @param {string} userId - Owner
+ * @returns {Promise<{usedBytes: number, fileCount: number, quotaBytes: number, remainingBytes: number}>}
+ */
+async function getUploadUsage(userId) {
+  await ensureUploadCounter(userId);
+  const [user, stored] = await Promise.all([
+    User.findById(userId).select('+uploadBytes').lean(),
+    sumStoredFiles(userId)
+  ]);
+  const usedBytes = Math.max(0, user?.uploadBytes ?? stored.usedBytes);
+  return {
+    usedBytes,
+    fileCount: stored.fileCount,
+    quotaBytes: UPLOAD_QUOTA_BYTES_PER_USER,
+    remainingBytes: Math.max(0, UPLOAD_QUOTA_BYTES_PER_USER - usedBytes)
+  };
+}
+
+/**
+ * Store an uploaded file and save it as a library item.
+ * The same file uploaded again returns the item already saved.
+ * Tags are not synced here; callers run syncLinkTags on new items.
+ * @param {string} userId - Owner
+ * @param {object} upload - multer file: { buffer, originalname, mimetype, size }
+ * @param {object} options
+ * @param {string} [options.title] - Title chosen by the user
+ * @param {string[]} [options.tags] - Tags
+ * @param {string} [options.notes] - Notes
+ * @param {*} [options.collectionId] - Collection, already resolved
+ * @returns {Promise<{link: object, alreadySaved: boolean}|{error: string, status: number}>}
+ */
+async function saveUploadedFile(userId, upload, { title, tags = [], notes, collectionId = null }) {
+  const buffer = upload.buffer;
+  if (!buffer || buffer.length === 0) {
+    return { error: 'The uploaded file is empty', status: 400 };
+  }
+
+  const mimeType = detectFileType(buffer, upload.mimetype, upload.originalname);
+  if (!mimeType || !UPLOAD_ALLOWED_TYPES.includes(mimeType)) {
+    return { error: 'Unsupported file type; upload a PDF, an image (JPEG, PNG, GIF, WebP) or a text file', status: 415 };
+  }
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const existing = await Link.findOne({ userId, isActive: true, 'file.sha256': sha256 });
+  if (existing) return { link: existing, alreadySaved: true };
+
+  if (!(await reserveUploadBytes(userId, buffer.length))) {
+    return { error: 'Storage limit reached; delete files (and empty the trash) to free up space', status: 413 };
+  }
+
+  let details;
+  try {
+    details = await inspectFile(buffer, mimeType);
+  } catch (e) {
+    console.error('❌ Could not read uploaded file:', upload.originalname, e.message);
+    await releaseUploadBytes(userId, buffer.length);
+    return { error: 'The uploaded file could not be read', status: 400 };
+  }
+
+  const linkId = new mongoose.Types.ObjectId();
+  const storageKey = `uploads/${userId}/${linkId}/${sha256}${FILE_EXTENSIONS[mimeType]}`;
+  const uploadedAt = new Date();
+  const text = details.text ? details.text.slice(0, ARTICLE_TEXT_MAX_LENGTH) : '';
+  const excerpt = collapseWhitespace(text.slice(0, DESCRIPTION_LENGTH * 2));
+
+  const link = new Link({
+    _id: linkId,
+    userId,
+    url: `${API_PUBLIC_URL}/api/links/${linkId}/file`,
+    linkType: 'other',
+    collectionId,
+    title: (title && title.trim()) || details.title || titleFromFileName(upload.originalname),
+    description: details.subject || (excerpt.length > DESCRIPTION_LENGTH
+      ? `${excerpt.slice(0, DESCRIPTION_LENGTH).replace(/\s+\S*$/, '')}…`
+      : excerpt) || undefined,
+    metadata: {},
+    tags: Array.from(new Set(tags.map(tag => tag.trim()))).filter(tag => tag.length > 0),
+    tagsNormalized: Array.from(new Set(tags.map(tag => tag.trim().toLowerCase()))).filter(tag => tag.length > 0),
+    notes: notes?.trim(),
+    file: {
+      storageKey,
+      originalName: String(upload.originalname || '').slice(0, 255) || undefined,
+      mimeType,
+      size: buffer.length,
+      sha256,
+      width: details.width,
+      height: details.height,
+      pageCount: details.pageCount,
+      uploadedAt
+    },
+    article: text
+      ? {
+        text,
+        ...estimateReadingTime(text),
+        author: details.author?.slice(0, 200),
+        publishedAt: details.publishedAt,
+        extractedAt: uploadedAt
+      }
+      : undefined
+  });
+
+  try {
+    await getStorage().put(storageKey, buffer);
+    await link.save();
+  } catch (err) {
+    await deleteStoredFiles([storageKey]);
+    await releaseUploadBytes(userId, buffer.length);
+    throw err;
+  }
+
+  return { link, alreadySaved: false };
+}
+
+/**
+ * Read an item's file content
+ * @returns {Promise<Buffer|null>}
+ */
+async function readStoredFile(link) {
+  if (!link.file || !link.file.storageKey) return null;
+  return getStorage().get(link.file.storageKey);
+}
+
+/**
+ * Remove stored files, e.g. when items are purged
+ * @param {string[]} storageKeys - Keys to delete
+ */
+async function deleteStoredFiles(storageKeys) {
+  for (const key of storageKeys) {
+    try {
+      await getStorage().delete(key);
+    } catch (e) {
+      console.error('❌ Could not delete stored file:', key, e.message);
+    }
+  }
+}
+
+module.exports = {
+  detectFileType,
+  getUploadUsage,
+  releaseUploadBytes,
+  saveUploadedFile,
+  readStoredFile,
+  deleteStoredFiles
+};
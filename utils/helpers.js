@@ -2,7 +2,9 @@ const { USER_AGENTS } = require('../config/constants');
 const cheerio = require('cheerio');
 const axios = require('axios');
 const Link = require('../models/Links');
-const { normalizeUrl } = require('./url');
+const { normalizeUrl, urlDedupeKey, resolveCanonicalUrl } = require('./url');
+const { estimateReadingTime } = require('./readingTime');
+const { allowPrivateUrls, outboundAgents, startGuardedProxy } = require('./netGuard');
 
 const DEFAULT_ACCOUNT_LINKS = [
   'https://www.instagram.com/p/DVkv7YVgYtY/?utm_source=ig_web_copy_link&igsh=MzRlODBiNWFlZA==',
@@ -90,13 +92,14 @@ const formatLambdaResponse = (statusCode, data, headers = {}, attempt = 1) => {
 /**
  * Calculate exponential backoff delay
  * @param {number} attempt - Current attempt number (0-based)
+ * @param {object} options - Override the defaults for slower retry schedules
+ * @param {number} options.baseDelay - Delay for the first attempt in ms (default 1 second)
+ * @param {number} options.maxDelay - Upper bound in ms (default 10 seconds)
  * @returns {number} Delay in milliseconds
  */
-const calculateBackoffDelay = (attempt) => {
-  const baseDelay = 1000; // 1 second
-  const maxDelay = 10000; // 10 seconds
+const calculateBackoffDelay = (attempt, { baseDelay = 1000, maxDelay = 10000 } = {}) => {
   const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
-  return delay + Math.random() * 1000; // Add jitter
+  return delay + Math.random() * Math.min(baseDelay, 1000); // Add jitter
 };
 
 /**
@@ -115,7 +118,8 @@ const extractMetadata = (html, baseUrl) => {
       appleTouchIcon: null
     },
     title: null,
-    description: null
+    description: null,
+    canonicalUrl: null
   };
 
   try {
@@ -143,6 +147,12 @@ const extractMetadata = (html, baseUrl) => {
       metadata.description = metadata.description.trim();
     }
 
+    // Extract canonical URL (checked against the page URL before use, see resolveCanonicalUrl)
+    const canonicalHref = $('link[rel="canonical"]').first().attr('href');
+    if (canonicalHref) {
+      metadata.canonicalUrl = resolveUrl(canonicalHref.trim(), baseUrl);
+    }
+
     const candidates = [];
     const seen = new Set();
     const pushCandidate = (u, source, w = 0, h = 0) => {
@@ -368,6 +378,291 @@ const resolveUrl = (url, baseUrl) => {
   }
 };
 
+// Readability-style scoring of DOM blocks
+const UNLIKELY_CANDIDATE_REGEX = /banner|breadcrumb|combx|comment|community|cookie|disqus|extra|footer|gdpr|header|menu|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental/i;
+const MAYBE_CANDIDATE_REGEX = /and|article|body|column|content|main|shadow|story|entry|post/i;
+const POSITIVE_CLASS_REGEX = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_CLASS_REGEX = /-ad-|hidden|banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+const classWeight = (el) => {
+  let weight = 0;
+  for (const value of [el.attr('class'), el.attr('id')]) {
+    if (!value) continue;
+    if (NEGATIVE_CLASS_REGEX.test(value)) weight -= 25;
+    if (POSITIVE_CLASS_REGEX.test(value)) weight += 25;
+  }
+  return weight;
+};
+
+const linkDensity = ($, el) => {
+  const textLength = el.text().trim().length;
+  if (!textLength) return 0;
+  let linkLength = 0;
+  el.find('a').each((_, a) => {
+    linkLength += $(a).text().trim().length;
+  });
+  return linkLength / textLength;
+};
+
+/**
+ * Find the element holding a page's main content.
+ * Paragraph-like blocks score their parent (and half to their grandparent) by text length
+ * and comma count; containers are weighted by tag and by class/id names, then discounted
+ * by link density. The best container is returned together with related siblings.
+ * @param {object} $ - Cheerio document with scripts and page chrome already removed
+ * @returns {object|null} Cheerio element, or null when nothing scored
+ */
+const findMainContent = ($) => {
+  $('body *').each((_, node) => {
+    const tag = node.tagName;
+    if (tag === 'article' || tag === 'main') return;
+    const el = $(node);
+    const match = `${el.attr('class') || ''} ${el.attr('id') || ''}`.trim();
+    if (match && UNLIKELY_CANDIDATE_REGEX.test(match) && !MAYBE_CANDIDATE_REGEX.test(match)) {
+      el.remove();
+    }
+  });
+
+  const scores = new Map();
+  const addScore = (node, score) => {
+    if (!scores.has(node)) {
+      const tag = node.tagName;
+      let base = 0;
+      if (tag === 'div' || tag === 'article' || tag === 'section' || tag === 'main') base = 5;
+      else if (['pre', 'td', 'blockquote'].includes(tag)) base = 3;
+      else if (['address', 'ol', 'ul', 'dl', 'dd', 'dt', 'li', 'form'].includes(tag)) base = -3;
+      else if (/^h[1-6]$/.test(tag) || tag === 'th') base = -5;
+      scores.set(node, base + classWeight($(node)));
+    }
+    scores.set(node, scores.get(node) + score);
+  };
+
+  $('p, pre, td, blockquote').each((_, node) => {
+    const text = $(node).text().trim();
+    if (text.length < 25) return;
+    const parent = node.parent;
+    if (!parent || parent.type !== 'tag') return;
+    const score = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+    addScore(parent, score);
+    if (parent.parent && parent.parent.type === 'tag' && parent.parent.tagName !== 'html') {
+      addScore(parent.parent, score / 2);
+    }
+  });
+
+  let top = null;
+  let topScore = 0;
+  for (const [node, score] of scores) {
+    const finalScore = score * (1 - linkDensity($, $(node)));
+    scores.set(node, finalScore);
+    if (finalScore > topScore) {
+      top = node;
+      topScore = finalScore;
+    }
+  }
+  if (!top) return null;
+
+  // Pull in siblings that look like part of the same article (split layouts, lead paragraphs)
+  const threshold = Math.max(10, topScore * 0.2);
+  const wrapper = $('<div></div>');
+  const siblings = top.parent ? $(top.parent).children().get() : [top];
+  for (const sibling of siblings) {
+    let keep = sibling === top || (scores.get(sibling) || 0) >= threshold;
+    if (!keep && sibling.tagName === 'p') {
+      const text = $(sibling).text().trim();
+      const density = linkDensity($, $(sibling));
+      keep = (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    }
+    if (keep) wrapper.append(sibling);
+  }
+  return wrapper;
+};
+
+const READABLE_DROP_SELECTORS = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, svg, canvas, nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"], [hidden]';
+const READABLE_ALLOWED_TAGS = new Set([
+  'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+  'em', 'strong', 'b', 'i', 'u', 's', 'sup', 'sub', 'a', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'br', 'hr', 'dl', 'dt', 'dd'
+]);
+const READABLE_ALLOWED_ATTRS = { a: ['href', 'title'], img: ['src', 'alt', 'title'], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'] };
+
+/**
+ * Extract the main readable content of a page as clean HTML and plain text.
+ * Page chrome (navigation, headers, footers, forms, scripts) is removed, the main
+ * content block is picked by findMainContent, and only simple formatting tags and
+ * safe http(s) links and images are kept.
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL for resolving relative links and images
+ * @returns {{title: (string|null), html: string, text: string}}
+ */
+const extractReadableContent = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const title = ($('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text() || '').trim() || null;
+
+  $(READABLE_DROP_SELECTORS).remove();
+  $('*').contents().filter((_, node) => node.type === 'comment').remove();
+
+  let root = findMainContent($);
+  if (!root || root.text().trim().length < 200) {
+    root = $('body').length ? $('body') : $.root();
+  }
+
+  const toSafeUrl = (value) => {
+    const resolved = value ? resolveUrl(String(value).trim(), baseUrl) : null;
+    return resolved && /^https?:\/\//i.test(resolved) ? resolved : null;
+  };
+
+  // Deepest elements first, so unwrapping a parent never revisits removed children
+  root.find('*').get().reverse().forEach((node) => {
+    const el = $(node);
+    const tag = String(node.tagName || '').toLowerCase();
+    if (!READABLE_ALLOWED_TAGS.has(tag)) {
+      const block = ['div', 'section', 'article', 'main'].includes(tag);
+      el.replaceWith(block ? `<p>${el.html() || ''}</p>` : (el.html() || ''));
+      return;
+    }
+    const allowed = READABLE_ALLOWED_ATTRS[tag] || [];
+    for (const attr of Object.keys(node.attribs || {})) {
+      if (!allowed.includes(attr)) el.removeAttr(attr);
+    }
+    if (tag === 'a') {
+      const href = toSafeUrl(el.attr('href'));
+      if (href) el.attr('href', href);
+      else el.removeAttr('href');
+    }
+    if (tag === 'img') {
+      const src = toSafeUrl(el.attr('src') || node.attribs?.['data-src']);
+      if (src) el.attr('src', src);
+      else el.remove();
+    }
+  });
+
+  // Drop paragraphs left empty after cleaning
+  root.find('p').each((_, node) => {
+    const el = $(node);
+    if (!el.text().trim() && el.find('img').length === 0) el.remove();
+  });
+
+  const contentHtml = (root.html() || '').replace(/\n{3,}/g, '\n\n').trim();
+  const text = root.text().replace(/[ \t\r\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  return { title, html: contentHtml, text };
+};
+
+
+const LANGUAGE_STOPWORDS = {
+  en: ['the', 'and', 'is', 'of', 'to', 'in', 'that', 'it', 'with', 'for'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'por', 'una'],
+  fr: ['le', 'la', 'les', 'de', 'et', 'des', 'est', 'une', 'pour', 'dans'],
+  de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'mit', 'ein', 'den', 'zu'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'para'],
+  it: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'non', 'sono', 'della'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'niet', 'op', 'voor']
+};
+
+/**
+ * Guess the language of a text from common function words
+ * @param {string} text - Plain text
+ * @returns {string|null} ISO 639-1 code, or null when unsure
+ */
+const detectLanguage = (text) => {
+  const value = String(text || '');
+  if (/[\u3040-\u30ff]/.test(value)) return 'ja';
+  if (/[\uac00-\ud7af]/.test(value)) return 'ko';
+  if (/[\u4e00-\u9fff]/.test(value)) return 'zh';
+  if (/[\u0400-\u04ff]/.test(value)) return 'ru';
+  if (/[\u0600-\u06ff]/.test(value)) return 'ar';
+  if (/[\u0900-\u097f]/.test(value)) return 'hi';
+
+  const words = value.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 20) return null;
+  const sample = words.slice(0, 2000);
+  let best = null;
+  let bestHits = 0;
+  for (const [lang, stopwords] of Object.entries(LANGUAGE_STOPWORDS)) {
+    const set = new Set(stopwords);
+    const hits = sample.filter(w => set.has(w)).length;
+    if (hits > bestHits) {
+      best = lang;
+      bestHits = hits;
+    }
+  }
+  return bestHits / sample.length >= 0.05 ? best : null;
+};
+
+/**
+ * Extract reader-mode article data from a page: the readable content plus
+ * word count, reading time, language, author and published date.
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL
+ * @returns {object} { title, html, text, wordCount, readingTimeMinutes, language, author, publishedAt }
+ */
+const extractArticle = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const meta = (selector) => ($(selector).first().attr('content') || '').trim() || null;
+
+  // First JSON-LD node that describes the article
+  let ld = null;
+  $('script[type="application/ld+json"]').each((_, el) => {
+    if (ld) return;
+    try {
+      const data = JSON.parse($(el).contents().text().trim());
+      const nodes = [].concat(data, ...[].concat(data).map(d => (d && d['@graph']) || []));
+      ld = nodes.find(n => n && typeof n === 'object' && (n.datePublished || n.author)) || null;
+    } catch (_) {}
+  });
+
+  const ldAuthor = (() => {
+    const author = ld && ld.author;
+    const first = Array.isArray(author) ? author[0] : author;
+    if (!first) return null;
+    return typeof first === 'string' ? first : (first.name || null);
+  })();
+  const metaAuthor = meta('meta[name="author"]') || meta('meta[property="article:author"]');
+  const rawAuthor = [
+    metaAuthor && !/^https?:\/\//i.test(metaAuthor) ? metaAuthor : null,
+    ldAuthor,
+    $('[rel="author"]').first().text(),
+    $('[itemprop="author"]').first().text(),
+    $('.byline, .author').first().text()
+  ].map(v => String(v || '').replace(/\s+/g, ' ').trim()).find(Boolean);
+  const author = rawAuthor ? rawAuthor.replace(/^by\s+/i, '').slice(0, 200) : null;
+
+  const rawPublished = [
+    meta('meta[property="article:published_time"]'),
+    meta('meta[itemprop="datePublished"]'),
+    meta('meta[name="pubdate"]'),
+    meta('meta[name="publishdate"]'),
+    meta('meta[name="date"]'),
+    meta('meta[name="DC.date.issued"]'),
+    ld && ld.datePublished,
+    $('time[datetime]').first().attr('datetime')
+  ].find(Boolean);
+  const publishedAt = (() => {
+    if (!rawPublished) return null;
+    const date = new Date(rawPublished);
+    // Ignore unparseable dates and dates in the future
+    if (Number.isNaN(date.getTime()) || date.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null;
+    return date;
+  })();
+
+  const declaredLanguage = $('html').attr('lang') ||
+    meta('meta[http-equiv="content-language"]') ||
+    meta('meta[property="og:locale"]');
+
+  const readable = extractReadableContent(html, baseUrl);
+  const language = declaredLanguage
+    ? String(declaredLanguage).trim().split(/[-_]/)[0].toLowerCase() || null
+    : detectLanguage(readable.text);
+
+  return {
+    ...readable,
+    ...estimateReadingTime(readable.text),
+    language,
+    author,
+    publishedAt
+  };
+};
+
 /**
  * Check if response content is HTML
  * @param {object} response - Axios response object
@@ -432,7 +727,7 @@ function hasUsefulMetadata(metadata) {
   );
 }
 
-async function resolveFinalUrl(url) {
+async function resolveFinalUrl(url, requestOptions = {}) {
   if (!url) return url;
   try {
     const userAgent = getRandomUserAgent();
@@ -445,6 +740,7 @@ async function resolveFinalUrl(url) {
       validateStatus: () => true,
       responseType: 'text',
       transformResponse: [(d) => d],
+      ...requestOptions
     });
     const finalUrl =
       response?.request?.res?.responseUrl ||
@@ -653,8 +949,17 @@ const classifyLinkType = (url, title = '', description = '', html = '') => {
   return 'other';
 };
 
-async function fetchLinkPreviewData(rawUrl) {
+/**
+ * Fetch a page and extract its preview: final URL, type, title, description and images
+ * @param {string} rawUrl - URL to preview
+ * @param {object} [options]
+ * @param {boolean} [options.guarded] - Keep every request, redirect and the browser fallback
+ *   off private addresses; for URLs that come from third parties, such as feed entries
+ * @returns {Promise<object>}
+ */
+async function fetchLinkPreviewData(rawUrl, { guarded = false } = {}) {
   const originalUrl = normalizeUrl(rawUrl);
+  const requestOptions = guarded ? outboundAgents() : {};
   let effectiveUrl = originalUrl;
   let metadata = {
     images: {
@@ -685,6 +990,7 @@ async function fetchLinkPreviewData(rawUrl) {
       validateStatus: () => true,
       responseType: 'text',
       transformResponse: [(data) => data],
+      ...requestOptions
     });
 
     responseTime = Date.now() - startedAt;
@@ -695,7 +1001,7 @@ async function fetchLinkPreviewData(rawUrl) {
     effectiveUrl =
       response?.request?.res?.responseUrl ||
       response?.request?._redirectable?._currentUrl ||
-      await resolveFinalUrl(originalUrl) ||
+      await resolveFinalUrl(originalUrl, requestOptions) ||
       originalUrl;
 
     if (html && isHtmlContent(response)) {
@@ -707,7 +1013,13 @@ async function fetchLinkPreviewData(rawUrl) {
       (looksLikeBotOrBlockedHtml(html, effectiveUrl) || needsBrowserFetch(effectiveUrl));
 
     if (shouldUseBrowser) {
-      const browserResponse = await fetchHtmlWithBrowser(effectiveUrl);
+      const proxy = guarded && !allowPrivateUrls() ? await startGuardedProxy() : null;
+      let browserResponse;
+      try {
+        browserResponse = await fetchHtmlWithBrowser(effectiveUrl, { proxy: proxy ? proxy.server : undefined });
+      } finally {
+        if (proxy) await proxy.close();
+      }
       if (browserResponse && typeof browserResponse.data === 'string' && browserResponse.data.length > 0) {
         attempt += 1;
         html = String(browserResponse.data);
@@ -726,7 +1038,7 @@ async function fetchLinkPreviewData(rawUrl) {
     }
   } catch (_) {
     try {
-      effectiveUrl = await resolveFinalUrl(originalUrl);
+      effectiveUrl = await resolveFinalUrl(originalUrl, requestOptions);
     } catch (_) {}
   }
 
@@ -745,7 +1057,7 @@ async function fetchLinkPreviewData(rawUrl) {
   );
 
   return {
-    url: effectiveUrl,
+    url: resolveCanonicalUrl(effectiveUrl, metadata?.canonicalUrl) || effectiveUrl,
     originalUrl,
     linkType,
     title: metadata?.title || null,
@@ -801,7 +1113,7 @@ async function ensureDefaultLinksForUser(userId) {
       const result = await Link.updateOne(
         {
           userId,
-          url: normalizedUrl,
+          urlKey: urlDedupeKey(normalizedUrl),
           isActive: true
         },
         {
@@ -849,6 +1161,9 @@ module.exports = {
   calculateBackoffDelay,
   extractImages,
   extractMetadata,
+  extractReadableContent,
+  extractArticle,
+  detectLanguage,
   resolveUrl,
   isHtmlContent,
   classifyLinkType,
@@ -857,6 +1172,7 @@ module.exports = {
   mergeMetadata,
   needsBrowserFetch,
   fetchHtmlWithBrowser,
+  captureScreenshotWithBrowser,
   looksLikeBotOrBlockedHtml,
   resolveFinalUrl,
   isAmazonUrl,
@@ -877,46 +1193,61 @@ function needsBrowserFetch(url) {
   return u.includes('blinkit.com') || isAmazonUrl(u);
 }
 
+/**
+ * Launch headless Chromium through Playwright, installing it once if the
+ * executable is missing
+ * @param {object} [options]
+ * @param {string} [options.proxy] - Proxy server URL every request must go through
+ * @returns {Promise<object|null>} Browser, or null when Playwright is unavailable
+ */
+async function launchBrowser({ proxy } = {}) {
+  let chromium;
+  try {
+    // Lazy-load to avoid crashing if dependency missing
+    ({ chromium } = require('playwright'));
+  } catch (_) {
+    console.warn('Playwright not installed; browser fetch unavailable.');
+    return null;
+  }
+  const launchOptions = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] };
+  if (proxy) {
+    // Playwright also sends loopback through the proxy; WebRTC would otherwise go around it
+    launchOptions.proxy = { server: proxy };
+    launchOptions.args.push('--force-webrtc-ip-handling-policy=disable_non_proxied_udp');
+  }
+  const exePath = process.env.PLAYWRIGHT_EXECUTABLE_PATH || process.env.CHROME_PATH || process.env.CHROMIUM_PATH;
+  if (exePath) launchOptions.executablePath = exePath;
+  try {
+    return await chromium.launch(launchOptions);
+  } catch (e) {
+    const msg = String(e?.message || e);
+    const needsInstall = msg.includes('Executable doesn\'t exist') || msg.includes('playwright was just installed') || msg.includes('Please run the following command');
+    if (needsInstall && !launchBrowser.__installAttempted) {
+      launchBrowser.__installAttempted = true;
+      try {
+        const { spawnSync } = require('child_process');
+        spawnSync('npx', ['playwright', 'install', 'chromium'], { stdio: 'ignore', timeout: 120000 });
+        return await chromium.launch(launchOptions);
+      } catch (_) {
+        return null;
+      }
+    }
+    return null;
+  }
+}
+
 /**
  * Fetch page HTML using Playwright (Chromium) to mimic a real browser
  * @param {string} url
+ * @param {object} [options]
+ * @param {string} [options.proxy] - Proxy server URL every request must go through
  * @returns {Promise<{status:number,statusText:string,headers:object,data:string}|null>}
  */
-async function fetchHtmlWithBrowser(url) {
+async function fetchHtmlWithBrowser(url, { proxy } = {}) {
   let browser;
   try {
-    let chromium;
-    try {
-      // Lazy-load to avoid crashing if dependency missing
-      ({ chromium } = require('playwright'));
-    } catch (_) {
-      console.warn('Playwright not installed; browser fetch unavailable.');
-      return null;
-    }
-    try {
-      const launchOptions = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] };
-      const exePath = process.env.PLAYWRIGHT_EXECUTABLE_PATH || process.env.CHROME_PATH || process.env.CHROMIUM_PATH;
-      if (exePath) launchOptions.executablePath = exePath;
-      browser = await chromium.launch(launchOptions);
-    } catch (e) {
-      const msg = String(e?.message || e);
-      const needsInstall = msg.includes('Executable doesn\'t exist') || msg.includes('playwright was just installed') || msg.includes('Please run the following command');
-      if (needsInstall && !fetchHtmlWithBrowser.__installAttempted) {
-        fetchHtmlWithBrowser.__installAttempted = true;
-        try {
-          const { spawnSync } = require('child_process');
-          spawnSync('npx', ['playwright', 'install', 'chromium'], { stdio: 'ignore', timeout: 120000 });
-          const launchOptions = { headless: true, args: ['--no-sandbox', '--disable-setuid-sandbox'] };
-          const exePath = process.env.PLAYWRIGHT_EXECUTABLE_PATH || process.env.CHROME_PATH || process.env.CHROMIUM_PATH;
-          if (exePath) launchOptions.executablePath = exePath;
-          browser = await chromium.launch(launchOptions);
-        } catch (_) {
-          return null;
-        }
-      } else {
-        return null;
-      }
-    }
+    browser = await launchBrowser({ proxy });
+    if (!browser) return null;
     const ua = getRandomUserAgent();
     const extraHeaders = generateHeaders(url, ua);
     delete extraHeaders['User-Agent'];
@@ -948,6 +1279,44 @@ async function fetchHtmlWithBrowser(url) {
   }
 }
 
+/**
+ * Take a screenshot of the visible part of a page with Playwright (Chromium)
+ * @param {string} url
+ * @param {object} options
+ * @param {number} options.width - Viewport width
+ * @param {number} options.height - Viewport height
+ * @param {string} [options.proxy] - Proxy server URL every request must go through
+ * @returns {Promise<Buffer|null>} PNG image, or null when the page could not be loaded
+ */
+async function captureScreenshotWithBrowser(url, { width = 1280, height = 800, proxy } = {}) {
+  let browser;
+  try {
+    browser = await launchBrowser({ proxy });
+    if (!browser) return null;
+    const ua = getRandomUserAgent();
+    const extraHeaders = generateHeaders(url, ua);
+    delete extraHeaders['User-Agent'];
+    const context = await browser.newContext({
+      userAgent: ua,
+      extraHTTPHeaders: extraHeaders,
+      viewport: { width, height }
+    });
+    const page = await context.newPage();
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 15000 });
+    if (!response || response.status() >= 400) return null;
+    // Allow some network activity to settle so images and fonts are in
+    try { await page.waitForLoadState('networkidle', { timeout: 5000 }); } catch (_) {}
+    return await page.screenshot({ type: 'png', fullPage: false });
+  } catch (err) {
+    console.warn('Browser screenshot failed:', err?.message || err);
+    return null;
+  } finally {
+    try {
+      if (browser) await browser.close();
+    } catch {}
+  }
+}
+
 /**
  * Detect if URL is a YouTube link
  * @param {string} url
@@ -0,0 +1,281 @@
+/**
+ * Image cache
+ * Fetches remote images (og images, logos, favicons) once through the SSRF
+ * guard, checks type and size, and stores WebP variants at a few standard
+ * widths under the hash of the original bytes. Clients load the copies from
+ * /api/images/<hash>/<width> instead of the third-party host, so hotlink
+ * protection and expiring URLs stop breaking cards and user IPs stay private.
+ * Variants are shared between users and kept when links are purged.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const sharp = require('sharp');
+const CachedImage = require('../models/CachedImage');
+const Link = require('../models/Links');
+const { getRandomUserAgent } = require('./helpers');
+const { checkOutboundUrl, outboundAgents } = require('./netGuard');
+const { getStorage } = require('./storage');
+const {
+  IMAGE_CACHE_WIDTHS,
+  IMAGE_CACHE_MAX_BYTES,
+  IMAGE_CACHE_MAX_PIXELS,
+  IMAGE_CACHE_FETCH_TIMEOUT_MS,
+  IMAGE_CACHE_RETRY_FAILED_MS,
+  IMAGE_CACHE_QUEUE_LIMIT
+} = require('../config/constants');
+
+// Formats sharp can decode that browsers also show; SVG and ICO are refused
+const ALLOWED_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif'];
+const LINK_IMAGE_FIELDS = ['logo', 'ogImage', 'favicon', 'appleTouchIcon'];
+const HTTP_URL_REGEX = /^https?:\/\//i;
+
+const inFlight = new Map();
+const queue = [];
+const queued = new Set();
+let running = false;
+
+/**
+ * Storage key of one variant
+ */
+const variantKey = (contentHash, width) => `image-cache/${contentHash}/${width}.webp`;
+
+/**
+ * Path clients load a cached image from; append /<width> for another size
+ */
+const cachedImagePath = (contentHash) => `/api/images/${contentHash}`;
+
+/**
+ * An error with the HTTP status the proxy should answer with
+ */
+const imageError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * Download an image, refusing anything that is not an image or too large
+ * @returns {Promise<Buffer>}
+ */
+async function downloadImage(url) {
+  const response = await axios.get(url, {
+    ...outboundAgents(),
+    headers: {
+      'User-Agent': getRandomUserAgent(),
+      Accept: 'image/avif,image/webp,image/png,image/*;q=0.8'
+    },
+    timeout: IMAGE_CACHE_FETCH_TIMEOUT_MS,
+    maxRedirects: 3,
+    maxContentLength: IMAGE_CACHE_MAX_BYTES,
+    responseType: 'arraybuffer',
+    validateStatus: () => true
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw imageError(`Image responded with HTTP ${response.status}`, 502);
+  }
+  const contentType = String(response.headers?.['content-type'] || '').toLowerCase();
+  if (!contentType.startsWith('image/')) {
+    throw imageError(`Not an image (${contentType || 'no content type'})`, 415);
+  }
+  return Buffer.from(response.data);
+}
+
+/**
+ * Check the image and store its variants
+ * @returns {Promise<object>} Fields for the CachedImage record
+ */
+async function storeVariants(buffer) {
+  const decodeOptions = { limitInputPixels: IMAGE_CACHE_MAX_PIXELS };
+  let meta;
+  try {
+    meta = await sharp(buffer, decodeOptions).metadata();
+  } catch (e) {
+    throw imageError('The image could not be read', 415);
+  }
+  if (!ALLOWED_FORMATS.includes(meta.format)) {
+    throw imageError(`Unsupported image format: ${meta.format || 'unknown'}`, 415);
+  }
+  if ((meta.width || 0) * (meta.height || 0) > IMAGE_CACHE_MAX_PIXELS) {
+    throw imageError('The image has too many pixels', 413);
+  }
+
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const storage = getStorage();
+  for (const width of IMAGE_CACHE_WIDTHS) {
+    const key = variantKey(contentHash, width);
+    // Same bytes, same variants: another URL may have stored them already
+    if (await storage.exists(key)) continue;
+    const variant = await sharp(buffer, decodeOptions)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    await storage.put(key, variant);
+  }
+
+  // EXIF orientations 5-8 are rotated a quarter turn, so the displayed sides swap
+  const rotated = meta.orientation >= 5;
+  return {
+    contentHash,
+    format: meta.format,
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height,
+    size: buffer.length,
+    widths: IMAGE_CACHE_WIDTHS
+  };
+}
+
+/**
+ * Fetch and store an image, recording the outcome either way
+ */
+async function fetchIntoCache(sourceUrl) {
+  try {
+    const buffer = await downloadImage(sourceUrl);
+    const stored = await storeVariants(buffer);
+    return await CachedImage.findOneAndUpdate(
+      { sourceUrl },
+      { $set: { ...stored, status: 'ready', fetchedAt: new Date(), retryAt: null }, $unset: { error: 1 } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+  } catch (error) {
+    const status = error.status || (/maxContentLength/.test(error.message) ? 413 : 502);
+    await CachedImage.updateOne(
+      { sourceUrl },
+      {
+        $set: {
+          status: 'failed',
+          error: String(error.message || error).slice(0, 500),
+          retryAt: new Date(Date.now() + IMAGE_CACHE_RETRY_FAILED_MS),
+          fetchedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    throw imageError(error.message, status);
+  }
+}
+
+/**
+ * Cached copy of a remote image, fetched on first use.
+ * A fetch that failed is not retried until IMAGE_CACHE_RETRY_FAILED_MS has passed.
+ * @param {string} url - Remote image URL
+ * @returns {Promise<{image: object}|{error: string, status: number}>} image is the CachedImage record
+ */
+async function getCachedImage(url) {
+  const checked = checkOutboundUrl(url);
+  if (checked.error) {
+    return { error: checked.error, status: 400 };
+  }
+  const sourceUrl = checked.url.href;
+
+  const existing = await CachedImage.findOne({ sourceUrl }).lean();
+  if (existing && existing.status === 'ready') {
+    return { image: existing };
+  }
+  if (existing && existing.retryAt && existing.retryAt > new Date()) {
+    return { error: `Image could not be fetched: ${existing.error}`, status: 502 };
+  }
+
+  // Concurrent requests for the same image share one fetch
+  if (!inFlight.has(sourceUrl)) {
+    inFlight.set(sourceUrl, fetchIntoCache(sourceUrl).finally(() => inFlight.delete(sourceUrl)));
+  }
+  try {
+    return { image: await inFlight.get(sourceUrl) };
+  } catch (error) {
+    return { error: `Image could not be fetched: ${error.message}`, status: error.status || 502 };
+  }
+}
+
+/**
+ * Read one stored variant
+ * @returns {Promise<Buffer|null>}
+ */
+async function readCachedVariant(contentHash, width) {
+  return getStorage().get(variantKey(contentHash, width));
+}
+
+/**
+ * Cache a link's images and point cachedImages at the copies.
+ * Images that cannot be cached are left out; the update is skipped when
+ * the link's images changed in the meantime.
+ * @param {string} linkId - Link to process
+ */
+async function cacheLinkImages(linkId) {
+  const link = await Link.findOne({ _id: linkId, isActive: true }).select('images').lean();
+  if (!link || !link.images) return;
+
+  const cachedImages = {};
+  const unchanged = { _id: link._id, isActive: true };
+  for (const field of LINK_IMAGE_FIELDS) {
+    const source = link.images[field];
+    unchanged[`images.${field}`] = source ?? null;
+    if (!source || !HTTP_URL_REGEX.test(source)) continue;
+    const result = await getCachedImage(source);
+    if (result.image) cachedImages[field] = cachedImagePath(result.image.contentHash);
+  }
+
+  await Link.updateOne(unchanged, { $set: { cachedImages } }, { timestamps: false, runValidators: true });
+}
+
+/**
+ * Add $unset entries to a link update for the cached copies of images it changes,
+ * so clients fall back to the new source until queueLinkImageCache has cached it
+ * @param {object} update - Update writing images.<field> through $set / $unset
+ * @param {object} [previousImages] - The link's images before the update
+ * @returns {object} The same update
+ */
+function unsetStaleCachedImages(update, previousImages = {}) {
+  for (const field of LINK_IMAGE_FIELDS) {
+    const path = `images.${field}`;
+    let next;
+    if (update.$set && path in update.$set) next = update.$set[path];
+    else if (update.$unset && path in update.$unset) next = null;
+    else continue;
+    if ((next || null) === ((previousImages && previousImages[field]) || null)) continue;
+    update.$unset = { ...update.$unset, [`cachedImages.${field}`]: '' };
+  }
+  return update;
+}
+
+/**
+ * Work through the queue one link at a time
+ */
+async function drainQueue() {
+  running = true;
+  while (queue.length > 0) {
+    const linkId = queue.shift();
+    try {
+      await cacheLinkImages(linkId);
+    } catch (error) {
+      console.error('❌ Caching link images failed:', linkId, error.message);
+    }
+    queued.delete(linkId);
+  }
+  running = false;
+}
+
+/**
+ * Queue a link to have its images cached; never throws and never holds up the caller
+ * @param {object} link - Link document or lean object with _id and images
+ * @returns {boolean} Whether the link was queued
+ */
+function queueLinkImageCache(link) {
+  if (!link || !link.images || !LINK_IMAGE_FIELDS.some(field => link.images[field])) return false;
+  const linkId = String(link._id);
+  if (queued.has(linkId)) return true;
+  if (queue.length >= IMAGE_CACHE_QUEUE_LIMIT) {
+    console.warn('⚠️  Image cache queue is full, skipping:', linkId);
+    return false;
+  }
+  queued.add(linkId);
+  queue.push(linkId);
+  if (!running) void drainQueue();
+  return true;
+}
+
+module.exports = {
+  getCachedImage,
+  readCachedVariant,
+  cachedImagePath,
+  unsetStaleCachedImages,
+  queueLinkImageCache
+};
@@ -0,0 +1,134 @@
+/**
+ * Link export serializers
+ * Each format exposes header/row/footer pieces so exports can be streamed
+ * one link at a time from a database cursor.
+ */
+
+const toIso = (value) => (value ? new Date(value).toISOString() : '');
+const toUnix = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : '');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeCsv = (value) => {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+const yamlString = (value) => JSON.stringify(String(value ?? ''));
+
+/**
+ * Pick the fields that every export format carries
+ * @param {object} link - Lean Link document
+ * @returns {object} Portable link record
+ */
+const toExportRecord = (link) => ({
+  id: String(link._id),
+  url: link.url,
+  originalUrl: link.originalUrl || undefined,
+  title: link.title || '',
+  description: link.description || '',
+  tags: Array.isArray(link.tags) ? link.tags : [],
+  notes: link.notes || '',
+  linkType: link.linkType || 'other',
+  isFavorite: Boolean(link.isFavorite),
+  createdAt: toIso(link.createdAt),
+  updatedAt: toIso(link.updatedAt)
+});
+
+const netscape = {
+  contentType: 'text/html; charset=utf-8',
+  extension: 'html',
+  header: () => [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>',
+    ''
+  ].join('\n'),
+  row: (link) => {
+    const r = toExportRecord(link);
+    const attrs = [
+      `HREF="${escapeHtml(r.url)}"`,
+      r.createdAt ? `ADD_DATE="${toUnix(link.createdAt)}"` : '',
+      r.updatedAt ? `LAST_MODIFIED="${toUnix(link.updatedAt)}"` : '',
+      r.tags.length ? `TAGS="${escapeHtml(r.tags.join(','))}"` : ''
+    ].filter(Boolean).join(' ');
+    const note = r.notes || r.description;
+    return `    <DT><A ${attrs}>${escapeHtml(r.title || r.url)}</A>\n${note ? `    <DD>${escapeHtml(note)}\n` : ''}`;
+  },
+  footer: () => '</DL><p>\n'
+};
+
+const json = {
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  header: () => `{"exportedAt":${JSON.stringify(new Date().toISOString())},"links":[`,
+  row: (link, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(toExportRecord(link))}`,
+  footer: () => '\n]}\n'
+};
+
+const CSV_COLUMNS = ['url', 'title', 'description', 'tags', 'notes', 'linkType', 'isFavorite', 'createdAt', 'updatedAt'];
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  header: () => `${CSV_COLUMNS.join(',')}\n`,
+  row: (link) => {
+    const r = toExportRecord(link);
+    return `${CSV_COLUMNS.map(c => escapeCsv(c === 'tags' ? r.tags.join(',') : r[c])).join(',')}\n`;
+  },
+  footer: () => ''
+};
+
+/**
+ * Render a link as a Markdown note with YAML front-matter (Obsidian friendly)
+ * @param {object} link - Lean Link document
+ * @returns {{name: string, content: string}} File name and contents
+ */
+const toMarkdownFile = (link) => {
+  const r = toExportRecord(link);
+  const slug = (r.title || r.url)
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'link';
+
+  const frontMatter = [
+    '---',
+    `title: ${yamlString(r.title)}`,
+    `url: ${yamlString(r.url)}`,
+    `description: ${yamlString(r.description)}`,
+    r.tags.length ? `tags:\n${r.tags.map(t => `  - ${yamlString(t)}`).join('\n')}` : 'tags: []',
+    `linkType: ${r.linkType}`,
+    `favorite: ${r.isFavorite}`,
+    `created: ${r.createdAt}`,
+    `updated: ${r.updatedAt}`,
+    '---',
+    ''
+  ].join('\n');
+
+  const body = [
+    `# [${r.title || r.url}](${r.url})`,
+    r.description ? `\n> ${r.description.replace(/\n/g, '\n> ')}` : null,
+    r.notes ? `\n${r.notes}` : null
+  ].filter(Boolean).join('\n');
+
+  return {
+    name: `${slug}-${r.id.slice(-6)}.md`,
+    content: `${frontMatter}\n${body}\n`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS: ['netscape', 'json', 'csv', 'markdown'],
+  streamFormats: { netscape, json, csv },
+  toExportRecord,
+  toMarkdownFile
+};
@@ -0,0 +1,182 @@
+/**
+ * Link health checks
+ * Re-fetches a saved link and works out whether it still resolves to the
+ * page the user saved: healthy, redirected somewhere else, or broken
+ * (404s, dead domains, parked domains, login walls).
+ */
+
+const Link = require('../models/Links');
+const lambdaController = require('../controllers/lambdaController');
+const { looksLikeBotOrBlockedHtml } = require('./helpers');
+const { checkOutboundUrl, outboundAgents } = require('./netGuard');
+const {
+  LINK_CHECK_FAILURE_THRESHOLD,
+  LINK_CHECK_HISTORY_LIMIT,
+  LINK_CHECK_MAX_BYTES
+} = require('../config/constants');
+
+const PARKED_PATTERNS = [
+  'this domain is for sale',
+  'this domain may be for sale',
+  'buy this domain',
+  'domain is parked',
+  'parked free',
+  'parkingcrew',
+  'sedoparking',
+  'bodis.com',
+  'hugedomains.com',
+  'dan.com/buy-domain',
+  'afternic.com'
+];
+const LOGIN_PATH_REGEX = /(^|\/)(login|log-in|signin|sign-in|sso|auth|accounts\/login|session\/new)(\/|$)/i;
+const DNS_ERROR_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+// The URL was not fetched: not http(s), or it points at a private address
+const REFUSED_ERROR_CODES = ['EREFUSEDURL', 'EPRIVATEADDRESS'];
+const MAX_SCAN_LENGTH = 50000;
+
+const comparableUrl = (value) => {
+  try {
+    const u = new URL(value);
+    const host = u.hostname.toLowerCase().replace(/^www\./, '');
+    const path = u.pathname.replace(/\/+$/, '');
+    return `${host}${path}${u.search}`;
+  } catch (e) {
+    return String(value || '');
+  }
+};
+
+const pathOf = (value) => {
+  try {
+    return new URL(value).pathname;
+  } catch (e) {
+    return '';
+  }
+};
+
+/**
+ * Classify the outcome of fetching a link.
+ * "inconclusive" covers bot walls, rate limits, refused URLs and responses over LINK_CHECK_MAX_BYTES,
+ * which say nothing about whether the page is still there.
+ * @param {string} url - Saved URL
+ * @param {object|null} response - executeWithRetry result
+ * @param {Error} [error] - Error thrown when no response arrived
+ * @returns {{result: string, reason: (string|undefined), statusCode: (number|undefined), finalUrl: (string|undefined)}}
+ */
+function classifyCheckResult(url, response, error) {
+  if (!response) {
+    const code = error && error.code;
+    if (REFUSED_ERROR_CODES.includes(code)) {
+      return { result: 'inconclusive', reason: 'refused' };
+    }
+    if (error && /maxContentLength/.test(error.message)) {
+      return { result: 'inconclusive', reason: 'too_large' };
+    }
+    return {
+      result: 'broken',
+      reason: DNS_ERROR_CODES.includes(code) ? 'dns_error' : (code === 'ECONNABORTED' ? 'timeout' : 'unreachable')
+    };
+  }
+
+  const statusCode = response.status;
+  const finalUrl = response.finalUrl || url;
+  const body = typeof response.data === 'string' ? response.data.slice(0, MAX_SCAN_LENGTH) : '';
+  const base = { statusCode, finalUrl };
+
+  if (statusCode === 403 || statusCode === 429 || statusCode === 503 || (statusCode >= 400 && looksLikeBotOrBlockedHtml(body, finalUrl))) {
+    return { ...base, result: 'inconclusive', reason: 'blocked' };
+  }
+  if (statusCode === 401) {
+    return { ...base, result: 'broken', reason: 'login_wall' };
+  }
+  if (statusCode === 404 || statusCode === 410) {
+    return { ...base, result: 'broken', reason: 'not_found' };
+  }
+  if (statusCode >= 500) {
+    return { ...base, result: 'broken', reason: 'server_error' };
+  }
+  if (statusCode >= 400) {
+    return { ...base, result: 'broken', reason: 'client_error' };
+  }
+
+  const lowered = body.toLowerCase();
+  if (PARKED_PATTERNS.some(p => lowered.includes(p))) {
+    return { ...base, result: 'broken', reason: 'parked_domain' };
+  }
+  if (LOGIN_PATH_REGEX.test(pathOf(finalUrl)) && !LOGIN_PATH_REGEX.test(pathOf(url))) {
+    return { ...base, result: 'broken', reason: 'login_wall' };
+  }
+  if (comparableUrl(finalUrl) !== comparableUrl(url)) {
+    return { ...base, result: 'redirected' };
+  }
+  return { ...base, result: 'healthy' };
+}
+
+/**
+ * Check one link and store the outcome.
+ * A link is only flagged broken after LINK_CHECK_FAILURE_THRESHOLD failures in a row,
+ * so a site that is briefly down is not reported.
+ * @param {object} link - Link document (lean is fine)
+ * @returns {Promise<object>} The classified check result
+ */
+async function checkLink(link) {
+  let response = null;
+  let error;
+  const checked = checkOutboundUrl(link.url);
+  if (checked.error) {
+    error = Object.assign(new Error(checked.error), { code: 'EREFUSEDURL' });
+  } else {
+    try {
+      response = await lambdaController.executeWithRetry(checked.url.href, 'GET', {}, null, {
+        ...outboundAgents(),
+        maxContentLength: LINK_CHECK_MAX_BYTES
+      });
+    } catch (err) {
+      error = err;
+    }
+  }
+
+  const check = classifyCheckResult(link.url, response, error);
+  const checkedAt = new Date();
+  const previousFailures = link.health?.consecutiveFailures || 0;
+
+  const $set = { 'health.checkedAt': checkedAt };
+  const $unset = {};
+  if (check.result === 'broken') {
+    const failures = previousFailures + 1;
+    $set['health.consecutiveFailures'] = failures;
+    if (failures >= LINK_CHECK_FAILURE_THRESHOLD) {
+      $set['health.status'] = 'broken';
+      $set['health.reason'] = check.reason;
+      $set['health.statusCode'] = check.statusCode ?? null;
+      $set['health.finalUrl'] = check.finalUrl ?? null;
+    }
+  } else if (check.result !== 'inconclusive') {
+    $set['health.consecutiveFailures'] = 0;
+    $set['health.status'] = check.result;
+    $unset['health.reason'] = '';
+    $set['health.statusCode'] = check.statusCode;
+    $set['health.finalUrl'] = check.finalUrl;
+  }
+
+  await Link.updateOne(
+    { _id: link._id },
+    {
+      $set,
+      ...(Object.keys($unset).length > 0 ? { $unset } : {}),
+      $push: {
+        'health.history': {
+          $each: [{ checkedAt, ...check }],
+          $slice: -LINK_CHECK_HISTORY_LIMIT
+        }
+      }
+    },
+    { timestamps: false }
+  );
+
+  return check;
+}
+
+module.exports = {
+  classifyCheckResult,
+  checkLink
+};
@@ -0,0 +1,146 @@
+/**
+ * Link edit history
+ * Records which tracked fields an update changed and trims each link's
+ * history to the newest LINK_HISTORY_LIMIT revisions.
+ */
+
+const Link = require('../models/Links');
+const LinkRevision = require('../models/LinkRevision');
+const { LINK_HISTORY_LIMIT } = require('../config/constants');
+
+// Fields a user edits by hand; analytics, metadata and timestamps are not versioned
+const TRACKED_FIELDS = ['url', 'linkType', 'collectionId', 'title', 'description', 'notes', 'tags', 'images'];
+const IMAGE_FIELDS = ['logo', 'ogImage', 'favicon', 'appleTouchIcon'];
+// Fields filled in by metadata extraction; a hand edit protects them from refresh
+const EXTRACTED_FIELDS = ['linkType', 'title', 'description', 'images'];
+
+/**
+ * Plain, comparable value of a tracked field
+ */
+function snapshotField(link, field) {
+  const value = link ? link[field] : undefined;
+  if (field === 'tags') {
+    return Array.isArray(value) ? value.map(String) : [];
+  }
+  if (field === 'images') {
+    const images = {};
+    for (const key of IMAGE_FIELDS) {
+      if (value && value[key]) images[key] = value[key];
+    }
+    return images;
+  }
+  if (field === 'collectionId') {
+    return value ? String(value) : null;
+  }
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Compare two versions of a link
+ * @param {object} before - Link before the update
+ * @param {object} after - Link after the update
+ * @returns {object[]} Changes of { field, before, after }
+ */
+function diffLinks(before, after) {
+  const changes = [];
+  for (const field of TRACKED_FIELDS) {
+    const oldValue = snapshotField(before, field);
+    const newValue = snapshotField(after, field);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a revision when an update changed any tracked field.
+ * Edits and reverts also mark changed extracted fields as hand-edited.
+ * @param {string} userId - Link owner
+ * @param {object} before - Link before the update
+ * @param {object} after - Link after the update
+ * @param {object} options
+ * @param {string} options.source - 'update', 'revert' or 'refresh'
+ * @param {string} options.revertedFrom - Revision a revert restored
+ * @returns {Promise<object|null>} The revision, or null when nothing tracked changed
+ */
+async function recordRevision(userId, before, after, options = {}) {
+  const changes = diffLinks(before, after);
+  if (changes.length === 0) return null;
+
+  const revision = await LinkRevision.create({
+    userId,
+    linkId: after._id,
+    changes,
+    source: options.source || 'update',
+    revertedFrom: options.revertedFrom || null
+  });
+
+  const edited = changes.map(c => c.field).filter(f => EXTRACTED_FIELDS.includes(f));
+  if (revision.source !== 'refresh' && edited.length > 0) {
+    await Link.updateOne(
+      { _id: after._id },
+      { $addToSet: { editedFields: { $each: edited } } },
+      { timestamps: false }
+    );
+  }
+
+  await trimHistory(after._id);
+  return revision;
+}
+
+/**
+ * Drop revisions beyond the newest LINK_HISTORY_LIMIT for a link
+ * @param {string} linkId - Link whose history to trim
+ */
+async function trimHistory(linkId) {
+  const stale = await LinkRevision.find({ linkId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(LINK_HISTORY_LIMIT)
+    .select('_id')
+    .lean();
+  if (stale.length > 0) {
+    await LinkRevision.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+  }
+}
+
+/**
+ * Update that puts a link's fields back to their values before a revision
+ * @param {object} revision - LinkRevision document
+ * @returns {object} Mongo $set / $unset update
+ */
+function buildRevertUpdate(revision) {
+  const $set = {};
+  const $unset = {};
+  for (const change of revision.changes) {
+    if (!TRACKED_FIELDS.includes(change.field)) continue;
+    const value = change.before;
+    if (change.field === 'tags') {
+      const tags = Array.isArray(value) ? value : [];
+      $set.tags = tags;
+      $set.tagsNormalized = Array.from(new Set(tags.map(t => String(t).trim().toLowerCase()).filter(t => t.length > 0)));
+    } else if (change.field === 'images') {
+      for (const key of IMAGE_FIELDS) {
+        if (value && value[key]) $set[`images.${key}`] = value[key];
+        else $unset[`images.${key}`] = '';
+      }
+    } else if (value === null && change.field !== 'collectionId') {
+      $unset[change.field] = '';
+    } else {
+      $set[change.field] = value;
+    }
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  EXTRACTED_FIELDS,
+  diffLinks,
+  recordRevision,
+  buildRevertUpdate
+};
@@ -0,0 +1,245 @@
+/**
+ * Link import pipeline
+ * Turns parsed import rows into Link documents for a user, skipping
+ * links that are already saved, and enriches new links in the background.
+ */
+
+const Link = require('../models/Links');
+const LinkTag = require('../models/LinkTag');
+const Fav = require('../models/Favs');
+const { normalizeUrl, urlDedupeKey } = require('./url');
+const { fetchLinkPreviewData, resolveUrl, sleep } = require('./helpers');
+const { queueScreenshot } = require('./linkScreenshots');
+const { queueLinkImageCache } = require('./imageCache');
+const { captureSnapshot } = require('./linkSnapshots');
+
+const URL_REGEX = /^(https?):\/\/[^\s/$.?#].[^\s]*$/i;
+const ENRICH_DELAY_MS = 500;
+const PREVIEW_LIMIT = 100;
+
+const clip = (value, max) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.trim();
+  if (!trimmed) return undefined;
+  return trimmed.length > max ? trimmed.slice(0, max) : trimmed;
+};
+
+const cleanTags = (tags) => Array.from(new Set(
+  (Array.isArray(tags) ? tags : [])
+    .map(t => String(t).trim().slice(0, 50))
+    .filter(t => t.length > 0)
+));
+
+/**
+ * Reading subdocument for a row that says whether it was read
+ */
+const importedReading = (row) => (row.readingState === 'read'
+  ? { state: 'read', progress: 100, readAt: row.updatedAt || row.createdAt || new Date() }
+  : { state: 'unread' });
+
+/**
+ * Import rows into a user's library.
+ * Every importer (Netscape, Pocket, Raindrop, Pinboard) feeds this one pipeline.
+ * @param {string} userId - Owner of the new links
+ * @param {object[]} rows - Rows of { url, title, description, notes, tags, isFavorite, readingState, createdAt, updatedAt }
+ * @param {object} options
+ * @param {boolean} options.dryRun - Validate and dedupe only; nothing is written
+ * @returns {Promise<object>} Report with counts, per-row failures and (for dry runs) a preview
+ */
+async function importLinks(userId, rows, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const report = {
+    dryRun,
+    total: rows.length,
+    imported: 0,
+    skipped: 0,
+    failed: 0,
+    failures: [],
+    importedIds: []
+  };
+  if (dryRun) report.preview = [];
+
+  const normalizedRows = rows.map((row, index) => {
+    const normalizedUrl = row && row.url ? normalizeUrl(String(row.url)) : null;
+    return { ...row, row: index + 1, normalizedUrl, urlKey: normalizedUrl ? urlDedupeKey(normalizedUrl) : null };
+  });
+
+  // Pages already saved, by urlKey; rows for the same page are imported once
+  const candidateKeys = normalizedRows.map(r => r.urlKey).filter(Boolean);
+  const existing = new Set(
+    candidateKeys.length
+      ? await Link.find({ userId, isActive: true, urlKey: { $in: candidateKeys } }).distinct('urlKey')
+      : []
+  );
+
+  const addPreview = (row, status, reason) => {
+    if (!dryRun || report.preview.length >= PREVIEW_LIMIT) return;
+    report.preview.push({
+      row: row.row,
+      url: row.normalizedUrl || row.url || null,
+      title: clip(row.title, 500) || null,
+      tags: cleanTags(row.tags),
+      isFavorite: Boolean(row.isFavorite),
+      readingState: row.readingState || null,
+      createdAt: row.createdAt || null,
+      status,
+      ...(reason ? { reason } : {})
+    });
+  };
+
+  for (const row of normalizedRows) {
+    if (!row.normalizedUrl || !URL_REGEX.test(row.normalizedUrl)) {
+      report.failed += 1;
+      report.failures.push({ row: row.row, url: row.url || null, reason: 'Invalid or unsupported URL' });
+      addPreview(row, 'failed', 'Invalid or unsupported URL');
+      continue;
+    }
+
+    if (existing.has(row.urlKey)) {
+      report.skipped += 1;
+      addPreview(row, 'skipped', 'Already saved');
+      continue;
+    }
+
+    const tags = cleanTags(row.tags);
+    const link = new Link({
+      userId,
+      url: row.normalizedUrl,
+      originalUrl: row.normalizedUrl,
+      title: clip(row.title, 500),
+      description: clip(row.description, 2000),
+      notes: clip(row.notes, 1000),
+      tags,
+      isFavorite: Boolean(row.isFavorite),
+      ...(row.readingState ? { reading: importedReading(row) } : {}),
+      metadata: {},
+      ...(row.createdAt ? { createdAt: row.createdAt } : {}),
+      ...(row.updatedAt ? { updatedAt: row.updatedAt } : {})
+    });
+
+    if (dryRun) {
+      const validationError = link.validateSync();
+      if (validationError) {
+        const reason = Object.values(validationError.errors).map(err => err.message).join(', ');
+        report.failed += 1;
+        report.failures.push({ row: row.row, url: row.url, reason });
+        addPreview(row, 'failed', reason);
+        continue;
+      }
+      existing.add(row.urlKey);
+      report.imported += 1;
+      addPreview(row, 'new');
+      continue;
+    }
+
+    try {
+      const saved = await link.save();
+      existing.add(row.urlKey);
+
+      if (saved.isFavorite) {
+        try {
+          await Fav.create({ userId, linkId: saved._id, ...(row.createdAt ? { favoritedAt: row.createdAt } : {}) });
+        } catch (err) {
+          // Ignore duplicate favorite errors
+          if (!(err && err.code === 11000)) {
+            console.error('❌ Error creating favorite record:', err.message);
+          }
+        }
+      }
+
+      if (saved.tagsNormalized.length > 0) {
+        try {
+          await LinkTag.insertMany(saved.tagsNormalized.map(t => ({
+            userId,
+            linkId: saved._id,
+            tagName: String(t)
+          })), { ordered: false });
+        } catch (e) {
+          // ignore duplicate insert errors
+        }
+      }
+
+      report.imported += 1;
+      report.importedIds.push(saved._id);
+    } catch (err) {
+      if (err && err.code === 11000) {
+        existing.add(row.urlKey);
+        report.skipped += 1;
+        continue;
+      }
+      report.failed += 1;
+      report.failures.push({
+        row: row.row,
+        url: row.url,
+        reason: err.name === 'ValidationError'
+          ? Object.values(err.errors).map(e => e.message).join(', ')
+          : err.message
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Fill in title, description, images and metadata for imported links, and
+ * capture the snapshot that holds the reader-mode article.
+ * Runs one link at a time so a large import does not flood remote sites.
+ * Values the user already has (e.g. bookmark titles) are kept.
+ * @param {Array} linkIds - Ids of the links to enrich
+ */
+async function enrichImportedLinks(linkIds) {
+  for (const linkId of linkIds) {
+    try {
+      const link = await Link.findOne({ _id: linkId, isActive: true });
+      if (!link) continue;
+
+      const preview = await fetchLinkPreviewData(link.url);
+      const base = (() => {
+        try {
+          return new URL(link.url).origin;
+        } catch (_) {
+          return link.url;
+        }
+      })();
+      const sanitizeImage = (value) => {
+        if (!value) return undefined;
+        const resolved = resolveUrl(value, base);
+        if (!resolved) return undefined;
+        return URL_REGEX.test(resolved) ? resolved : undefined;
+      };
+
+      const update = {
+        linkType: preview.linkType || link.linkType,
+        images: {
+          logo: sanitizeImage(preview.images?.logo),
+          ogImage: sanitizeImage(preview.images?.ogImage),
+          favicon: sanitizeImage(preview.images?.favicon),
+          appleTouchIcon: sanitizeImage(preview.images?.appleTouchIcon)
+        },
+        metadata: preview.metadata || {}
+      };
+      if (!link.title && preview.title) update.title = clip(preview.title, 500);
+      if (!link.description && preview.description) update.description = clip(preview.description, 2000);
+
+      await Link.updateOne({ _id: link._id }, { $set: update }, { runValidators: true, timestamps: false });
+      queueScreenshot({ _id: link._id, images: update.images });
+      queueLinkImageCache({ _id: link._id, images: update.images });
+
+      // Awaited rather than in the background, so captures stay one at a time too
+      try {
+        await captureSnapshot(link);
+      } catch (error) {
+        console.error('❌ Snapshot capture failed:', String(linkId), error.message);
+      }
+    } catch (error) {
+      console.error('❌ Import enrichment failed:', String(linkId), error.message);
+    }
+    await sleep(ENRICH_DELAY_MS);
+  }
+}
+
+module.exports = {
+  importLinks,
+  enrichImportedLinks
+};
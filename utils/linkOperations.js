@@ -0,0 +1,257 @@
+/**
+ * Link operations
+ * Keeps a Link and its Fav / LinkTag rows consistent when links are
+ * retagged, favourited, deleted or restored.
+ */
+
+const Link = require('../models/Links');
+const Fav = require('../models/Favs');
+const LinkTag = require('../models/LinkTag');
+const LinkRevision = require('../models/LinkRevision');
+const Reminder = require('../models/Reminder');
+const { urlDedupeKey } = require('./url');
+const { deleteSnapshots } = require('./linkSnapshots');
+const { deleteStoredFiles, releaseUploadBytes } = require('./fileItems');
+const { deleteScreenshots } = require('./linkScreenshots');
+const { unsetStaleCachedImages, queueLinkImageCache } = require('./imageCache');
+
+/**
+ * Rebuild the LinkTag rows of a link from its tagsNormalized
+ * @param {string} userId - Link owner
+ * @param {object} link - Link document
+ */
+async function syncLinkTags(userId, link) {
+  await LinkTag.deleteMany({ userId, linkId: link._id });
+  const tagDocs = (Array.isArray(link.tagsNormalized) ? link.tagsNormalized : []).map(t => ({
+    userId,
+    linkId: link._id,
+    tagName: String(t)
+  }));
+  if (tagDocs.length > 0) {
+    try {
+      await LinkTag.insertMany(tagDocs, { ordered: false });
+    } catch (e) {
+      // ignore duplicate insert errors
+    }
+  }
+}
+
+/**
+ * Favourite or unfavourite a link, keeping Link.isFavorite and the Fav row in step
+ * @param {string} userId - Link owner
+ * @param {object} link - Link document
+ * @param {boolean} isFavorite - Desired state
+ * @returns {Promise<boolean>} True when something changed
+ */
+async function setLinkFavorite(userId, link, isFavorite) {
+  if (isFavorite) {
+    let created = false;
+    try {
+      await Fav.create({ userId, linkId: link._id });
+      created = true;
+    } catch (err) {
+      if (!(err && err.code === 11000)) throw err;
+    }
+    if (!link.isFavorite) {
+      await Link.updateOne({ _id: link._id }, { $set: { isFavorite: true } });
+      link.isFavorite = true;
+      created = true;
+    }
+    return created;
+  }
+
+  const removed = await Fav.deleteMany({ userId, linkId: link._id });
+  const wasFavorite = link.isFavorite;
+  if (wasFavorite) {
+    await Link.updateOne({ _id: link._id }, { $set: { isFavorite: false } });
+    link.isFavorite = false;
+  }
+  return Boolean(removed.deletedCount) || wasFavorite;
+}
+
+/**
+ * Soft delete a link. Its LinkTag and Fav rows are removed; tagsNormalized and
+ * isFavorite stay on the Link so a restore can rebuild them.
+ * @param {string} userId - Link owner
+ * @param {object} link - Active Link document
+ */
+async function softDeleteLink(userId, link) {
+  const deletedAt = new Date();
+  await Link.updateOne({ _id: link._id }, { $set: { isActive: false, deletedAt } });
+  link.isActive = false;
+  link.deletedAt = deletedAt;
+
+  try {
+    await LinkTag.deleteMany({ userId, linkId: link._id });
+  } catch (e) {}
+  try {
+    await Fav.deleteMany({ userId, linkId: link._id });
+  } catch (e) {}
+}
+
+/**
+ * Restore a soft-deleted link, rebuilding its tags and favourite state.
+ * Fails with a conflict when the same URL has been saved again since.
+ * @param {string} userId - Link owner
+ * @param {object} link - Inactive Link document
+ * @returns {Promise<{link: object}|{conflict: object}>}
+ */
+async function restoreLink(userId, link) {
+  const urlKey = urlDedupeKey(link.url);
+  const existing = await Link.findOne({ userId, urlKey, isActive: true, _id: { $ne: link._id } });
+  if (existing) {
+    return { conflict: existing };
+  }
+
+  try {
+    await Link.updateOne({ _id: link._id }, { $set: { isActive: true, deletedAt: null, urlKey } });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      const saved = await Link.findOne({ userId, urlKey, isActive: true });
+      return { conflict: saved };
+    }
+    throw err;
+  }
+  link.isActive = true;
+  link.urlKey = urlKey;
+  link.deletedAt = null;
+
+  await syncLinkTags(userId, link);
+  if (link.isFavorite) {
+    try {
+      await Fav.create({ userId, linkId: link._id });
+    } catch (err) {
+      if (!(err && err.code === 11000)) throw err;
+    }
+  }
+
+  return { link };
+}
+
+/**
+ * Permanently delete links and everything attached to them
+ * @param {object} filter - Link filter; callers must scope it to inactive links
+ * @returns {Promise<number>} Number of links removed
+ */
+async function purgeLinks(filter) {
+  const links = await Link.find(filter).select('_id userId snapshot.storageKey screenshot.storageKey file.storageKey file.size').lean();
+  if (links.length === 0) return 0;
+  const ids = links.map(link => link._id);
+
+  await LinkTag.deleteMany({ linkId: { $in: ids } });
+  await Fav.deleteMany({ linkId: { $in: ids } });
+  await LinkRevision.deleteMany({ linkId: { $in: ids } });
+  await Reminder.deleteMany({ linkId: { $in: ids } });
+  const result = await Link.deleteMany({ _id: { $in: ids }, isActive: false });
+  await deleteSnapshots(links.map(link => link.snapshot?.storageKey).filter(Boolean));
+  await deleteScreenshots(links.map(link => link.screenshot?.storageKey).filter(Boolean));
+  await deleteStoredFiles(links.map(link => link.file?.storageKey).filter(Boolean));
+
+  // Purged files no longer count against their owner's upload quota
+  const freedBytes = new Map();
+  for (const link of links) {
+    if (!(link.file?.size > 0)) continue;
+    const owner = String(link.userId);
+    freedBytes.set(owner, (freedBytes.get(owner) || 0) + link.file.size);
+  }
+  for (const [owner, bytes] of freedBytes) {
+    await releaseUploadBytes(owner, bytes);
+  }
+  return result.deletedCount || 0;
+}
+
+const READING_STATE_RANK = { unread: 0, in_progress: 1, read: 2, archived: 3 };
+
+/**
+ * Fold duplicate saves of the same page into one link.
+ * The survivor gains the duplicates' tags, notes, missing metadata, favourite
+ * flag and furthest reading progress; their reminders move over, and the
+ * duplicates go to the trash so nothing is lost outright.
+ * @param {string} userId - Owner of all the links
+ * @param {object} survivor - Active link to keep (lean or document)
+ * @param {object[]} duplicates - Other active links for the same page
+ * @param {string} urlKey - urlKey the links share; the survivor keeps its own url
+ * @returns {Promise<object>} The updated survivor
+ */
+async function mergeDuplicateLinks(userId, survivor, duplicates, urlKey) {
+  const all = [survivor, ...duplicates];
+
+  const tags = [];
+  const seenTags = new Set();
+  for (const link of all) {
+    for (const tag of link.tags || []) {
+      const key = String(tag).toLowerCase();
+      if (seenTags.has(key)) continue;
+      seenTags.add(key);
+      tags.push(tag);
+    }
+  }
+
+  const notes = Array.from(new Set(all.map(link => (link.notes || '').trim()).filter(Boolean))).join('\n\n');
+  const firstOf = (getter) => {
+    for (const link of all) {
+      const value = getter(link);
+      if (value) return value;
+    }
+    return undefined;
+  };
+
+  const reading = all.map(link => link.reading || {}).reduce((best, r) => {
+    const rank = READING_STATE_RANK[r.state || 'unread'];
+    const bestRank = READING_STATE_RANK[best.state || 'unread'];
+    return rank > bestRank || (rank === bestRank && (r.progress || 0) > (best.progress || 0)) ? r : best;
+  }, survivor.reading || {});
+  const lastOpenedAt = all
+    .map(link => link.reading && link.reading.lastOpenedAt)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0];
+
+  const set = {
+    urlKey,
+    tags,
+    tagsNormalized: Array.from(seenTags),
+    editedFields: Array.from(new Set(all.flatMap(link => link.editedFields || [])))
+  };
+  if (notes) set.notes = notes.slice(0, 1000);
+  const title = firstOf(link => link.title);
+  if (title) set.title = title;
+  const description = firstOf(link => link.description);
+  if (description) set.description = description;
+  for (const key of ['logo', 'ogImage', 'favicon', 'appleTouchIcon']) {
+    const image = firstOf(link => link.images && link.images[key]);
+    if (image) set[`images.${key}`] = image;
+  }
+  const collectionId = firstOf(link => link.collectionId);
+  if (collectionId) set.collectionId = collectionId;
+  if (reading.state) {
+    set['reading.state'] = reading.state;
+    set['reading.progress'] = reading.progress || 0;
+    if (reading.readAt) set['reading.readAt'] = reading.readAt;
+    if (reading.archivedAt) set['reading.archivedAt'] = reading.archivedAt;
+  }
+  if (lastOpenedAt) set['reading.lastOpenedAt'] = lastOpenedAt;
+
+  const duplicateIds = duplicates.map(link => link._id);
+  await Reminder.updateMany({ linkId: { $in: duplicateIds } }, { $set: { linkId: survivor._id } });
+  // Trash the duplicates first so the survivor can take the urlKey
+  for (const duplicate of duplicates) {
+    await softDeleteLink(userId, duplicate);
+  }
+
+  const merged = await Link.findOneAndUpdate({ _id: survivor._id }, unsetStaleCachedImages({ $set: set }, survivor.images), { new: true });
+  await syncLinkTags(userId, merged);
+  queueLinkImageCache(merged);
+  if (all.some(link => link.isFavorite)) {
+    await setLinkFavorite(userId, merged, true);
+  }
+  return merged;
+}
+
+module.exports = {
+  syncLinkTags,
+  setLinkFavorite,
+  softDeleteLink,
+  restoreLink,
+  purgeLinks,
+  mergeDuplicateLinks
+};
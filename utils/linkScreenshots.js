@@ -0,0 +1,175 @@
+/**
+ * Screenshot thumbnails
+ * Pages that have no og:image or logo get a screenshot of their first screen,
+ * resized to a thumbnail and kept in storage. images.screenshot holds the path
+ * of the authenticated route that serves it. Captures run one at a time since
+ * each one launches Chromium.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Link = require('../models/Links');
+const { captureScreenshotWithBrowser } = require('./helpers');
+const { allowPrivateUrls, checkOutboundUrl, startGuardedProxy } = require('./netGuard');
+const { getStorage } = require('./storage');
+const {
+  SCREENSHOT_ENABLED,
+  SCREENSHOT_VIEWPORT_WIDTH,
+  SCREENSHOT_VIEWPORT_HEIGHT,
+  SCREENSHOT_THUMBNAIL_WIDTH,
+  SCREENSHOT_QUEUE_LIMIT
+} = require('../config/constants');
+
+const queue = [];
+const queued = new Set();
+let running = false;
+
+/**
+ * Route path stored in images.screenshot
+ */
+const screenshotPath = (linkId) => `/api/links/${linkId}/screenshot`;
+
+/**
+ * Whether a link has nothing better than a favicon to show
+ * @param {object} link - Link document or lean object
+ * @param {boolean} [retake] - Also when a screenshot was taken before
+ */
+function needsScreenshot(link, retake = false) {
+  const images = link.images || {};
+  if (link.file && link.file.storageKey) return false;
+  if (images.ogImage || images.logo) return false;
+  return retake || !images.screenshot;
+}
+
+/**
+ * Capture a screenshot thumbnail for a link and store it
+ * @param {object} link - Link document (userId, url)
+ * @returns {Promise<object|null>} The screenshot info, or null when the page could not be captured
+ */
+async function captureScreenshot(link) {
+  const checked = checkOutboundUrl(link.url);
+  if (checked.error) return null;
+
+  // Chromium follows redirects and loads subresources on its own, so the
+  // guard sits in a proxy that sees every connection, not just the first URL
+  const proxy = allowPrivateUrls() ? null : await startGuardedProxy();
+  let png;
+  try {
+    png = await captureScreenshotWithBrowser(checked.url.href, {
+      width: SCREENSHOT_VIEWPORT_WIDTH,
+      height: SCREENSHOT_VIEWPORT_HEIGHT,
+      proxy: proxy ? proxy.server : undefined
+    });
+  } finally {
+    if (proxy) await proxy.close();
+  }
+  if (!png) return null;
+
+  const { data, info } = await sharp(png)
+    .resize({ width: SCREENSHOT_THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+  const contentHash = crypto.createHash('sha256').update(data).digest('hex');
+  const storageKey = `screenshots/${link.userId?._id || link.userId}/${link._id}/${contentHash}.webp`;
+  const { size } = await getStorage().put(storageKey, data);
+  const screenshot = {
+    storageKey,
+    contentHash,
+    size,
+    width: info.width,
+    height: info.height,
+    sourceUrl: checked.url.href,
+    capturedAt: new Date()
+  };
+
+  const previous = await Link.findOneAndUpdate(
+    { _id: link._id, isActive: true },
+    { $set: { screenshot, 'images.screenshot': screenshotPath(link._id) } },
+    { timestamps: false, runValidators: true }
+  ).select('screenshot.storageKey').lean();
+
+  if (!previous) {
+    // The link went to the trash while the page was being captured
+    await deleteScreenshots([storageKey]);
+    return null;
+  }
+  const previousKey = previous.screenshot?.storageKey;
+  if (previousKey && previousKey !== storageKey) {
+    await deleteScreenshots([previousKey]);
+  }
+  return screenshot;
+}
+
+/**
+ * Work through the queue one capture at a time
+ */
+async function drainQueue() {
+  running = true;
+  while (queue.length > 0) {
+    const { linkId, retake } = queue.shift();
+    try {
+      // Read again: the link may have been deleted or given an image since it was queued
+      const link = await Link.findOne({ _id: linkId, isActive: true }).select('userId url images file');
+      if (link && needsScreenshot(link, retake) && await captureScreenshot(link)) {
+        console.log('🖼️  Screenshot saved:', linkId);
+      }
+    } catch (error) {
+      console.error('❌ Screenshot capture failed:', linkId, error.message);
+    }
+    queued.delete(linkId);
+  }
+  running = false;
+}
+
+/**
+ * Queue a screenshot for a link that has no og:image or logo; anything
+ * else is ignored. Never throws and never holds up the caller.
+ * @param {object} link - Link document or lean object with _id and images
+ * @param {object} [options]
+ * @param {boolean} [options.retake] - Replace an existing screenshot, e.g. after a refresh
+ * @returns {boolean} Whether the link was queued
+ */
+function queueScreenshot(link, { retake = false } = {}) {
+  if (!SCREENSHOT_ENABLED || !link || !needsScreenshot(link, retake)) return false;
+  const linkId = String(link._id);
+  if (queued.has(linkId)) return true;
+  if (queue.length >= SCREENSHOT_QUEUE_LIMIT) {
+    console.warn('⚠️  Screenshot queue is full, skipping:', linkId);
+    return false;
+  }
+  queued.add(linkId);
+  queue.push({ linkId, retake });
+  if (!running) void drainQueue();
+  return true;
+}
+
+/**
+ * Read a link's screenshot thumbnail
+ * @returns {Promise<Buffer|null>}
+ */
+async function readScreenshot(link) {
+  if (!link.screenshot || !link.screenshot.storageKey) return null;
+  return getStorage().get(link.screenshot.storageKey);
+}
+
+/**
+ * Remove stored screenshots, e.g. when links are purged
+ * @param {string[]} storageKeys - Keys to delete
+ */
+async function deleteScreenshots(storageKeys) {
+  for (const key of storageKeys) {
+    try {
+      await getStorage().delete(key);
+    } catch (e) {
+      console.error('❌ Could not delete screenshot:', key, e.message);
+    }
+  }
+}
+
+module.exports = {
+  queueScreenshot,
+  captureScreenshot,
+  readScreenshot,
+  deleteScreenshots
+};
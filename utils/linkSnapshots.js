@@ -0,0 +1,167 @@
+/**
+ * Offline snapshots
+ * Keeps a cleaned, readable copy of a saved page in storage so the content
+ * survives after the original link dies. The same pass stores the reader-mode
+ * article data (text, word count, reading time, language, author, date) on the link.
+ */
+
+const crypto = require('crypto');
+const Link = require('../models/Links');
+const lambdaController = require('../controllers/lambdaController');
+const { extractArticle } = require('./helpers');
+const { checkOutboundUrl, outboundAgents } = require('./netGuard');
+const { getStorage } = require('./storage');
+const { SNAPSHOT_MAX_HTML_BYTES, ARTICLE_TEXT_MAX_LENGTH } = require('../config/constants');
+
+const MIN_SNAPSHOT_TEXT_LENGTH = 50;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap extracted content in a standalone HTML page
+ */
+function renderSnapshotDocument({ title, contentHtml, sourceUrl, fetchedAt }) {
+  const heading = escapeHtml(title || sourceUrl);
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading}</title>
+<style>body{max-width:42em;margin:2em auto;padding:0 1em;font:18px/1.6 Georgia,serif;color:#222}img{max-width:100%;height:auto}pre{overflow:auto}.snapshot-source{font:14px/1.4 sans-serif;color:#666;border-bottom:1px solid #ddd;padding-bottom:1em}</style>
+</head>
+<body>
+<p class="snapshot-source">Saved copy of <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a>, captured ${escapeHtml(fetchedAt.toISOString())}</p>
+<article>
+<h1>${heading}</h1>
+${contentHtml}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Capture a snapshot for a link.
+ * Uses the page HTML the extractor already downloaded when given, otherwise
+ * fetches it with the extractor's retrying downloader, refusing private addresses.
+ * Identical content is not stored twice; only fetchedAt moves on.
+ * @param {object} link - Link document
+ * @param {string} [html] - Page HTML already downloaded for this link
+ * @returns {Promise<object|null>} The snapshot info, or null when the page had no readable content
+ */
+async function captureSnapshot(link, html) {
+  let pageHtml = typeof html === 'string' ? html : '';
+  let sourceUrl = link.url;
+
+  if (!pageHtml) {
+    const checked = checkOutboundUrl(link.url);
+    if (checked.error) return null;
+    // Capped while downloading, so an oversized page is never held in memory
+    const response = await lambdaController.executeWithRetry(checked.url.href, 'GET', {}, null, {
+      ...outboundAgents(),
+      maxContentLength: SNAPSHOT_MAX_HTML_BYTES
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    if (!ok || typeof response.data !== 'string') return null;
+    pageHtml = response.data;
+    sourceUrl = response.finalUrl || link.url;
+  }
+  if (pageHtml.length > SNAPSHOT_MAX_HTML_BYTES) {
+    pageHtml = pageHtml.slice(0, SNAPSHOT_MAX_HTML_BYTES);
+  }
+
+  const readable = extractArticle(pageHtml, sourceUrl);
+  if (readable.text.length < MIN_SNAPSHOT_TEXT_LENGTH) return null;
+
+  const contentHash = crypto.createHash('sha256').update(readable.html).digest('hex');
+  const fetchedAt = new Date();
+  const previous = link.snapshot || {};
+  const article = {
+    text: readable.text.slice(0, ARTICLE_TEXT_MAX_LENGTH),
+    wordCount: readable.wordCount,
+    readingTimeMinutes: readable.readingTimeMinutes,
+    language: readable.language || undefined,
+    author: readable.author || undefined,
+    publishedAt: readable.publishedAt || undefined,
+    extractedAt: fetchedAt
+  };
+
+  if (previous.contentHash === contentHash && previous.storageKey && await getStorage().exists(previous.storageKey)) {
+    await Link.updateOne(
+      { _id: link._id },
+      { $set: { 'snapshot.fetchedAt': fetchedAt, article } },
+      { timestamps: false, runValidators: true }
+    );
+    return { ...previous, fetchedAt };
+  }
+
+  const storageKey = `snapshots/${link.userId?._id || link.userId}/${link._id}/${contentHash}.html`;
+  const document = renderSnapshotDocument({
+    title: link.title || readable.title,
+    contentHtml: readable.html,
+    sourceUrl,
+    fetchedAt
+  });
+  const { size } = await getStorage().put(storageKey, document);
+
+  const snapshot = { storageKey, contentHash, size, sourceUrl, fetchedAt };
+  await Link.updateOne({ _id: link._id }, { $set: { snapshot, article } }, { timestamps: false, runValidators: true });
+
+  if (previous.storageKey && previous.storageKey !== storageKey) {
+    try {
+      await getStorage().delete(previous.storageKey);
+    } catch (e) {
+      console.error('❌ Could not delete old snapshot:', previous.storageKey, e.message);
+    }
+  }
+
+  return snapshot;
+}
+
+/**
+ * Capture a snapshot without holding up the caller; failures are only logged
+ */
+function captureSnapshotInBackground(link, html) {
+  captureSnapshot(link, html)
+    .then((snapshot) => {
+      if (snapshot) console.log('📦 Snapshot saved:', String(link._id));
+    })
+    .catch((error) => {
+      console.error('❌ Snapshot capture failed:', String(link._id), error.message);
+    });
+}
+
+/**
+ * Read a link's snapshot document
+ * @returns {Promise<Buffer|null>}
+ */
+async function readSnapshot(link) {
+  if (!link.snapshot || !link.snapshot.storageKey) return null;
+  return getStorage().get(link.snapshot.storageKey);
+}
+
+/**
+ * Remove stored snapshots, e.g. when links are purged
+ * @param {string[]} storageKeys - Keys to delete
+ */
+async function deleteSnapshots(storageKeys) {
+  for (const key of storageKeys) {
+    try {
+      await getStorage().delete(key);
+    } catch (e) {
+      console.error('❌ Could not delete snapshot:', key, e.message);
+    }
+  }
+}
+
+module.exports = {
+  captureSnapshot,
+  captureSnapshotInBackground,
+  readSnapshot,
+  deleteSnapshots
+};
@@ -0,0 +1,242 @@
+/**
+ * Outbound request guard
+ * Keeps server-side requests to user-supplied URLs (webhooks and the like)
+ * away from loopback, private and link-local addresses. The guarded agents
+ * check every connection they open, redirects included: host names when
+ * they are resolved, IP literals (which Node never resolves) before
+ * connecting. startGuardedProxy applies the same checks to a headless
+ * browser. OUTBOUND_ALLOW_PRIVATE_URLS=true turns the guard off, e.g. to
+ * work against services on localhost in development.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const PRIVATE_V4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/**
+ * Whether outbound requests may reach private or local addresses
+ */
+const allowPrivateUrls = () => process.env.OUTBOUND_ALLOW_PRIVATE_URLS === 'true';
+
+const v4ToInt = (ip) => ip.split('.').reduce((n, part) => (n << 8) + Number(part), 0) >>> 0;
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(ip) {
+  const address = String(ip || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIPv4(address)) {
+    const value = v4ToInt(address);
+    return PRIVATE_V4_RANGES.some(([base, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return (value & mask) === (v4ToInt(base) & mask);
+    });
+  }
+  if (net.isIPv6(address)) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return address === '::' || address === '::1' ||
+      /^f[cd][0-9a-f]{2}:/.test(address) || // fc00::/7 unique local
+      /^fe[89ab][0-9a-f]:/.test(address) || // fe80::/10 link local
+      /^ff[0-9a-f]{2}:/.test(address); // multicast
+  }
+  return true;
+}
+
+/**
+ * Check a URL before requesting it
+ * @param {string} value - URL to check
+ * @param {object} options
+ * @param {boolean} [options.allowPrivate] - Skip the address check; defaults to OUTBOUND_ALLOW_PRIVATE_URLS
+ * @returns {{url: URL}|{error: string}}
+ */
+function checkOutboundUrl(value, { allowPrivate = allowPrivateUrls() } = {}) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch (e) {
+    return { error: 'Invalid URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'URL must use http or https' };
+  }
+  if (url.username || url.password) {
+    return { error: 'URL must not contain credentials' };
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+  if (!allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host)))) {
+    return { error: 'URL must point to a public address' };
+  }
+  return { url };
+}
+
+/**
+ * Error for a connection the guard refuses
+ */
+const refusedAddressError = (address) => Object.assign(
+  new Error(`Refusing to connect to private address ${address}`),
+  { code: 'EPRIVATEADDRESS' }
+);
+
+/**
+ * dns.lookup that refuses private addresses
+ */
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(refusedAddressError(blocked.address));
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Refusal for a connection to a private IP literal, which skips the lookup
+ * @returns {Error|null}
+ */
+const refusedLiteral = (options) => {
+  const host = String(options.host || '').replace(/^\[|\]$/g, '');
+  return net.isIP(host) && isPrivateAddress(host) ? refusedAddressError(host) : null;
+};
+
+class GuardedHttpAgent extends http.Agent {
+  createConnection(options, callback) {
+    const refused = refusedLiteral(options);
+    if (refused) return void process.nextTick(callback, refused);
+    return super.createConnection(options, callback);
+  }
+}
+
+class GuardedHttpsAgent extends https.Agent {
+  createConnection(options, callback) {
+    const refused = refusedLiteral(options);
+    if (refused) return void process.nextTick(callback, refused);
+    return super.createConnection(options, callback);
+  }
+}
+
+const guardedAgents = {
+  httpAgent: new GuardedHttpAgent({ lookup: guardedLookup }),
+  httpsAgent: new GuardedHttpsAgent({ lookup: guardedLookup })
+};
+
+/**
+ * axios options that route a request through the guarded agents
+ * @param {boolean} [allowPrivate] - Return no agents, i.e. allow any address; defaults to OUTBOUND_ALLOW_PRIVATE_URLS
+ * @returns {object}
+ */
+const outboundAgents = (allowPrivate = allowPrivateUrls()) => (allowPrivate ? {} : guardedAgents);
+
+// Request headers meant for the proxy itself
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization'];
+
+/**
+ * Forward a plain http request made to the proxy
+ */
+function proxyHttpRequest(req, res) {
+  const checked = checkOutboundUrl(req.url, { allowPrivate: false });
+  if (checked.error || checked.url.protocol !== 'http:') {
+    res.writeHead(403, { 'Content-Type': 'text/plain' }).end(checked.error || 'Use CONNECT for https');
+    return;
+  }
+  const headers = { ...req.headers };
+  PROXY_HEADERS.forEach(name => delete headers[name]);
+
+  const upstream = http.request(checked.url, { method: req.method, headers, agent: guardedAgents.httpAgent }, (response) => {
+    res.writeHead(response.statusCode, response.headers);
+    response.pipe(res);
+  });
+  upstream.on('error', () => {
+    if (!res.headersSent) res.writeHead(502);
+    res.end();
+  });
+  req.pipe(upstream);
+}
+
+/**
+ * Open a CONNECT tunnel (https and wss) to a public address
+ */
+function proxyConnect(req, client, head) {
+  const checked = checkOutboundUrl(`https://${req.url}`, { allowPrivate: false });
+  if (checked.error) {
+    client.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+  const host = checked.url.hostname.replace(/^\[|\]$/g, '');
+  const upstream = net.connect({ host, port: Number(checked.url.port) || 443, lookup: guardedLookup });
+  let established = false;
+
+  upstream.once('connect', () => {
+    established = true;
+    client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head && head.length) upstream.write(head);
+    upstream.pipe(client);
+    client.pipe(upstream);
+  });
+  upstream.on('error', (error) => {
+    if (established) return client.destroy();
+    client.end(`HTTP/1.1 ${error.code === 'EPRIVATEADDRESS' ? '403 Forbidden' : '502 Bad Gateway'}\r\n\r\n`);
+  });
+  client.on('error', () => upstream.destroy());
+  client.on('close', () => upstream.destroy());
+}
+
+/**
+ * Start an HTTP proxy on localhost that applies the guard to every
+ * connection passing through it. Meant for clients that resolve names and
+ * follow redirects on their own, such as headless Chromium: pointed at the
+ * proxy, each request, redirect hop and subresource is checked, and names
+ * are resolved only here, so DNS rebinding has no second lookup to exploit.
+ * @returns {Promise<{server: string, close: Function}>} Proxy URL for the client, and a function that stops the proxy
+ */
+async function startGuardedProxy() {
+  const sockets = new Set();
+  const server = http.createServer(proxyHttpRequest);
+  server.on('connect', proxyConnect);
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  return {
+    server: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = {
+  allowPrivateUrls,
+  isPrivateAddress,
+  checkOutboundUrl,
+  outboundAgents,
+  startGuardedProxy
+};
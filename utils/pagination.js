@@ -0,0 +1,175 @@
+/**
+ * Cursor pagination
+ * Opaque cursors for keyset ("seek") pagination. A cursor records the sort
+ * values and _id of the last item returned, so the next page starts right
+ * after it no matter how many items were added or removed in between.
+ *
+ * Sort specs are arrays of [field, direction] pairs and always end in _id,
+ * which makes the order total even when sort values repeat.
+ */
+
+const mongoose = require('mongoose');
+
+const DATE_TAG = '$d';
+const ID_TAG = '$id';
+
+/**
+ * Turn a Mongo sort object into a sort spec with an _id tie-breaker
+ * @param {object} sort - e.g. { createdAt: -1 }
+ * @returns {Array<[string, number]>}
+ */
+function toSortSpec(sort) {
+  const spec = Object.entries(sort).map(([field, dir]) => [field, dir === -1 || dir === 'desc' ? -1 : 1]);
+  if (!spec.some(([field]) => field === '_id')) {
+    spec.push(['_id', spec.length > 0 ? spec[spec.length - 1][1] : -1]);
+  }
+  return spec;
+}
+
+/**
+ * Mongo sort object for a sort spec
+ */
+function toSortObject(spec) {
+  return spec.reduce((out, [field, dir]) => ({ ...out, [field]: dir }), {});
+}
+
+const signatureOf = (spec) => spec.map(([field, dir]) => `${field}:${dir}`).join(',');
+
+const getPath = (doc, path) => {
+  if (doc && typeof doc.get === 'function') return doc.get(path);
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { [DATE_TAG]: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { [ID_TAG]: String(value) };
+  if (value === undefined) return null;
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value[DATE_TAG] === 'string') return new Date(value[DATE_TAG]);
+    if (typeof value[ID_TAG] === 'string' && mongoose.Types.ObjectId.isValid(value[ID_TAG])) {
+      return new mongoose.Types.ObjectId(value[ID_TAG]);
+    }
+    throw new Error('Unsupported cursor value');
+  }
+  return value;
+};
+
+/**
+ * Cursor pointing just after `doc`
+ * @param {object} doc - Last item of the page (lean object or document)
+ * @param {Array<[string, number]>} spec - Sort spec the page was read with
+ * @param {function} [pathFor] - Maps a sort field to its path in `doc` when the output was reshaped
+ * @returns {string}
+ */
+function encodeCursor(doc, spec, pathFor = (field) => field) {
+  const payload = {
+    s: signatureOf(spec),
+    v: spec.map(([field]) => encodeValue(getPath(doc, pathFor(field))))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Read a cursor sent by the client
+ * @returns {{values: Array}|{error: string}}
+ */
+function decodeCursor(cursor, spec) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v)) {
+      return { error: 'Invalid cursor' };
+    }
+    if (payload.s !== signatureOf(spec)) {
+      return { error: 'Cursor does not match the requested sort order' };
+    }
+    if (payload.v.length !== spec.length) {
+      return { error: 'Invalid cursor' };
+    }
+    return { values: payload.v.map(decodeValue) };
+  } catch (e) {
+    return { error: 'Invalid cursor' };
+  }
+}
+
+/**
+ * Condition for "comes after this value" on one field.
+ * Missing and null values sort first ascending and last descending.
+ * @returns {object|null} null when nothing can come after
+ */
+function afterCondition(field, dir, value) {
+  if (value === null) {
+    return dir === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (dir === 1) return { [field]: { $gt: value } };
+  if (field === '_id') return { _id: { $lt: value } };
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+}
+
+/**
+ * Filter selecting everything after the cursor position
+ * @param {Array<[string, number]>} spec - Sort spec
+ * @param {Array} values - Decoded cursor values
+ * @returns {object}
+ */
+function buildCursorFilter(spec, values) {
+  const branches = [];
+  for (let i = 0; i < spec.length; i++) {
+    const [field, dir] = spec[i];
+    const after = afterCondition(field, dir, values[i]);
+    if (!after) continue;
+    const equal = spec.slice(0, i).map(([f], j) => ({ [f]: values[j] }));
+    branches.push(equal.length > 0 ? { $and: [...equal, after] } : after);
+  }
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+}
+
+/**
+ * Work out how to read a page for the request.
+ * Sending `cursor` (empty for the first page) switches to cursor mode, which
+ * skips the total count; otherwise the classic page/limit mode is used.
+ * @param {object} query - Request query
+ * @param {object} sort - Mongo sort object for the listing
+ * @returns {{cursorMode: boolean, spec: Array, sort: object, filter: (object|null)}|{error: string}}
+ */
+function readPageRequest(query = {}, sort) {
+  const spec = toSortSpec(sort);
+  const cursorMode = query.cursor !== undefined;
+  const result = { cursorMode, spec, sort: toSortObject(spec), filter: null };
+  if (!cursorMode || query.cursor === '') return result;
+
+  const decoded = decodeCursor(query.cursor, spec);
+  if (decoded.error) return { error: decoded.error };
+  result.filter = buildCursorFilter(spec, decoded.values);
+  return result;
+}
+
+/**
+ * Trim a page read with limit + 1 items and work out the next cursor
+ * @param {object[]} items - Items read (up to limit + 1)
+ * @param {number} limit - Page size
+ * @param {Array<[string, number]>} spec - Sort spec the items were read with
+ * @param {function} [pathFor] - See encodeCursor
+ * @returns {{items: object[], hasNext: boolean, nextCursor: (string|null)}}
+ */
+function finishPage(items, limit, spec, pathFor) {
+  const hasNext = items.length > limit;
+  const page = hasNext ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(page[page.length - 1], spec, pathFor) : null
+  };
+}
+
+module.exports = {
+  toSortSpec,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  readPageRequest,
+  finishPage
+};
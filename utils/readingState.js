@@ -0,0 +1,99 @@
+/**
+ * Read-later state
+ * Reading state transitions for links (unread, in progress, read, archived)
+ * and the reading-state query filter shared by link listing and search.
+ */
+
+const READING_STATES = ['unread', 'in_progress', 'read', 'archived'];
+
+/**
+ * Parse a comma-separated list of reading states
+ * @param {string|string[]} value - e.g. "unread,in_progress"
+ * @returns {{states: string[]}|{error: string}}
+ */
+function parseReadingStates(value) {
+  if (value === undefined || value === null || value === '') {
+    return { states: [] };
+  }
+  const states = (Array.isArray(value) ? value : String(value).split(','))
+    .map(s => String(s).trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = states.filter(s => !READING_STATES.includes(s));
+  if (invalid.length > 0) {
+    return { error: `readingState must be one of: ${READING_STATES.join(', ')}` };
+  }
+  return { states: Array.from(new Set(states)) };
+}
+
+/**
+ * Mongo condition matching links in any of the given states.
+ * Links saved before reading states existed have no state and count as unread.
+ * @param {string[]} states - Valid reading states
+ * @param {string} prefix - Path prefix when matching a joined document, e.g. 'linkDetails.'
+ * @returns {object}
+ */
+function readingStateCondition(states, prefix = '') {
+  const path = `${prefix}reading.state`;
+  if (states.includes('unread')) {
+    return { $or: [{ [path]: { $in: states } }, { [path]: { $exists: false } }] };
+  }
+  return { [path]: { $in: states } };
+}
+
+/**
+ * Work out the update for a change of reading state and/or progress.
+ * Progress moves the state along (unread -> in progress -> read), and
+ * setting a state adjusts progress to match.
+ * @param {object} current - The link's current reading subdocument (may be empty)
+ * @param {object} changes - { state, progress, opened }
+ * @returns {{set: object}|{error: string}} Dotted $set paths
+ */
+function buildReadingUpdate(current = {}, changes = {}) {
+  const { state, progress, opened } = changes;
+  const now = new Date();
+  const set = {};
+
+  if (state !== undefined && !READING_STATES.includes(state)) {
+    return { error: `state must be one of: ${READING_STATES.join(', ')}` };
+  }
+
+  let nextProgress;
+  if (progress !== undefined && progress !== null) {
+    const parsed = Number(progress);
+    if (!Number.isFinite(parsed) || parsed < 0 || parsed > 100) {
+      return { error: 'progress must be a number between 0 and 100' };
+    }
+    nextProgress = Math.round(parsed);
+  }
+
+  let nextState = state;
+  if (nextState === undefined && nextProgress !== undefined) {
+    const currentState = current.state || 'unread';
+    if (nextProgress >= 100) nextState = 'read';
+    else if (nextProgress > 0 && currentState !== 'archived') nextState = 'in_progress';
+  }
+
+  if (nextState === 'read' && nextProgress === undefined) nextProgress = 100;
+  if (nextState === 'unread' && nextProgress === undefined) nextProgress = 0;
+
+  if (nextState !== undefined) {
+    set['reading.state'] = nextState;
+    if (nextState === 'read' && current.state !== 'read') set['reading.readAt'] = now;
+    if (nextState === 'archived' && current.state !== 'archived') set['reading.archivedAt'] = now;
+    if (nextState === 'unread') {
+      set['reading.readAt'] = null;
+      set['reading.archivedAt'] = null;
+    }
+  }
+  if (nextProgress !== undefined) set['reading.progress'] = nextProgress;
+  if (opened === true || String(opened) === 'true') set['reading.lastOpenedAt'] = now;
+
+  return { set };
+}
+
+module.exports = {
+  READING_STATES,
+  parseReadingStates,
+  readingStateCondition,
+  buildReadingUpdate
+};
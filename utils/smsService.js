@@ -65,6 +65,53 @@ const sendOTPSMS = async (phone, otp, type = 'verification') => {
 };
 
 
+/**
+ * Send a plain text SMS through the Fast2SMS quick route
+ * Unlike sendOTPSMS this throws on failure, so callers can retry.
+ * @param {string} phone - Phone number
+ * @param {string} message - Message text
+ * @returns {Promise<boolean>} - True once the provider accepted the message
+ */
+const sendSMS = async (phone, message) => {
+  const apiKey = process.env.FAST2SMS_API_KEY || process.env.OTP_SMS_API_KEY;
+  const formattedPhone = formatPhoneNumber(phone);
+  const reviewPhone = normalizeReviewPhone(process.env.PLAY_REVIEW_PHONE || process.env.PLAY_REVIEW_TEST_PHONE);
+
+  if (isPlayReviewModeEnabled() && reviewPhone && formattedPhone === reviewPhone) {
+    console.log(`Play review SMS for ${formattedPhone}: ${message}`);
+    return true;
+  }
+
+  if (!apiKey) {
+    throw new Error('FAST2SMS API key is not configured');
+  }
+
+  try {
+    const response = await axios.post('https://www.fast2sms.com/dev/bulkV2', {
+      route: 'q',
+      message,
+      numbers: formattedPhone,
+      flash: 0
+    }, {
+      headers: { authorization: apiKey },
+      timeout: 15000
+    });
+
+    if (response.data && response.data.return === false) {
+      throw new Error(Array.isArray(response.data.message) ? response.data.message.join(', ') : String(response.data.message || 'SMS rejected'));
+    }
+
+    console.log(`SMS sent successfully to ${formattedPhone}`, response.data);
+    return true;
+  } catch (error) {
+    if (error.response) {
+      console.error('Fast2SMS Error Response:', error.response.data);
+    }
+    throw new Error(`SMS sending failed: ${error.message}`);
+  }
+};
+
+
 const validatePhoneNumber = (phone) => {
   // Basic phone number validation
   const phoneRegex = /^[\+]?[1-9][\d]{0,15}$/;
@@ -83,6 +130,7 @@ const validatePhoneNumber = (phone) => {
 
 module.exports = {
   sendOTPSMS,
+  sendSMS,
   validatePhoneNumber,
   formatPhoneNumber,
 };
@@ -0,0 +1,51 @@
+/**
+ * Storage adapters
+ * Binary and document content (snapshots, uploads, generated images) goes through
+ * an adapter with put/get/exists/delete so the backing store can be swapped.
+ * STORAGE_DRIVER picks the adapter; local disk is the default.
+ *
+ * Adapter contract (all async):
+ *   put(key, body: Buffer|string) -> { key, size }
+ *   get(key) -> Buffer | null when missing
+ *   exists(key) -> boolean
+ *   delete(key) -> void, missing keys are ignored
+ */
+
+const LocalStorageAdapter = require('./localStorage');
+const { STORAGE_DRIVER, STORAGE_LOCAL_DIR } = require('../../config/constants');
+
+const adapterFactories = {
+  local: () => new LocalStorageAdapter({ root: STORAGE_LOCAL_DIR })
+};
+
+let instance = null;
+
+/**
+ * Register another adapter, e.g. an S3 or GCS implementation
+ * @param {string} name - Value of STORAGE_DRIVER that selects it
+ * @param {Function} factory - Returns an adapter instance
+ */
+function registerStorageAdapter(name, factory) {
+  adapterFactories[name] = factory;
+  instance = null;
+}
+
+/**
+ * Configured storage adapter (created once)
+ */
+function getStorage() {
+  if (!instance) {
+    const factory = adapterFactories[STORAGE_DRIVER];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${STORAGE_DRIVER}`);
+    }
+    instance = factory();
+  }
+  return instance;
+}
+
+module.exports = {
+  getStorage,
+  registerStorageAdapter,
+  LocalStorageAdapter
+};
@@ -0,0 +1,66 @@
+/**
+ * Local disk storage adapter
+ * Stores each object as a file under a root directory; keys map to relative paths.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocalStorageAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.root - Directory that holds stored objects
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || 'storage');
+  }
+
+  /**
+   * Resolve a key to a path inside the root, rejecting keys that escape it
+   */
+  resolvePath(key) {
+    const target = path.resolve(this.root, String(key));
+    if (target !== this.root && !target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  async put(key, body) {
+    const target = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    // Write then rename so readers never see a half-written file
+    const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temp, body);
+    await fs.promises.rename(temp, target);
+    return { key, size: Buffer.byteLength(body) };
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
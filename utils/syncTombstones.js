@@ -0,0 +1,68 @@
+/**
+ * Sync tombstones
+ * Records hard deletes of synced rows so GET /api/sync can tell devices
+ * about them. Installed on a schema with trackDeletions(); covers
+ * deleteOne, deleteMany and findOneAndDelete queries.
+ * Pass { syncTombstones: false } as a query option to skip it (e.g. when a
+ * whole account is deleted).
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @param {mongoose.Schema} schema - Schema whose deletions should be tracked
+ * @param {string} entity - 'link', 'favourite' or 'tag'
+ * @param {function} toTombstone - Maps a deleted row (lean) to { userId, linkId, tagName }
+ * @param {string} fields - Fields toTombstone needs
+ */
+function trackDeletions(schema, entity, toTombstone, fields) {
+  const record = async (rows) => {
+    if (!rows || rows.length === 0) return;
+    const SyncTombstone = mongoose.model('SyncTombstone');
+    const deletedAt = new Date();
+    try {
+      await SyncTombstone.insertMany(rows.map(row => ({
+        entity,
+        entityId: row._id,
+        deletedAt,
+        ...toTombstone(row)
+      })), { ordered: false });
+    } catch (error) {
+      console.error(`❌ Could not record sync tombstones for ${entity}:`, error.message);
+    }
+  };
+
+  const enabled = (query) => query.getOptions().syncTombstones !== false;
+
+  schema.pre(['deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    if (!enabled(this)) return;
+    const finder = this.model.find(this.getFilter()).select(`_id ${fields}`).lean();
+    if (this.op === 'deleteOne') finder.limit(1);
+    this._syncTombstoneRows = await finder;
+  });
+
+  schema.post(['deleteOne', 'deleteMany'], { document: false, query: true }, async function(result) {
+    if (!this._syncTombstoneRows) return;
+    // Only rows that are really gone
+    const gone = result && result.deletedCount === this._syncTombstoneRows.length
+      ? this._syncTombstoneRows
+      : await deletedRows(this.model, this._syncTombstoneRows);
+    await record(gone);
+  });
+
+  schema.post('findOneAndDelete', async function(doc) {
+    if (!doc || !enabled(this)) return;
+    await record([typeof doc.toObject === 'function' ? doc.toObject() : doc]);
+  });
+}
+
+/**
+ * Rows from `rows` that no longer exist
+ */
+async function deletedRows(Model, rows) {
+  const remaining = await Model.find({ _id: { $in: rows.map(row => row._id) } }).distinct('_id');
+  const kept = new Set(remaining.map(String));
+  return rows.filter(row => !kept.has(String(row._id)));
+}
+
+module.exports = { trackDeletions };
@@ -1,27 +1,361 @@
-function normalizeUrl(input) {
-  if (!input || typeof input !== 'string') return input;
+const {
+  TRACKING_PARAMS,
+  TRACKING_PARAM_PREFIXES,
+  AMP_PARAMS,
+  HOST_PREFIXES,
+  DOMAIN_RULES,
+  REDIRECT_WRAPPERS
+} = require('../config/urlRules');
+
+const TRACKING_PARAM_SET = new Set(TRACKING_PARAMS);
+const AMP_PARAM_SET = new Set(AMP_PARAMS);
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch (e) {
+    return value;
+  }
+};
+
+/**
+ * Turn an AMP cache URL back into the publisher's URL
+ *   https://www.google.com/amp/s/example.com/story -> https://example.com/story
+ *   https://example-com.cdn.ampproject.org/c/s/example.com/story -> https://example.com/story
+ * @returns {URL|null} null when the URL is not an AMP cache URL
+ */
+function unwrapAmpCache(u) {
+  const host = u.hostname.toLowerCase();
+  let rest = null;
+  if (/(^|\.)google\.[a-z.]+$/.test(host) && u.pathname.startsWith('/amp/')) {
+    rest = u.pathname.slice('/amp/'.length);
+  } else if (host.endsWith('.cdn.ampproject.org')) {
+    const match = u.pathname.match(/^\/[a-z]\/(.+)$/);
+    rest = match ? match[1] : null;
+  }
+  if (!rest) return null;
+
+  const secure = rest.startsWith('s/');
+  if (secure) rest = rest.slice(2);
+  try {
+    return new URL(`${secure ? 'https' : 'http'}://${rest}${u.search}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Follow a redirect wrapper (Google, Facebook, Slack, Safe Links, ...) to its destination
+ *   https://www.google.com/url?q=https://example.com/ -> https://example.com/
+ * @returns {URL|null} null when the URL is not a known redirect wrapper
+ */
+function unwrapRedirect(u) {
+  const host = u.hostname.toLowerCase();
+  const bareHost = host.replace(/^www\./, '');
+  const wrapper = REDIRECT_WRAPPERS.find(w =>
+    (w.hostPattern ? w.hostPattern.test(host) : w.hosts.includes(bareHost)) && w.path.test(u.pathname)
+  );
+  if (!wrapper) return null;
+
+  for (const name of wrapper.params) {
+    const target = u.searchParams.get(name);
+    if (!target) continue;
+    try {
+      const next = new URL(target.trim());
+      if (next.protocol === 'http:' || next.protocol === 'https:') return next;
+    } catch (e) {
+      // not a URL; try the next parameter
+    }
+  }
+  return null;
+}
+
+/**
+ * The destination of a possibly wrapped URL, unwrapping nested wrappers
+ * @param {string} input - URL
+ * @returns {string} The destination, or the input when it is not wrapped
+ */
+function unwrapRedirectUrl(input) {
+  let u;
+  try {
+    u = new URL(String(input).trim());
+  } catch (e) {
+    return input;
+  }
+  for (let i = 0; i < 3; i++) {
+    const unwrapped = unwrapRedirect(u);
+    if (!unwrapped) break;
+    u = unwrapped;
+  }
+  return u.href;
+}
+
+/**
+ * Drop www./m./mobile./amp. so alternate versions of a site share a host
+ */
+function stripHostPrefixes(host) {
+  if (/^\d+(\.\d+){3}$/.test(host) || host.startsWith('[')) return host;
+  let out = host;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const prefix of HOST_PREFIXES) {
+      if (out.startsWith(prefix) && out.slice(prefix.length).includes('.')) {
+        out = out.slice(prefix.length);
+        changed = true;
+      }
+    }
+  }
+  return out;
+}
+
+function findDomainRule(host) {
+  return DOMAIN_RULES.find(rule => rule.domains.some(d => host === d || host.endsWith(`.${d}`))) || null;
+}
+
+/**
+ * Whether a query parameter only records where a click came from
+ */
+function isTrackingParam(name) {
+  return TRACKING_PARAM_SET.has(name) || TRACKING_PARAM_PREFIXES.some(prefix => name.startsWith(prefix));
+}
+
+/**
+ * Whether a query parameter should survive into the dedupe key
+ */
+function keepParam(name, value, rule) {
+  if (rule && Array.isArray(rule.keepParams)) return rule.keepParams.includes(name);
+  if (isTrackingParam(name) || AMP_PARAM_SET.has(name)) return false;
+  if (rule && Array.isArray(rule.dropParams) && rule.dropParams.includes(name)) return false;
+  if (name === 'amp' && ['', '1', 'true'].includes(value.toLowerCase())) return false;
+  if (name === 'outputtype' && value.toLowerCase() === 'amp') return false;
+  return true;
+}
+
+/**
+ * Query parameters of a URL in their original order, with decoded lowercase names
+ */
+function readParams(u) {
+  return u.search.slice(1).split('&').filter(Boolean).map((pair, index) => {
+    const [rawName, ...rest] = pair.split('=');
+    return { pair, index, name: safeDecode(rawName).toLowerCase(), value: safeDecode(rest.join('=')) };
+  });
+}
+
+const writeParams = (params) => (params.length > 0 ? `?${params.map(p => p.pair).join('&')}` : '');
+
+/**
+ * Strip stray quotes and backticks that come with pasted or shared URLs
+ */
+function cleanInput(input) {
   let value = input.trim();
   value = value.replace(/^`+|`+$/g, '');
   value = value.replace(/^"+|"+$/g, '');
   value = value.replace(/^'+|'+$/g, '');
+  return value;
+}
+
+/**
+ * Serialize a URL with a lowercase host, no default port and no hash
+ */
+function formatUrl(u) {
+  const protocol = u.protocol.toLowerCase();
+  const host = u.hostname.toLowerCase();
+  const port = u.port;
+  const isDefaultPort = (protocol === 'http:' && port === '80') || (protocol === 'https:' && port === '443');
+  const pathname = u.pathname === '/' ? '' : u.pathname;
+  const search = u.search || '';
+  const hash = '';
+
+  let out = `${protocol}//${host}`;
+  if (port && !isDefaultPort) out += `:${port}`;
+  out += pathname + search + hash;
+  return out;
+}
+
+/**
+ * Clean up a URL for storing it as a link's url.
+ * Lowercases the host, drops the hash and removes tracking parameters;
+ * everything else (www./m. hosts, other parameters and their order) is kept,
+ * so the stored URL still opens the page that was saved. Use urlDedupeKey to
+ * tell whether two URLs are the same page.
+ * Input that does not parse as a URL is returned trimmed.
+ * @param {string} input - URL as entered or shared
+ * @returns {string}
+ */
+function normalizeUrl(input) {
+  if (!input || typeof input !== 'string') return input;
+  const value = cleanInput(input);
 
   try {
     const u = new URL(value);
-    const protocol = u.protocol.toLowerCase();
-    const host = u.hostname.toLowerCase();
-    const port = u.port;
-    const isDefaultPort = (protocol === 'http:' && port === '80') || (protocol === 'https:' && port === '443');
-    const pathname = u.pathname === '/' ? '' : u.pathname;
-    const search = u.search || '';
-    const hash = '';
-
-    let out = `${protocol}//${host}`;
-    if (port && !isDefaultPort) out += `:${port}`;
-    out += pathname + search + hash;
-    return out;
+    if (u.protocol === 'http:' || u.protocol === 'https:') {
+      u.search = writeParams(readParams(u).filter(p => !isTrackingParam(p.name)));
+    }
+    return formatUrl(u);
   } catch (e) {
     return value;
   }
 }
 
-module.exports = { normalizeUrl };
\ No newline at end of file
+/**
+ * Key that identifies a page among a user's links (Link.urlKey).
+ * Besides what normalizeUrl does, this unwraps redirect wrappers and AMP
+ * caches, folds www./m. hosts together, applies the per-domain rules in
+ * config/urlRules.js and sorts the remaining query, so alternate versions of
+ * a page share one key. Only for comparing URLs; never fetch or show the key.
+ * @param {string} input - URL as entered, shared or stored
+ * @returns {string}
+ */
+function urlDedupeKey(input) {
+  if (!input || typeof input !== 'string') return input;
+  const value = cleanInput(input);
+
+  try {
+    let u = new URL(value);
+    if (u.protocol === 'http:' || u.protocol === 'https:') {
+      for (let i = 0; i < 3; i++) {
+        const unwrapped = unwrapRedirect(u) || unwrapAmpCache(u);
+        if (!unwrapped) break;
+        u = unwrapped;
+      }
+
+      u.hostname = stripHostPrefixes(u.hostname.toLowerCase().replace(/\.$/, ''));
+      const rule = findDomainRule(u.hostname);
+      if (rule) {
+        if (typeof rule.rewrite === 'function') rule.rewrite(u);
+        if (rule.host && rule.domains.includes(u.hostname)) u.hostname = rule.host;
+      }
+
+      // AMP versions of an article: /story/amp, /story.amp.html
+      u.pathname = u.pathname.replace(/\/amp\/?$/i, '') || '/';
+      u.pathname = u.pathname.replace(/\.amp\.html$/i, '.html');
+
+      const params = readParams(u)
+        .filter(p => keepParam(p.name, p.value, rule))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : a.index - b.index));
+      u.search = writeParams(params);
+    }
+    return formatUrl(u);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Pick the page's own <link rel="canonical"> when it can be trusted.
+ * Canonicals pointing at another site, or at the home page from a deeper
+ * page (a common misconfiguration), are ignored.
+ * @param {string} pageUrl - URL the page was fetched from
+ * @param {string} canonicalHref - href of the page's canonical link, possibly relative
+ * @returns {string|null} Normalized canonical URL, or null when it should not be used
+ */
+function resolveCanonicalUrl(pageUrl, canonicalHref) {
+  if (!pageUrl || !canonicalHref || typeof canonicalHref !== 'string') return null;
+  let canonical;
+  let page;
+  let target;
+  try {
+    canonical = new URL(canonicalHref.trim(), pageUrl);
+    if (canonical.protocol !== 'http:' && canonical.protocol !== 'https:') return null;
+    // Compared as dedupe keys so www./m. variants count as the same site
+    page = new URL(urlDedupeKey(pageUrl));
+    target = new URL(urlDedupeKey(canonical.href));
+  } catch (e) {
+    return null;
+  }
+
+  const a = page.hostname;
+  const b = target.hostname;
+  if (a !== b && !a.endsWith(`.${b}`) && !b.endsWith(`.${a}`)) return null;
+  if (target.pathname === '/' && page.pathname !== '/') return null;
+
+  return normalizeUrl(canonical.href);
+}
+
+const URL_IN_TEXT_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?'"*_~]$/;
+const BRACKET_PAIRS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * Trim punctuation that ends the sentence around a URL rather than the URL.
+ * Closing brackets are kept when the URL opened them (Wikipedia-style paths).
+ */
+function trimUrlMatch(match) {
+  let url = match;
+  for (;;) {
+    const last = url.slice(-1);
+    if (TRAILING_PUNCTUATION.test(last)) {
+      url = url.slice(0, -1);
+    } else if (BRACKET_PAIRS[last]) {
+      const opens = url.split(BRACKET_PAIRS[last]).length - 1;
+      const closes = url.split(last).length - 1;
+      if (closes <= opens) break;
+      url = url.slice(0, -1);
+    } else {
+      break;
+    }
+  }
+  return url;
+}
+
+/**
+ * The text around a match, on word boundaries and with whitespace collapsed
+ */
+function snippetAround(text, start, end, radius) {
+  let from = Math.max(0, start - radius);
+  let to = Math.min(text.length, end + radius);
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    if (space !== -1 && space < start) from = space + 1;
+  }
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    if (space > end) to = space;
+  }
+  const body = text.slice(from, to).replace(/\s+/g, ' ').trim();
+  return `${from > 0 ? '…' : ''}${body}${to < text.length ? '…' : ''}`;
+}
+
+/**
+ * Find every web URL in free text (chat messages, notes, share sheets).
+ * Redirect wrappers are unwrapped, and URLs for the same page (same
+ * urlDedupeKey) are listed once, at their first occurrence.
+ * @param {string} text - Text to search
+ * @param {object} options
+ * @param {number} options.snippetRadius - Characters of context on each side of a URL
+ * @param {number} options.limit - Most URLs returned
+ * @returns {{url: string, snippet: string, wrappedUrl?: string}[]}
+ */
+function extractUrls(text, { snippetRadius = 60, limit = 50 } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return [];
+  const results = [];
+  const seen = new Set();
+
+  for (const match of text.matchAll(URL_IN_TEXT_REGEX)) {
+    const raw = trimUrlMatch(match[0]);
+    const candidate = /^www\./i.test(raw) ? `https://${raw}` : raw;
+    let parsed;
+    try {
+      parsed = new URL(candidate);
+    } catch (e) {
+      continue;
+    }
+    if (!parsed.hostname.includes('.')) continue;
+
+    const url = unwrapRedirectUrl(parsed.href);
+    const key = urlDedupeKey(url);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    results.push({
+      url,
+      snippet: snippetAround(text, match.index, match.index + raw.length, snippetRadius),
+      ...(url !== parsed.href ? { wrappedUrl: parsed.href } : {})
+    });
+    if (results.length >= limit) break;
+  }
+  return results;
+}
+
+module.exports = { normalizeUrl, urlDedupeKey, resolveCanonicalUrl, unwrapRedirectUrl, extractUrls };
@@ -0,0 +1,150 @@
+/**
+ * Outgoing webhooks
+ * Link events are fanned out to the user's subscribed webhooks as
+ * WebhookDelivery rows; jobs/webhookDispatcher sends them and retries
+ * failures. Each request is signed so receivers can verify it:
+ *
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { checkOutboundUrl, outboundAgents } = require('./netGuard');
+const { WEBHOOK_TIMEOUT_MS } = require('../config/constants');
+
+const RESPONSE_BODY_MAX_LENGTH = 1000;
+
+/**
+ * Generate a new signing secret
+ * @returns {string}
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a payload for a given timestamp
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+const signWebhookPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Plain JSON copy of a link for the payload
+ */
+const serializeLink = (link) => {
+  const data = typeof link?.toJSON === 'function' ? link.toJSON() : { ...link };
+  delete data.__v;
+  delete data.id;
+  // Populated owner: send the id only
+  if (data.userId && data.userId._id) data.userId = data.userId._id;
+  return JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * Queue an event for every webhook of the user that subscribes to it.
+ * Never throws: a webhook problem must not fail the request that caused the event.
+ * @param {string} userId - Owner of the links
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {object|object[]} links - Link document(s); one event is sent per link
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function emitLinkEvent(userId, event, links) {
+  try {
+    const list = (Array.isArray(links) ? links : [links]).filter(Boolean);
+    if (!userId || list.length === 0) return 0;
+
+    const webhooks = await Webhook.find({ userId, isActive: true, events: event }).select('_id').lean();
+    if (webhooks.length === 0) return 0;
+
+    const createdAt = new Date();
+    const deliveries = [];
+    for (const link of list) {
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const payload = JSON.stringify({
+        id: eventId,
+        event,
+        createdAt: createdAt.toISOString(),
+        data: { link: serializeLink(link) }
+      });
+      for (const webhook of webhooks) {
+        deliveries.push({ userId, webhookId: webhook._id, event, eventId, payload, nextAttemptAt: createdAt });
+      }
+    }
+
+    await WebhookDelivery.insertMany(deliveries, { ordered: false });
+
+    // Send right away instead of waiting for the next poll
+    setImmediate(() => {
+      require('../jobs/webhookDispatcher').runWebhookDispatcher().catch(() => {});
+    });
+    return deliveries.length;
+  } catch (error) {
+    console.error(`❌ Failed to queue webhook event ${event}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Send one delivery attempt
+ * @param {object} webhook - Webhook with its secret selected
+ * @param {object} delivery - WebhookDelivery
+ * @returns {Promise<{ok: boolean, status: number|null, body: string|null, error: string|null, durationMs: number}>}
+ */
+async function sendWebhookRequest(webhook, delivery) {
+  const started = Date.now();
+  const checked = checkOutboundUrl(webhook.url);
+  if (checked.error) {
+    return { ok: false, status: null, body: null, error: checked.error, durationMs: 0 };
+  }
+
+  const timestamp = Math.floor(started / 1000);
+  try {
+    const response = await axios.post(checked.url.href, delivery.payload, {
+      ...outboundAgents(),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LinkExtractor-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Event-Id': delivery.eventId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, delivery.payload)
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      responseType: 'text',
+      transformRequest: [(data) => data],
+      transformResponse: [(data) => data],
+      validateStatus: () => true
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      status: response.status,
+      body: typeof response.data === 'string' ? response.data.slice(0, RESPONSE_BODY_MAX_LENGTH) : null,
+      error: ok ? null : `Endpoint responded with HTTP ${response.status}`,
+      durationMs: Date.now() - started
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: null,
+      body: null,
+      error: error.code === 'ECONNABORTED' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message,
+      durationMs: Date.now() - started
+    };
+  }
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signWebhookPayload,
+  emitLinkEvent,
+  sendWebhookRequest
+};